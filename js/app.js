@@ -4,11 +4,16 @@
  * @version 1.0.0
  */
 
-import { TIPOS_MENSAJE, MODOS } from './constants.js';
+import { TIPOS_MENSAJE } from './constants.js';
 import mensajeria, { enviarMensaje, registrarControlador } from './mensajeria.js'; // manejarErrorCritico y validarMensajeEntrante ahora desde el objeto mensajeria
-import logger, { registrarEvento } from './logger.js';
+import logger from './logger.js';
 import { CONFIG } from './config.js';
+import { obtenerResumenMonitoreo } from './monitoreo.js';
 import { solicitarDatosParadas } from './funciones-mapa.js';
+import { cargarProgreso, establecerModoProgreso } from './progreso-aventura.js';
+import { obtenerAventuraSeleccionada } from './catalogo-aventuras.js';
+import { solicitarCambioModo } from './transaccion-modo.js';
+import { esModoValido } from './registro-modos.js';
 
 // Estado global de la aplicación
 export const estado = {
@@ -40,11 +45,8 @@ export const estado = {
             rastrearEventos: true,
             maxEventos: 1000,
             maxErrores: 100,
-            umbralAlerta: {
-                tiempoRespuesta: 1000, // ms
-                usoMemoria: 80, // %
-                tasaError: 0.1 // 10%
-            }
+            // Mismo objeto que usa monitoreo.js: cambiar un umbral aquí afecta a sus alertas
+            umbralAlerta: CONFIG.MONITOREO.UMBRAL_ALERTA
         },
         historial: {
             eventos: [],
@@ -113,6 +115,13 @@ export async function inicializar() {
             });
         }
         
+        // Restaurar el progreso guardado de la aventura (parada y modo)
+        const progreso = cargarProgreso(obtenerAventuraSeleccionada());
+        if (progreso.paradaActual) {
+            estado.paradaActual = progreso.paradaActual;
+        }
+        estado.modo.actual = progreso.modo || estado.modo.actual;
+        
         // El mapa se inicializa desde codigo-padre.html, no necesitamos inicializarlo aquí
         
         // Actualizar el tamaño del mapa después de un breve retraso para asegurar que el contenedor tenga dimensiones
@@ -192,21 +201,19 @@ export async function notificarError(codigo, error, contexto = {}) {
 }
 
 /**
- * Envía un mensaje para cambiar el modo de la aplicación
- * @param {string} nuevoModo - Nuevo modo ('casa' o 'aventura')
+ * Pide al padre que cambie el modo de la aplicación. El padre lo aplica en dos fases en
+ * el mapa y en todos los hijos, y lo revierte si alguno falla (transaccion-modo.js).
+ * @param {string} nuevoModo - Id de un modo de registro-modos.js
  * @param {string} origen - Origen del cambio
- * @returns {Promise<Object>} Resultado de la operación
+ * @returns {Promise<Object>} `{exito, modo, modoAnterior, cambiado, transaccionId, participantes}`
+ * @throws {Error} Con código de CODIGOS_ERROR.MODO si algún participante no aplicó el modo
  */
 export async function enviarCambioModo(nuevoModo, origen = 'app') {
-    if (nuevoModo !== 'casa' && nuevoModo !== 'aventura') {
+    if (!esModoValido(nuevoModo)) {
         throw new Error(`Modo inválido: ${nuevoModo}`);
     }
     
-    return await enviarMensaje('padre', TIPOS_MENSAJE.SISTEMA.CAMBIO_MODO, { 
-        modo: nuevoModo,
-        origen,
-        timestamp: new Date().toISOString()
-    });
+    return await solicitarCambioModo(nuevoModo, { origen });
 }
 
 /**
@@ -221,7 +228,7 @@ function validarCambioModoMensaje(mensaje) {
 
     const { modo } = mensaje.datos || {};
 
-    if (!modo || (modo !== MODOS.CASA && modo !== MODOS.AVENTURA)) {
+    if (!esModoValido(modo)) {
         throw new Error(`Modo no válido: ${modo}`);
     }
 
@@ -252,6 +259,7 @@ export async function manejarCambioModo(mensaje) {
             // Actualizar el estado local
             estado.modo.anterior = estado.modo.actual;
             estado.modo.actual = modo;
+            establecerModoProgreso(modo);
             
             logger.info(`Modo cambiado a ${modo} desde ${estado.modo.anterior}`);
             
@@ -570,26 +578,22 @@ export function registrarMetrica(nombre, valor, unidad = 'ms') {
 
 /**
  * Obtiene el estado actual del sistema de monitoreo
- * @returns {Object} Estado actual del monitoreo
+ * @returns {Object} Estado actual del monitoreo, con percentiles de latencia, tasas de error,
+ *          memoria y alertas de monitoreo.js en `rendimiento`
  */
 export function obtenerEstadoMonitoreo() {
+    const rendimiento = obtenerResumenMonitoreo();
     return {
-        metricas: { ...estado.monitoreo.metricos },
+        metricas: { ...estado.monitoreo.metricas, usoMemoria: rendimiento.memoria ?? estado.monitoreo.metricas.usoMemoria },
         config: { ...estado.monitoreo.config },
+        rendimiento,
         totalEventos: estado.monitoreo.historial.eventos.length,
         totalErrores: estado.monitoreo.historial.errores.length,
         timestamp: new Date().toISOString()
     };
 }
 
-// Inicializar monitoreo de memoria si está disponible
-if (window.performance && window.performance.memory) {
-    setInterval(() => {
-        const memory = window.performance.memory;
-        const usoMemoria = (memory.usedJSHeapSize / memory.totalJSHeapSize) * 100;
-        registrarMetrica('uso_memoria', usoMemoria, '%');
-    }, 60000); // Cada minuto
-}
+// La memoria la mide monitoreo.js, que avisa con MONITOREO.EVENTO al superar el umbral
 
 // Exponer funciones de monitoreo globalmente
 if (typeof window !== 'undefined') {
@@ -0,0 +1,372 @@
+/**
+ * Cargador de manifiestos de aventura
+ * @module CargadorAventuras
+ * @description
+ * Carga y valida los manifiestos JSON de aventuras/ (ver aventuras/esquema-aventura.json)
+ * y los adapta al formato de paradas que usan `establecerDatosParadas` y el flujo
+ * DATOS.ENVIAR_PARADAS / DATOS.SOLICITAR_PARADAS.
+ */
+
+import logger from './logger.js';
+import { ERRORES } from './constants.js';
+import { resolverOpcionesPuzzle } from './motor-puzzle.js';
+
+// Versión del formato de manifiesto soportada
+export const VERSION_FORMATO_AVENTURA = '1.0';
+
+// Ids de aventura admitidos: solo manifiestos publicados en RUTA_AVENTURAS
+export const PATRON_ID_AVENTURA = /^Av[0-9]+$/;
+
+// Carpeta donde se publican los manifiestos
+const RUTA_AVENTURAS = 'aventuras';
+
+// Manifiestos ya cargados, indexados por id de aventura
+const cacheAventuras = new Map();
+
+const TIPOS_PARADA = ['inicio', 'parada', 'final'];
+const TIPOS_RETO = ['opcion', 'opcion-multiple', 'texto', 'orden', 'zona', 'puzzle'];
+const TIPOS_INSIGNIA = ['paradas', 'retos', 'sin-pistas', 'primer-intento', 'puntos'];
+const CAMPOS_REQUERIDOS = ['formato', 'id', 'version', 'nombre', 'idioma', 'mapa', 'recorrido', 'audios', 'retos'];
+
+/**
+ * Comprueba que un valor sea un par de coordenadas válido
+ * @private
+ * @param {*} coordenadas - Valor a comprobar
+ * @returns {boolean} True si tiene lat y lng numéricos dentro de rango
+ */
+function sonCoordenadasValidas(coordenadas) {
+    return !!coordenadas &&
+        typeof coordenadas.lat === 'number' && Math.abs(coordenadas.lat) <= 90 &&
+        typeof coordenadas.lng === 'number' && Math.abs(coordenadas.lng) <= 180;
+}
+
+/**
+ * Comprueba que un reto tenga los datos que necesita su tipo en motor-retos.js
+ * @private
+ * @param {Object} reto - Reto del manifiesto
+ * @returns {string[]} Errores encontrados
+ */
+function validarContenidoReto(reto) {
+    const errores = [];
+    const esListaDeTextos = valor => Array.isArray(valor) && valor.length > 0 && valor.every(v => typeof v === 'string');
+
+    switch (reto.tipo) {
+        case 'opcion':
+        case 'opcion-multiple':
+            if (!esListaDeTextos(reto.opciones)) {
+                errores.push('se requieren opciones');
+            } else if (!esListaDeTextos(reto.correctas) || !reto.correctas.every(c => reto.opciones.includes(c))) {
+                errores.push('las correctas deben estar entre las opciones');
+            }
+            break;
+        case 'texto':
+            if (!esListaDeTextos(reto.correctas)) {
+                errores.push('se requieren las respuestas aceptadas (correctas)');
+            }
+            break;
+        case 'orden':
+            if (!esListaDeTextos(reto.elementos) || reto.elementos.length < 2) {
+                errores.push('se requieren al menos dos elementos que ordenar');
+            }
+            break;
+        case 'zona': {
+            const idsZona = Array.isArray(reto.zonas) ? reto.zonas.map(zona => zona?.id) : [];
+            if (typeof reto.imagen !== 'string' || idsZona.length === 0) {
+                errores.push('se requieren imagen y zonas');
+            } else if (!esListaDeTextos(reto.correctas) || !reto.correctas.every(c => idsZona.includes(c))) {
+                errores.push('las correctas deben ser ids de zonas');
+            }
+            break;
+        }
+        case 'puzzle':
+            if (reto.puzzle) {
+                try {
+                    resolverOpcionesPuzzle(reto.puzzle);
+                } catch (error) {
+                    errores.push(error.message);
+                }
+            } else if (typeof reto.src !== 'string') {
+                errores.push('el puzzle requiere puzzle o src');
+            }
+            break;
+        default:
+            break;
+    }
+
+    if (reto.pistas !== undefined && !(Array.isArray(reto.pistas) && reto.pistas.every(p => typeof p === 'string'))) {
+        errores.push('pistas inválidas');
+    }
+    return errores;
+}
+
+/**
+ * Valida un manifiesto con las mismas reglas que aventuras/esquema-aventura.json
+ * @param {Object} manifiesto - Manifiesto a validar
+ * @returns {{valido: boolean, errores: string[]}} Resultado con la lista de errores encontrados
+ */
+export function validarManifiesto(manifiesto) {
+    const errores = [];
+
+    if (!manifiesto || typeof manifiesto !== 'object') {
+        return { valido: false, errores: ['El manifiesto no es un objeto'] };
+    }
+
+    const faltantes = CAMPOS_REQUERIDOS.filter(campo => !(campo in manifiesto));
+    if (faltantes.length > 0) {
+        errores.push(`Faltan campos requeridos: ${faltantes.join(', ')}`);
+    }
+
+    if (manifiesto.formato !== VERSION_FORMATO_AVENTURA) {
+        errores.push(`Formato no soportado: ${manifiesto.formato} (se esperaba ${VERSION_FORMATO_AVENTURA})`);
+    }
+
+    if (typeof manifiesto.id !== 'string' || !/^Av[0-9]+$/.test(manifiesto.id)) {
+        errores.push(`Id de aventura inválido: ${manifiesto.id}`);
+    }
+
+    if (typeof manifiesto.version !== 'string' || !/^[0-9]+\.[0-9]+\.[0-9]+$/.test(manifiesto.version)) {
+        errores.push(`Versión inválida: ${manifiesto.version}`);
+    }
+
+    const { mapa } = manifiesto;
+    if (!mapa || typeof mapa.imagen !== 'string' || !sonCoordenadasValidas(mapa.centro) || !Number.isInteger(mapa.zoom)) {
+        errores.push('Mapa inválido: se requieren imagen, centro y zoom');
+    }
+
+    const audios = Array.isArray(manifiesto.audios) ? manifiesto.audios : [];
+    const retos = Array.isArray(manifiesto.retos) ? manifiesto.retos : [];
+    const idsAudio = new Set(audios.map(audio => audio?.id));
+    const idsReto = new Set(retos.map(reto => reto?.id));
+    const idsRecorrido = new Set();
+
+    if (!Array.isArray(manifiesto.recorrido) || manifiesto.recorrido.length === 0) {
+        errores.push('El recorrido debe ser un array no vacío');
+    } else {
+        manifiesto.recorrido.forEach((punto, indice) => {
+            const ref = `recorrido[${indice}]${punto?.id ? ` (${punto.id})` : ''}`;
+
+            if (!punto || typeof punto.id !== 'string') {
+                errores.push(`${ref}: falta el id`);
+                return;
+            }
+            if (idsRecorrido.has(punto.id)) {
+                errores.push(`${ref}: id duplicado`);
+            }
+            idsRecorrido.add(punto.id);
+
+            if (punto.tipo === 'tramo') {
+                if (!/^TR-[0-9]+$/.test(punto.id)) errores.push(`${ref}: id de tramo inválido`);
+                if (!sonCoordenadasValidas(punto.inicio) || !sonCoordenadasValidas(punto.fin)) {
+                    errores.push(`${ref}: el tramo requiere coordenadas de inicio y fin`);
+                }
+                if (punto.waypoints && !(Array.isArray(punto.waypoints) && punto.waypoints.every(sonCoordenadasValidas))) {
+                    errores.push(`${ref}: waypoints inválidos`);
+                }
+            } else if (TIPOS_PARADA.includes(punto.tipo)) {
+                if (!/^P-[0-9]+$/.test(punto.id)) errores.push(`${ref}: id de parada inválido`);
+                if (!sonCoordenadasValidas(punto.coordenadas)) {
+                    errores.push(`${ref}: coordenadas inválidas`);
+                }
+                if (punto.radio !== undefined && !(typeof punto.radio === 'number' && punto.radio > 0)) {
+                    errores.push(`${ref}: radio de geocerca inválido`);
+                }
+                if (punto.reto_id && !idsReto.has(punto.reto_id)) {
+                    errores.push(`${ref}: reto ${punto.reto_id} no definido en retos`);
+                }
+            } else {
+                errores.push(`${ref}: tipo desconocido ${punto.tipo}`);
+            }
+
+            if (typeof punto.audio_id !== 'string' || !idsAudio.has(punto.audio_id)) {
+                errores.push(`${ref}: audio ${punto.audio_id} no definido en audios`);
+            }
+        });
+    }
+
+    audios.forEach((audio, indice) => {
+        // Sin `archivo` la grabación está pendiente: no suena ni se descarga
+        if (!audio || typeof audio.id !== 'string' || (audio.archivo !== undefined && typeof audio.archivo !== 'string')) {
+            errores.push(`audios[${indice}]: se requiere id y el archivo, si lo tiene, debe ser una ruta`);
+        }
+    });
+
+    retos.forEach((reto, indice) => {
+        if (!reto || typeof reto.id !== 'string' || typeof reto.parada_id !== 'string') {
+            errores.push(`retos[${indice}]: se requieren id y parada_id`);
+            return;
+        }
+        if (reto.tipo && !TIPOS_RETO.includes(reto.tipo)) {
+            errores.push(`retos[${indice}] (${reto.id}): tipo desconocido ${reto.tipo}`);
+        }
+        validarContenidoReto(reto).forEach(error => errores.push(`retos[${indice}] (${reto.id}): ${error}`));
+        if (idsRecorrido.size > 0 && !idsRecorrido.has(reto.parada_id)) {
+            errores.push(`retos[${indice}] (${reto.id}): parada ${reto.parada_id} no existe en el recorrido`);
+        }
+    });
+
+    if (manifiesto.insignias !== undefined && !Array.isArray(manifiesto.insignias)) {
+        errores.push('Las insignias deben ser un array');
+    }
+    (Array.isArray(manifiesto.insignias) ? manifiesto.insignias : []).forEach((insignia, indice) => {
+        const ref = `insignias[${indice}]${insignia?.id ? ` (${insignia.id})` : ''}`;
+        if (!insignia || typeof insignia.id !== 'string' || typeof insignia.nombre !== 'string') {
+            errores.push(`${ref}: se requieren id y nombre`);
+            return;
+        }
+        const { condicion } = insignia;
+        if (!condicion || !TIPOS_INSIGNIA.includes(condicion.tipo)) {
+            errores.push(`${ref}: condición desconocida ${condicion?.tipo}`);
+            return;
+        }
+        if (condicion.minimo !== undefined && !(Number.isInteger(condicion.minimo) && condicion.minimo > 0)) {
+            errores.push(`${ref}: mínimo inválido`);
+        }
+        if (condicion.tipo === 'puntos' && condicion.minimo === undefined) {
+            errores.push(`${ref}: la condición de puntos requiere mínimo`);
+        }
+        if (condicion.paradas !== undefined) {
+            if (!Array.isArray(condicion.paradas) || condicion.paradas.length === 0) {
+                errores.push(`${ref}: paradas inválidas`);
+            } else if (idsRecorrido.size > 0) {
+                condicion.paradas
+                    .filter(id => !idsRecorrido.has(id))
+                    .forEach(id => errores.push(`${ref}: parada ${id} no existe en el recorrido`));
+            }
+        }
+    });
+
+    return { valido: errores.length === 0, errores };
+}
+
+/**
+ * Carga un manifiesto de aventura, lo valida y lo guarda en caché
+ * @param {string} id - Id de la aventura (p. ej. 'Av1'); se descarga aventuras/<id>.json
+ * @param {Object} [opciones] - Opciones de carga
+ * @param {boolean} [opciones.forzarRecarga=false] - Ignora la caché
+ * @returns {Promise<Object>} Manifiesto validado
+ * @throws {Error} Error con `codigo` de ERRORES si el id no es válido, no se encuentra o no es válido
+ */
+export async function cargarAventura(id, opciones = {}) {
+    if (typeof id !== 'string' || !PATRON_ID_AVENTURA.test(id)) {
+        const errorId = new Error(`Id de aventura inválido: ${id}`);
+        errorId.codigo = ERRORES.VALIDACION.DATOS_INVALIDOS.codigo;
+        throw errorId;
+    }
+    const url = `${RUTA_AVENTURAS}/${id}.json`;
+
+    if (!opciones.forzarRecarga && cacheAventuras.has(id)) {
+        return cacheAventuras.get(id);
+    }
+
+    logger.info(`[Aventuras] Cargando manifiesto ${url}`);
+
+    let respuesta;
+    try {
+        respuesta = await fetch(url, { cache: opciones.forzarRecarga ? 'reload' : 'default' });
+    } catch (error) {
+        const errorRed = new Error(`No se pudo descargar el manifiesto ${url}: ${error.message}`);
+        errorRed.codigo = ERRORES.SISTEMA.SERVICIO_NO_DISPONIBLE.codigo;
+        throw errorRed;
+    }
+
+    if (!respuesta.ok) {
+        const errorHttp = new Error(`Manifiesto no encontrado: ${url} (HTTP ${respuesta.status})`);
+        errorHttp.codigo = ERRORES.RECURSO.NO_ENCONTRADO.codigo;
+        throw errorHttp;
+    }
+
+    const manifiesto = await respuesta.json();
+    const { valido, errores } = validarManifiesto(manifiesto);
+    if (!valido) {
+        logger.error(`[Aventuras] Manifiesto ${url} inválido`, errores);
+        const errorValidacion = new Error(`Manifiesto de aventura inválido: ${url}`);
+        errorValidacion.codigo = ERRORES.VALIDACION.DATOS_INVALIDOS.codigo;
+        errorValidacion.detalles = errores;
+        throw errorValidacion;
+    }
+
+    cacheAventuras.set(id, manifiesto);
+    cacheAventuras.set(manifiesto.id, manifiesto);
+    logger.info(`[Aventuras] ${manifiesto.id} v${manifiesto.version} cargada (${manifiesto.recorrido.length} puntos)`);
+    return manifiesto;
+}
+
+/**
+ * Devuelve un manifiesto ya cargado sin hacer peticiones
+ * @param {string} id - Id de la aventura
+ * @returns {Object|null} Manifiesto o null si no se ha cargado
+ */
+export function obtenerAventuraCargada(id) {
+    return cacheAventuras.get(id) || null;
+}
+
+/**
+ * Convierte el recorrido del manifiesto al formato de paradas usado por el mapa y los
+ * iframes (`padreid`, `parada_id`/`tramo_id`, `audio_id`, `reto_id`) añadiendo las coordenadas.
+ * Los tramos llevan `coordenadas` igual a su inicio para que `establecerDatosParadas` los acepte.
+ * @param {Object} manifiesto - Manifiesto validado
+ * @returns {Array<Object>} Paradas y tramos en orden de recorrido
+ */
+export function obtenerParadasMapa(manifiesto) {
+    return manifiesto.recorrido.map((punto, orden) => {
+        const base = {
+            padreid: `padre-${punto.id}`,
+            tipo: punto.tipo,
+            id: punto.id,
+            nombre: punto.nombre,
+            audio_id: punto.audio_id,
+            orden,
+            ...(punto.imagen && { imagen: punto.imagen }),
+            ...(punto.video && { video: punto.video })
+        };
+
+        if (punto.tipo === 'tramo') {
+            return {
+                ...base,
+                tramo_id: punto.id,
+                coordenadas: punto.inicio,
+                inicio: punto.inicio,
+                waypoints: punto.waypoints || [],
+                fin: punto.fin
+            };
+        }
+
+        return {
+            ...base,
+            parada_id: punto.id,
+            coordenadas: punto.coordenadas,
+            ...(punto.radio && { radio: punto.radio }),
+            ...(punto.reto_id && { reto_id: punto.reto_id })
+        };
+    });
+}
+
+/**
+ * Busca un audio del manifiesto por su id
+ * @param {Object} manifiesto - Manifiesto validado
+ * @param {string} audioId - Id del audio (p. ej. 'audio-P-0')
+ * @returns {Object|null} Audio con id, titulo y archivo
+ */
+export function buscarAudio(manifiesto, audioId) {
+    return manifiesto.audios.find(audio => audio.id === audioId) || null;
+}
+
+/**
+ * Busca un reto del manifiesto por su id
+ * @param {Object} manifiesto - Manifiesto validado
+ * @param {string} retoId - Id del reto (p. ej. 'R-2')
+ * @returns {Object|null} Reto con id, parada_id y, si aplica, su contenido (ver motor-retos.js)
+ */
+export function buscarReto(manifiesto, retoId) {
+    return manifiesto.retos.find(reto => reto.id === retoId) || null;
+}
+
+export default {
+    VERSION_FORMATO_AVENTURA,
+    validarManifiesto,
+    cargarAventura,
+    obtenerAventuraCargada,
+    obtenerParadasMapa,
+    buscarAudio,
+    buscarReto
+};
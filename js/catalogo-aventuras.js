@@ -0,0 +1,182 @@
+/**
+ * Catálogo de aventuras disponibles
+ * @module CatalogoAventuras
+ * @description
+ * Lista las aventuras de aventuras/catalogo.json con sus metadatos (duración, distancia,
+ * número de paradas, idioma, mapa) y gestiona la aventura seleccionada por el jugador.
+ * La selección se guarda en localStorage y se puede forzar con el parámetro `?aventura=`;
+ * solo se aceptan ids con el formato de PATRON_ID_AVENTURA que figuren en el catálogo.
+ */
+
+import logger from './logger.js';
+import { CONFIG } from './config.js';
+import { ERRORES } from './constants.js';
+import { getFromStorage, setToStorage } from './utils.js';
+import { PATRON_ID_AVENTURA } from './cargador-aventuras.js';
+
+// Catálogo cargado (null hasta la primera carga)
+let catalogo = null;
+
+/**
+ * Crea un error con código de ERRORES
+ * @private
+ * @param {Object} tipoError - Entrada de ERRORES
+ * @param {string} mensaje - Descripción del error
+ * @returns {Error} Error con la propiedad `codigo`
+ */
+function crearError(tipoError, mensaje) {
+    const error = new Error(mensaje);
+    error.codigo = tipoError.codigo;
+    return error;
+}
+
+/**
+ * Carga el catálogo de aventuras
+ * @param {Object} [opciones] - Opciones de carga
+ * @param {boolean} [opciones.forzarRecarga=false] - Ignora el catálogo en memoria
+ * @returns {Promise<Array<Object>>} Entradas del catálogo
+ */
+export async function cargarCatalogo(opciones = {}) {
+    if (catalogo && !opciones.forzarRecarga) {
+        return catalogo;
+    }
+
+    const respuesta = await fetch(CONFIG.AVENTURAS.CATALOGO);
+    if (!respuesta.ok) {
+        throw crearError(ERRORES.RECURSO.NO_ENCONTRADO, `No se pudo cargar el catálogo (HTTP ${respuesta.status})`);
+    }
+
+    const contenido = await respuesta.json();
+    if (!Array.isArray(contenido?.aventuras)) {
+        throw crearError(ERRORES.VALIDACION.DATOS_INVALIDOS, 'El catálogo no contiene una lista de aventuras');
+    }
+
+    catalogo = contenido.aventuras.filter(aventura => {
+        const valida = aventura && typeof aventura.id === 'string' && typeof aventura.nombre === 'string';
+        if (!valida) {
+            logger.warn('[Catalogo] Entrada de catálogo inválida ignorada', aventura);
+        }
+        return valida;
+    });
+
+    logger.info(`[Catalogo] ${catalogo.length} aventuras en el catálogo`);
+    return catalogo;
+}
+
+/**
+ * Lista las aventuras del catálogo
+ * @param {Object} [filtros] - Filtros opcionales
+ * @param {boolean} [filtros.soloDisponibles=false] - Excluye las aventuras sin manifiesto publicado
+ * @param {string} [filtros.idioma] - Código de idioma (p. ej. 'es')
+ * @returns {Promise<Array<Object>>} Aventuras que cumplen los filtros
+ */
+export async function listarAventuras(filtros = {}) {
+    const aventuras = await cargarCatalogo();
+    return aventuras.filter(aventura =>
+        (!filtros.soloDisponibles || aventura.disponible) &&
+        (!filtros.idioma || aventura.idioma === filtros.idioma)
+    );
+}
+
+/**
+ * Obtiene la entrada de catálogo de una aventura
+ * @param {string} id - Id de la aventura
+ * @returns {Promise<Object|null>} Entrada del catálogo o null si no existe
+ */
+export async function obtenerEntradaCatalogo(id) {
+    const aventuras = await cargarCatalogo();
+    return aventuras.find(aventura => aventura.id === id) || null;
+}
+
+/**
+ * Selecciona una aventura y guarda la elección
+ * @param {string} id - Id de la aventura
+ * @returns {Promise<Object>} Entrada del catálogo seleccionada
+ * @throws {Error} Si la aventura no existe o todavía no está disponible
+ */
+export async function seleccionarAventura(id) {
+    const entrada = await obtenerEntradaCatalogo(id);
+    if (!entrada) {
+        throw crearError(ERRORES.RECURSO.NO_ENCONTRADO, `Aventura no encontrada en el catálogo: ${id}`);
+    }
+    if (!entrada.disponible) {
+        throw crearError(ERRORES.SISTEMA.SERVICIO_NO_DISPONIBLE, `La aventura ${id} todavía no está disponible`);
+    }
+
+    setToStorage(CONFIG.AVENTURAS.CLAVE_SELECCION, id);
+    logger.info(`[Catalogo] Aventura seleccionada: ${id}`);
+    return entrada;
+}
+
+/**
+ * Indica si un id puede seleccionarse: tiene el formato de PATRON_ID_AVENTURA y, si el
+ * catálogo ya está cargado, figura en él como disponible
+ * @private
+ * @param {*} id - Id candidato
+ * @returns {boolean} True si es seleccionable
+ */
+function esSeleccionable(id) {
+    if (typeof id !== 'string' || !PATRON_ID_AVENTURA.test(id)) {
+        return false;
+    }
+    return !catalogo || catalogo.some(aventura => aventura.id === id && aventura.disponible);
+}
+
+/**
+ * Devuelve el id de la aventura seleccionada.
+ * Prioridad: parámetro `?aventura=` de la URL, selección guardada y aventura por defecto.
+ * Los valores que no son seleccionables se ignoran. Sin el catálogo cargado solo se comprueba
+ * el formato; `resolverAventuraSeleccionada` comprueba además el catálogo.
+ * @returns {string} Id de la aventura
+ */
+export function obtenerAventuraSeleccionada() {
+    if (typeof window !== 'undefined' && window.location) {
+        const desdeUrl = new URLSearchParams(window.location.search).get('aventura');
+        if (desdeUrl && esSeleccionable(desdeUrl)) {
+            return desdeUrl;
+        }
+        if (desdeUrl) {
+            logger.warn(`[Catalogo] Parámetro ?aventura= ignorado: ${desdeUrl}`);
+        }
+    }
+    const guardada = getFromStorage(CONFIG.AVENTURAS.CLAVE_SELECCION, CONFIG.AVENTURAS.POR_DEFECTO, 'string');
+    return esSeleccionable(guardada) ? guardada : CONFIG.AVENTURAS.POR_DEFECTO;
+}
+
+/**
+ * Devuelve el id de la aventura seleccionada comprobándolo contra el catálogo.
+ * Si el catálogo no se puede cargar (p. ej. sin conexión ni copia offline) se usa la
+ * selección con el formato validado, que solo puede apuntar a aventuras/<id>.json.
+ * @returns {Promise<string>} Id de la aventura
+ */
+export async function resolverAventuraSeleccionada() {
+    try {
+        await cargarCatalogo();
+    } catch (error) {
+        logger.warn('[Catalogo] No se pudo comprobar la aventura seleccionada en el catálogo:', error);
+    }
+    return obtenerAventuraSeleccionada();
+}
+
+/**
+ * Aplica el mapa de un manifiesto a `CONFIG.MAPA` (centro y zoom)
+ * @param {Object} manifiesto - Manifiesto de aventura validado
+ * @returns {Object} CONFIG.MAPA actualizado
+ */
+export function aplicarConfiguracionMapa(manifiesto) {
+    const { centro, zoom, imagen } = manifiesto.mapa;
+    CONFIG.MAPA.CENTER = [centro.lat, centro.lng];
+    CONFIG.MAPA.ZOOM = zoom;
+    CONFIG.MAPA.IMAGEN = imagen;
+    return CONFIG.MAPA;
+}
+
+export default {
+    cargarCatalogo,
+    listarAventuras,
+    obtenerEntradaCatalogo,
+    seleccionarAventura,
+    obtenerAventuraSeleccionada,
+    resolverAventuraSeleccionada,
+    aplicarConfiguracionMapa
+};
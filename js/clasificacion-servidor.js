@@ -0,0 +1,406 @@
+/**
+ * Clasificación de familias en el servidor
+ * @module ClasificacionServidor
+ * @description
+ * Guarda en `clasificacion.json`, dentro del directorio configurado, la mejor puntuación de
+ * cada familia en cada aventura (la envía gamificacion.js al terminar el recorrido) y el
+ * número de partidas distintas enviadas (`partidaId`). Cada familia envía con su puntuación una `clave` secreta que
+ * genera su dispositivo; el servidor guarda solo su huella y rechaza las puntuaciones de esa
+ * familia que lleguen con otra clave. La consulta no devuelve ni los ids de las familias ni
+ * las huellas: marca como `propia` la fila de la familia que la pide.
+ * El archivo se escribe completo en un temporal que luego se
+ * renombra, para no dejarlo a medias, y las escrituras se encadenan para no perder
+ * puntuaciones que lleguen a la vez. Un archivo ilegible se aparta con el sufijo
+ * `.corrupto-<fecha>` y se empieza una clasificación nueva.
+ */
+
+import { promises as fs } from 'fs';
+import { createHash, timingSafeEqual } from 'crypto';
+import path from 'path';
+import { ERRORES } from './constants.js';
+
+// Nombre del archivo de la clasificación
+const ARCHIVO_CLASIFICACION = 'clasificacion.json';
+
+// Versión de la estructura del archivo
+const VERSION_CLASIFICACION = 1;
+
+// Límites de los datos aceptados
+const MAX_PUNTOS = 100000;
+const MAX_NOMBRE = 40;
+const MAX_INSIGNIAS = 50;
+const MAX_LIMITE = 100;
+
+// Estado de la clasificación
+const estadoClasificacion = {
+    directorio: null,
+    maxFamilias: 1000,     // Familias por aventura; al superarlo se descartan las de menos puntos
+    datos: null,           // Contenido del archivo, leído en la primera petición
+    cadena: Promise.resolve()
+};
+
+/**
+ * Crea un error con el código de ERRORES
+ * @private
+ * @param {Object} tipoError - Entrada de ERRORES
+ * @param {string} [mensaje] - Mensaje (por defecto el de ERRORES)
+ * @returns {Error} Error con `codigo`
+ */
+function crearError(tipoError, mensaje = tipoError.mensaje) {
+    const error = new Error(mensaje);
+    error.codigo = tipoError.codigo;
+    return error;
+}
+
+/**
+ * Configura el directorio de la clasificación
+ * @param {Object} opciones - Opciones
+ * @param {string} opciones.directorio - Directorio del archivo (se crea si no existe)
+ * @param {number} [opciones.maxFamilias] - Familias que se conservan por aventura
+ */
+export function configurarClasificacion({ directorio, maxFamilias } = {}) {
+    if (!directorio) {
+        throw new Error('Se requiere el directorio de la clasificación');
+    }
+    estadoClasificacion.directorio = directorio;
+    if (Number.isInteger(maxFamilias) && maxFamilias > 0) {
+        estadoClasificacion.maxFamilias = maxFamilias;
+    }
+    estadoClasificacion.datos = null;
+}
+
+/**
+ * Ruta del archivo de la clasificación
+ * @private
+ * @returns {string} Ruta absoluta
+ */
+function rutaArchivo() {
+    return path.join(estadoClasificacion.directorio, ARCHIVO_CLASIFICACION);
+}
+
+/**
+ * Copia un objeto en otro sin prototipo: los ids que envían los clientes se usan como
+ * claves, y `constructor`, `toString` o `__proto__` no deben resolver a Object.prototype
+ * @private
+ * @param {Object} [objeto] - Objeto leído del archivo
+ * @returns {Object} Objeto sin prototipo con las mismas claves propias
+ */
+function crearMapa(objeto = {}) {
+    return Object.assign(Object.create(null), objeto);
+}
+
+/**
+ * Lee el archivo la primera vez y devuelve los datos en memoria
+ * @private
+ * @returns {Promise<Object>} `{version, aventuras: {<aventuraId>: {<familiaId>: entrada}}}`
+ */
+async function cargarDatos() {
+    if (estadoClasificacion.datos) {
+        return estadoClasificacion.datos;
+    }
+    let contenido = null;
+    try {
+        contenido = await fs.readFile(rutaArchivo(), 'utf8');
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            throw error;
+        }
+    }
+
+    let datos = { version: VERSION_CLASIFICACION, aventuras: crearMapa() };
+    if (contenido !== null) {
+        try {
+            const leido = JSON.parse(contenido);
+            if (leido?.version !== VERSION_CLASIFICACION || typeof leido.aventuras !== 'object' || !leido.aventuras) {
+                throw new Error(`versión ${leido?.version} no soportada`);
+            }
+            datos = { ...leido, aventuras: crearMapa() };
+            Object.entries(leido.aventuras).forEach(([aventuraId, familias]) => {
+                datos.aventuras[aventuraId] = crearMapa(familias);
+            });
+        } catch (error) {
+            const apartado = `${rutaArchivo()}.corrupto-${Date.now()}`;
+            console.error(`[Clasificacion] Archivo de clasificación ilegible (${error.message}), se aparta en ${apartado}`);
+            await fs.rename(rutaArchivo(), apartado);
+        }
+    }
+    estadoClasificacion.datos = datos;
+    return datos;
+}
+
+/**
+ * Escribe los datos en un temporal y lo renombra sobre el archivo
+ * @private
+ * @param {Object} datos - Datos de la clasificación
+ */
+async function guardarDatos(datos) {
+    await fs.mkdir(estadoClasificacion.directorio, { recursive: true });
+    const temporal = `${rutaArchivo()}.tmp`;
+    await fs.writeFile(temporal, JSON.stringify(datos, null, 2), 'utf8');
+    await fs.rename(temporal, rutaArchivo());
+}
+
+/**
+ * Ejecuta una operación detrás de las anteriores
+ * @private
+ * @param {Function} operacion - Función asíncrona
+ * @returns {Promise<*>} Resultado de la operación
+ */
+function encadenar(operacion) {
+    const resultado = estadoClasificacion.cadena.then(operacion);
+    estadoClasificacion.cadena = resultado.catch(() => {});
+    return resultado;
+}
+
+/**
+ * Comprueba que la clasificación esté configurada
+ * @private
+ * @throws {Error} Con `codigo` SERVICIO_NO_DISPONIBLE si no lo está
+ */
+function comprobarConfiguracion() {
+    if (!estadoClasificacion.directorio) {
+        throw crearError(ERRORES.SISTEMA.SERVICIO_NO_DISPONIBLE, 'Clasificación sin configurar');
+    }
+}
+
+/**
+ * Huella de la clave de una familia; en el archivo no se guarda la clave
+ * @private
+ * @param {string} clave - Clave enviada por la familia
+ * @returns {string} SHA-256 en hexadecimal
+ */
+function calcularHuella(clave) {
+    return createHash('sha256').update(clave).digest('hex');
+}
+
+/**
+ * Comprueba que una puntuación venga de la familia que registró la entrada
+ * @private
+ * @param {Object} [anterior] - Entrada guardada de la familia
+ * @param {string} huellaClave - Huella de la clave recibida
+ * @throws {Error} Con `codigo` NO_AUTORIZADO si la clave no coincide
+ */
+function comprobarClave(anterior, huellaClave) {
+    // Las entradas anteriores a las claves adoptan la primera que llegue
+    if (!anterior?.huellaClave) {
+        return;
+    }
+    const guardada = Buffer.from(anterior.huellaClave, 'hex');
+    const recibida = Buffer.from(huellaClave, 'hex');
+    if (guardada.length !== recibida.length || !timingSafeEqual(guardada, recibida)) {
+        throw crearError(ERRORES.AUTENTICACION.NO_AUTORIZADO, 'La clave no corresponde a esta familia');
+    }
+}
+
+/**
+ * Valida y limpia una puntuación recibida
+ * @private
+ * @param {Object} puntuacion - Cuerpo de la petición
+ * @returns {Object} Puntuación limpia
+ * @throws {Error} Con `codigo` DATOS_INVALIDOS
+ */
+function validarPuntuacion(puntuacion) {
+    const { familiaId, clave, nombre, aventuraId, partidaId, puntos, retosCompletados = 0, insignias = [], duracion = null } = puntuacion || {};
+    const nombreLimpio = typeof nombre === 'string' ? nombre.replace(/[\u0000-\u001f\u007f]/g, '').trim() : '';
+    const errores = [];
+
+    if (typeof familiaId !== 'string' || !/^[A-Za-z0-9_-]{1,64}$/.test(familiaId)) {
+        errores.push('familiaId inválido');
+    }
+    if (typeof clave !== 'string' || !/^[A-Za-z0-9_-]{16,128}$/.test(clave)) {
+        errores.push('clave inválida');
+    }
+    if (!nombreLimpio || nombreLimpio.length > MAX_NOMBRE) {
+        errores.push(`el nombre debe tener entre 1 y ${MAX_NOMBRE} caracteres`);
+    }
+    if (typeof aventuraId !== 'string' || !/^Av[0-9]+$/.test(aventuraId)) {
+        errores.push('aventuraId inválido');
+    }
+    if (typeof partidaId !== 'string' || !/^[A-Za-z0-9_-]{1,64}$/.test(partidaId)) {
+        errores.push('partidaId inválido');
+    }
+    if (!Number.isInteger(puntos) || puntos < 0 || puntos > MAX_PUNTOS) {
+        errores.push(`los puntos deben ser un entero entre 0 y ${MAX_PUNTOS}`);
+    }
+    if (!Number.isInteger(retosCompletados) || retosCompletados < 0) {
+        errores.push('retosCompletados inválido');
+    }
+    if (!Array.isArray(insignias) || insignias.length > MAX_INSIGNIAS ||
+        !insignias.every(id => typeof id === 'string' && id.length > 0 && id.length <= 64)) {
+        errores.push(`se esperaban hasta ${MAX_INSIGNIAS} ids de insignia`);
+    }
+    if (duracion !== null && (!Number.isFinite(duracion) || duracion < 0)) {
+        errores.push('duracion inválida');
+    }
+
+    if (errores.length > 0) {
+        const error = crearError(ERRORES.VALIDACION.DATOS_INVALIDOS, `Puntuación inválida: ${errores.join(', ')}`);
+        error.detalles = errores;
+        throw error;
+    }
+    return {
+        familiaId,
+        huellaClave: calcularHuella(clave),
+        nombre: nombreLimpio,
+        aventuraId,
+        ultimaPartida: partidaId,
+        puntos,
+        retosCompletados,
+        insignias: [...new Set(insignias)],
+        duracion: duracion === null ? null : Math.round(duracion)
+    };
+}
+
+/**
+ * Orden de la clasificación: más puntos, después menos tiempo y después quien llegó antes
+ * @private
+ * @param {Object} a - Entrada
+ * @param {Object} b - Entrada
+ * @returns {number} Orden
+ */
+function compararEntradas(a, b) {
+    return b.puntos - a.puntos ||
+        (a.duracion ?? Infinity) - (b.duracion ?? Infinity) ||
+        a.fecha.localeCompare(b.fecha);
+}
+
+/**
+ * Entradas de una aventura ordenadas y numeradas, sin el id ni la huella de las familias
+ * @private
+ * @param {Object} datos - Datos de la clasificación
+ * @param {string} aventuraId - Id de la aventura
+ * @param {string} [familiaId] - Familia que consulta; su entrada lleva `propia: true`
+ * @returns {Array<Object>} Entradas públicas con `posicion` y `propia`
+ */
+function ordenarAventura(datos, aventuraId, familiaId) {
+    return Object.values(datos.aventuras[aventuraId] || {})
+        .sort(compararEntradas)
+        .map(({ familiaId: id, huellaClave, ultimaPartida, ...entrada }, indice) => ({
+            posicion: indice + 1,
+            ...entrada,
+            propia: !!familiaId && id === familiaId
+        }));
+}
+
+/**
+ * Registra una puntuación; se conserva la mejor de cada familia y se cuentan sus partidas.
+ * Reenviar la misma partida (mismo `partidaId` que la última) no suma otra.
+ * @param {Object} puntuacion - `{familiaId, clave, nombre, aventuraId, partidaId, puntos, retosCompletados,
+ *        insignias, duracion}` enviada por gamificacion.js
+ * @returns {Promise<{posicion: number, mejora: boolean, entrada: Object}>} Posición de la familia
+ *          y si la puntuación supera su mejor marca
+ * @throws {Error} Con `codigo` de ERRORES si no es válida, la clave no es la de la familia o
+ *         no se puede guardar
+ */
+export async function registrarPuntuacion(puntuacion) {
+    const { aventuraId, ...datosFamilia } = validarPuntuacion(puntuacion);
+    comprobarConfiguracion();
+
+    try {
+        return await encadenar(async () => {
+            const datos = await cargarDatos();
+            const familias = datos.aventuras[aventuraId] || (datos.aventuras[aventuraId] = crearMapa());
+            const anterior = familias[datosFamilia.familiaId];
+            comprobarClave(anterior, datosFamilia.huellaClave);
+            const mejora = !anterior || datosFamilia.puntos > anterior.puntos;
+            const partidas = (anterior?.partidas || 0) + (anterior?.ultimaPartida === datosFamilia.ultimaPartida ? 0 : 1);
+
+            // Sin mejora solo cuenta la partida: el nombre sigue siendo el de la mejor marca
+            familias[datosFamilia.familiaId] = mejora
+                ? { ...datosFamilia, partidas, fecha: new Date().toISOString() }
+                : { ...anterior, huellaClave: datosFamilia.huellaClave, ultimaPartida: datosFamilia.ultimaPartida, partidas };
+
+            // Se descartan las familias con menos puntos si se supera el máximo
+            const ordenadas = Object.values(familias).sort(compararEntradas);
+            ordenadas.slice(estadoClasificacion.maxFamilias).forEach(entrada => {
+                delete familias[entrada.familiaId];
+            });
+
+            await guardarDatos(datos);
+            const entrada = ordenarAventura(datos, aventuraId, datosFamilia.familiaId).find(e => e.propia);
+            return { posicion: entrada?.posicion ?? null, mejora, entrada: entrada || null };
+        });
+    } catch (causa) {
+        if (causa.codigo === ERRORES.AUTENTICACION.NO_AUTORIZADO.codigo) {
+            throw causa;
+        }
+        // Los datos en memoria pueden haber quedado a medias: se vuelven a leer del archivo
+        estadoClasificacion.datos = null;
+        console.error('[Clasificacion] No se pudo guardar la puntuación:', causa);
+        throw crearError(ERRORES.SISTEMA.ERROR_INTERNO);
+    }
+}
+
+/**
+ * Devuelve la clasificación de una aventura
+ * @param {string} aventuraId - Id de la aventura
+ * @param {number} [limite=10] - Familias a devolver (máximo 100)
+ * @param {string} [familiaId] - Familia que consulta, para marcar su entrada como `propia`
+ * @returns {Promise<Array<Object>>} Entradas con `posicion` y `propia`, ordenadas
+ * @throws {Error} Con `codigo` de ERRORES si la petición no es válida o no se puede leer
+ */
+export async function consultarClasificacion(aventuraId, limite = 10, familiaId) {
+    if (typeof aventuraId !== 'string' || !/^Av[0-9]+$/.test(aventuraId)) {
+        throw crearError(ERRORES.VALIDACION.DATOS_INVALIDOS, 'Se requiere el id de la aventura');
+    }
+    comprobarConfiguracion();
+    const tope = Number.isInteger(limite) && limite > 0 ? Math.min(limite, MAX_LIMITE) : 10;
+
+    try {
+        return await encadenar(async () => ordenarAventura(await cargarDatos(), aventuraId, familiaId).slice(0, tope));
+    } catch (causa) {
+        console.error('[Clasificacion] No se pudo leer la clasificación:', causa);
+        throw crearError(ERRORES.SISTEMA.ERROR_INTERNO);
+    }
+}
+
+/**
+ * Responde a una petición fallida con el estado HTTP de su código
+ * @private
+ * @param {import('express').Response} res - Respuesta
+ * @param {Error} error - Error con `codigo`
+ */
+function responderError(res, error) {
+    const estado = error.codigo === ERRORES.VALIDACION.DATOS_INVALIDOS.codigo ? 400
+        : error.codigo === ERRORES.AUTENTICACION.NO_AUTORIZADO.codigo ? 403
+        : error.codigo === ERRORES.SISTEMA.SERVICIO_NO_DISPONIBLE.codigo ? 503
+        : 500;
+    res.status(estado).json({ exito: false, error: { codigo: error.codigo, mensaje: error.message, detalles: error.detalles } });
+}
+
+/**
+ * Middleware de Express para GET /clasificacion?aventura=Av1&limite=10&familia=<familiaId>
+ * @param {import('express').Request} req - Petición
+ * @param {import('express').Response} res - Respuesta
+ */
+export async function middlewareConsultarClasificacion(req, res) {
+    try {
+        const familiaId = typeof req.query.familia === 'string' ? req.query.familia : undefined;
+        const clasificacion = await consultarClasificacion(req.query.aventura, Number(req.query.limite) || undefined, familiaId);
+        res.json({ exito: true, clasificacion });
+    } catch (error) {
+        responderError(res, error);
+    }
+}
+
+/**
+ * Middleware de Express para POST /clasificacion
+ * @param {import('express').Request} req - Petición
+ * @param {import('express').Response} res - Respuesta
+ */
+export async function middlewareRegistrarPuntuacion(req, res) {
+    try {
+        const resultado = await registrarPuntuacion(req.body);
+        res.status(201).json({ exito: true, ...resultado });
+    } catch (error) {
+        responderError(res, error);
+    }
+}
+
+export default {
+    configurarClasificacion,
+    registrarPuntuacion,
+    consultarClasificacion,
+    middlewareConsultarClasificacion,
+    middlewareRegistrarPuntuacion
+};
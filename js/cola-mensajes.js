@@ -0,0 +1,446 @@
+/**
+ * Cola persistente de mensajes salientes
+ * @module ColaMensajes
+ * @description
+ * Bandeja de salida de mensajeria.js: guarda en IndexedDB los mensajes críticos que no
+ * recibieron confirmación para reenviarlos más tarde, también después de recargar la
+ * página. Aplica los límites de CONFIG.MENSAJERIA.COLA_PENDIENTES (MAXIMO, MAX_URGENTES,
+ * LOTE, MAX_EDAD_MS y el backoff) y entrega primero los urgentes. Si IndexedDB no está
+ * disponible (navegación privada en algunos navegadores) la cola se mantiene en memoria.
+ *
+ * Todas las páginas del mismo origen comparten la base de datos, así que cada entrada guarda
+ * su `emisor` (el iframeId que la encoló) y cada página solo lee, reenvía y purga las suyas.
+ *
+ * Este módulo solo almacena; el reenvío lo hace mensajeria.js con enviarMensajeConACK().
+ */
+
+import logger from './logger.js';
+import { CONFIG } from './config.js';
+import { generarIdUnico } from './utils.js';
+
+const NOMBRE_BD = 'valencia-tour-mensajeria';
+const VERSION_BD = 2;
+const ALMACEN = 'pendientes';
+const INDICE_EMISOR = 'emisor';
+
+// Clave de la cola antigua en localStorage, se migra al abrir la base de datos
+const CLAVE_LOCAL_STORAGE = 'mensajeria_pendientes';
+
+// Orden de entrega: menor valor sale antes
+const PRIORIDADES = { urgente: 0, normal: 1, bajo: 2 };
+
+// Estado de la cola
+const estadoCola = {
+    apertura: null,        // Promesa de apertura de la base de datos (IDBDatabase o null)
+    memoria: new Map(),    // Cola en memoria cuando no hay IndexedDB
+    cadena: Promise.resolve()  // Serializa las modificaciones de la cola
+};
+
+/**
+ * Convierte una petición de IndexedDB en promesa
+ * @private
+ * @param {IDBRequest} peticion - Petición
+ * @returns {Promise<*>} Resultado de la petición
+ */
+function esperarPeticion(peticion) {
+    return new Promise((resolve, reject) => {
+        peticion.onsuccess = () => resolve(peticion.result);
+        peticion.onerror = () => reject(peticion.error);
+    });
+}
+
+/**
+ * Abre (una sola vez) la base de datos de la cola
+ * @private
+ * @returns {Promise<IDBDatabase|null>} Base de datos o null si se usa la cola en memoria
+ */
+function abrirBaseDatos() {
+    if (!estadoCola.apertura) {
+        estadoCola.apertura = (async () => {
+            if (typeof indexedDB === 'undefined') {
+                logger.warn('[ColaMensajes] IndexedDB no disponible, la cola de pendientes no sobrevivirá a una recarga');
+                return null;
+            }
+            try {
+                const peticion = indexedDB.open(NOMBRE_BD, VERSION_BD);
+                peticion.onupgradeneeded = (evento) => {
+                    const almacen = evento.oldVersion < 1
+                        ? peticion.result.createObjectStore(ALMACEN, { keyPath: 'id' })
+                        : peticion.transaction.objectStore(ALMACEN);
+                    if (!almacen.indexNames.contains(INDICE_EMISOR)) {
+                        almacen.createIndex(INDICE_EMISOR, 'emisor');
+                    }
+                    if (evento.oldVersion === 1) {
+                        asignarEmisorEntradasAntiguas(almacen);
+                    }
+                };
+                const bd = await esperarPeticion(peticion);
+                await migrarColaLocalStorage(bd);
+                return bd;
+            } catch (error) {
+                logger.warn('[ColaMensajes] No se pudo abrir IndexedDB, se usa la cola en memoria:', error);
+                return null;
+            }
+        })();
+    }
+    return estadoCola.apertura;
+}
+
+/**
+ * Lee las entradas de la cola
+ * @private
+ * @param {string} [emisor] - Solo las encoladas por esta página; todas si no se indica
+ * @returns {Promise<Array<Object>>} Entradas
+ */
+async function leerTodas(emisor) {
+    const bd = await abrirBaseDatos();
+    if (!bd) {
+        const entradas = Array.from(estadoCola.memoria.values());
+        return emisor ? entradas.filter(entrada => entrada.emisor === emisor) : entradas;
+    }
+    const almacen = bd.transaction(ALMACEN, 'readonly').objectStore(ALMACEN);
+    return esperarPeticion(emisor ? almacen.index(INDICE_EMISOR).getAll(emisor) : almacen.getAll());
+}
+
+/**
+ * Guarda y borra entradas en una sola transacción
+ * @private
+ * @param {Array<Object>} guardar - Entradas a guardar o sustituir
+ * @param {Array<string>} [borrar] - Ids a eliminar
+ * @returns {Promise<void>}
+ */
+async function escribir(guardar, borrar = []) {
+    const bd = await abrirBaseDatos();
+    if (!bd) {
+        borrar.forEach(id => estadoCola.memoria.delete(id));
+        guardar.forEach(entrada => estadoCola.memoria.set(entrada.id, entrada));
+        return;
+    }
+    const transaccion = bd.transaction(ALMACEN, 'readwrite');
+    const almacen = transaccion.objectStore(ALMACEN);
+    borrar.forEach(id => almacen.delete(id));
+    guardar.forEach(entrada => almacen.put(entrada));
+    await new Promise((resolve, reject) => {
+        transaccion.oncomplete = resolve;
+        transaccion.onerror = () => reject(transaccion.error);
+        transaccion.onabort = () => reject(transaccion.error);
+    });
+}
+
+/**
+ * Ejecuta una modificación de la cola después de las anteriores
+ * para que dos encolados simultáneos no superen los límites
+ * @private
+ * @param {Function} operacion - Función asíncrona
+ * @returns {Promise<*>} Resultado de la operación
+ */
+function enSerie(operacion) {
+    const resultado = estadoCola.cadena.then(operacion);
+    estadoCola.cadena = resultado.catch(() => {});
+    return resultado;
+}
+
+/**
+ * Ordena las entradas por prioridad y antigüedad
+ * @private
+ * @param {Object} a - Entrada
+ * @param {Object} b - Entrada
+ * @returns {number} Orden
+ */
+function compararEntradas(a, b) {
+    return (PRIORIDADES[a.prioridad] - PRIORIDADES[b.prioridad]) || (a.creado - b.creado);
+}
+
+/**
+ * Separa las entradas caducadas (más antiguas que MAX_EDAD_MS)
+ * @private
+ * @param {Array<Object>} entradas - Entradas de la cola
+ * @returns {{vigentes: Array<Object>, caducadas: Array<Object>}} Entradas separadas
+ */
+function separarCaducadas(entradas) {
+    const limite = Date.now() - CONFIG.MENSAJERIA.COLA_PENDIENTES.MAX_EDAD_MS;
+    return {
+        vigentes: entradas.filter(entrada => entrada.creado >= limite),
+        caducadas: entradas.filter(entrada => entrada.creado < limite)
+    };
+}
+
+/**
+ * Crea una entrada de la cola
+ * @private
+ * @param {Object} mensaje - Mensaje a encolar
+ * @returns {Object} Entrada
+ */
+function crearEntrada({ id, emisor, destino, tipo, datos, prioridad, maxIntentos, creado, intentos }) {
+    return {
+        id: id || generarIdUnico('pendiente'),
+        emisor,
+        destino,
+        tipo,
+        datos: JSON.parse(JSON.stringify(datos || {})),
+        prioridad: PRIORIDADES[prioridad] !== undefined ? prioridad : 'normal',
+        maxIntentos: maxIntentos || 10,
+        intentos: intentos || 0,
+        creado: creado || Date.now(),
+        proximoIntento: Date.now(),
+        ultimoError: null
+    };
+}
+
+/**
+ * Emisor de una entrada guardada antes de que la cola lo registrara. Solo el padre envía a
+ * los hijos, así que esas entradas son suyas; las dirigidas al padre pudieron salir de
+ * cualquier hijo y no se pueden reenviar con el origen correcto.
+ * @private
+ * @param {Object} entrada - Entrada sin emisor
+ * @returns {string|null} Emisor o null si la entrada debe descartarse
+ */
+function deducirEmisorAntiguo(entrada) {
+    return entrada.destino && entrada.destino !== 'padre' ? 'padre' : null;
+}
+
+/**
+ * Asigna emisor a las entradas de la versión 1 de la base de datos y descarta las que no
+ * se pueden atribuir a una página
+ * @private
+ * @param {IDBObjectStore} almacen - Almacén abierto en la transacción de actualización
+ */
+function asignarEmisorEntradasAntiguas(almacen) {
+    almacen.openCursor().onsuccess = (evento) => {
+        const cursor = evento.target.result;
+        if (!cursor) {
+            return;
+        }
+        const emisor = deducirEmisorAntiguo(cursor.value);
+        if (emisor) {
+            cursor.update({ ...cursor.value, emisor });
+        } else {
+            cursor.delete();
+        }
+        cursor.continue();
+    };
+}
+
+/**
+ * Pasa a IndexedDB los mensajes que guardaba la versión anterior en localStorage
+ * @private
+ * @param {IDBDatabase} bd - Base de datos abierta
+ * @returns {Promise<void>}
+ */
+async function migrarColaLocalStorage(bd) {
+    try {
+        const guardados = typeof localStorage !== 'undefined' && JSON.parse(localStorage.getItem(CLAVE_LOCAL_STORAGE) || '[]');
+        if (!Array.isArray(guardados) || guardados.length === 0) {
+            return;
+        }
+        const { vigentes } = separarCaducadas(guardados
+            .filter(m => m && m.destino && m.tipo && deducirEmisorAntiguo(m))
+            .map(m => crearEntrada({
+                id: m.id,
+                emisor: deducirEmisorAntiguo(m),
+                destino: m.destino,
+                tipo: m.tipo,
+                datos: m.datos,
+                prioridad: m.opciones?.tipoPendiente,
+                maxIntentos: m.opciones?.maxIntentos,
+                intentos: m.opciones?.intentos,
+                creado: m.opciones?.timestamp
+            })));
+
+        const transaccion = bd.transaction(ALMACEN, 'readwrite');
+        vigentes.slice(-CONFIG.MENSAJERIA.COLA_PENDIENTES.MAXIMO)
+            .forEach(entrada => transaccion.objectStore(ALMACEN).put(entrada));
+        await new Promise((resolve, reject) => {
+            transaccion.oncomplete = resolve;
+            transaccion.onerror = () => reject(transaccion.error);
+        });
+        localStorage.removeItem(CLAVE_LOCAL_STORAGE);
+        logger.info(`[ColaMensajes] Migrados ${vigentes.length} mensajes pendientes desde localStorage`);
+    } catch (error) {
+        logger.warn('[ColaMensajes] No se pudieron migrar los pendientes de localStorage:', error);
+    }
+}
+
+/**
+ * Añade un mensaje a la cola de su emisor.
+ * Si la cola está llena, un mensaje solo entra desplazando al más antiguo de menor
+ * prioridad; los urgentes además están limitados por MAX_URGENTES.
+ * @param {Object} mensaje - Mensaje a encolar
+ * @param {string} mensaje.emisor - Página que lo envía (iframeId)
+ * @param {string} mensaje.destino - Destino del mensaje
+ * @param {string} mensaje.tipo - Tipo de mensaje (CATEGORIA.ACCION)
+ * @param {Object} [mensaje.datos] - Datos del mensaje (deben ser serializables)
+ * @param {string} [mensaje.prioridad='normal'] - 'urgente', 'normal' o 'bajo'
+ * @param {number} [mensaje.maxIntentos=10] - Reenvíos antes de descartar el mensaje
+ * @returns {Promise<Object|null>} Entrada guardada o null si no hay sitio
+ */
+export function encolarMensaje(mensaje) {
+    return enSerie(async () => {
+        const limites = CONFIG.MENSAJERIA.COLA_PENDIENTES;
+        const entrada = crearEntrada(mensaje);
+        const { vigentes, caducadas } = separarCaducadas(await leerTodas(entrada.emisor));
+        const borrar = caducadas.map(caducada => caducada.id);
+
+        if (entrada.prioridad === 'urgente' &&
+            vigentes.filter(v => v.prioridad === 'urgente').length >= limites.MAX_URGENTES) {
+            logger.warn(`[ColaMensajes] Límite de ${limites.MAX_URGENTES} mensajes urgentes alcanzado, se descarta ${entrada.tipo}`);
+            await escribir([], borrar);
+            return null;
+        }
+
+        if (vigentes.length >= limites.MAXIMO) {
+            const desplazable = vigentes
+                .filter(v => PRIORIDADES[v.prioridad] > PRIORIDADES[entrada.prioridad])
+                .sort((a, b) => (PRIORIDADES[b.prioridad] - PRIORIDADES[a.prioridad]) || (a.creado - b.creado))[0];
+            if (!desplazable) {
+                logger.warn(`[ColaMensajes] Cola llena (${limites.MAXIMO}), se descarta ${entrada.tipo} → ${entrada.destino}`);
+                await escribir([], borrar);
+                return null;
+            }
+            borrar.push(desplazable.id);
+            logger.warn(`[ColaMensajes] Se descarta ${desplazable.tipo} (${desplazable.prioridad}) para hacer sitio a ${entrada.tipo} (${entrada.prioridad})`);
+        }
+
+        await escribir([entrada], borrar);
+        return { ...entrada };
+    });
+}
+
+/**
+ * Devuelve los mensajes de un emisor que toca reenviar: como máximo LOTE, con el tiempo
+ * de backoff cumplido, urgentes primero. Elimina de paso sus caducados.
+ * @param {string} emisor - Página que reenvía (iframeId)
+ * @returns {Promise<Array<Object>>} Entradas listas para reenviar
+ */
+export function obtenerLoteListo(emisor) {
+    return enSerie(async () => {
+        const { vigentes, caducadas } = separarCaducadas(await leerTodas(emisor));
+        if (caducadas.length > 0) {
+            await escribir([], caducadas.map(caducada => caducada.id));
+            logger.info(`[ColaMensajes] Eliminados ${caducadas.length} mensajes pendientes caducados`);
+        }
+        const ahora = Date.now();
+        return vigentes
+            .filter(entrada => entrada.proximoIntento <= ahora)
+            .sort(compararEntradas)
+            .slice(0, CONFIG.MENSAJERIA.COLA_PENDIENTES.LOTE);
+    });
+}
+
+/**
+ * Anota un reenvío fallido y programa el siguiente con backoff exponencial.
+ * Al agotar maxIntentos el mensaje se elimina de la cola.
+ * @param {string} id - Id de la entrada
+ * @param {Error} [error] - Error del reenvío
+ * @returns {Promise<Object|null>} Entrada actualizada o null si se ha descartado
+ */
+export function registrarIntentoFallido(id, error) {
+    return enSerie(async () => {
+        const entrada = (await leerTodas()).find(e => e.id === id);
+        if (!entrada) {
+            return null;
+        }
+
+        entrada.intentos++;
+        entrada.ultimoError = error?.message || null;
+        if (entrada.intentos >= entrada.maxIntentos) {
+            await escribir([], [id]);
+            return null;
+        }
+
+        const { RETRASO_BASE, FACTOR_BACKOFF, MAX_RETRASO } = CONFIG.MENSAJERIA.COLA_PENDIENTES;
+        const retraso = Math.min(RETRASO_BASE * Math.pow(FACTOR_BACKOFF, entrada.intentos - 1), MAX_RETRASO);
+        entrada.proximoIntento = Date.now() + Math.floor(retraso * (0.75 + Math.random() * 0.5));
+        await escribir([entrada]);
+        return { ...entrada };
+    });
+}
+
+/**
+ * Elimina un mensaje de la cola (entregado o cancelado)
+ * @param {string} id - Id de la entrada
+ * @returns {Promise<void>}
+ */
+export function eliminarMensaje(id) {
+    return enSerie(() => escribir([], [id]));
+}
+
+/**
+ * Indica si una entrada cumple un filtro
+ * @private
+ * @param {Object} entrada - Entrada de la cola
+ * @param {Object} filtro - {emisor, tipo, destino, prioridad, antesDe}
+ * @returns {boolean} True si cumple todos los criterios indicados
+ */
+function cumpleFiltro(entrada, { emisor, tipo, destino, prioridad, antesDe } = {}) {
+    return (!emisor || entrada.emisor === emisor) &&
+        (!tipo || entrada.tipo === tipo) &&
+        (!destino || entrada.destino === destino) &&
+        (!prioridad || entrada.prioridad === prioridad) &&
+        (!antesDe || entrada.creado < antesDe);
+}
+
+/**
+ * Lista los mensajes de la cola en orden de entrega
+ * @param {Object} [filtro] - Filtro opcional
+ * @param {string} [filtro.emisor] - Página que encoló el mensaje (iframeId)
+ * @param {string} [filtro.tipo] - Tipo de mensaje
+ * @param {string} [filtro.destino] - Destino
+ * @param {string} [filtro.prioridad] - 'urgente', 'normal' o 'bajo'
+ * @param {number} [filtro.antesDe] - Solo los encolados antes de este timestamp
+ * @returns {Promise<Array<Object>>} Copias de las entradas
+ */
+export async function listarPendientes(filtro = {}) {
+    return (await leerTodas(filtro.emisor))
+        .filter(entrada => cumpleFiltro(entrada, filtro))
+        .sort(compararEntradas)
+        .map(entrada => ({ ...entrada }));
+}
+
+/**
+ * Resume el estado de la cola
+ * @param {string} [emisor] - Solo los mensajes de esta página (iframeId)
+ * @returns {Promise<Object>} `{total, porPrioridad, porDestino, masAntiguo, persistente}`
+ */
+export async function obtenerResumenCola(emisor) {
+    const entradas = await leerTodas(emisor);
+    const contar = (clave) => entradas.reduce((cuenta, entrada) => {
+        cuenta[entrada[clave]] = (cuenta[entrada[clave]] || 0) + 1;
+        return cuenta;
+    }, {});
+    return {
+        total: entradas.length,
+        porPrioridad: contar('prioridad'),
+        porDestino: contar('destino'),
+        masAntiguo: entradas.length > 0 ? Math.min(...entradas.map(entrada => entrada.creado)) : null,
+        persistente: (await abrirBaseDatos()) !== null
+    };
+}
+
+/**
+ * Elimina de la cola los mensajes que cumplen el filtro (todos si no se indica)
+ * @param {Object} [filtro] - Mismo filtro que listarPendientes
+ * @returns {Promise<number>} Número de mensajes eliminados
+ */
+export function purgarCola(filtro = {}) {
+    return enSerie(async () => {
+        const ids = (await leerTodas(filtro.emisor))
+            .filter(entrada => cumpleFiltro(entrada, filtro))
+            .map(entrada => entrada.id);
+        await escribir([], ids);
+        if (ids.length > 0) {
+            logger.info(`[ColaMensajes] Purgados ${ids.length} mensajes pendientes`, filtro);
+        }
+        return ids.length;
+    });
+}
+
+export default {
+    encolarMensaje,
+    obtenerLoteListo,
+    registrarIntentoFallido,
+    eliminarMensaje,
+    listarPendientes,
+    obtenerResumenCola,
+    purgarCola
+};
@@ -52,6 +52,8 @@ export const CONFIG = {
             tiempoEspera: 1000,
             factor: 2
         },
+        // Tiempo máximo de espera de la respuesta de llamar() (ms)
+        TIMEOUT_LLAMADA: 5000,
         // Tiempo de limpieza de instancias inactivas (ms)
         tiempoLimpieza: 15 * 60 * 1000, // 15 minutos
         tiempoInactividad: 30 * 60 * 1000, // 30 minutos
@@ -74,9 +76,246 @@ export const CONFIG = {
             MAX_RETRASO: 30000,
             // Edad máxima de un mensaje en cola (ms) - 24 horas por defecto
             MAX_EDAD_MS: 24 * 60 * 60 * 1000
+        },
+        
+        // Seguridad del tráfico postMessage
+        SEGURIDAD: {
+            // Orígenes aceptados además del propio (p. ej. 'https://tour.example.com')
+            ORIGENES_PERMITIDOS: [],
+            // Tiempo máximo que un hijo espera el token del padre antes de enviar (ms)
+            TIEMPO_HANDSHAKE: 5000,
+            // Mensajes recibidos antes del handshake que se guardan para procesarlos después
+            MAX_EN_ESPERA: 50
+        },
+        
+        // Herramientas de depuración (grabación, reproducción de sesiones): solo con el parámetro
+        // ?depurar=1 en codigo-padre.html o con `true` en localStorage bajo CLAVE
+        DEPURACION: {
+            PARAMETRO: 'depurar',
+            CLAVE: 'depuracionMensajeria'
+        },
+        
+        // Grabación de mensajes para exportar y reproducir sesiones (grabador-mensajes.js);
+        // con la depuración activada se graba aunque ACTIVA sea false
+        GRABACION: {
+            ACTIVA: false,
+            // Entradas que se conservan por página (las más antiguas se descartan)
+            MAX_ENTRADAS: 2000
+        }
+    },
+    
+    // Catálogo de aventuras
+    AVENTURAS: {
+        CATALOGO: 'aventuras/catalogo.json',
+        POR_DEFECTO: 'Av1',
+        CLAVE_SELECCION: 'aventuraSeleccionada' // Clave en localStorage
+    },
+    
+    // Progreso persistente de la aventura
+    PROGRESO: {
+        CLAVE_PREFIJO: 'progreso', // Clave en localStorage: progreso_<aventuraId>
+        RETRASO_GUARDADO: 1000 // Agrupa escrituras en localStorage (ms)
+    },
+    
+    // Geocercas de llegada automática a paradas (modo aventura)
+    GEOCERCAS: {
+        RADIO_ENTRADA: 25, // Radio por defecto para considerar que se llegó a una parada (m)
+        HISTERESIS: 15, // Metros extra sobre el radio de entrada para considerar que se salió
+        PRECISION_MAXIMA: 50, // Lecturas GPS con peor precisión se ignoran (m)
+        LECTURAS_CONFIRMACION: 2 // Lecturas consecutivas dentro de la cerca antes de disparar
+    },
+    
+    // Guía a pie por los tramos
+    GUIA: {
+        DISTANCIA_FUERA_RUTA: 30, // Desvío máximo respecto al tramo antes de avisar (m)
+        LECTURAS_FUERA_RUTA: 2, // Lecturas consecutivas fuera antes de avisar
+        RADIO_LLEGADA: 15, // Distancia al final del tramo para darlo por recorrido (m)
+        INTERVALO_AVISOS: 10000 // Tiempo mínimo entre avisos de distancia y rumbo (ms)
+    },
+    
+    // Audioguía (motor-audio.js)
+    AUDIO: {
+        ENCADENAR_TRAMOS: true, // Tras la narración de una parada suena la del tramo siguiente
+        DURACION_FUNDIDO: 1500, // Fundido entre una pista y la siguiente (ms; 0 = corte seco)
+        PASO_FUNDIDO: 50, // Intervalo entre cambios de volumen durante un fundido (ms)
+        VOLUMEN_ATENUADO: 0.25, // Volumen de la narración mientras suena un efecto (0-1)
+        DURACION_ATENUACION: 300, // Tiempo para atenuar o restaurar la narración (ms)
+        VELOCIDADES: [0.75, 1, 1.25, 1.5], // Velocidades que recorre el botón del reproductor
+        VELOCIDAD_MIN: 0.5,
+        VELOCIDAD_MAX: 2,
+        CLAVE_VELOCIDAD: 'velocidad_audio', // Clave de localStorage con la velocidad elegida
+        MARGEN_REANUDAR: 3, // Una posición guardada a menos de estos segundos del final empieza de nuevo
+        MARGEN_FIN: 0.5 // Una pausa a menos de estos segundos del final cuenta como fin de la pista
+    },
+    
+    // Motor de retos (motor-retos.js)
+    RETOS: {
+        PUNTOS_BASE: 100, // Puntos de un reto acertado al primer intento y sin pistas
+        PENALIZACION_INTENTO: 25, // Puntos que resta cada intento fallido
+        PENALIZACION_PISTA: 15, // Puntos que resta cada pista pedida
+        MAX_INTENTOS: 3, // Intentos antes de dar el reto por fallido
+        SIMILITUD_TEXTO: 0.8, // Similitud mínima (0-1) de una respuesta de texto con una aceptada
+        BONUS_RAPIDEZ: 50, // Puntos extra de un reto acertado en TIEMPO_RAPIDO o menos
+        TIEMPO_RAPIDO: 30000, // Hasta aquí se gana todo el bonus (ms)
+        TIEMPO_LENTO: 180000, // A partir de aquí no hay bonus; entre ambos se reparte linealmente (ms)
+        // Ajustes por dificultad del jugador (perfiles-jugadores.js); 'normal' usa los valores de arriba.
+        // En los puzzles la dificultad elige la de CONFIG.PUZZLE.DIFICULTADES.
+        DIFICULTADES: {
+            facil: { MAX_INTENTOS: 4, SIMILITUD_TEXTO: 0.65 },
+            normal: {},
+            dificil: { MAX_INTENTOS: 2, SIMILITUD_TEXTO: 0.9 }
+        }
+    },
+    
+    // Jugadores de la familia en este dispositivo (perfiles-jugadores.js y jugadores.html)
+    PERFILES: {
+        CLAVE: 'perfiles_jugadores', // Clave en localStorage
+        PAGINA: 'jugadores.html',
+        MAX_JUGADORES: 6,
+        MAX_NOMBRE: 20,
+        AVATARES: ['🦁', '🐬', '🦄', '🐢', '🦊', '🐙', '🚀', '⚽'],
+        // La franja de edad decide la dificultad de los retos (CONFIG.RETOS.DIFICULTADES)
+        FRANJAS_EDAD: {
+            peques: { nombre: 'De 4 a 6 años', dificultad: 'facil' },
+            medianos: { nombre: 'De 7 a 9 años', dificultad: 'normal' },
+            mayores: { nombre: '10 años o más', dificultad: 'dificil' }
+        },
+        FRANJA_POR_DEFECTO: 'medianos'
+    },
+    
+    // Insignias, resumen final y clasificación por familias (gamificacion.js y clasificacion-servidor.js)
+    GAMIFICACION: {
+        URL_CLASIFICACION: '/clasificacion',
+        CLAVE_FAMILIA: 'familia', // Clave en localStorage con el id y el nombre de la familia
+        TAMANO_CLASIFICACION: 10, // Familias que se muestran en la clasificación
+        PAGINA_RESUMEN: 'resumen-aventura.html',
+        DURACION_AVISO: 5000 // Tiempo que se muestra el aviso de una insignia nueva (ms)
+    },
+    
+    // Puzzles de imagen (motor-puzzle.js y puzzle.html)
+    PUZZLE: {
+        PAGINA: 'puzzle.html',
+        VARIANTE: 'arrastrar', // 'arrastrar', 'rotar' o 'deslizar'
+        DIFICULTAD: 'normal',
+        DIFICULTADES: {
+            facil: { filas: 2, columnas: 3, tiempo: 180 },
+            normal: { filas: 3, columnas: 3, tiempo: 180 },
+            dificil: { filas: 4, columnas: 4, tiempo: 300 }
+        },
+        MIN_LADO: 2,
+        MAX_LADO: 8,
+        TOLERANCIA: 0.25 // Distancia (en piezas) a la que una pieza arrastrada encaja en su sitio
+    },
+    
+    // Línea de tiempo del recorrido (linea-tiempo-ruta.js)
+    LINEA_TIEMPO: {
+        VELOCIDAD_PASO: 1.2 // Velocidad media a pie para estimar la duración de los tramos (m/s)
+    },
+    
+    // Modo sin conexión (sw.js y modo-offline.js)
+    OFFLINE: {
+        SERVICE_WORKER: 'sw.js',
+        PREFIJO_CACHE: 'valencia-tour', // Debe coincidir con PREFIJO_CACHE de sw.js
+        URL_TESELAS: 'https://tile.openstreetmap.org/{z}/{x}/{y}.png',
+        MARGEN_LIMITES: 0.002, // Margen alrededor del recorrido (grados)
+        MAX_TESELAS: 2000, // Límite de teselas por aventura para no abusar del servidor de OSM
+        DESCARGAS_SIMULTANEAS: 4,
+        // Páginas, módulos y librerías necesarios para abrir la aventura sin red
+        RECURSOS_APP: [
+            'index.html',
+            'codigo-padre.html',
+            'botones-y-subfunciones-hamburguesa.html',
+            'botones-y-subfunciones-opciones.html',
+            'Av1-boton-casa.html',
+            'Av1_audio_esp.html',
+            'Av1-botones-coordenadas.html',
+            'Av1-esp-retos-preguntas.html',
+            'puzzle.html',
+            'retos_con_puzzles_Av1_es.html',
+            'resumen-aventura.html',
+            'jugadores.html',
+            'aventuras/catalogo.json',
+            'js/config.js',
+            'js/constants.js',
+            'js/logger.js',
+            'js/utils.js',
+            'js/suppress-warnings.js',
+            'js/mensajeria.js',
+            'js/validacion-mensajes.js',
+            'js/esquemas-mensajes.js',
+            'js/seguridad-mensajeria.js',
+            'js/cola-mensajes.js',
+            'js/grabador-mensajes.js',
+            'js/sonda-inspector.js',
+            'js/transporte-logs.js',
+            'js/monitoreo.js',
+            'js/supervisor-hijos.js',
+            'js/transaccion-modo.js',
+            'js/registro-modos.js',
+            'js/modo-handler.js',
+            'js/funciones-mapa.js',
+            'js/cargador-aventuras.js',
+            'js/catalogo-aventuras.js',
+            'js/progreso-aventura.js',
+            'js/geocercas.js',
+            'js/guia-tramos.js',
+            'js/linea-tiempo-ruta.js',
+            'js/motor-retos.js',
+            'js/motor-puzzle.js',
+            'js/motor-audio.js',
+            'js/gamificacion.js',
+            'js/perfiles-jugadores.js',
+            'js/modo-offline.js',
+            'https://unpkg.com/leaflet@1.9.4/dist/leaflet.css',
+            'https://unpkg.com/leaflet@1.9.4/dist/leaflet.js'
+        ]
+    },
+    
+    // Envío de logs al servidor (transporte-logs.js y registro-logs-servidor.js)
+    LOGS_REMOTOS: {
+        ACTIVO: true,
+        URL: '/logs',
+        TAMANO_LOTE: 20, // Entradas por envío
+        INTERVALO: 15000, // Tiempo máximo que una entrada espera a ser enviada (ms)
+        MAX_BUFFER: 500, // Entradas guardadas sin conexión (las más antiguas se descartan)
+        CLAVE_BUFFER: 'logs_pendientes', // Prefijo de la clave en localStorage (una por página)
+        // Fracción de entradas que se envían por nivel
+        MUESTREO: { DEBUG: 0, INFO: 0.2, WARN: 1, ERROR: 1 },
+        DECIMALES_COORDENADAS: 2 // Las coordenadas se redondean (~1 km) antes de salir del dispositivo
+    },
+    
+    // Monitoreo de latencia, errores y memoria (monitoreo.js)
+    MONITOREO: {
+        VENTANA_MS: 5 * 60 * 1000, // Ventana deslizante de las medidas
+        MAX_MUESTRAS: 200, // Muestras por tipo de mensaje dentro de la ventana
+        MIN_MUESTRAS: 5, // Muestras necesarias antes de evaluar un umbral
+        INTERVALO_MEMORIA: 30000, // Medición de memoria (ms)
+        MAX_ALERTAS: 100, // Alertas recibidas que guarda el padre
+        // Umbrales de alerta (app.js los expone en estado.monitoreo.config.umbralAlerta)
+        UMBRAL_ALERTA: {
+            tiempoRespuesta: 1000, // p95 de la latencia (ms)
+            usoMemoria: 80, // % del límite de memoria JS
+            tasaError: 0.1 // 10%
         }
     },
     
+    // Supervisión de los iframes hijos desde el padre (supervisor-hijos.js)
+    SUPERVISOR: {
+        INTERVALO_LATIDO: 10000, // Intervalo entre SISTEMA.PING a cada hijo (ms)
+        LATIDOS_DEGRADADO: 2, // Latidos sin PONG para marcar el hijo como degradado
+        LATIDOS_REINICIO: 4, // Latidos sin PONG para recargar el iframe
+        ESPERA_ARRANQUE: 15000, // Margen tras cargar o recargar un hijo antes de contar fallos (ms)
+        MAX_REINICIOS: 3, // Reinicios automáticos permitidos dentro de la ventana
+        VENTANA_REINICIOS: 10 * 60 * 1000 // (ms)
+    },
+    
+    // Cambio de modo en dos fases entre el padre y los hijos (transaccion-modo.js)
+    CAMBIO_MODO: {
+        TIMEOUT_PREPARAR: 3000, // Espera de la respuesta a SISTEMA.PREPARAR_CAMBIO_MODO (ms)
+        TIMEOUT_CONFIRMAR: 3000, // Espera de la respuesta a SISTEMA.CAMBIO_MODO (ms)
+        MAX_HISTORIAL: 20 // Transacciones recientes que se conservan para diagnóstico
+    },
+    
     // Configuración del mapa
     MAPA: {
         CENTER: [39.4699, -0.3763], // Valencia
@@ -27,7 +27,9 @@ export const LOG_LEVELS = {
  */
 export const MODOS = {
     CASA: 'casa',
-    AVENTURA: 'aventura'
+    AVENTURA: 'aventura',
+    DEMO: 'demo', // Avance automático para pantallas de tienda
+    REVISION: 'revision' // Paradas visitadas y estadísticas tras el recorrido
 };
 
 /**
@@ -47,6 +49,8 @@ export const TIPOS_MENSAJE = {
         INICIALIZACION: 'SISTEMA.INICIALIZACION',
         ESTADO: 'SISTEMA.ESTADO',
         CAMBIO_MODO: 'SISTEMA.CAMBIO_MODO',
+        PREPARAR_CAMBIO_MODO: 'SISTEMA.PREPARAR_CAMBIO_MODO', // Fase 1 del cambio de modo transaccional
+        CAMBIO_AVENTURA: 'SISTEMA.CAMBIO_AVENTURA', // Aventura seleccionada en el catálogo
         COMPONENTE_LISTO: 'SISTEMA.COMPONENTE_LISTO',
         APLICACION_INICIALIZADA: 'SISTEMA.APLICACION_INICIALIZADA',
         COMPONENTE_INICIALIZADO: 'SISTEMA.COMPONENTE_INICIALIZADO', // Nuevo tipo detectado en uso
@@ -139,6 +143,7 @@ export const MENSAJES_CRITICOS = [
     'SISTEMA.COMPONENTE_LISTO',
     'SISTEMA.PING',
     'SISTEMA.CAMBIO_MODO',
+    'SISTEMA.CAMBIO_AVENTURA',
     
     // Mensajes de navegación
     'NAVEGACION.CAMBIO_PARADA',
@@ -151,11 +156,13 @@ export const MENSAJES_CRITICOS = [
     // Mensajes de audio
     'AUDIO.CONTROL',
     'AUDIO.REPRODUCIR',
+    'AUDIO.FIN_REPRODUCCION',
     'AUDIO.ERROR',
     
     // Mensajes de retos
     'RETO.MOSTRAR',
     'RETO.COMPLETADO',
+    'RETO.FALLIDO',
     'RETO.RESPUESTA',
     
     // Mensajes de UI
@@ -299,7 +306,16 @@ export const CODIGOS_ERROR = {
         TASA_ERROR_ELEVADA: 'ADVERTENCIA_TASA_ERROR_ELEVADA'
     },
     RETO: 'ERROR_RETO',
-    NAVEGACION: 'ERROR_NAVEGACION'
+    NAVEGACION: 'ERROR_NAVEGACION',
+    
+    // Cambio de modo transaccional (transaccion-modo.js)
+    MODO: {
+        INVALIDO: 'ERROR_MODO_INVALIDO',
+        NO_PREPARADO: 'ERROR_MODO_NO_PREPARADO',
+        APLICACION_FALLIDA: 'ERROR_MODO_APLICACION_FALLIDA',
+        PREPARACION_FALLIDA: 'ERROR_MODO_PREPARACION_FALLIDA',
+        CONFIRMACION_FALLIDA: 'ERROR_MODO_CONFIRMACION_FALLIDA'
+    }
 };
 
 /**
@@ -314,6 +330,22 @@ export const THROTTLE_CONFIG = {
     'SISTEMA.ESTADO': 500
 };
 
+/**
+ * Protocolo entre puzzle.html y la página del reto que lo contiene (motor-retos.js).
+ * Sus mensajes van con postMessage como `{protocolo: 'puzzle', evento, ...}`: no son sobres
+ * de mensajeria.js, que los ignora sin validarlos.
+ */
+export const PROTOCOLO_PUZZLE = {
+    NOMBRE: 'puzzle',
+    EVENTOS: {
+        COMPLETADO: 'puzzle-state-completed',
+        TIEMPO_AGOTADO: 'puzzle-state-timeout',
+        EFECTO_INICIO: 'puzzle-efecto-inicio', // Empieza un efecto de sonido: atenuar la audioguía
+        EFECTO_FIN: 'puzzle-efecto-fin',
+        AVANZAR: 'advance-to-next' // Botón «Continuar»
+    }
+};
+
 export default {
     LOG_LEVELS,
     MODOS,
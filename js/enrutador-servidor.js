@@ -0,0 +1,283 @@
+/**
+ * Enrutador de mensajes para el endpoint /mensajeria del servidor
+ * @module EnrutadorServidor
+ * @description
+ * Recibe mensajes con el mismo formato CATEGORIA.ACCION que usan los iframes,
+ * los valida con las mismas reglas que `validarMensaje` de mensajeria.js y los
+ * despacha al manejador registrado para su categoría. Los errores se devuelven
+ * con los códigos de `ERRORES` de constants.js.
+ */
+
+import { TIPOS_MENSAJE, ERRORES } from './constants.js';
+import { validarEstructuraMensaje } from './validacion-mensajes.js';
+import { validarDatosMensaje } from './esquemas-mensajes.js';
+
+// Identificador del servidor como participante de la mensajería
+export const ID_SERVIDOR = 'servidor';
+
+// Manejadores registrados por categoría (SISTEMA, DATOS, NAVEGACION...)
+const manejadoresPorCategoria = new Map();
+
+// Correspondencia entre códigos de ERRORES y estados HTTP
+const ESTADOS_HTTP = {
+    [ERRORES.VALIDACION.DATOS_INVALIDOS.codigo]: 400,
+    [ERRORES.VALIDACION.PARAMETROS_FALTANTES.codigo]: 400,
+    [ERRORES.VALIDACION.TIPO_MENSAJE_INVALIDO.codigo]: 400,
+    [ERRORES.AUTENTICACION.NO_AUTORIZADO.codigo]: 403,
+    [ERRORES.RECURSO.NO_ENCONTRADO.codigo]: 404,
+    [ERRORES.RECURSO.YA_EXISTE.codigo]: 409,
+    [ERRORES.SISTEMA.ERROR_INTERNO.codigo]: 500,
+    [ERRORES.SISTEMA.NO_IMPLEMENTADO.codigo]: 501,
+    [ERRORES.SISTEMA.SERVICIO_NO_DISPONIBLE.codigo]: 503
+};
+
+// Todas las entradas de ERRORES indexadas por código numérico
+const ERRORES_POR_CODIGO = new Map(
+    Object.values(ERRORES)
+        .flatMap(grupo => Object.values(grupo))
+        .map(error => [error.codigo, error])
+);
+
+/**
+ * Crea un error de mensajería con un código de ERRORES
+ * @param {Object} tipoError - Entrada de ERRORES (p. ej. ERRORES.RECURSO.NO_ENCONTRADO)
+ * @param {string} [mensaje] - Mensaje específico; por defecto el de la entrada
+ * @param {Object} [detalles] - Información adicional para el cliente
+ * @returns {Error} Error con las propiedades `codigo` y `detalles`
+ */
+export function crearErrorMensajeria(tipoError, mensaje, detalles = null) {
+    const error = new Error(mensaje || tipoError.mensaje);
+    error.codigo = tipoError.codigo;
+    error.detalles = detalles;
+    return error;
+}
+
+/**
+ * Registra el manejador de una categoría de mensajes.
+ * El manejador puede ser una función `(mensaje, contexto)` que recibe todos los
+ * mensajes de la categoría, o un objeto con una función por ACCION.
+ * @param {string} categoria - Categoría de TIPOS_MENSAJE (p. ej. 'DATOS')
+ * @param {Function|Object<string, Function>} manejador - Manejador de la categoría
+ * @returns {boolean} True si se registró correctamente
+ */
+export function registrarManejadorCategoria(categoria, manejador) {
+    const categoriaNormalizada = typeof categoria === 'string' ? categoria.trim().toUpperCase() : '';
+
+    if (!TIPOS_MENSAJE[categoriaNormalizada]) {
+        throw new Error(`Categoría de mensaje desconocida: ${categoria}`);
+    }
+
+    const esObjeto = manejador && typeof manejador === 'object';
+    if (typeof manejador !== 'function' && !esObjeto) {
+        throw new Error(`Manejador inválido para la categoría: ${categoriaNormalizada}`);
+    }
+
+    if (esObjeto) {
+        const accionesDesconocidas = Object.keys(manejador).filter(accion =>
+            !TIPOS_MENSAJE[categoriaNormalizada][accion] || typeof manejador[accion] !== 'function'
+        );
+        if (accionesDesconocidas.length > 0) {
+            throw new Error(`Acciones inválidas para ${categoriaNormalizada}: ${accionesDesconocidas.join(', ')}`);
+        }
+    }
+
+    if (manejadoresPorCategoria.has(categoriaNormalizada)) {
+        console.warn(`[Mensajería] Reemplazando manejador de la categoría ${categoriaNormalizada}`);
+    }
+
+    manejadoresPorCategoria.set(categoriaNormalizada, manejador);
+    return true;
+}
+
+/**
+ * Elimina el manejador de una categoría
+ * @param {string} categoria - Categoría de TIPOS_MENSAJE
+ * @returns {boolean} True si existía un manejador
+ */
+export function eliminarManejadorCategoria(categoria) {
+    return manejadoresPorCategoria.delete(String(categoria).trim().toUpperCase());
+}
+
+/**
+ * Adapta el cuerpo de la petición al formato estándar de mensaje.
+ * Mantiene compatibilidad con el formato antiguo `{ tipoMensaje, datos }`.
+ * @param {Object} cuerpo - Cuerpo JSON de la petición
+ * @returns {Object} Mensaje en formato estándar (sin validar)
+ */
+export function normalizarPeticion(cuerpo) {
+    if (!cuerpo || typeof cuerpo !== 'object' || cuerpo.tipo || !cuerpo.tipoMensaje) {
+        return cuerpo;
+    }
+
+    return {
+        tipo: cuerpo.tipoMensaje,
+        origen: cuerpo.origen || 'desconocido',
+        destino: cuerpo.destino || ID_SERVIDOR,
+        datos: cuerpo.datos || {},
+        timestamp: typeof cuerpo.timestamp === 'number' ? cuerpo.timestamp : Date.now()
+    };
+}
+
+/**
+ * Busca la función que debe procesar un tipo de mensaje
+ * @private
+ * @param {string} tipo - Tipo de mensaje CATEGORIA.ACCION
+ * @returns {Function|null} Función manejadora o null si no hay ninguna
+ */
+function resolverManejador(tipo) {
+    const [categoria, accion] = tipo.split('.');
+    const manejador = manejadoresPorCategoria.get(categoria);
+
+    if (typeof manejador === 'function') {
+        return manejador;
+    }
+
+    if (manejador && typeof manejador[accion] === 'function') {
+        return manejador[accion];
+    }
+
+    return null;
+}
+
+/**
+ * Construye una respuesta de error con su estado HTTP
+ * @private
+ * @param {Object} mensaje - Mensaje original (puede ser inválido)
+ * @param {Object} error - Objeto con codigo, mensaje y detalles
+ * @returns {{estado: number, cuerpo: Object}} Respuesta
+ */
+function respuestaError(mensaje, { codigo, mensaje: texto, detalles = null }) {
+    return {
+        estado: ESTADOS_HTTP[codigo] || 500,
+        cuerpo: {
+            exito: false,
+            tipo: mensaje?.tipo,
+            mensajeOriginalId: mensaje?.datos?.mensajeId,
+            error: { codigo, mensaje: texto, detalles },
+            timestamp: Date.now()
+        }
+    };
+}
+
+/**
+ * Valida y despacha un mensaje al manejador de su categoría
+ * @param {Object} mensaje - Mensaje en formato estándar
+ * @param {Object} [contexto] - Información de la petición (ip, cabeceras...)
+ * @returns {Promise<{estado: number, cuerpo: Object}>} Estado HTTP y cuerpo de la respuesta
+ */
+export async function enrutarMensaje(mensaje, contexto = {}) {
+    let validacion = validarEstructuraMensaje(mensaje);
+    if (validacion.valido) {
+        validacion = validarDatosMensaje(mensaje.tipo, mensaje.datos);
+    }
+    if (!validacion.valido) {
+        console.warn(`[Mensajería] Mensaje rechazado: ${validacion.motivo}`, { tipo: mensaje?.tipo });
+        return respuestaError(mensaje, {
+            codigo: validacion.codigo,
+            mensaje: validacion.mensaje,
+            detalles: { motivo: validacion.motivo }
+        });
+    }
+
+    const manejador = resolverManejador(mensaje.tipo);
+    if (!manejador) {
+        console.warn(`[Mensajería] Sin manejador para el tipo: ${mensaje.tipo}`);
+        return respuestaError(mensaje, {
+            ...ERRORES.SISTEMA.NO_IMPLEMENTADO,
+            detalles: { tipo: mensaje.tipo }
+        });
+    }
+
+    try {
+        const resultado = await manejador(mensaje, contexto);
+        return {
+            estado: 200,
+            cuerpo: {
+                exito: true,
+                tipo: mensaje.tipo,
+                mensajeOriginalId: mensaje.datos?.mensajeId,
+                resultado: resultado === undefined ? null : resultado,
+                timestamp: Date.now()
+            }
+        };
+    } catch (error) {
+        const tipoError = ERRORES_POR_CODIGO.get(error.codigo);
+        if (!tipoError) {
+            console.error(`[Mensajería] Error en manejador de ${mensaje.tipo}:`, error);
+            return respuestaError(mensaje, ERRORES.SISTEMA.ERROR_INTERNO);
+        }
+
+        console.warn(`[Mensajería] ${mensaje.tipo} rechazado con código ${error.codigo}: ${error.message}`);
+        return respuestaError(mensaje, {
+            codigo: error.codigo,
+            mensaje: error.message || tipoError.mensaje,
+            detalles: error.detalles
+        });
+    }
+}
+
+/**
+ * Middleware de Express para el endpoint /mensajeria
+ * @param {import('express').Request} req - Petición
+ * @param {import('express').Response} res - Respuesta
+ */
+export async function middlewareMensajeria(req, res) {
+    try {
+        const mensaje = normalizarPeticion(req.body);
+        const { estado, cuerpo } = await enrutarMensaje(mensaje, {
+            ip: req.ip,
+            cabeceras: req.headers
+        });
+        res.status(estado).json(cuerpo);
+    } catch (error) {
+        // Express 4 no recoge el rechazo de un middleware asíncrono: sin esto tiraría el servidor
+        console.error('[Mensajería] Error al procesar la petición:', error);
+        const { estado, cuerpo } = respuestaError(null, ERRORES.SISTEMA.ERROR_INTERNO);
+        res.status(estado).json(cuerpo);
+    }
+}
+
+/**
+ * Middleware de errores de Express para el endpoint /mensajeria: un cuerpo que
+ * express.json() no puede leer (JSON mal formado, demasiado grande...) se responde
+ * con DATOS_INVALIDOS en lugar de la página de error HTML de Express
+ * @param {Error} error - Error del middleware anterior
+ * @param {import('express').Request} req - Petición
+ * @param {import('express').Response} res - Respuesta
+ * @param {Function} next - Siguiente middleware
+ */
+export function middlewareErrorMensajeria(error, req, res, next) {
+    if (!error.type || !(error.status >= 400 && error.status < 500)) {
+        return next(error);
+    }
+
+    console.warn(`[Mensajería] Cuerpo de la petición rechazado: ${error.type}`);
+    const { cuerpo } = respuestaError(null, {
+        ...ERRORES.VALIDACION.DATOS_INVALIDOS,
+        detalles: { motivo: error.type }
+    });
+    res.status(error.status).json(cuerpo);
+}
+
+// Manejador por defecto de SISTEMA: responde a PING como lo hacen los iframes
+registrarManejadorCategoria('SISTEMA', {
+    PING: (mensaje) => ({
+        exito: true,
+        mensaje: `Pong desde ${ID_SERVIDOR}`,
+        timestamp: Date.now(),
+        origen: ID_SERVIDOR,
+        destino: mensaje.origen,
+        timestampOriginal: mensaje.datos?.timestamp
+    })
+});
+
+export default {
+    ID_SERVIDOR,
+    crearErrorMensajeria,
+    registrarManejadorCategoria,
+    eliminarManejadorCategoria,
+    normalizarPeticion,
+    enrutarMensaje,
+    middlewareMensajeria,
+    middlewareErrorMensajeria
+};
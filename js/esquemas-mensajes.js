@@ -0,0 +1,299 @@
+/**
+ * Esquemas de datos por tipo de mensaje
+ * @module EsquemasMensajes
+ * @description
+ * Registro de esquemas del campo `datos` indexado por tipo de mensaje. Complementa a
+ * validacion-mensajes.js, que solo comprueba la envoltura: aquí se comprueba, por ejemplo,
+ * que NAVEGACION.CAMBIO_PARADA lleve `punto.parada_id` o `punto.tramo_id`. Lo usan el emisor
+ * y el receptor de mensajeria.js y el servidor. Como validacion-mensajes.js, no depende de
+ * `window` ni del logger.
+ *
+ * Formato de un esquema:
+ *   {
+ *     campos: { ruta: tipo },       // Obligatorios
+ *     opcionales: { ruta: tipo },   // Se comprueba el tipo solo si están presentes
+ *     unoDe: [[ruta, ruta]]         // Al menos uno de cada grupo debe estar presente
+ *   }
+ * Las rutas admiten puntos ('punto.parada_id') y los tipos son 'string', 'number',
+ * 'boolean', 'object', 'array' o 'coordenadas' ({lat, lng} numéricos).
+ */
+
+import { TIPOS_MENSAJE, ERRORES } from './constants.js';
+
+// Máximo de entradas distintas en el informe de discrepancias
+const MAX_DISCREPANCIAS = 200;
+
+// Esquemas por tipo de mensaje
+const esquemas = new Map(Object.entries({
+    [TIPOS_MENSAJE.SISTEMA.CAMBIO_MODO]: {
+        campos: { modo: 'string' },
+        opcionales: { transaccionId: 'string', modoAnterior: 'string', revertido: 'boolean' }
+    },
+    [TIPOS_MENSAJE.SISTEMA.PREPARAR_CAMBIO_MODO]: {
+        campos: { transaccionId: 'string', modo: 'string' },
+        opcionales: { modoAnterior: 'string' }
+    },
+    [TIPOS_MENSAJE.SISTEMA.CAMBIO_AVENTURA]: {
+        campos: { aventuraId: 'string' },
+        opcionales: { nombre: 'string', version: 'string', idioma: 'string', mapa: 'object' }
+    },
+    [TIPOS_MENSAJE.NAVEGACION.CAMBIO_PARADA]: {
+        campos: { punto: 'object' },
+        unoDe: [['punto.parada_id', 'punto.tramo_id']],
+        opcionales: { automatico: 'boolean', distancia: 'number' }
+    },
+    [TIPOS_MENSAJE.NAVEGACION.ESTABLECER_DESTINO]: {
+        campos: { destino: 'coordenadas' },
+        opcionales: { opciones: 'object' }
+    },
+    [TIPOS_MENSAJE.NAVEGACION.ACTUALIZAR_POSICION]: {
+        campos: { posicion: 'coordenadas' }
+    },
+    [TIPOS_MENSAJE.DATOS.ENVIAR_PARADAS]: {
+        campos: { paradas: 'array' },
+        opcionales: { aventuraId: 'string' }
+    },
+    [TIPOS_MENSAJE.AUDIO.REPRODUCIR]: {
+        campos: { audioId: 'string' },
+        opcionales: { paradaId: 'string', tiempoActual: 'number', automatico: 'boolean', encadenar: 'boolean' }
+    },
+    [TIPOS_MENSAJE.AUDIO.CONTROL]: {
+        campos: { accion: 'string' },
+        opcionales: { audioId: 'string', tiempo: 'number', velocidad: 'number' }
+    },
+    [TIPOS_MENSAJE.AUDIO.PAUSAR]: {
+        campos: { audioId: 'string' },
+        opcionales: { tiempoActual: 'number' }
+    },
+    [TIPOS_MENSAJE.AUDIO.FIN_REPRODUCCION]: {
+        campos: { audioId: 'string' },
+        opcionales: { paradaId: 'string', duracion: 'number', finCola: 'boolean', siguienteAudioId: 'string' }
+    },
+    [TIPOS_MENSAJE.RETO.MOSTRAR]: {
+        campos: { retoId: 'string' },
+        opcionales: { paradaId: 'string', automatico: 'boolean' }
+    },
+    [TIPOS_MENSAJE.RETO.COMPLETADO]: {
+        campos: { retoId: 'string' },
+        opcionales: {
+            puntos: 'number', intentos: 'number', pistasUsadas: 'number', duracion: 'number',
+            movimientos: 'number', jugadorId: 'string'
+        }
+    },
+    [TIPOS_MENSAJE.RETO.RESPUESTA]: {
+        campos: { retoId: 'string', intento: 'number', correcta: 'boolean' },
+        opcionales: { pistasUsadas: 'number', jugadorId: 'string' }
+    },
+    [TIPOS_MENSAJE.RETO.FALLIDO]: {
+        campos: { retoId: 'string' },
+        opcionales: { intentos: 'number', pistasUsadas: 'number', motivo: 'string', movimientos: 'number', jugadorId: 'string' }
+    },
+    [TIPOS_MENSAJE.RETO.ACTIVAR]: {
+        campos: { retoId: 'string' }
+    },
+    // Del padre a los hijos: jugadores y turno; de un hijo al padre: `accion` sobre los jugadores
+    [TIPOS_MENSAJE.USUARIO.PREFERENCIAS]: {
+        opcionales: {
+            accion: 'string', jugadorId: 'string', jugador: 'object',
+            jugadores: 'array', jugadorActual: 'object'
+        }
+    },
+    [TIPOS_MENSAJE.MEDIOS.MOSTRAR]: {
+        campos: { tipo: 'string', id: 'string' }
+    }
+}));
+
+// Discrepancias detectadas, indexadas por origen|tipo|motivo
+const discrepancias = new Map();
+
+/**
+ * Lee un valor anidado a partir de una ruta con puntos
+ * @private
+ * @param {Object} objeto - Objeto origen
+ * @param {string} ruta - Ruta ('punto.parada_id')
+ * @returns {*} Valor o undefined
+ */
+function leerRuta(objeto, ruta) {
+    return ruta.split('.').reduce((valor, clave) => (valor == null ? undefined : valor[clave]), objeto);
+}
+
+/**
+ * Indica si un valor está presente (no undefined, null ni cadena vacía)
+ * @private
+ * @param {*} valor - Valor a comprobar
+ * @returns {boolean} True si está presente
+ */
+function estaPresente(valor) {
+    return valor !== undefined && valor !== null && valor !== '';
+}
+
+/**
+ * Comprueba que un valor sea del tipo indicado en el esquema
+ * @private
+ * @param {*} valor - Valor a comprobar
+ * @param {string} tipo - Tipo del esquema
+ * @returns {boolean} True si coincide
+ */
+function cumpleTipo(valor, tipo) {
+    switch (tipo) {
+        case 'array':
+            return Array.isArray(valor);
+        case 'object':
+            return typeof valor === 'object' && valor !== null && !Array.isArray(valor);
+        case 'coordenadas':
+            return typeof valor === 'object' && valor !== null &&
+                typeof valor.lat === 'number' && !isNaN(valor.lat) &&
+                typeof valor.lng === 'number' && !isNaN(valor.lng);
+        case 'number':
+            return typeof valor === 'number' && !isNaN(valor);
+        default:
+            return typeof valor === tipo;
+    }
+}
+
+/**
+ * Registra o sustituye el esquema de datos de un tipo de mensaje
+ * @param {string} tipo - Tipo de mensaje (CATEGORIA.ACCION)
+ * @param {{campos?: Object, opcionales?: Object, unoDe?: Array<Array<string>>}} esquema - Esquema
+ */
+export function registrarEsquema(tipo, esquema) {
+    if (typeof tipo !== 'string' || !esquema || typeof esquema !== 'object') {
+        throw new Error('Se requieren un tipo de mensaje y un esquema');
+    }
+    esquemas.set(tipo, {
+        campos: { ...esquema.campos },
+        opcionales: { ...esquema.opcionales },
+        unoDe: [...(esquema.unoDe || [])]
+    });
+}
+
+/**
+ * Devuelve el esquema de un tipo de mensaje
+ * @param {string} tipo - Tipo de mensaje
+ * @returns {Object|null} Esquema o null si el tipo no tiene esquema
+ */
+export function obtenerEsquema(tipo) {
+    return esquemas.get(tipo) || null;
+}
+
+/**
+ * Lista los tipos de mensaje que tienen esquema
+ * @returns {string[]} Tipos con esquema
+ */
+export function listarTiposConEsquema() {
+    return Array.from(esquemas.keys());
+}
+
+/**
+ * Valida el campo `datos` de un mensaje contra el esquema de su tipo.
+ * Los tipos sin esquema se aceptan; los campos no descritos en el esquema se ignoran.
+ * @param {string} tipo - Tipo de mensaje
+ * @param {Object} datos - Datos del mensaje
+ * @returns {{valido: boolean, codigo?: number, mensaje?: string, motivo?: string, detalles?: Object}}
+ *          Resultado con el código de ERRORES.VALIDACION correspondiente
+ */
+export function validarDatosMensaje(tipo, datos) {
+    const esquema = esquemas.get(tipo);
+    if (!esquema) {
+        return { valido: true };
+    }
+
+    const faltantes = Object.keys(esquema.campos || {})
+        .filter(ruta => !estaPresente(leerRuta(datos, ruta)));
+    (esquema.unoDe || []).forEach(grupo => {
+        if (!grupo.some(ruta => estaPresente(leerRuta(datos, ruta)))) {
+            faltantes.push(grupo.join('|'));
+        }
+    });
+
+    if (faltantes.length > 0) {
+        return {
+            valido: false,
+            codigo: ERRORES.VALIDACION.PARAMETROS_FALTANTES.codigo,
+            mensaje: ERRORES.VALIDACION.PARAMETROS_FALTANTES.mensaje,
+            motivo: `Faltan campos en los datos de ${tipo}: ${faltantes.join(', ')}`,
+            detalles: { tipo, faltantes }
+        };
+    }
+
+    const reglas = [
+        ...Object.entries(esquema.campos || {}),
+        ...Object.entries(esquema.opcionales || {}).filter(([ruta]) => estaPresente(leerRuta(datos, ruta)))
+    ];
+    const invalidos = reglas
+        .filter(([ruta, tipoEsperado]) => !cumpleTipo(leerRuta(datos, ruta), tipoEsperado))
+        .map(([ruta, tipoEsperado]) => ({ campo: ruta, esperado: tipoEsperado, recibido: typeof leerRuta(datos, ruta) }));
+
+    if (invalidos.length > 0) {
+        return {
+            valido: false,
+            codigo: ERRORES.VALIDACION.DATOS_INVALIDOS.codigo,
+            mensaje: ERRORES.VALIDACION.DATOS_INVALIDOS.mensaje,
+            motivo: `Campos con tipo incorrecto en ${tipo}: ${invalidos.map(i => i.campo).join(', ')}`,
+            detalles: { tipo, invalidos }
+        };
+    }
+
+    return { valido: true };
+}
+
+/**
+ * Anota una discrepancia entre un mensaje y su esquema para el informe de desarrollo
+ * @param {Object} entrada - Discrepancia
+ * @param {string} entrada.origen - Componente que envió el mensaje
+ * @param {string} entrada.tipo - Tipo de mensaje
+ * @param {string} entrada.lado - 'envio' o 'recepcion'
+ * @param {Object} entrada.resultado - Resultado de la validación fallida
+ * @returns {boolean} True si es la primera vez que se ve esta discrepancia
+ */
+export function registrarDiscrepancia({ origen, tipo, lado, resultado }) {
+    const clave = `${origen}|${tipo}|${resultado.motivo}`;
+    const existente = discrepancias.get(clave);
+    if (existente) {
+        existente.veces++;
+        existente.ultima = Date.now();
+        return false;
+    }
+
+    if (discrepancias.size >= MAX_DISCREPANCIAS) {
+        discrepancias.delete(discrepancias.keys().next().value);
+    }
+    discrepancias.set(clave, {
+        origen: origen || 'desconocido',
+        tipo: tipo || 'desconocido',
+        lado,
+        codigo: resultado.codigo,
+        motivo: resultado.motivo,
+        detalles: resultado.detalles,
+        veces: 1,
+        primera: Date.now(),
+        ultima: Date.now()
+    });
+    return true;
+}
+
+/**
+ * Devuelve el informe de discrepancias ordenado por origen y tipo
+ * @returns {Array<Object>} Discrepancias con origen, tipo, lado, codigo, motivo y número de veces
+ */
+export function obtenerInformeDiscrepancias() {
+    return Array.from(discrepancias.values(), entrada => ({ ...entrada }))
+        .sort((a, b) => a.origen.localeCompare(b.origen) || a.tipo.localeCompare(b.tipo));
+}
+
+/**
+ * Vacía el informe de discrepancias
+ */
+export function limpiarInformeDiscrepancias() {
+    discrepancias.clear();
+}
+
+export default {
+    registrarEsquema,
+    obtenerEsquema,
+    listarTiposConEsquema,
+    validarDatosMensaje,
+    registrarDiscrepancia,
+    obtenerInformeDiscrepancias,
+    limpiarInformeDiscrepancias
+};
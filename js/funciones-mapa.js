@@ -10,7 +10,7 @@ import mensajeria, {
     enviarMensajeConConfirmacion,
     registrarControlador,
     enviarEventoAHijos,
-    enviarMensajeConTimeout
+    llamar
     // Las siguientes funciones ahora se importan a través del objeto mensajeria
     // manejarError,
     // enviarMensajeEnCola,
@@ -23,6 +23,10 @@ import mensajeria, {
 import { CONFIG } from './config.js';
 import { TIPOS_MENSAJE } from './constants.js';
 import logger from './logger.js';
+import { registrarPuntoVisitado, establecerModoProgreso, obtenerProgreso, calcularEstadisticasProgreso } from './progreso-aventura.js';
+import { obtenerModo, esModoValido } from './registro-modos.js';
+import { establecerGeocercas, reiniciarGeocercas, evaluarPosicion } from './geocercas.js';
+import { iniciarGuiaTramo, detenerGuia, hayGuiaActiva, actualizarGuia } from './guia-tramos.js';
 
 // Estado del módulo
 let mapa = null;
@@ -31,6 +35,8 @@ let marcadorDestino = null;
 let rutasTramos = [];
 let rutasActivas = [];
 let marcadorUsuario = null;
+let marcadorParadaActual = null;
+let temporizadorAvance = null;
 
 // Estado del mapa para seguimiento interno
 export const estadoMapa = {
@@ -45,6 +51,7 @@ export const estadoMapa = {
 
 // Referencia local a los datos de paradas
 let arrayParadasLocal = [];
+let ultimoAvisoGuia = 0;
 let mapaListo = false;
 
 /**
@@ -208,6 +215,12 @@ function limpiarRecursos() {
             marcadorDestino = null;
         }
 
+        // Limpiar el resaltado de la parada actual
+        if (marcadorParadaActual) {
+            mapa.removeLayer(marcadorParadaActual);
+            marcadorParadaActual = null;
+        }
+
         // Limpiar marcadores de paradas
         marcadoresParadas.forEach(marcador => mapa.removeLayer(marcador));
         marcadoresParadas.clear();
@@ -251,6 +264,7 @@ export async function mostrarTodasLasParadas(paradasExternas) {
                 marcadoresParadas.set(parada.id, marcador);
             }
         });
+        aplicarVisibilidadParadas();
 
         logger.info(`Se han añadido ${marcadoresParadas.size} marcadores al mapa`);
     } catch (error) {
@@ -310,6 +324,25 @@ function actualizarPuntoActual(coordenadas) {
     }
 }
 
+/**
+ * Resalta la parada actual. Se reutiliza un único marcador para que el avance automático
+ * del modo demo no acumule capas en el mapa.
+ * @param {{lat: number, lng: number}} coordenadas - Coordenadas de la parada
+ */
+function resaltarParadaActual(coordenadas) {
+    if (marcadorParadaActual) {
+        marcadorParadaActual.setLatLng([coordenadas.lat, coordenadas.lng]);
+        return;
+    }
+    marcadorParadaActual = L.circleMarker([coordenadas.lat, coordenadas.lng], {
+        radius: 16,
+        color: '#ff9800',
+        weight: 3,
+        fillOpacity: 0.15,
+        interactive: false
+    }).addTo(mapa);
+}
+
 /**
  * Dibuja un tramo específico en el mapa.
  * @param {Object} tramo - Objeto tramo con inicio, fin y waypoints.
@@ -528,6 +561,21 @@ function manejarActualizarPosicion(mensaje) {
             mapa.setView([posicion.lat, posicion.lng], mapa.getZoom());
         }
         
+        // En los modos con GPS (aventura), detectar la llegada a una parada
+        if (obtenerModo(estadoMapa.modo)?.mapa.gps) {
+            const { evento, parada, distancia } = evaluarPosicion(estadoMapa.posicionUsuario);
+            if (evento === 'entrada') {
+                notificarLlegadaParada(parada, distancia).catch(error => {
+                    logger.error('Error al notificar la llegada a la parada:', error);
+                });
+            }
+        }
+        
+        // Guía a pie por el tramo activo
+        if (hayGuiaActiva()) {
+            notificarGuiaTramo(actualizarGuia(estadoMapa.posicionUsuario));
+        }
+        
         logger.info(`Posición de usuario actualizada a [${posicion.lat}, ${posicion.lng}]`);
         return {
             exito: true,
@@ -548,7 +596,122 @@ function manejarActualizarPosicion(mensaje) {
 }
 
 /**
- * Actualiza el modo del mapa (casa o aventura).
+ * Muestra la guía del tramo en el mapa y la envía a los hijos con UI.NOTIFICACION.
+ * Los avisos de salida de ruta, vuelta a la ruta y llegada se envían siempre; la
+ * distancia y el rumbo, como mucho cada CONFIG.GUIA.INTERVALO_AVISOS.
+ * @param {Object|null} guia - Resultado de actualizarGuia
+ */
+function notificarGuiaTramo(guia) {
+    if (!guia) {
+        return;
+    }
+
+    actualizarPanelGuia(guia);
+
+    const avisos = {
+        fuera_ruta: { nivel: 'advertencia', mensaje: `Te has salido de la ruta. Vuelve hacia el ${guia.rumboCardinal}` },
+        en_ruta: { nivel: 'info', mensaje: 'Has vuelto a la ruta' },
+        llegada: { nivel: 'info', mensaje: 'Has llegado al final del tramo' }
+    };
+    const aviso = avisos[guia.evento];
+    const ahora = Date.now();
+
+    if (!aviso && ahora - ultimoAvisoGuia < CONFIG.GUIA.INTERVALO_AVISOS) {
+        return;
+    }
+    ultimoAvisoGuia = ahora;
+
+    if (guia.evento === 'fuera_ruta') {
+        logger.warn(`Usuario fuera de la ruta del tramo ${guia.tramoId} (${guia.desvio} m)`);
+    }
+
+    enviarMensaje('todos', TIPOS_MENSAJE.UI.NOTIFICACION, {
+        tipo: 'guia',
+        nivel: aviso?.nivel || 'info',
+        mensaje: aviso?.mensaje || `${guia.distanciaRestante} m restantes, dirección ${guia.rumboCardinal}`,
+        guia,
+        timestamp: ahora
+    }).catch(error => {
+        logger.error('Error al enviar la guía del tramo:', error);
+    });
+}
+
+/**
+ * Muestra u oculta el panel de guía sobre el mapa
+ * @param {Object|null} guia - Estado de la guía; null para ocultar el panel
+ */
+function actualizarPanelGuia(guia) {
+    if (!mapa) {
+        return;
+    }
+
+    let panel = document.getElementById('guia-tramo');
+    if (!guia) {
+        panel?.remove();
+        return;
+    }
+
+    if (!panel) {
+        panel = document.createElement('div');
+        panel.id = 'guia-tramo';
+        panel.style.cssText = 'position:absolute;bottom:10px;left:50%;transform:translateX(-50%);z-index:1000;' +
+            'background:rgba(255,255,255,.9);border-radius:6px;padding:6px 12px;font:14px sans-serif;';
+        mapa.getContainer().appendChild(panel);
+    }
+
+    panel.style.color = guia.fueraDeRuta ? '#c0392b' : '#333';
+    panel.textContent = guia.fueraDeRuta
+        ? `⚠️ Fuera de ruta (${guia.desvio} m) · vuelve hacia el ${guia.rumboCardinal}`
+        : `🧭 ${guia.rumboCardinal} · ${guia.distanciaSiguiente} m al siguiente punto · ${guia.distanciaRestante} m restantes`;
+}
+
+/**
+ * Notifica la llegada automática a una parada (geocercas o avance del modo demo):
+ * cambia la parada actual y, si el modo lo declara, pide al audio y a los retos que
+ * muestren su contenido.
+ * @param {Object} parada - Parada de arrayParadasLocal
+ * @param {number} distancia - Distancia a la parada en metros
+ * @returns {Promise<void>}
+ */
+async function notificarLlegadaParada(parada, distancia) {
+    const paradaId = parada.parada_id || parada.id;
+    const punto = { parada_id: paradaId };
+    const definicion = obtenerModo(estadoMapa.modo);
+    logger.info(`Llegada automática a ${paradaId} (${Math.round(distancia)} m)`);
+
+    await manejarCambioParadaTramo({ origen: 'padre', datos: { punto } });
+
+    const envios = [
+        enviarMensaje('todos', TIPOS_MENSAJE.NAVEGACION.CAMBIO_PARADA, {
+            punto,
+            automatico: true,
+            distancia,
+            timestamp: Date.now()
+        })
+    ];
+    if (parada.audio_id && definicion?.audio.reproducirAlLlegar) {
+        envios.push(enviarMensaje(CONFIG.HIJOS.AUDIO.id, TIPOS_MENSAJE.AUDIO.REPRODUCIR, {
+            audioId: parada.audio_id,
+            paradaId,
+            automatico: true
+        }));
+    }
+    if (parada.reto_id && definicion?.retos.mostrarAlLlegar) {
+        envios.push(enviarMensaje(CONFIG.HIJOS.RETOS.id, TIPOS_MENSAJE.RETO.MOSTRAR, {
+            retoId: parada.reto_id,
+            paradaId,
+            automatico: true
+        }));
+    }
+
+    const resultados = await Promise.allSettled(envios);
+    resultados
+        .filter(resultado => resultado.status === 'rejected')
+        .forEach(resultado => logger.warn(`Aviso de llegada a ${paradaId} no entregado:`, resultado.reason));
+}
+
+/**
+ * Actualiza el modo del mapa.
  * @param {Object} mensaje - Mensaje con datos del modo.
  * @returns {Object} Resultado de la operación.
  */
@@ -562,7 +725,7 @@ function manejarCambioModoMapa(mensaje) {
         const { modo } = mensaje.datos || {};
         
         // Validar que el modo es válido
-        if (!modo || (modo !== 'casa' && modo !== 'aventura')) {
+        if (!esModoValido(modo)) {
             throw new Error(`Modo no válido: ${modo}`);
         }
         
@@ -576,12 +739,11 @@ function manejarCambioModoMapa(mensaje) {
             };
         }
         
-        // Actualizar el modo del mapa
-        actualizarModoMapa(modo);
-        
-        // Actualizar estado interno
+        // Actualizar estado interno y aplicar el comportamiento del modo
         const modoAnterior = estadoMapa.modo;
         estadoMapa.modo = modo;
+        actualizarModoMapa(modo);
+        establecerModoProgreso(modo);
         
         logger.info(`Modo del mapa cambiado de ${modoAnterior} a ${modo}`);
         return {
@@ -611,13 +773,13 @@ function manejarCambioModoMapa(mensaje) {
  */
 export async function solicitarDatosParadas() {
     try {
-        const respuesta = await enviarMensajeConTimeout(
+        const respuesta = await llamar(
             'padre',
             TIPOS_MENSAJE.DATOS.SOLICITAR_PARADAS,
             { timestamp: new Date().toISOString() },
-            5000 // Timeout de 5 segundos
+            { timeout: 5000 }
         );
-        return respuesta.paradas || [];
+        return respuesta?.paradas || [];
     } catch (error) {
         logger.error('Error al solicitar datos de paradas:', error);
         return [];
@@ -657,7 +819,38 @@ function registrarManejadoresMensajes() {
             }
         });
         
-        registrarControlador(TIPOS_MENSAJE.NAVEGACION.CAMBIO_PARADA, manejarCambioParadaTramo);
+        // Paradas enviadas por el padre a partir del manifiesto de la aventura
+        registrarControlador(TIPOS_MENSAJE.DATOS.ENVIAR_PARADAS, (mensaje) => {
+            const { paradas, aventuraId } = mensaje.datos || {};
+            logger.info(`Recibidas paradas de ${aventuraId || 'aventura desconocida'} desde ${mensaje.origen}`);
+            return { exito: establecerDatosParadas(paradas, { origen: mensaje.origen }) };
+        });
+        
+        // Aventura seleccionada en el catálogo: centrar el mapa en la nueva aventura
+        registrarControlador(TIPOS_MENSAJE.SISTEMA.CAMBIO_AVENTURA, (mensaje) => {
+            const { aventuraId, mapa: mapaAventura } = mensaje.datos || {};
+            logger.info(`Cambio a la aventura ${aventuraId}`);
+            if (mapa && mapaAventura?.centro) {
+                mapa.setView([mapaAventura.centro.lat, mapaAventura.centro.lng], mapaAventura.zoom || CONFIG.MAPA.ZOOM);
+            }
+            return { exito: true, aventuraId };
+        });
+        
+        // Progreso restaurado por el padre tras recargar la página
+        registrarControlador(TIPOS_MENSAJE.SISTEMA.SINCRONIZAR_ESTADO, (mensaje) => {
+            const { progreso } = mensaje.datos || {};
+            if (progreso) {
+                restaurarEstadoMapa(progreso);
+            }
+        });
+        
+        registrarControlador(TIPOS_MENSAJE.NAVEGACION.CAMBIO_PARADA, manejarCambioParadaSolicitado);
+        
+        // Audioguía: en el avance automático la narración de cada parada suena entera
+        registrarControlador(TIPOS_MENSAJE.AUDIO.REPRODUCIR, manejarInicioAudio);
+        registrarControlador(TIPOS_MENSAJE.AUDIO.FIN_REPRODUCCION, manejarFinAudio);
+        registrarControlador(TIPOS_MENSAJE.AUDIO.PAUSAR, reanudarAvanceAutomatico);
+        registrarControlador(TIPOS_MENSAJE.AUDIO.ERROR, reanudarAvanceAutomatico);
         logger.debug('Manejadores de mensajes del mapa registrados correctamente');
     } catch (error) {
         logger.error('Error al registrar manejadores de mensajes:', error);
@@ -665,6 +858,36 @@ function registrarManejadoresMensajes() {
     }
 }
 
+/**
+ * Restaura en el mapa un progreso guardado: la posición, el modo y las paradas visitadas,
+ * que no vuelven a disparar su geocerca y se redibujan según el modo. Centra el mapa en el
+ * punto donde se dejó el recorrido.
+ * @param {Object} progreso - Progreso de progreso-aventura.js
+ */
+export function restaurarEstadoMapa(progreso) {
+    const actual = progreso.paradaActual;
+    if (actual?.startsWith('TR-')) {
+        estadoMapa.tramoActual = actual;
+    } else if (actual) {
+        estadoMapa.paradaActual = actual;
+    }
+    reiniciarGeocercas(progreso.paradasVisitadas);
+    if (esModoValido(progreso.modo)) {
+        estadoMapa.modo = progreso.modo;
+        if (mapa) {
+            actualizarModoMapa(progreso.modo);
+        }
+    }
+    if (mapa) {
+        aplicarVisibilidadParadas();
+        const punto = arrayParadasLocal.find(p => actual && (p.parada_id || p.tramo_id) === actual);
+        if (punto?.coordenadas) {
+            mapa.panTo([punto.coordenadas.lat, punto.coordenadas.lng]);
+        }
+    }
+    logger.info(`Estado del mapa restaurado en ${actual || 'el inicio'} (modo ${estadoMapa.modo}, ${progreso.paradasVisitadas?.length || 0} puntos visitados)`);
+}
+
 /**
  * Actualiza el marcador de una parada específica en el mapa.
  * @param {string} paradaId - ID de la parada a actualizar.
@@ -689,8 +912,9 @@ function actualizarMarcadorParada(paradaId, coordenadas) {
 }
 
 /**
- * Actualiza el modo del mapa (casa o aventura).
- * @param {string} nuevoModo - El nuevo modo ('casa' o 'aventura').
+ * Aplica al mapa el comportamiento declarado por el modo en registro-modos.js:
+ * zoom, paradas visibles, avance automático y panel de estadísticas.
+ * @param {string} nuevoModo - Id del nuevo modo.
  */
 function actualizarModoMapa(nuevoModo) {
     try {
@@ -698,22 +922,131 @@ function actualizarModoMapa(nuevoModo) {
             throw new Error('Mapa no inicializado');
         }
 
-        if (nuevoModo === 'casa') {
-            // Configuración específica para el modo casa
-            mapa.setZoom(13);
-            logger.info('Mapa actualizado al modo casa');
-        } else if (nuevoModo === 'aventura') {
-            // Configuración específica para el modo aventura
-            mapa.setZoom(16);
-            logger.info('Mapa actualizado al modo aventura');
-        } else {
+        const definicion = obtenerModo(nuevoModo);
+        if (!definicion) {
             throw new Error(`Modo no válido: ${nuevoModo}`);
         }
+
+        mapa.setZoom(definicion.mapa.zoom);
+        programarAvanceAutomatico(definicion.mapa.avanceAutomatico);
+        aplicarVisibilidadParadas();
+        logger.info(`Mapa actualizado al modo ${nuevoModo}`);
     } catch (error) {
         logger.error('Error al actualizar el modo del mapa:', error);
     }
 }
 
+/**
+ * Atenúa las paradas no visitadas en los modos con `soloVisitadas` (revisión)
+ * y muestra u oculta el panel de estadísticas
+ */
+function aplicarVisibilidadParadas() {
+    const definicion = obtenerModo(estadoMapa.modo);
+    const visitadas = new Set(obtenerProgreso().paradasVisitadas);
+    marcadoresParadas.forEach((marcador, id) => {
+        marcador.setOpacity(definicion?.mapa.soloVisitadas && !visitadas.has(id) ? 0.25 : 1);
+    });
+    actualizarPanelEstadisticas(definicion?.mapa.estadisticas ? calcularEstadisticasProgreso(arrayParadasLocal) : null);
+}
+
+/**
+ * Muestra u oculta el panel de estadísticas del recorrido sobre el mapa
+ * @param {Object|null} estadisticas - Resultado de calcularEstadisticasProgreso; null para ocultar
+ */
+function actualizarPanelEstadisticas(estadisticas) {
+    if (!mapa) {
+        return;
+    }
+
+    let panel = document.getElementById('estadisticas-recorrido');
+    if (!estadisticas) {
+        panel?.remove();
+        return;
+    }
+
+    if (!panel) {
+        panel = document.createElement('div');
+        panel.id = 'estadisticas-recorrido';
+        panel.style.cssText = 'position:absolute;top:10px;right:10px;z-index:1000;white-space:pre-line;' +
+            'background:rgba(255,255,255,.9);border-radius:6px;padding:6px 12px;font:14px sans-serif;color:#333;';
+        mapa.getContainer().appendChild(panel);
+    }
+
+    const minutos = Math.round(estadisticas.duracion / 60000);
+    panel.textContent = [
+        `📍 Paradas: ${estadisticas.paradasVisitadas}/${estadisticas.totalParadas}`,
+        `🚶 Tramos: ${estadisticas.tramosRecorridos}/${estadisticas.totalTramos}`,
+        `🧩 Retos: ${estadisticas.retosCompletados}/${estadisticas.totalRetos}`,
+        `⏱️ ${minutos} min`
+    ].join('\n');
+}
+
+/**
+ * Arranca o detiene el avance automático de parada en parada (modo demo)
+ * @param {number} intervalo - Milisegundos entre paradas; 0 para detenerlo
+ */
+function programarAvanceAutomatico(intervalo) {
+    clearInterval(temporizadorAvance);
+    temporizadorAvance = null;
+    if (intervalo > 0) {
+        temporizadorAvance = setInterval(avanzarParadaAutomaticamente, intervalo);
+    }
+}
+
+/**
+ * Vuelve a programar el avance automático si el modo lo usa y estaba en espera
+ */
+function reanudarAvanceAutomatico() {
+    const intervalo = obtenerModo(estadoMapa.modo)?.mapa.avanceAutomatico;
+    if (intervalo > 0 && !temporizadorAvance) {
+        programarAvanceAutomatico(intervalo);
+    }
+}
+
+/**
+ * Mientras suena la narración el avance automático espera a AUDIO.FIN_REPRODUCCION
+ * @param {Object} mensaje - AUDIO.REPRODUCIR enviado por el reproductor al empezar una pista
+ */
+function manejarInicioAudio(mensaje) {
+    if (temporizadorAvance && mensaje.origen === CONFIG.HIJOS.AUDIO.id) {
+        clearInterval(temporizadorAvance);
+        temporizadorAvance = null;
+    }
+}
+
+/**
+ * Al terminar la narración (y el tramo encadenado) pasa a la siguiente parada sin esperar
+ * al intervalo del modo
+ * @param {Object} mensaje - AUDIO.FIN_REPRODUCCION con `finCola`
+ */
+function manejarFinAudio(mensaje) {
+    const intervalo = obtenerModo(estadoMapa.modo)?.mapa.avanceAutomatico;
+    if (!(intervalo > 0) || mensaje.datos?.finCola === false) {
+        return;
+    }
+    programarAvanceAutomatico(intervalo);
+    avanzarParadaAutomaticamente();
+}
+
+/**
+ * Pasa a la siguiente parada del recorrido y vuelve a la primera tras la última
+ */
+function avanzarParadaAutomaticamente() {
+    const paradas = arrayParadasLocal.filter(punto => punto.parada_id);
+    if (paradas.length === 0) {
+        return;
+    }
+
+    const indice = paradas.findIndex(parada => parada.parada_id === estadoMapa.paradaActual);
+    const siguiente = paradas[(indice + 1) % paradas.length];
+    if (mapa && siguiente.coordenadas) {
+        mapa.panTo([siguiente.coordenadas.lat, siguiente.coordenadas.lng]);
+    }
+    notificarLlegadaParada(siguiente, 0).catch(error => {
+        logger.error('Error en el avance automático de paradas:', error);
+    });
+}
+
 /**
  * Busca las coordenadas de una parada por su ID
  * @param {string} paradaId - ID de la parada a buscar
@@ -764,7 +1097,7 @@ function obtenerNombreParada(paradaId) {
  * @param {boolean} [opciones.actualizarMapa=true] - Si se debe actualizar el mapa
  * @returns {boolean} True si se establecieron los datos correctamente
  */
-function establecerDatosParadas(paradas, opciones = {}) {
+export function establecerDatosParadas(paradas, opciones = {}) {
     try {
         if (!Array.isArray(paradas)) {
             throw new Error('El parámetro paradas debe ser un array');
@@ -782,6 +1115,9 @@ function establecerDatosParadas(paradas, opciones = {}) {
         // Actualizar el array local
         arrayParadasLocal = paradasValidas;
         
+        // Recrear las geocercas sin volver a disparar las paradas ya visitadas
+        establecerGeocercas(paradasValidas, { visitadas: obtenerProgreso().paradasVisitadas });
+        
         // Notificar al remitente que las paradas se recibieron correctamente
         if (opciones.origen) {
             enviarMensaje(opciones.origen, TIPOS_MENSAJE.DATOS.PARADAS_ACTUALIZADAS, {
@@ -982,6 +1318,10 @@ export async function manejarCambioParadaTramo(mensaje) {
 
             logger.info(`Polyline dibujada para tramo: ${punto.tramo_id}`);
             estadoMapa.tramoActual = punto.tramo_id;
+            iniciarGuiaTramo(punto.tramo_id, tramo);
+            if (obtenerModo(estadoMapa.modo)?.mapa.registrarVisitas) {
+                registrarPuntoVisitado(punto.tramo_id);
+            }
 
             return { exito: true, mensaje: `Tramo ${punto.tramo_id} mostrado correctamente`, tipo: 'tramo' };
         } else if (punto.parada_id) {
@@ -990,8 +1330,13 @@ export async function manejarCambioParadaTramo(mensaje) {
                 throw new Error(`No se encontraron datos para la parada con ID: ${punto.parada_id}`);
             }
 
-            L.marker([parada.lat, parada.lng], { icon: L.icon({ iconUrl: 'highlight-pin.png' }) }).addTo(mapa);
+            resaltarParadaActual(parada);
             estadoMapa.paradaActual = punto.parada_id;
+            if (obtenerModo(estadoMapa.modo)?.mapa.registrarVisitas) {
+                registrarPuntoVisitado(punto.parada_id);
+            }
+            detenerGuia();
+            actualizarPanelGuia(null);
 
             return { exito: true, mensaje: `Parada ${punto.parada_id} mostrada correctamente`, tipo: 'parada' };
         }
@@ -1001,6 +1346,28 @@ export async function manejarCambioParadaTramo(mensaje) {
     }
 }
 
+/**
+ * Atiende un NAVEGACION.CAMBIO_PARADA recibido y, si lo pidió un hijo, lo reenvía a todos
+ * los hijos para que sigan la parada actual (p. ej. la línea de tiempo de hijo5-casa).
+ * @param {Object} mensaje - Mensaje con datos del tramo o parada.
+ * @returns {Promise<Object>} Resultado de manejarCambioParadaTramo.
+ */
+async function manejarCambioParadaSolicitado(mensaje) {
+    const resultado = await manejarCambioParadaTramo(mensaje);
+
+    if (resultado?.exito && mensaje.origen && mensaje.origen !== 'padre') {
+        // Sin esperar los ACK de los hijos para no retrasar la respuesta al que lo pidió
+        enviarMensaje('todos', TIPOS_MENSAJE.NAVEGACION.CAMBIO_PARADA, {
+            punto: mensaje.datos.punto,
+            timestamp: Date.now()
+        }).catch(error => {
+            logger.warn('Cambio de parada no reenviado a los hijos:', error);
+        });
+    }
+
+    return resultado;
+}
+
 /**
  * Habilita un botón para mostrar contenido relacionado.
  * @param {string} tipo - Tipo de contenido ('imagen' o 'video').
@@ -0,0 +1,340 @@
+/**
+ * Insignias, resumen del recorrido y clasificación por familias
+ * @module Gamificacion
+ * @description
+ * Los puntos de cada reto los calcula motor-retos.js (intentos, pistas y rapidez) y los
+ * guarda progreso-aventura.js al recibir RETO.COMPLETADO. A partir de ese progreso este
+ * módulo calcula el resumen del recorrido (resumen-aventura.html), las insignias definidas
+ * en `insignias` del manifiesto y avisa de las nuevas y del final del recorrido. La
+ * puntuación de la familia se envía a la clasificación del servidor
+ * (clasificacion-servidor.js en CONFIG.GAMIFICACION.URL_CLASIFICACION).
+ *
+ * Condiciones de insignia (`condicion.tipo`):
+ * - paradas: visitar todas las `paradas` indicadas (por defecto todas las del recorrido).
+ * - retos: completar `minimo` retos (por defecto todos).
+ * - sin-pistas: completar `minimo` retos sin pedir pistas (por defecto todos).
+ * - primer-intento: acertar `minimo` retos al primer intento (por defecto todos).
+ * - puntos: reunir `minimo` puntos.
+ */
+
+import logger from './logger.js';
+import { CONFIG } from './config.js';
+import { ERRORES } from './constants.js';
+import { getFromStorage, setToStorage, generarId } from './utils.js';
+import { generarTokenSesion } from './seguridad-mensajeria.js';
+import { obtenerProgreso, suscribirProgreso } from './progreso-aventura.js';
+
+// Tipos de condición de insignia
+export const TIPOS_INSIGNIA = ['paradas', 'retos', 'sin-pistas', 'primer-intento', 'puntos'];
+
+// Longitud máxima del nombre de una familia (la misma que acepta el servidor)
+const MAX_NOMBRE_FAMILIA = 40;
+
+// Estado de la gamificación de la aventura en curso
+const estadoGamificacion = {
+    manifiesto: null,
+    conseguidas: new Set(),   // Ids de las insignias ya conseguidas
+    terminado: false,
+    cancelar: null
+};
+
+/**
+ * Crea un error con el código de ERRORES
+ * @private
+ * @param {Object} tipoError - Entrada de ERRORES
+ * @param {string} mensaje - Mensaje del error
+ * @returns {Error} Error con `codigo`
+ */
+function crearError(tipoError, mensaje) {
+    const error = new Error(mensaje);
+    error.codigo = tipoError.codigo;
+    return error;
+}
+
+/**
+ * Paradas del recorrido (sin tramos)
+ * @private
+ * @param {Object} manifiesto - Manifiesto de la aventura
+ * @returns {Array<Object>} Paradas en orden
+ */
+function paradasRecorrido(manifiesto) {
+    return (manifiesto.recorrido || []).filter(punto => punto.tipo !== 'tramo');
+}
+
+/**
+ * Calcula el resumen del recorrido: puntos, retos, paradas y si ha terminado.
+ * El recorrido termina al visitar la parada final (o la última) o al completar todos los retos.
+ * La duración es el tiempo jugado en los retos completados: el progreso también se guarda al
+ * avanzar el audio o al retomar la partida otro día, así que sus fechas no sirven para medirla.
+ * `partidaId` identifica el recorrido (cambia al reiniciar el progreso) para que el servidor no
+ * cuente dos veces la misma partida.
+ * @param {Object} manifiesto - Manifiesto de la aventura
+ * @param {Object} progreso - Progreso de progreso-aventura.js
+ * @returns {Object} `{aventuraId, nombre, puntos, retosCompletados, totalRetos, retosSinPistas,
+ *          retosPrimerIntento, paradasVisitadas, totalParadas, duracion, terminado, partidaId, retos}`;
+ *          `retos` tiene `{id, paradaId, pregunta, completado, puntos, intentos, pistasUsadas, duracion}`
+ */
+export function calcularResumen(manifiesto, progreso) {
+    const completados = progreso.retosCompletados || {};
+    const visitados = new Set(progreso.paradasVisitadas || []);
+    const paradas = paradasRecorrido(manifiesto);
+    const ultima = paradas.find(parada => parada.tipo === 'final') || paradas[paradas.length - 1];
+
+    // Los retos sin tipo aún no tienen contenido y no puntúan
+    const retos = (manifiesto.retos || []).filter(reto => reto.tipo).map(reto => {
+        const resultado = completados[reto.id];
+        return {
+            id: reto.id,
+            paradaId: reto.parada_id,
+            pregunta: reto.pregunta || reto.id,
+            completado: !!resultado,
+            puntos: resultado?.puntos || 0,
+            intentos: resultado?.intentos ?? null,
+            pistasUsadas: resultado?.pistasUsadas ?? null,
+            duracion: resultado?.duracion ?? null
+        };
+    });
+    const hechos = retos.filter(reto => reto.completado);
+
+    return {
+        aventuraId: manifiesto.id,
+        nombre: manifiesto.nombre,
+        puntos: hechos.reduce((total, reto) => total + reto.puntos, 0),
+        retosCompletados: hechos.length,
+        totalRetos: retos.length,
+        retosSinPistas: hechos.filter(reto => !reto.pistasUsadas).length,
+        retosPrimerIntento: hechos.filter(reto => reto.intentos === 1).length,
+        paradasVisitadas: paradas.filter(parada => visitados.has(parada.id)).length,
+        totalParadas: paradas.length,
+        duracion: hechos.reduce((total, reto) => total + (reto.duracion || 0), 0),
+        terminado: (!!ultima && visitados.has(ultima.id)) ||
+            (retos.length > 0 && hechos.length === retos.length),
+        partidaId: String(progreso.iniciado),
+        retos
+    };
+}
+
+/**
+ * Comprueba la condición de una insignia
+ * @private
+ * @param {Object} condicion - `condicion` de la insignia
+ * @param {Object} resumen - Resultado de calcularResumen
+ * @param {Object} contexto - `{visitados: Set, paradas: Array<string>}`
+ * @returns {boolean} True si se cumple
+ */
+function cumpleCondicion(condicion, resumen, { visitados, paradas }) {
+    const minimoRetos = Math.max(1, condicion.minimo ?? resumen.totalRetos);
+    switch (condicion.tipo) {
+        case 'paradas': {
+            const requeridas = condicion.paradas || paradas;
+            return requeridas.length > 0 && requeridas.every(id => visitados.has(id));
+        }
+        case 'retos':
+            return resumen.retosCompletados >= minimoRetos;
+        case 'sin-pistas':
+            return resumen.retosSinPistas >= minimoRetos;
+        case 'primer-intento':
+            return resumen.retosPrimerIntento >= minimoRetos;
+        case 'puntos':
+            return resumen.puntos >= condicion.minimo;
+        default:
+            logger.warn(`[Gamificacion] Condición de insignia desconocida: ${condicion.tipo}`);
+            return false;
+    }
+}
+
+/**
+ * Evalúa las insignias del manifiesto con el progreso
+ * @param {Object} manifiesto - Manifiesto de la aventura (con `insignias` opcional)
+ * @param {Object} progreso - Progreso de progreso-aventura.js
+ * @param {Object} [resumen] - Resumen ya calculado con calcularResumen
+ * @returns {Array<Object>} `{id, nombre, icono, descripcion, conseguida}` por insignia
+ */
+export function evaluarInsignias(manifiesto, progreso, resumen = calcularResumen(manifiesto, progreso)) {
+    const contexto = {
+        visitados: new Set(progreso.paradasVisitadas || []),
+        paradas: paradasRecorrido(manifiesto).map(parada => parada.id)
+    };
+    return (manifiesto.insignias || []).map(insignia => ({
+        id: insignia.id,
+        nombre: insignia.nombre,
+        icono: insignia.icono || '🏅',
+        descripcion: insignia.descripcion || '',
+        conseguida: cumpleCondicion(insignia.condicion, resumen, contexto)
+    }));
+}
+
+/**
+ * Vigila el progreso de la aventura y avisa de las insignias nuevas y del final del
+ * recorrido. Llamar después de cargarProgreso; las insignias ya conseguidas al empezar
+ * no se vuelven a avisar.
+ * @param {Object} manifiesto - Manifiesto de la aventura
+ * @param {Object} [eventos] - Funciones de aviso
+ * @param {Function} [eventos.alConseguirInsignia] - Recibe la insignia `{id, nombre, icono, descripcion}`
+ * @param {Function} [eventos.alTerminarRecorrido] - Recibe el resumen (calcularResumen)
+ * @returns {Object} Resumen inicial
+ */
+export function iniciarGamificacion(manifiesto, { alConseguirInsignia, alTerminarRecorrido } = {}) {
+    detenerGamificacion();
+
+    const progresoInicial = obtenerProgreso();
+    const resumenInicial = calcularResumen(manifiesto, progresoInicial);
+    estadoGamificacion.manifiesto = manifiesto;
+    estadoGamificacion.conseguidas = new Set(evaluarInsignias(manifiesto, progresoInicial, resumenInicial)
+        .filter(insignia => insignia.conseguida)
+        .map(insignia => insignia.id));
+    estadoGamificacion.terminado = resumenInicial.terminado;
+
+    estadoGamificacion.cancelar = suscribirProgreso((progreso) => {
+        if (progreso.aventuraId !== manifiesto.id) {
+            return;
+        }
+        const resumen = calcularResumen(manifiesto, progreso);
+        const insignias = evaluarInsignias(manifiesto, progreso, resumen);
+
+        insignias
+            .filter(insignia => insignia.conseguida && !estadoGamificacion.conseguidas.has(insignia.id))
+            .forEach(({ conseguida, ...insignia }) => {
+                logger.info(`[Gamificacion] Insignia conseguida: ${insignia.id}`);
+                alConseguirInsignia?.(insignia);
+            });
+        // Tras reiniciar el progreso las insignias se pueden volver a conseguir
+        estadoGamificacion.conseguidas = new Set(insignias
+            .filter(insignia => insignia.conseguida)
+            .map(insignia => insignia.id));
+
+        if (resumen.terminado && !estadoGamificacion.terminado) {
+            logger.info(`[Gamificacion] Recorrido terminado con ${resumen.puntos} puntos`);
+            alTerminarRecorrido?.(resumen);
+        }
+        estadoGamificacion.terminado = resumen.terminado;
+    });
+
+    return resumenInicial;
+}
+
+/**
+ * Deja de vigilar el progreso
+ */
+export function detenerGamificacion() {
+    estadoGamificacion.cancelar?.();
+    estadoGamificacion.cancelar = null;
+    estadoGamificacion.manifiesto = null;
+}
+
+/**
+ * Devuelve la familia de este dispositivo, creando su id y su clave la primera vez.
+ * La clave no sale del dispositivo salvo al enviar la puntuación: el servidor la exige para
+ * aceptar otras puntuaciones de la misma familia.
+ * @returns {{id: string, nombre: string, clave: string}} Familia (nombre vacío si aún no lo ha elegido)
+ */
+export function obtenerFamilia() {
+    const guardada = getFromStorage(CONFIG.GAMIFICACION.CLAVE_FAMILIA, null, 'object');
+    if (guardada && typeof guardada.id === 'string' && typeof guardada.clave === 'string') {
+        return { id: guardada.id, nombre: guardada.nombre || '', clave: guardada.clave };
+    }
+    // Las familias guardadas antes de las claves conservan su id y su nombre
+    const familia = {
+        id: typeof guardada?.id === 'string' ? guardada.id : generarId(),
+        nombre: guardada?.nombre || '',
+        clave: generarTokenSesion()
+    };
+    setToStorage(CONFIG.GAMIFICACION.CLAVE_FAMILIA, familia);
+    return familia;
+}
+
+/**
+ * Guarda el nombre con el que la familia aparece en la clasificación
+ * @param {string} nombre - Nombre de la familia
+ * @returns {{id: string, nombre: string}} Familia actualizada
+ * @throws {Error} Con `codigo` DATOS_INVALIDOS si el nombre está vacío
+ */
+export function guardarNombreFamilia(nombre) {
+    const limpio = typeof nombre === 'string' ? nombre.trim().slice(0, MAX_NOMBRE_FAMILIA) : '';
+    if (!limpio) {
+        throw crearError(ERRORES.VALIDACION.DATOS_INVALIDOS, 'Escribe el nombre de la familia');
+    }
+    const familia = { ...obtenerFamilia(), nombre: limpio };
+    setToStorage(CONFIG.GAMIFICACION.CLAVE_FAMILIA, familia);
+    return familia;
+}
+
+/**
+ * Petición JSON al endpoint de la clasificación
+ * @private
+ * @param {string} url - URL
+ * @param {Object} [opciones] - Opciones de fetch
+ * @returns {Promise<Object>} Cuerpo de la respuesta
+ * @throws {Error} Con el `codigo` del servidor o SERVICIO_NO_DISPONIBLE sin conexión
+ */
+async function peticionClasificacion(url, opciones) {
+    let respuesta;
+    try {
+        respuesta = await fetch(url, opciones);
+    } catch (causa) {
+        throw crearError(ERRORES.SISTEMA.SERVICIO_NO_DISPONIBLE, `No se pudo conectar con la clasificación: ${causa.message}`);
+    }
+    const cuerpo = await respuesta.json().catch(() => ({}));
+    if (!respuesta.ok || !cuerpo.exito) {
+        const error = new Error(cuerpo.error?.mensaje || `Clasificación no disponible (HTTP ${respuesta.status})`);
+        error.codigo = cuerpo.error?.codigo || ERRORES.SISTEMA.SERVICIO_NO_DISPONIBLE.codigo;
+        throw error;
+    }
+    return cuerpo;
+}
+
+/**
+ * Envía la puntuación de la familia a la clasificación; el servidor guarda la mejor
+ * @param {Object} resumen - Resultado de calcularResumen
+ * @param {Array<string>} [insignias] - Ids de las insignias conseguidas
+ * @param {Object} [familia] - Familia (por defecto obtenerFamilia)
+ * @returns {Promise<Object>} `{posicion, mejora, entrada}` devuelto por el servidor
+ * @throws {Error} Con `codigo` si falta el nombre o el servidor la rechaza
+ */
+export async function enviarPuntuacion(resumen, insignias = [], familia = obtenerFamilia()) {
+    if (!familia.nombre) {
+        throw crearError(ERRORES.VALIDACION.DATOS_INVALIDOS, 'Escribe el nombre de la familia');
+    }
+    const { exito, ...resultado } = await peticionClasificacion(CONFIG.GAMIFICACION.URL_CLASIFICACION, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+            familiaId: familia.id,
+            clave: familia.clave,
+            nombre: familia.nombre,
+            aventuraId: resumen.aventuraId,
+            partidaId: resumen.partidaId,
+            puntos: resumen.puntos,
+            retosCompletados: resumen.retosCompletados,
+            insignias,
+            duracion: resumen.duracion
+        })
+    });
+    logger.info(`[Gamificacion] Puntuación enviada: ${resumen.puntos} puntos, posición ${resultado.posicion}`);
+    return resultado;
+}
+
+/**
+ * Obtiene la clasificación de una aventura
+ * @param {string} aventuraId - Id de la aventura
+ * @param {number} [limite=CONFIG.GAMIFICACION.TAMANO_CLASIFICACION] - Familias a devolver
+ * @returns {Promise<Array<Object>>} `{posicion, nombre, puntos, retosCompletados, insignias,
+ *          duracion, partidas, fecha, propia}` ordenadas por puntos; `propia` marca la de esta familia
+ */
+export async function obtenerClasificacion(aventuraId, limite = CONFIG.GAMIFICACION.TAMANO_CLASIFICACION) {
+    const parametros = new URLSearchParams({ aventura: aventuraId, limite: String(limite), familia: obtenerFamilia().id });
+    const { clasificacion } = await peticionClasificacion(`${CONFIG.GAMIFICACION.URL_CLASIFICACION}?${parametros}`);
+    return clasificacion;
+}
+
+export default {
+    TIPOS_INSIGNIA,
+    calcularResumen,
+    evaluarInsignias,
+    iniciarGamificacion,
+    detenerGamificacion,
+    obtenerFamilia,
+    guardarNombreFamilia,
+    enviarPuntuacion,
+    obtenerClasificacion
+};
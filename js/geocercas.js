@@ -0,0 +1,179 @@
+/**
+ * Geocercas de llegada a paradas
+ * @module Geocercas
+ * @description
+ * Compara cada posición GPS con las coordenadas de las paradas y detecta la llegada
+ * a una parada. Usa histéresis (radio de entrada menor que el de salida) y un número
+ * mínimo de lecturas consecutivas dentro de la cerca para evitar disparos por el
+ * ruido del GPS en calles estrechas. No envía mensajes: devuelve eventos que
+ * funciones-mapa.js traduce a NAVEGACION.CAMBIO_PARADA, AUDIO.REPRODUCIR y RETO.MOSTRAR.
+ */
+
+import { CONFIG } from './config.js';
+
+// Radio medio de la Tierra en metros
+const RADIO_TIERRA_M = 6371000;
+
+// Configuración activa (parte de CONFIG.GEOCERCAS)
+let config = { ...CONFIG.GEOCERCAS };
+
+// Estado del motor de geocercas
+const estadoGeocercas = {
+    cercas: [],               // { id, coordenadas, radioEntrada, radioSalida, parada }
+    dentroDe: null,           // Id de la cerca en la que está el usuario
+    candidata: null,          // Id de la cerca en la que se acumulan lecturas
+    lecturasDentro: 0,        // Lecturas consecutivas dentro de la candidata
+    llegadas: new Set()       // Paradas cuya llegada ya se notificó
+};
+
+/**
+ * Calcula la distancia entre dos coordenadas con la fórmula del haversine
+ * @param {{lat: number, lng: number}} a - Primer punto
+ * @param {{lat: number, lng: number}} b - Segundo punto
+ * @returns {number} Distancia en metros
+ */
+export function calcularDistancia(a, b) {
+    const rad = grados => grados * Math.PI / 180;
+    const dLat = rad(b.lat - a.lat);
+    const dLng = rad(b.lng - a.lng);
+    const h = Math.sin(dLat / 2) ** 2 +
+        Math.cos(rad(a.lat)) * Math.cos(rad(b.lat)) * Math.sin(dLng / 2) ** 2;
+    return 2 * RADIO_TIERRA_M * Math.asin(Math.sqrt(h));
+}
+
+/**
+ * Modifica la configuración de las geocercas
+ * @param {Object} opciones - Valores de CONFIG.GEOCERCAS a sobrescribir
+ * @returns {Object} Configuración resultante
+ */
+export function configurarGeocercas(opciones = {}) {
+    config = { ...config, ...opciones };
+    return { ...config };
+}
+
+/**
+ * Crea las geocercas a partir de la lista de paradas del mapa.
+ * Los tramos se ignoran; una parada puede definir su propio `radio` en el manifiesto.
+ * @param {Array<Object>} paradas - Paradas con id/parada_id y coordenadas
+ * @param {Object} [opciones] - Opciones
+ * @param {Array<string>} [opciones.visitadas] - Paradas ya visitadas que no deben volver a dispararse
+ * @returns {number} Número de geocercas creadas
+ */
+export function establecerGeocercas(paradas, opciones = {}) {
+    estadoGeocercas.cercas = (paradas || [])
+        .filter(parada => parada && parada.tipo !== 'tramo' && parada.coordenadas)
+        .map(parada => {
+            const radioEntrada = parada.radio || config.RADIO_ENTRADA;
+            return {
+                id: parada.parada_id || parada.id,
+                coordenadas: parada.coordenadas,
+                radioEntrada,
+                radioSalida: radioEntrada + config.HISTERESIS,
+                parada
+            };
+        });
+
+    reiniciarGeocercas(opciones.visitadas);
+    return estadoGeocercas.cercas.length;
+}
+
+/**
+ * Olvida la cerca actual y las llegadas notificadas
+ * @param {Array<string>} [visitadas] - Paradas que se consideran ya notificadas
+ */
+export function reiniciarGeocercas(visitadas = []) {
+    estadoGeocercas.dentroDe = null;
+    estadoGeocercas.candidata = null;
+    estadoGeocercas.lecturasDentro = 0;
+    estadoGeocercas.llegadas = new Set(visitadas);
+}
+
+/**
+ * Evalúa una posición GPS frente a las geocercas
+ * @param {{lat: number, lng: number, accuracy?: number}} posicion - Posición del usuario
+ * @returns {{evento: ('entrada'|'salida'|null), parada?: Object, distancia?: number}}
+ *          Evento detectado; `entrada` solo se emite la primera vez que se llega a cada parada
+ */
+export function evaluarPosicion(posicion) {
+    if (!posicion || isNaN(posicion.lat) || isNaN(posicion.lng)) {
+        return { evento: null };
+    }
+
+    // Lecturas demasiado imprecisas no cuentan ni para entrar ni para salir
+    if (posicion.accuracy && posicion.accuracy > config.PRECISION_MAXIMA) {
+        return { evento: null };
+    }
+
+    // Salida: solo cuando se supera el radio de salida de la cerca actual
+    if (estadoGeocercas.dentroDe) {
+        const actual = estadoGeocercas.cercas.find(cerca => cerca.id === estadoGeocercas.dentroDe);
+        const distancia = actual ? calcularDistancia(posicion, actual.coordenadas) : Infinity;
+        if (distancia <= (actual?.radioSalida ?? 0)) {
+            return { evento: null };
+        }
+        estadoGeocercas.dentroDe = null;
+        return { evento: 'salida', parada: actual?.parada, distancia };
+    }
+
+    // Entrada: la cerca más cercana cuyo radio de entrada contiene la posición
+    let masCercana = null;
+    let distanciaMinima = Infinity;
+    for (const cerca of estadoGeocercas.cercas) {
+        const distancia = calcularDistancia(posicion, cerca.coordenadas);
+        if (distancia <= cerca.radioEntrada && distancia < distanciaMinima) {
+            masCercana = cerca;
+            distanciaMinima = distancia;
+        }
+    }
+
+    if (!masCercana) {
+        estadoGeocercas.candidata = null;
+        estadoGeocercas.lecturasDentro = 0;
+        return { evento: null };
+    }
+
+    if (estadoGeocercas.candidata !== masCercana.id) {
+        estadoGeocercas.candidata = masCercana.id;
+        estadoGeocercas.lecturasDentro = 0;
+    }
+    estadoGeocercas.lecturasDentro++;
+
+    if (estadoGeocercas.lecturasDentro < config.LECTURAS_CONFIRMACION) {
+        return { evento: null };
+    }
+
+    estadoGeocercas.dentroDe = masCercana.id;
+    estadoGeocercas.candidata = null;
+    estadoGeocercas.lecturasDentro = 0;
+
+    if (estadoGeocercas.llegadas.has(masCercana.id)) {
+        return { evento: null };
+    }
+
+    estadoGeocercas.llegadas.add(masCercana.id);
+    return { evento: 'entrada', parada: masCercana.parada, distancia: distanciaMinima };
+}
+
+/**
+ * Devuelve el estado del motor de geocercas para diagnóstico
+ * @returns {Object} Cerca actual, candidata y llegadas notificadas
+ */
+export function obtenerEstadoGeocercas() {
+    return {
+        total: estadoGeocercas.cercas.length,
+        dentroDe: estadoGeocercas.dentroDe,
+        candidata: estadoGeocercas.candidata,
+        lecturasDentro: estadoGeocercas.lecturasDentro,
+        llegadas: Array.from(estadoGeocercas.llegadas),
+        config: { ...config }
+    };
+}
+
+export default {
+    calcularDistancia,
+    configurarGeocercas,
+    establecerGeocercas,
+    reiniciarGeocercas,
+    evaluarPosicion,
+    obtenerEstadoGeocercas
+};
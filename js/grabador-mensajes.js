@@ -0,0 +1,206 @@
+/**
+ * Grabador de mensajes para depuración
+ * @module GrabadorMensajes
+ * @description
+ * Guarda en memoria las envolturas que envía y recibe mensajeria.js, con el iframe que
+ * las vio, el instante y la correlación por mensajeId/solicitudId. La grabación de una
+ * sesión se exporta como JSON y se reproduce en una copia local de codigo-padre.html
+ * (`?depurar=1&reproducir=<ruta.json>`) para repetir un fallo, por ejemplo un CAMBIO_PARADA
+ * perdido. Solo graba con CONFIG.MENSAJERIA.GRABACION.ACTIVA o la depuración activada.
+ *
+ * Cada página graba lo suyo; el padre reúne las grabaciones de los hijos al exportar
+ * (ver exportarSesionMensajeria en mensajeria.js). Los tokens de sesión no se graban.
+ */
+
+import { CONFIG } from './config.js';
+
+// Versión del formato del archivo de sesión
+const VERSION_SESION = 1;
+
+// Estado de la grabación de esta página
+const estadoGrabador = {
+    activo: CONFIG.MENSAJERIA.GRABACION.ACTIVA,
+    inicio: Date.now(),
+    secuencia: 0,
+    entradas: []
+};
+
+/**
+ * Copia una envoltura sin los tokens de sesión
+ * @private
+ * @param {Object} mensaje - Envoltura original
+ * @returns {Object} Copia serializable
+ */
+function copiarSinToken(mensaje) {
+    const { token, ...resto } = mensaje;
+    const copia = JSON.parse(JSON.stringify(resto));
+    if (copia.datos && 'token' in copia.datos) {
+        copia.datos.token = '[oculto]';
+    }
+    return copia;
+}
+
+/**
+ * Activa o pausa la grabación
+ * @param {boolean} activo - True para grabar
+ */
+export function activarGrabacion(activo) {
+    estadoGrabador.activo = !!activo;
+}
+
+/**
+ * Indica si se está grabando
+ * @returns {boolean} True si la grabación está activa
+ */
+export function grabacionActiva() {
+    return estadoGrabador.activo;
+}
+
+/**
+ * Graba una envoltura enviada o recibida
+ * @param {string} direccion - 'envio' o 'recepcion'
+ * @param {string} iframeId - Página que graba ('padre', 'hijo2'...)
+ * @param {Object} mensaje - Envoltura del mensaje
+ * @param {Object} [extra] - Datos adicionales (origenEvento, reproducido...)
+ * @returns {Object|null} Entrada grabada o null si no se graba
+ */
+export function grabarMensaje(direccion, iframeId, mensaje, extra = {}) {
+    if (!estadoGrabador.activo || !mensaje) {
+        return null;
+    }
+
+    let entrada;
+    try {
+        const datos = mensaje.datos || {};
+        entrada = {
+            secuencia: ++estadoGrabador.secuencia,
+            direccion,
+            iframeId,
+            timestamp: Date.now(),
+            t: Date.now() - estadoGrabador.inicio,
+            tipo: mensaje.tipo,
+            origen: mensaje.origen,
+            destino: mensaje.destino,
+            mensajeId: datos.mensajeId || null,
+            // Mensaje al que responde (ACK, NACK, CONFIRMACION) o solicitud que confirma
+            correlacion: datos.mensajeOriginalId || datos.solicitudId || null,
+            ...extra,
+            mensaje: copiarSinToken(mensaje)
+        };
+    } catch (error) {
+        // Un mensaje que no se puede serializar no debe romper el envío
+        return null;
+    }
+
+    estadoGrabador.entradas.push(entrada);
+    if (estadoGrabador.entradas.length > CONFIG.MENSAJERIA.GRABACION.MAX_ENTRADAS) {
+        estadoGrabador.entradas.shift();
+    }
+    return entrada;
+}
+
+/**
+ * Devuelve las entradas grabadas
+ * @param {Object} [filtro] - Filtro opcional
+ * @param {string} [filtro.tipo] - Tipo de mensaje
+ * @param {string} [filtro.mensajeId] - Mensaje y sus respuestas
+ * @returns {Array<Object>} Entradas en orden de grabación
+ */
+export function obtenerGrabacion({ tipo, mensajeId } = {}) {
+    return estadoGrabador.entradas
+        .filter(entrada => (!tipo || entrada.tipo === tipo) &&
+            (!mensajeId || entrada.mensajeId === mensajeId || entrada.correlacion === mensajeId))
+        .map(entrada => ({ ...entrada }));
+}
+
+/**
+ * Vacía la grabación y reinicia el reloj
+ */
+export function limpiarGrabacion() {
+    estadoGrabador.entradas = [];
+    estadoGrabador.secuencia = 0;
+    estadoGrabador.inicio = Date.now();
+}
+
+/**
+ * Crea el objeto de sesión exportable a partir de varias grabaciones.
+ * Las entradas se ordenan por timestamp y se recalcula `t` desde la primera.
+ * @param {Array<Object>} entradas - Entradas de una o varias páginas
+ * @param {Object} [metadatos] - Aventura, notas...
+ * @returns {Object} Sesión `{version, creada, inicio, iframes, metadatos, entradas}`
+ */
+export function crearSesion(entradas, metadatos = {}) {
+    const ordenadas = [...entradas].sort((a, b) => (a.timestamp - b.timestamp) || (a.secuencia - b.secuencia));
+    const inicio = ordenadas.length > 0 ? ordenadas[0].timestamp : Date.now();
+    return {
+        version: VERSION_SESION,
+        creada: new Date().toISOString(),
+        inicio,
+        iframes: [...new Set(ordenadas.map(entrada => entrada.iframeId))],
+        metadatos,
+        entradas: ordenadas.map(entrada => ({ ...entrada, t: entrada.timestamp - inicio }))
+    };
+}
+
+/**
+ * Comprueba que un objeto sea una sesión exportada por este módulo
+ * @param {Object} sesion - Sesión a comprobar
+ * @returns {boolean} True si tiene el formato esperado
+ */
+export function esSesionValida(sesion) {
+    return !!sesion && sesion.version === VERSION_SESION && Array.isArray(sesion.entradas);
+}
+
+/**
+ * Carga un archivo de sesión publicado junto a la aplicación.
+ * Solo se aceptan rutas relativas del mismo origen (p. ej. 'sesiones/fallo.json').
+ * @param {string} ruta - Ruta relativa del archivo JSON
+ * @returns {Promise<Object>} Sesión validada
+ * @throws {Error} Si la ruta no es relativa, no se puede descargar o no es una sesión
+ */
+export async function cargarSesion(ruta) {
+    const url = typeof ruta === 'string' && !/^([a-z][a-z0-9+.-]*:|[/\\])/i.test(ruta.trim())
+        ? new URL(ruta, location.href)
+        : null;
+    if (!url || url.origin !== location.origin) {
+        throw new Error(`Ruta de sesión no permitida: ${ruta}`);
+    }
+
+    const respuesta = await fetch(url);
+    if (!respuesta.ok) {
+        throw new Error(`No se pudo cargar la sesión ${ruta} (HTTP ${respuesta.status})`);
+    }
+    const sesion = await respuesta.json();
+    if (!esSesionValida(sesion)) {
+        throw new Error(`${ruta} no es una sesión de mensajería válida`);
+    }
+    return sesion;
+}
+
+/**
+ * Descarga una sesión como archivo JSON
+ * @param {Object} sesion - Sesión de crearSesion
+ * @param {string} [nombre] - Nombre del archivo
+ */
+export function descargarSesion(sesion, nombre = `sesion-mensajeria-${new Date().toISOString().replace(/[:.]/g, '-')}.json`) {
+    const url = URL.createObjectURL(new Blob([JSON.stringify(sesion, null, 2)], { type: 'application/json' }));
+    const enlace = document.createElement('a');
+    enlace.href = url;
+    enlace.download = nombre;
+    document.body.appendChild(enlace);
+    enlace.click();
+    enlace.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+export default {
+    activarGrabacion,
+    grabacionActiva,
+    grabarMensaje,
+    obtenerGrabacion,
+    limpiarGrabacion,
+    crearSesion,
+    esSesionValida,
+    cargarSesion,
+    descargarSesion
+};
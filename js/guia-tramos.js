@@ -0,0 +1,194 @@
+/**
+ * Guía a pie a lo largo de los tramos
+ * @module GuiaTramos
+ * @description
+ * Sigue la posición del usuario sobre la polilínea del tramo activo (inicio, waypoints y fin):
+ * calcula la distancia restante, el rumbo hacia el siguiente punto y detecta cuando el
+ * usuario se sale de la ruta. Como geocercas.js, no envía mensajes: devuelve el estado y
+ * los eventos para que funciones-mapa.js los notifique con UI.NOTIFICACION.
+ */
+
+import { CONFIG } from './config.js';
+import { calcularDistancia } from './geocercas.js';
+
+// Nombres de los rumbos en sectores de 45°
+const PUNTOS_CARDINALES = ['N', 'NE', 'E', 'SE', 'S', 'SO', 'O', 'NO'];
+
+// Estado de la guía del tramo activo
+const estadoGuia = {
+    tramoId: null,
+    puntos: [],               // [{lat, lng}] de inicio a fin
+    longitudes: [],           // Longitud de cada segmento (m)
+    fueraDeRuta: false,
+    lecturasFuera: 0,
+    llegado: false,
+    ultimo: null              // Último resultado de actualizarGuia
+};
+
+/**
+ * Calcula el rumbo inicial de un punto a otro
+ * @param {{lat: number, lng: number}} desde - Origen
+ * @param {{lat: number, lng: number}} hacia - Destino
+ * @returns {number} Rumbo en grados (0 = norte, 90 = este)
+ */
+export function calcularRumbo(desde, hacia) {
+    const rad = grados => grados * Math.PI / 180;
+    const dLng = rad(hacia.lng - desde.lng);
+    const y = Math.sin(dLng) * Math.cos(rad(hacia.lat));
+    const x = Math.cos(rad(desde.lat)) * Math.sin(rad(hacia.lat)) -
+        Math.sin(rad(desde.lat)) * Math.cos(rad(hacia.lat)) * Math.cos(dLng);
+    return (Math.atan2(y, x) * 180 / Math.PI + 360) % 360;
+}
+
+/**
+ * Convierte un rumbo en grados a punto cardinal
+ * @param {number} rumbo - Rumbo en grados
+ * @returns {string} Punto cardinal (N, NE, E...)
+ */
+export function rumboACardinal(rumbo) {
+    return PUNTOS_CARDINALES[Math.round(rumbo / 45) % 8];
+}
+
+/**
+ * Proyecta una posición sobre un segmento usando una aproximación plana local
+ * @private
+ * @param {Object} p - Posición
+ * @param {Object} a - Inicio del segmento
+ * @param {Object} b - Fin del segmento
+ * @returns {{t: number, punto: Object}} Fracción del segmento (0-1) y punto proyectado
+ */
+function proyectarEnSegmento(p, a, b) {
+    const escalaLng = Math.cos(a.lat * Math.PI / 180);
+    const abx = (b.lng - a.lng) * escalaLng;
+    const aby = b.lat - a.lat;
+    const apx = (p.lng - a.lng) * escalaLng;
+    const apy = p.lat - a.lat;
+    const longitud2 = abx * abx + aby * aby;
+    const t = longitud2 === 0 ? 0 : Math.max(0, Math.min(1, (apx * abx + apy * aby) / longitud2));
+    return {
+        t,
+        punto: { lat: a.lat + t * (b.lat - a.lat), lng: a.lng + t * (b.lng - a.lng) }
+    };
+}
+
+/**
+ * Empieza a guiar por un tramo
+ * @param {string} tramoId - Id del tramo (TR-x)
+ * @param {{inicio: Object, waypoints?: Array<Object>, fin: Object}} tramo - Geometría del tramo
+ * @returns {number} Longitud total del tramo en metros
+ */
+export function iniciarGuiaTramo(tramoId, tramo) {
+    const puntos = [tramo.inicio, ...(tramo.waypoints || []), tramo.fin];
+
+    estadoGuia.tramoId = tramoId;
+    estadoGuia.puntos = puntos;
+    estadoGuia.longitudes = puntos.slice(1).map((punto, i) => calcularDistancia(puntos[i], punto));
+    estadoGuia.fueraDeRuta = false;
+    estadoGuia.lecturasFuera = 0;
+    estadoGuia.llegado = false;
+    estadoGuia.ultimo = null;
+
+    return estadoGuia.longitudes.reduce((total, longitud) => total + longitud, 0);
+}
+
+/**
+ * Deja de guiar (al llegar a una parada o cambiar de modo)
+ */
+export function detenerGuia() {
+    estadoGuia.tramoId = null;
+    estadoGuia.puntos = [];
+    estadoGuia.longitudes = [];
+    estadoGuia.ultimo = null;
+}
+
+/**
+ * Indica si hay un tramo en guía
+ * @returns {boolean} True si hay un tramo activo
+ */
+export function hayGuiaActiva() {
+    return estadoGuia.tramoId !== null;
+}
+
+/**
+ * Actualiza la guía con una nueva posición
+ * @param {{lat: number, lng: number, accuracy?: number}} posicion - Posición del usuario
+ * @returns {Object|null} Estado de la guía con `evento` ('fuera_ruta', 'en_ruta', 'llegada' o null),
+ *          o null si no hay tramo activo
+ */
+export function actualizarGuia(posicion) {
+    if (!hayGuiaActiva() || !posicion) {
+        return null;
+    }
+
+    const { puntos, longitudes } = estadoGuia;
+    const config = CONFIG.GUIA;
+
+    // Segmento más cercano a la posición
+    let mejor = { indice: 0, desvio: Infinity, t: 0 };
+    for (let i = 0; i < puntos.length - 1; i++) {
+        const { t, punto } = proyectarEnSegmento(posicion, puntos[i], puntos[i + 1]);
+        const desvio = calcularDistancia(posicion, punto);
+        if (desvio < mejor.desvio) {
+            mejor = { indice: i, desvio, t };
+        }
+    }
+
+    const siguiente = puntos[mejor.indice + 1];
+    const distanciaRestante = longitudes[mejor.indice] * (1 - mejor.t) +
+        longitudes.slice(mejor.indice + 1).reduce((total, longitud) => total + longitud, 0);
+    const rumbo = calcularRumbo(posicion, siguiente);
+
+    // Fuera de ruta con histéresis; la imprecisión del GPS amplía el margen
+    let evento = null;
+    const margen = config.DISTANCIA_FUERA_RUTA + Math.min(posicion.accuracy || 0, config.DISTANCIA_FUERA_RUTA);
+    if (!estadoGuia.fueraDeRuta && mejor.desvio > margen) {
+        estadoGuia.lecturasFuera++;
+        if (estadoGuia.lecturasFuera >= config.LECTURAS_FUERA_RUTA) {
+            estadoGuia.fueraDeRuta = true;
+            evento = 'fuera_ruta';
+        }
+    } else if (!estadoGuia.fueraDeRuta) {
+        estadoGuia.lecturasFuera = 0;
+    } else if (mejor.desvio < config.DISTANCIA_FUERA_RUTA / 2) {
+        estadoGuia.fueraDeRuta = false;
+        estadoGuia.lecturasFuera = 0;
+        evento = 'en_ruta';
+    }
+
+    if (!evento && !estadoGuia.llegado && !estadoGuia.fueraDeRuta &&
+        calcularDistancia(posicion, puntos[puntos.length - 1]) <= config.RADIO_LLEGADA) {
+        estadoGuia.llegado = true;
+        evento = 'llegada';
+    }
+
+    estadoGuia.ultimo = {
+        tramoId: estadoGuia.tramoId,
+        distanciaRestante: Math.round(distanciaRestante),
+        distanciaSiguiente: Math.round(calcularDistancia(posicion, siguiente)),
+        indiceSiguiente: mejor.indice + 1,
+        rumbo: Math.round(rumbo),
+        rumboCardinal: rumboACardinal(rumbo),
+        desvio: Math.round(mejor.desvio),
+        fueraDeRuta: estadoGuia.fueraDeRuta,
+        evento
+    };
+    return { ...estadoGuia.ultimo };
+}
+
+/**
+ * Devuelve el último estado calculado de la guía
+ * @returns {Object|null} Estado o null si no hay guía activa
+ */
+export function obtenerEstadoGuia() {
+    return estadoGuia.ultimo ? { ...estadoGuia.ultimo } : null;
+}
+
+export default {
+    calcularRumbo,
+    rumboACardinal,
+    iniciarGuiaTramo,
+    detenerGuia,
+    hayGuiaActiva,
+    actualizarGuia,
+    obtenerEstadoGuia
+};
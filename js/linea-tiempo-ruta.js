@@ -0,0 +1,303 @@
+/**
+ * Línea de tiempo del recorrido
+ * @module LineaTiempoRuta
+ * @description
+ * Muestra las paradas (P-X) y los tramos (TR-X) de la aventura en orden, cada uno como
+ * completado, actual o pendiente, y en los tramos el tiempo estimado a pie calculado con
+ * sus coordenadas (inicio, waypoints y fin). Al pulsar un punto se envía
+ * NAVEGACION.CAMBIO_PARADA al padre; la línea sigue la parada actual con los
+ * NAVEGACION.CAMBIO_PARADA que reenvía el padre y con el progreso de
+ * SISTEMA.SINCRONIZAR_ESTADO.
+ */
+
+import logger from './logger.js';
+import { CONFIG } from './config.js';
+import { TIPOS_MENSAJE } from './constants.js';
+import { enviarMensaje, registrarControlador } from './mensajeria.js';
+import { calcularDistancia } from './geocercas.js';
+import { modoHandler } from './modo-handler.js';
+import { obtenerModo } from './registro-modos.js';
+
+// Estados de un punto de la línea de tiempo
+export const ESTADOS_PUNTO = {
+    COMPLETADO: 'completado',
+    ACTUAL: 'actual',
+    PENDIENTE: 'pendiente'
+};
+
+// Icono de Font Awesome por tipo de punto
+const ICONOS = {
+    inicio: 'fa-flag-checkered',
+    parada: 'fa-map-marker-alt',
+    tramo: 'fa-road'
+};
+
+// Estado de la línea de tiempo de esta página
+const estadoLineaTiempo = {
+    contenedor: null,
+    origen: null,             // Componente que firma los CAMBIO_PARADA
+    puntos: [],               // Paradas y tramos en orden de recorrido
+    visitados: new Set(),
+    actual: null,
+    cancelaciones: []
+};
+
+/**
+ * Id de un punto del recorrido
+ * @private
+ * @param {Object} punto - Parada o tramo
+ * @returns {string|null} parada_id, tramo_id o id
+ */
+function idPunto(punto) {
+    return punto?.parada_id || punto?.tramo_id || punto?.id || null;
+}
+
+/**
+ * Longitud de un tramo siguiendo inicio, waypoints y fin
+ * @param {Object} tramo - Tramo con `inicio`, `fin` y `waypoints` opcionales
+ * @returns {number|null} Metros o null si el tramo no tiene coordenadas
+ */
+export function calcularLongitudTramo(tramo) {
+    if (!tramo?.inicio || !tramo?.fin) {
+        return null;
+    }
+    const puntos = [tramo.inicio, ...(tramo.waypoints || []), tramo.fin];
+    return puntos.slice(1).reduce((total, punto, i) => total + calcularDistancia(puntos[i], punto), 0);
+}
+
+/**
+ * Tiempo estimado para recorrer un tramo a pie
+ * @param {Object} tramo - Tramo con coordenadas
+ * @param {number} [velocidad=CONFIG.LINEA_TIEMPO.VELOCIDAD_PASO] - Velocidad a pie (m/s)
+ * @returns {number|null} Minutos (al menos 1) o null si no se puede calcular
+ */
+export function estimarMinutosTramo(tramo, velocidad = CONFIG.LINEA_TIEMPO.VELOCIDAD_PASO) {
+    const longitud = calcularLongitudTramo(tramo);
+    if (longitud === null || !(velocidad > 0)) {
+        return null;
+    }
+    return Math.max(1, Math.round(longitud / velocidad / 60));
+}
+
+/**
+ * Construye los elementos de la línea de tiempo
+ * @param {Array<Object>} puntos - Paradas y tramos en orden (formato de obtenerParadasMapa)
+ * @param {Object} [opciones] - Opciones
+ * @param {Array<string>|Set<string>} [opciones.visitados] - Ids de los puntos visitados
+ * @param {string|null} [opciones.actual] - Id del punto actual
+ * @returns {Array<Object>} `{id, tipo, nombre, estado, minutos}` por punto
+ */
+export function construirLineaTiempo(puntos = [], { visitados = [], actual = null } = {}) {
+    const conjuntoVisitados = new Set(visitados);
+    return puntos
+        .filter(punto => idPunto(punto))
+        .map(punto => {
+            const id = idPunto(punto);
+            const tipo = punto.tipo || (punto.tramo_id ? 'tramo' : 'parada');
+            let estado = ESTADOS_PUNTO.PENDIENTE;
+            if (id === actual) {
+                estado = ESTADOS_PUNTO.ACTUAL;
+            } else if (conjuntoVisitados.has(id)) {
+                estado = ESTADOS_PUNTO.COMPLETADO;
+            }
+            return {
+                id,
+                tipo,
+                nombre: punto.nombre || id,
+                estado,
+                minutos: tipo === 'tramo' ? estimarMinutosTramo(punto) : null
+            };
+        });
+}
+
+/**
+ * Crea el botón de un punto
+ * @private
+ * @param {Object} elemento - Elemento de construirLineaTiempo
+ * @returns {HTMLButtonElement} Botón
+ */
+function crearBotonPunto(elemento) {
+    const boton = document.createElement('button');
+    boton.type = 'button';
+    boton.className = `linea-tiempo-item linea-tiempo-${elemento.tipo} ${elemento.estado}`;
+    boton.dataset.id = elemento.id;
+    boton.dataset.estado = elemento.estado;
+    boton.title = elemento.nombre;
+
+    const fila = document.createElement('div');
+    fila.className = 'linea-tiempo-fila';
+
+    const icono = document.createElement('i');
+    icono.className = `fas ${elemento.estado === ESTADOS_PUNTO.COMPLETADO ? 'fa-check' : ICONOS[elemento.tipo] || ICONOS.parada}`;
+    fila.appendChild(icono);
+
+    const titulo = document.createElement('span');
+    titulo.className = 'linea-tiempo-titulo';
+    titulo.textContent = elemento.id;
+    fila.appendChild(titulo);
+    boton.appendChild(fila);
+
+    const descripcion = document.createElement('span');
+    descripcion.className = 'linea-tiempo-desc';
+    descripcion.textContent = elemento.minutos !== null ? `≈ ${elemento.minutos} min a pie` : elemento.nombre;
+    boton.appendChild(descripcion);
+
+    return boton;
+}
+
+/**
+ * Dibuja la línea de tiempo y desplaza la vista hasta el punto actual
+ * @private
+ */
+function dibujar() {
+    const { contenedor } = estadoLineaTiempo;
+    if (!contenedor) {
+        return;
+    }
+
+    const elementos = obtenerLineaTiempo();
+    contenedor.replaceChildren(...elementos.map(crearBotonPunto));
+
+    const actual = contenedor.querySelector(`.linea-tiempo-item.${ESTADOS_PUNTO.ACTUAL}`);
+    actual?.scrollIntoView?.({ behavior: 'smooth', block: 'nearest', inline: 'center' });
+}
+
+/**
+ * Marca un punto como actual; si el modo registra visitas, también como visitado,
+ * igual que hace el mapa del padre
+ * @private
+ * @param {string} id - Id del punto
+ */
+function marcarActual(id) {
+    estadoLineaTiempo.actual = id;
+    if (obtenerModo(modoHandler.obtenerModoActual())?.mapa.registrarVisitas) {
+        estadoLineaTiempo.visitados.add(id);
+    }
+    dibujar();
+}
+
+/**
+ * Pide al padre que cambie al punto pulsado
+ * @param {string} id - Id de la parada o el tramo
+ * @returns {Promise<Object>} Respuesta del padre
+ */
+export async function seleccionarPuntoLineaTiempo(id) {
+    const punto = estadoLineaTiempo.puntos.find(p => idPunto(p) === id);
+    if (!punto) {
+        throw new Error(`Punto no encontrado en la línea de tiempo: ${id}`);
+    }
+
+    const boton = estadoLineaTiempo.contenedor?.querySelector(`[data-id="${id}"]`);
+    boton?.classList.add('seleccionando');
+    try {
+        const respuesta = await enviarMensaje('padre', TIPOS_MENSAJE.NAVEGACION.CAMBIO_PARADA, {
+            punto: punto.tramo_id ? { tramo_id: id } : { parada_id: id },
+            origen: estadoLineaTiempo.origen,
+            timestamp: Date.now()
+        });
+        marcarActual(id);
+        return respuesta;
+    } catch (error) {
+        logger.error(`[LineaTiempo] Error al cambiar a ${id}:`, error);
+        boton?.classList.remove('seleccionando');
+        boton?.classList.add('error');
+        setTimeout(() => boton?.classList.remove('error'), 1000);
+        throw error;
+    }
+}
+
+/**
+ * Pulsación en un punto de la línea de tiempo
+ * @private
+ * @param {MouseEvent} evento - Evento de clic
+ */
+function manejarClic(evento) {
+    const boton = evento.target.closest?.('.linea-tiempo-item');
+    if (!boton) {
+        return;
+    }
+    evento.preventDefault();
+    seleccionarPuntoLineaTiempo(boton.dataset.id).catch(() => {});
+}
+
+/**
+ * Sustituye la lista de paradas y tramos
+ * @param {Array<Object>} puntos - Paradas y tramos en orden de recorrido
+ */
+export function establecerPuntosLineaTiempo(puntos = []) {
+    estadoLineaTiempo.puntos = Array.isArray(puntos) ? puntos.filter(Boolean) : [];
+    dibujar();
+}
+
+/**
+ * Monta la línea de tiempo en un contenedor y la conecta con la mensajería.
+ * Llamar después de inicializarMensajeria.
+ * @param {HTMLElement} contenedor - Elemento donde se dibuja
+ * @param {Object} [opciones] - Opciones
+ * @param {Array<Object>} [opciones.puntos] - Paradas y tramos iniciales
+ * @param {string} [opciones.origen] - Componente que firma los cambios de parada
+ * @returns {Array<Object>} Elementos dibujados
+ */
+export function iniciarLineaTiempo(contenedor, { puntos = [], origen = null } = {}) {
+    detenerLineaTiempo();
+    estadoLineaTiempo.contenedor = contenedor;
+    estadoLineaTiempo.origen = origen;
+
+    contenedor.addEventListener('click', manejarClic);
+    estadoLineaTiempo.cancelaciones.push(
+        () => contenedor.removeEventListener('click', manejarClic),
+        registrarControlador(TIPOS_MENSAJE.NAVEGACION.CAMBIO_PARADA, (mensaje) => {
+            const id = mensaje.datos?.punto?.parada_id || mensaje.datos?.punto?.tramo_id;
+            if (id) {
+                marcarActual(id);
+            }
+        }),
+        registrarControlador(TIPOS_MENSAJE.SISTEMA.SINCRONIZAR_ESTADO, (mensaje) => {
+            const { progreso } = mensaje.datos || {};
+            if (progreso) {
+                estadoLineaTiempo.visitados = new Set(progreso.paradasVisitadas || []);
+                estadoLineaTiempo.actual = progreso.paradaActual || estadoLineaTiempo.actual;
+                dibujar();
+            }
+        })
+    );
+
+    establecerPuntosLineaTiempo(puntos);
+    return obtenerLineaTiempo();
+}
+
+/**
+ * Desconecta la línea de tiempo de la mensajería y del contenedor
+ */
+export function detenerLineaTiempo() {
+    estadoLineaTiempo.cancelaciones.forEach(cancelar => {
+        if (typeof cancelar === 'function') {
+            cancelar();
+        }
+    });
+    estadoLineaTiempo.cancelaciones = [];
+    estadoLineaTiempo.contenedor = null;
+}
+
+/**
+ * Devuelve los elementos de la línea de tiempo con su estado actual
+ * @returns {Array<Object>} `{id, tipo, nombre, estado, minutos}` por punto
+ */
+export function obtenerLineaTiempo() {
+    return construirLineaTiempo(estadoLineaTiempo.puntos, {
+        visitados: estadoLineaTiempo.visitados,
+        actual: estadoLineaTiempo.actual
+    });
+}
+
+export default {
+    ESTADOS_PUNTO,
+    calcularLongitudTramo,
+    estimarMinutosTramo,
+    construirLineaTiempo,
+    iniciarLineaTiempo,
+    establecerPuntosLineaTiempo,
+    seleccionarPuntoLineaTiempo,
+    detenerLineaTiempo,
+    obtenerLineaTiempo
+};
@@ -6,6 +6,7 @@
 
 // Importar constantes directamente para evitar dependencias circulares
 import { LOG_LEVELS, NIVELES_SEVERIDAD, CATEGORIAS_EVENTOS, TIPOS_MENSAJE } from './constants.js';
+import { registrarLogRemoto } from './transporte-logs.js';
 
 // Evitamos la importación directa para romper la dependencia circular
 // import { enviarMensaje } from './mensajeria.js';
@@ -383,6 +384,13 @@ function log(level, message, data = null) {
         sendToParent(logEntry);
     }
     
+    // Enviar al servidor según el muestreo de CONFIG.LOGS_REMOTOS
+    try {
+        registrarLogRemoto(logEntry);
+    } catch (error) {
+        originalWarn('No se pudo preparar el log para el servidor:', error);
+    }
+    
     return logEntry;
 }
 
@@ -14,52 +14,41 @@
 
 // Importamos lo necesario
 import logger, { configurarEnvioMensajes } from './logger.js';
-import utils, { generarHashContenido, configurarUtils, crearObjetoError, generarIdUnico } from './utils.js';
-import { TIPOS_MENSAJE, MENSAJES_CRITICOS } from './constants.js';
+import utils, { generarHashContenido, configurarUtils, crearObjetoError, generarIdUnico, depuracionActivada } from './utils.js';
+import { TIPOS_MENSAJE, MENSAJES_CRITICOS, PROTOCOLO_PUZZLE } from './constants.js';
 import { CONFIG } from './config.js';
+import { TIPOS_MENSAJE_VALIDOS, esMensajeExterno, validarEstructuraMensaje } from './validacion-mensajes.js';
+import { validarDatosMensaje, registrarDiscrepancia, obtenerInformeDiscrepancias } from './esquemas-mensajes.js';
+import {
+  esOrigenPermitido,
+  generarTokenSesion,
+  establecerTokenSesion,
+  obtenerTokenSesion,
+  tieneTokenValido,
+  obtenerOrigenPadre,
+  obtenerOrigenIframe,
+  registrarRechazo,
+  obtenerRechazos
+} from './seguridad-mensajeria.js';
+import {
+  encolarMensaje,
+  obtenerLoteListo,
+  registrarIntentoFallido,
+  eliminarMensaje,
+  listarPendientes,
+  obtenerResumenCola,
+  purgarCola
+} from './cola-mensajes.js';
+import { grabarMensaje, activarGrabacion, obtenerGrabacion, crearSesion, esSesionValida, descargarSesion } from './grabador-mensajes.js';
+import { conectarSonda, desconectarSonda, publicarTrafico } from './sonda-inspector.js';
+import { configurarMonitoreo, detenerMonitoreo, registrarResultadoMensaje, registrarAlertaRecibida } from './monitoreo.js';
 
 // Alias para mejor legibilidad en el código
 const configGlobal = CONFIG;
 
-// Lista de tipos de mensajes válidos - Usando las constantes estandarizadas
-const TIPOS_MENSAJE_VALIDOS = [
-    // SISTEMA
-    ...Object.values(TIPOS_MENSAJE.SISTEMA),
-    
-    // CONTROL
-    ...Object.values(TIPOS_MENSAJE.CONTROL),
-    
-    // DATOS
-    ...Object.values(TIPOS_MENSAJE.DATOS),
-    
-    // NAVEGACION
-    ...Object.values(TIPOS_MENSAJE.NAVEGACION),
-    
-    // AUDIO
-    ...Object.values(TIPOS_MENSAJE.AUDIO),
-    
-    // RETO
-    ...Object.values(TIPOS_MENSAJE.RETO),
-    
-    // UI
-    ...Object.values(TIPOS_MENSAJE.UI),
-    
-    // MEDIOS
-    ...Object.values(TIPOS_MENSAJE.MEDIOS),
-    TIPOS_MENSAJE.DATOS.PUNTOS,
-    TIPOS_MENSAJE.DATOS.PUNTOS_RUTA,
-    
-    // UI
-    TIPOS_MENSAJE.UI.MODAL,
-    
-    // MEDIOS
-    TIPOS_MENSAJE.MEDIOS.EVENTO,
-    TIPOS_MENSAJE.MEDIOS.MOSTRAR,
-    TIPOS_MENSAJE.MEDIOS.OCULTAR
-];
-
-// Función auxiliar para validar el formato del tipo de mensaje
-const validarFormatoTipoMensaje = (tipo) => {
+// Función auxiliar para validar el formato del tipo de mensaje.
+// Con `comodines` se admiten patrones de suscripción como 'NAVEGACION.*' o '*'.
+const validarFormatoTipoMensaje = (tipo, comodines = false) => {
     if (typeof tipo !== 'string') {
         return { valido: false, error: 'El tipo de mensaje debe ser una cadena' };
     }
@@ -70,7 +59,8 @@ const validarFormatoTipoMensaje = (tipo) => {
     }
     
     // Verificar el formato: DEBERIA.SER_ASI
-    if (!/^[A-Z0-9_]+(\.[A-Z0-9_]+)*$/.test(tipoLimpio)) {
+    const formato = comodines ? /^(\*|[A-Z0-9_]+)(\.(\*|[A-Z0-9_]+))*$/ : /^[A-Z0-9_]+(\.[A-Z0-9_]+)*$/;
+    if (!formato.test(tipoLimpio)) {
         return { 
             valido: false, 
             error: `Formato de tipo de mensaje inválido: '${tipo}'. Debe ser en formato 'MODULO.ACCION'` 
@@ -93,6 +83,11 @@ const ERRORES_MENSAJERIA = {
   IFRAME_ERROR_CARGA: 'IFRAME_ERROR_CARGA',
   DESTINO_NO_DISPONIBLE: 'DESTINO_NO_DISPONIBLE',
   
+  // Errores de llamadas (llamar)
+  CANCELADO: 'CANCELADO',
+  SIN_MANEJADOR: 'SIN_MANEJADOR',
+  ERROR_REMOTO: 'ERROR_REMOTO',
+  
   // Errores de red y sistema
   RED: 'ERROR_RED',
   NO_INICIALIZADO: 'NO_INICIALIZADO',
@@ -131,13 +126,29 @@ const estado = {
   },
   // Cache de instancias para evitar duplicados
   instancias: new Map(),
-  // Cola de mensajes pendientes críticos que requieren reintento persistente
-  mensajesPendientes: [],
+  // Reenvío de la cola persistente de mensajes pendientes (cola-mensajes.js)
   procesandoPendientes: false,
-  ultimoProcesamiento: null,
-  mensajesPendientes: new Map(),
+  temporizadorPendientes: null,
+  // Callbacks onSuccess/onError de los pendientes encolados en esta sesión, por id
+  callbacksPendientes: new Map(),
   // Problema #10: Agregar registro de mensajes procesados para evitar duplicados
-  mensajesProcesados: new Set()
+  mensajesProcesados: new Set(),
+  // Handshake SISTEMA.INICIALIZACION: los hijos esperan el token del padre antes de enviar
+  handshake: {
+    completado: false,
+    nonce: null,
+    promesa: null,
+    resolver: null,
+    intervalo: null
+  },
+  // Mensajes del padre recibidos antes de tener el token
+  enEspera: [],
+  // Llamadas de llamar() esperando respuesta, indexadas por mensajeId
+  llamadas: new Map(),
+  // True mientras reproducirSesionMensajeria() inyecta un mensaje grabado
+  reproduciendo: false,
+  // Envíos de enviarMensajeConACK esperando confirmación, por solicitudId (para el inspector)
+  acksPendientes: new Map()
 };
 
 // Limpiar mensajes procesados periódicamente para evitar crecimiento excesivo
@@ -152,85 +163,6 @@ setInterval(() => {
   }
 }, 60000); // Cada minuto
 
-// Procesamiento periódico de mensajes pendientes críticos
-setInterval(() => {
-  if (estado.mensajesPendientes.size > 0) {
-    logger.debug(`[Mensajeria] Procesando cola de mensajes pendientes: ${estado.mensajesPendientes.size} mensajes`);
-    
-    // Obtener hora actual para límite de caducidad (mensajes de hace más de 1 hora)
-    const tiempoCaducidad = Date.now() - 60 * 60 * 1000;
-    
-    // Procesar cada mensaje pendiente
-    estado.mensajesPendientes.forEach((mensaje, id) => {
-      // Eliminar mensajes caducados
-      if (mensaje.timestamp < tiempoCaducidad) {
-        estado.mensajesPendientes.delete(id);
-        logger.info(`[Mensajeria] Mensaje pendiente ${id} eliminado por caducidad`);
-        return;
-      }
-      
-      // Si es momento de reintentar según el backoff exponencial
-      if (Date.now() >= mensaje.proximoIntento) {
-        const { destino, tipo, datos, opciones } = mensaje;
-        
-        // Incrementar contador de intentos
-        mensaje.intentos += 1;
-        
-        // Calcular próximo tiempo de reintento con backoff exponencial
-        const factorBackoff = opciones.factorBackoff || CONFIG_DEFAULT.reintentos.factor;
-        const retrasoBase = opciones.tiempoEspera || CONFIG_DEFAULT.reintentos.tiempoEspera;
-        const jitter = 0.75 + (Math.random() * 0.5); // Factor aleatorio entre 0.75 y 1.25
-        
-        // Calcular retraso con backoff exponencial y jitter
-        const retraso = Math.min(
-          30 * 60 * 1000, // máximo 30 minutos
-          retrasoBase * Math.pow(factorBackoff, mensaje.intentos) * jitter
-        );
-        
-        // Actualizar próximo intento
-        mensaje.proximoIntento = Date.now() + retraso;
-        
-        // Reintentar el envío de forma silenciosa
-        enviarMensajeConACK(destino, tipo, datos, { 
-          ...opciones, 
-          silencioso: true,
-          intentoRecuperacion: true
-        })
-        .then(respuesta => {
-          // Si el envío tiene éxito, eliminar de la cola de pendientes
-          estado.mensajesPendientes.delete(id);
-          logger.info(`[Mensajeria] Mensaje pendiente ${id} entregado exitosamente en el intento ${mensaje.intentos}`);
-          
-          // Si hay callback de éxito, ejecutarlo
-          if (mensaje.onSuccess && typeof mensaje.onSuccess === 'function') {
-            try {
-              mensaje.onSuccess(respuesta);
-            } catch (e) {
-              logger.error('[Mensajeria] Error en callback de éxito:', e);
-            }
-          }
-        })
-        .catch(() => {
-          // Si aún hay reintentos disponibles, se mantiene en la cola
-          if (mensaje.intentos >= opciones.reintentosPendientes || mensaje.intentos > 50) {
-            estado.mensajesPendientes.delete(id);
-            logger.warn(`[Mensajeria] Mensaje pendiente ${id} eliminado después de ${mensaje.intentos} intentos`);
-            
-            // Si hay callback de error, ejecutarlo
-            if (mensaje.onError && typeof mensaje.onError === 'function') {
-              try {
-                mensaje.onError(new Error(`Mensaje no entregado después de ${mensaje.intentos} intentos`));
-              } catch (e) {
-                logger.error('[Mensajeria] Error en callback de error:', e);
-              }
-            }
-          }
-        });
-      }
-    });
-  }
-}, 10000); // Cada 10 segundos
-
 // Usar la configuración centralizada
 const CONFIG_DEFAULT = CONFIG.MENSAJERIA;
 
@@ -297,6 +229,159 @@ function verificarInicializado(throwError = false) {
   return true;
 }
 
+/**
+ * Indica si esta página es el padre (no está dentro de un iframe)
+ * @returns {boolean} True si es el padre
+ */
+function esPaginaPadre() {
+  return window.parent === window || estado.iframeId === 'padre';
+}
+
+/**
+ * Publica un mensaje en un iframe usando su origen como destino
+ * @param {HTMLIFrameElement} frame - Iframe destino
+ * @param {Object} mensaje - Mensaje a publicar
+ * @returns {boolean} True si se publicó; false si el iframe no existe o su origen no está permitido
+ */
+function publicarEnIframe(frame, mensaje) {
+  if (!frame || !frame.contentWindow) {
+    return false;
+  }
+  
+  const origen = obtenerOrigenIframe(frame);
+  if (!origen) {
+    registrarRechazo('envío a un iframe de origen no permitido', { destino: frame.id, tipo: mensaje.tipo });
+    return false;
+  }
+  
+  frame.contentWindow.postMessage(mensaje, origen);
+  return true;
+}
+
+/**
+ * Crea un mensaje del handshake SISTEMA.INICIALIZACION
+ * @param {string} destino - Destino del mensaje
+ * @param {Object} datos - Fase del handshake y valores
+ * @returns {Object} Mensaje en formato estándar
+ */
+function crearMensajeHandshake(destino, datos) {
+  return {
+    origen: estado.iframeId || 'padre',
+    destino,
+    tipo: TIPOS_MENSAJE.SISTEMA.INICIALIZACION,
+    datos,
+    timestamp: Date.now(),
+    version: '3.0'
+  };
+}
+
+/**
+ * Pide el token de sesión al padre y repite la petición hasta recibirlo,
+ * porque el padre puede registrar su mensajería después de que cargue el iframe
+ */
+function iniciarHandshake() {
+  if (estado.handshake.completado || estado.handshake.nonce) {
+    return;
+  }
+  
+  estado.handshake.nonce = generarTokenSesion();
+  estado.handshake.promesa = new Promise(resolve => {
+    estado.handshake.resolver = resolve;
+  });
+  
+  const solicitar = () => {
+    window.parent.postMessage(crearMensajeHandshake('padre', {
+      handshake: 'solicitud',
+      iframeId: estado.iframeId,
+      nonce: estado.handshake.nonce
+    }), obtenerOrigenPadre());
+  };
+  
+  solicitar();
+  estado.handshake.intervalo = setInterval(solicitar, 1000);
+  logger.debug(`[Mensajeria] Handshake solicitado por ${estado.iframeId}`);
+}
+
+/**
+ * Marca el handshake como completado y procesa los mensajes que esperaban el token
+ */
+function completarHandshake() {
+  estado.handshake.completado = true;
+  clearInterval(estado.handshake.intervalo);
+  estado.handshake.resolver?.();
+  
+  const enEspera = estado.enEspera.splice(0);
+  enEspera.forEach(event => recibirMensaje(event));
+}
+
+/**
+ * Espera a que termine el handshake antes de enviar
+ * @returns {Promise<void>}
+ * @throws {Error} Con código NO_AUTORIZADO si el padre no entrega el token a tiempo
+ */
+async function esperarHandshake() {
+  if (estado.handshake.completado || esPaginaPadre()) {
+    return;
+  }
+  
+  iniciarHandshake();
+  let timeoutId;
+  const limite = new Promise((resolve, reject) => {
+    timeoutId = setTimeout(() => {
+      const error = new Error('El padre no ha entregado el token de sesión');
+      error.codigo = ERRORES_MENSAJERIA.NO_AUTORIZADO;
+      reject(error);
+    }, CONFIG.MENSAJERIA.SEGURIDAD.TIEMPO_HANDSHAKE);
+  });
+  
+  try {
+    await Promise.race([estado.handshake.promesa, limite]);
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+/**
+ * Gestiona los mensajes del handshake SISTEMA.INICIALIZACION.
+ * El padre solo entrega el token a sus propios iframes; el hijo solo lo acepta
+ * de su padre y en respuesta a su propia solicitud.
+ * @param {MessageEvent} event - Evento con la solicitud o la respuesta
+ */
+function manejarHandshake(event) {
+  const { origen, datos } = event.data;
+  
+  if (datos.handshake === 'solicitud' && esPaginaPadre()) {
+    const frame = Array.from(document.querySelectorAll('iframe'))
+      .find(iframe => iframe.contentWindow === event.source);
+    if (!frame) {
+      registrarRechazo('handshake de una ventana que no es un iframe propio', { origenEvento: event.origin, remitente: origen });
+      return;
+    }
+    
+    event.source.postMessage(crearMensajeHandshake(origen, {
+      handshake: 'respuesta',
+      nonce: datos.nonce,
+      token: obtenerTokenSesion()
+    }), event.origin);
+    logger.debug(`[Mensajeria] Token de sesión entregado a ${origen} (${frame.id})`);
+    return;
+  }
+  
+  if (datos.handshake === 'respuesta' && !esPaginaPadre()) {
+    if (event.source !== window.parent || datos.nonce !== estado.handshake.nonce || !datos.token) {
+      registrarRechazo('respuesta de handshake inesperada', { origenEvento: event.origin, remitente: origen });
+      return;
+    }
+    if (estado.handshake.completado) {
+      return;
+    }
+    
+    establecerTokenSesion(datos.token, event.origin);
+    logger.info(`[Mensajeria] Handshake completado con el padre (${event.origin})`);
+    completarHandshake();
+  }
+}
+
 /**
  * Inicializa el sistema de mensajería.
  * @param {Object} config - Configuración de mensajería
@@ -342,6 +427,12 @@ async function _inicializarMensajeria(config = {}) {
     // Configurar la función de envío de mensajes en logger
     configurarEnvioMensajes(enviarMensaje);
     
+    // Las alertas de latencia, errores y memoria se envían al padre
+    configurarMonitoreo({
+      iframeId: instancia.id,
+      enviarAlerta: (evento) => enviarMensaje('padre', TIPOS_MENSAJE.MONITOREO.EVENTO, evento)
+    });
+    
     // Configurar utilidades
     configurarUtils({ 
       iframeId: instancia.id, 
@@ -363,12 +454,38 @@ async function _inicializarMensajeria(config = {}) {
       window.addEventListener('message', recibirMensaje, false);
       estado.inicializado = true;
       
-      // Cargar mensajes pendientes del almacenamiento local
-      try {
-        cargarMensajesPendientes();
-      } catch (e) {
-        logger.warn('[Mensajeria] Error al cargar mensajes pendientes:', e);
+      // En modo desarrollo, dejar el informe de discrepancias con los esquemas a mano en la consola
+      if (estado.debug) {
+        window.obtenerInformeDiscrepancias = obtenerInformeDiscrepancias;
+        window.inspeccionarColaPendientes = inspeccionarColaPendientes;
+        window.exportarSesionMensajeria = exportarSesionMensajeria;
+      }
+      
+      // Solo al depurar (?depurar=1): grabar la sesión para exportarla y reproducirla, y
+      // publicar el tráfico y el estado de esta página para el inspector de debug.html, que
+      // además puede inyectar mensajes
+      if (depuracionActivada()) {
+        activarGrabacion(true);
+        conectarSonda({
+          iframeId: estado.iframeId || 'padre',
+          obtenerEstado: obtenerEstadoInspector,
+          inyectar: enviarMensaje
+        });
       }
+      
+      // El padre crea el token de sesión; los hijos lo piden con el handshake
+      if (esPaginaPadre()) {
+        establecerTokenSesion(generarTokenSesion());
+        completarHandshake();
+      } else {
+        iniciarHandshake();
+      }
+      
+      // Retomar los mensajes pendientes de la cola persistente y reenviarlos al recuperar la conexión
+      cargarMensajesPendientes().catch(e => {
+        logger.warn('[Mensajeria] Error al cargar mensajes pendientes:', e);
+      });
+      window.addEventListener('online', procesarMensajesPendientes);
     }
     
     // Marcar como inicializado
@@ -451,14 +568,29 @@ async function _enviarMensaje(destino, tipo, datos = {}) {
         logger.warn(`[Mensajeria] El tipo de mensaje '${tipo}' no está en la lista de tipos válidos`);
     }
     
+    // Validar los datos contra el esquema del tipo antes de enviarlos
+    const validacionDatos = validarDatosMensaje(tipo, datos);
+    if (!validacionDatos.valido) {
+        anotarDiscrepancia(window.IFRAME_ID || estado.iframeId || 'padre', tipo, 'envio', validacionDatos);
+        const error = new Error(validacionDatos.motivo);
+        error.codigo = validacionDatos.codigo;
+        error.detalles = validacionDatos.detalles;
+        error.recuperable = false;
+        logger.error('[Mensajeria] Error en _enviarMensaje:', error.message, { destino, tipo });
+        throw error;
+    }
+    
     // Validar si estamos inicializados
     if (!verificarInicializado()) {
         logger.warn('[Mensajeria] Intentando enviar mensaje sin inicializar');
         await inicializarMensajeria();
     }
     
-    // Generar ID único para este mensaje
-    const mensajeId = generarIdUnico(tipo.split('.')[0].toLowerCase());
+    // Los hijos no envían nada hasta tener el token de sesión del padre
+    await esperarHandshake();
+    
+    // Generar ID único para este mensaje (o conservar el de llamar())
+    const mensajeId = datos.mensajeId || generarIdUnico(tipo.split('.')[0].toLowerCase());
     
     // Crear el mensaje en formato estándar v3.0
     const mensaje = {
@@ -471,43 +603,52 @@ async function _enviarMensaje(destino, tipo, datos = {}) {
         },
         timestamp: Date.now(),
         version: '3.0', // Actualizado a versión 3.0
-        contentHash: generarHashContenido(tipo, datos)
+        contentHash: generarHashContenido(tipo, datos),
+        token: obtenerTokenSesion()
     };
     
-    // Si el mensaje requiere confirmación o es un mensaje crítico, usamos enfoque con ACK/NACK
-    if (datos.requireConfirmation || MENSAJES_CRITICOS.includes(tipo)) {
+    // Si el mensaje requiere confirmación o es un mensaje crítico, usamos enfoque con ACK/NACK.
+    // No aplica a los envíos del propio enviarMensajeConACK (ya llevan solicitudId) ni a las
+    // llamadas de llamar(), cuya respuesta hace de confirmación, ni a los latidos de
+    // supervisor-hijos.js, que se responden con SISTEMA.PONG y no deben reintentarse.
+    if ((datos.requireConfirmation || MENSAJES_CRITICOS.includes(tipo)) &&
+        !datos.solicitudId && !datos.esperaRespuesta && !datos.latidoId) {
         // Usar el nuevo sistema de ACK/NACK para mensajes críticos
         return await enviarMensajeConACK(destino, tipo, datos);
     }
     
     try {
         // Validar mensaje
-        if (!validarMensaje(mensaje)) {
+        if (!validarMensaje(mensaje, 'envio')) {
             throw new Error('Mensaje no válido');
         }
         
-        // Enviar mensaje
+        // Enviar mensaje, siempre a un origen concreto de la lista de permitidos
         if (destino === 'padre') {
             // Enviar al padre
-            window.parent.postMessage(mensaje, '*');
+            window.parent.postMessage(mensaje, obtenerOrigenPadre());
         } else if (destino === 'todos') {
-            // Enviar a todos los iframes
-            estado.iframes.forEach(iframe => {
-                const frame = document.getElementById(iframe.id);
-                if (frame && frame.contentWindow) {
-                    frame.contentWindow.postMessage(mensaje, '*');
-                }
-            });
+            // Enviar a todos los iframes (los configurados o, si no hay, todos los de la página)
+            const frames = estado.iframes.length > 0
+                ? estado.iframes.map(iframe => document.getElementById(iframe.id))
+                : Array.from(document.querySelectorAll('iframe'));
+            frames.forEach(frame => publicarEnIframe(frame, mensaje));
         } else {
             // Enviar a un iframe específico
             const frame = document.getElementById(destino);
             if (frame && frame.contentWindow) {
-                frame.contentWindow.postMessage(mensaje, '*');
+                if (!publicarEnIframe(frame, mensaje)) {
+                    const error = new Error(`Origen no permitido para el destino: ${destino}`);
+                    error.codigo = ERRORES_MENSAJERIA.NO_AUTORIZADO;
+                    throw error;
+                }
             } else {
                 throw new Error(`Destino no encontrado: ${destino}`);
             }
         }
         
+        publicarTrafico(grabarMensaje('envio', mensaje.origen, mensaje));
+        
         // Problema #6: Usar una función segura para logs de objetos grandes/complejos
         logMensajeSeguro(`[Mensajeria] Mensaje enviado a ${destino}:`, mensaje);
         return mensaje;
@@ -517,28 +658,6 @@ async function _enviarMensaje(destino, tipo, datos = {}) {
     }
 }
 
-/**
- * Determina si un mensaje recibido es externo (por ejemplo, de extensiones como Grammarly)
- * @param {Object} msg - Mensaje recibido
- * @returns {boolean} True si es externo y debe ser ignorado
- */
-function esMensajeExterno(msg) {
-    // Ignorar mensajes de extensiones conocidas (ejemplo: Grammarly, React DevTools, etc.)
-    if (!msg || typeof msg !== 'object') return true;
-    // Grammarly
-    if (msg.hasOwnProperty('isTrusted') && msg.hasOwnProperty('data') && typeof msg.data === 'string' && msg.data.startsWith('{"event":')) {
-        return true;
-    }
-    // React DevTools
-    if (msg.source === 'react-devtools-content-script') {
-        return true;
-    }
-    // Mensajes de postMessage sin los campos esperados
-    if (!msg.tipo && !msg.type) return true;
-    // Otros casos: puedes añadir más filtros aquí si aparecen más extensiones problemáticas
-    return false;
-}
-
 /**
  * Valida el formato de un mensaje recibido
  * @param {Object} msg - El mensaje a validar
@@ -552,65 +671,60 @@ function esMensajeExterno(msg) {
  * @returns {boolean} - True si el mensaje es válido
  */
 function validarMensaje(msg, source = 'desconocido') {
-    // Verificar que el mensaje es un objeto
-    if (!msg || typeof msg !== 'object') {
-        logger.warn(`[${source}] [Mensajeria] Mensaje no es un objeto`, { msg });
-        return false;
-    }
-    
-    // Filtrar mensajes de extensiones externas como Grammarly
-    if (esMensajeExterno(msg)) {
-        logger.debug(`[${source}] [Mensajeria] Mensaje externo ignorado`, { type: msg.type });
-        return false;
-    }
-    
-    // Verificar campos obligatorios del formato estándar
-    const requiredFields = ['tipo', 'origen', 'destino', 'datos', 'timestamp'];
-    const missingFields = requiredFields.filter(field => !msg.hasOwnProperty(field));
-    
-    if (missingFields.length > 0) {
-        logger.warn(`[${source}] [Mensajeria] Mensaje inválido: faltan campos requeridos`, { 
-            missingFields, 
-            msg 
-        });
-        return false;
-    }
-    
-    // Verificar que el tipo de mensaje sea válido (formato CATEGORIA.ACCION)
-    const tipoRegex = /^[A-Z0-9_]+\.[A-Z0-9_]+$/;
-    if (!tipoRegex.test(msg.tipo)) {
-        logger.warn(`[${source}] [Mensajeria] Formato de tipo de mensaje inválido`, {
-            tipo: msg.tipo,
-            formatoEsperado: 'CATEGORIA.ACCION'
-        });
-        return false;
+    const resultado = validarEstructuraMensaje(msg);
+    if (resultado.valido) {
+        return true;
     }
     
-    // Verificar que el tipo esté en la lista de tipos válidos
-    if (TIPOS_MENSAJE_VALIDOS && !TIPOS_MENSAJE_VALIDOS.includes(msg.tipo)) {
-        logger.warn(`[${source}] [Mensajeria] Tipo de mensaje no válido`, { 
-            tipo: msg.tipo
-        });
-        return false;
+    // Los mensajes de extensiones externas como Grammarly solo se registran en debug
+    if (resultado.externo) {
+        logger.debug(`[${source}] [Mensajeria] ${resultado.motivo}`, resultado.detalles);
+    } else {
+        logger.warn(`[${source}] [Mensajeria] ${resultado.motivo}`, resultado.detalles);
+        anotarDiscrepancia(msg.origen || msg.datos?.origen, msg.tipo, source, resultado);
     }
-    
-    // Verificar que datos sea un objeto
-    if (typeof msg.datos !== 'object' || msg.datos === null) {
-        logger.warn(`[${source}] [Mensajeria] Campo 'datos' no es un objeto`, { 
-            datos: msg.datos 
-        });
-        return false;
+    return false;
+}
+
+/**
+ * Anota una discrepancia con los esquemas y, en modo desarrollo, la muestra la primera vez
+ * @param {string} origen - Componente que envió el mensaje
+ * @param {string} tipo - Tipo de mensaje
+ * @param {string} lado - 'envio' o 'recepcion'
+ * @param {Object} resultado - Resultado de la validación fallida
+ */
+function anotarDiscrepancia(origen, tipo, lado, resultado) {
+    const nueva = registrarDiscrepancia({ origen, tipo, lado, resultado });
+    if (nueva && estado.debug) {
+        logger.warn(`[Mensajeria] Discrepancia con el esquema (${lado}) de ${origen} en ${tipo}: ${resultado.motivo}`,
+            resultado.detalles);
     }
+}
+
+/**
+ * Rechaza con NACK un mensaje cuyos datos no cumplen el esquema de su tipo
+ * @param {Object} mensaje - Mensaje recibido
+ * @param {Object} resultado - Resultado de validarDatosMensaje
+ */
+function rechazarDatosInvalidos(mensaje, resultado) {
+    anotarDiscrepancia(mensaje.origen, mensaje.tipo, 'recepcion', resultado);
+    logger.warn(`[Mensajeria] Datos inválidos de ${mensaje.origen}: ${resultado.motivo}`, resultado.detalles);
     
-    // Verificar que el timestamp sea un número válido
-    if (typeof msg.timestamp !== 'number' || isNaN(msg.timestamp)) {
-        logger.warn(`[${source}] [Mensajeria] Timestamp inválido`, { 
-            timestamp: msg.timestamp 
-        });
-        return false;
+    // No responder a las propias confirmaciones para no crear bucles
+    if (!mensaje.origen || mensaje.tipo === TIPOS_MENSAJE.SISTEMA.ACK || mensaje.tipo === TIPOS_MENSAJE.SISTEMA.NACK) {
+        return;
     }
     
-    return true;
+    enviarNACK(mensaje, {
+        solicitudId: mensaje.datos?.solicitudId,
+        codigo: resultado.codigo,
+        mensaje: resultado.mensaje,
+        motivo: resultado.motivo,
+        detalles: resultado.detalles,
+        recuperable: false
+    }).catch(error => {
+        logger.error('[Mensajeria] Error al enviar NACK por datos inválidos:', error);
+    });
 }
 
 /**
@@ -621,8 +735,52 @@ function recibirMensaje(event) {
     const mensaje = event.data;
     
     try {
+        // Solo se aceptan mensajes de orígenes permitidos
+        if (!esOrigenPermitido(event.origin)) {
+            if (!esMensajeExterno(mensaje)) {
+                registrarRechazo('origen no permitido', { origenEvento: event.origin, tipo: mensaje?.tipo, remitente: mensaje?.origen });
+            }
+            return;
+        }
+        
+        // Los avisos de puzzle.html son de motor-retos.js, no sobres de mensajería
+        if (mensaje?.protocolo === PROTOCOLO_PUZZLE.NOMBRE) {
+            return;
+        }
+        
         // Validar mensaje
-        if (!validarMensaje(mensaje)) {
+        if (!validarMensaje(mensaje, 'recepcion')) {
+            return;
+        }
+        
+        // Se graban solo los mensajes aceptados, para que una reproducción no convierta en
+        // válido un mensaje que se rechazó
+        const grabarRecepcion = () => publicarTrafico(grabarMensaje('recepcion', estado.iframeId || 'padre', mensaje, {
+            origenEvento: event.origin,
+            ...(estado.reproduciendo ? { reproducido: true } : {})
+        }));
+        
+        // El handshake es el único mensaje que se acepta sin token
+        if (mensaje.tipo === TIPOS_MENSAJE.SISTEMA.INICIALIZACION && mensaje.datos?.handshake) {
+            grabarRecepcion();
+            manejarHandshake(event);
+            return;
+        }
+        
+        // Mensajes del padre que llegan antes de tener el token: se procesan al terminar el handshake
+        if (!estado.handshake.completado && event.source === window.parent && mensaje.token) {
+            if (estado.enEspera.length < CONFIG.MENSAJERIA.SEGURIDAD.MAX_EN_ESPERA) {
+                estado.enEspera.push(event);
+            }
+            return;
+        }
+        
+        if (!tieneTokenValido(mensaje)) {
+            registrarRechazo(mensaje.token ? 'token de sesión inválido' : 'mensaje sin token de sesión', {
+                origenEvento: event.origin,
+                tipo: mensaje.tipo,
+                remitente: mensaje.origen
+            });
             return;
         }
         
@@ -677,8 +835,22 @@ function recibirMensaje(event) {
         
         logger.debug(`[Mensajeria] Mensaje recibido de ${mensaje.origen}:`, mensaje);
         
+        // Validar los datos contra el esquema del tipo; si no cumplen, responder con NACK
+        const validacionDatos = validarDatosMensaje(mensaje.tipo, mensaje.datos);
+        if (!validacionDatos.valido) {
+            rechazarDatosInvalidos(mensaje, validacionDatos);
+            return;
+        }
+        
+        grabarRecepcion();
+        
+        // Respuestas a llamadas de llamar()
+        if (resolverLlamada(mensaje)) {
+            return;
+        }
+        
         // Manejar ping directamente para optimizar tiempo de respuesta
-        if (mensaje.tipo === 'SISTEMA.PING') {
+        if (mensaje.tipo === 'SISTEMA.PING' && !mensaje.datos?.solicitudId && !mensaje.datos?.esperaRespuesta) {
             const respuesta = manejarPing(mensaje);
             enviarMensaje(mensaje.origen, 'SISTEMA.PONG', respuesta).catch(error => {
                 // Problema #3: Estandarizar el nombre de la variable de error
@@ -687,51 +859,181 @@ function recibirMensaje(event) {
             return;
         }
         
-        // Buscar manejador para este tipo de mensaje
-        const manejador = estado.manejadores.get(mensaje.tipo);
-        if (manejador) {
-            // Ejecutar manejador y enviar respuesta al origen si hay datos
-            try {
-                const resultado = manejador(mensaje);
-                // Si el manejador devuelve un valor (no undefined), enviar respuesta al origen
-                if (resultado !== undefined && mensaje.datos?.mensajeId) {
-                    // Solo enviar respuesta si hay un ID de mensaje para referenciar
-                    enviarMensaje(mensaje.origen, TIPOS_MENSAJE.SISTEMA.CONFIRMACION, {
-                        mensajeOriginalId: mensaje.datos.mensajeId,
-                        tipoOriginal: mensaje.tipo,
-                        resultado,
-                        timestamp: Date.now()
-                    }).catch(error => {
-                        // Problema #3: Estandarizar el nombre de la variable de error
-                        logger.error('Error al enviar confirmación de mensaje:', error);
-                    });
-                }
-            } catch (error) {
-                // Problema #3: Estandarizar el nombre de la variable de error
-                logger.error(`[Mensajeria] Error en manejador para ${mensaje.tipo}:`, error);
-                // Enviar error al origen si hay un ID de mensaje
-                if (mensaje.datos?.mensajeId) {
-                    enviarMensaje(mensaje.origen, TIPOS_MENSAJE.SISTEMA.ERROR, {
-                        mensajeOriginalId: mensaje.datos.mensajeId,
-                        tipoOriginal: mensaje.tipo,
-                        error: error.message,
-                        stack: error.stack,
-                        timestamp: Date.now()
-                    }).catch(error => {
-                        // Problema #3: Estandarizar el nombre de la variable de error
-                        logger.error('Error al enviar notificación de error:', error);
-                    });
-                }
-            }
-        } else {
-            logger.warn(`[Mensajeria] No hay manejador para el tipo: ${mensaje.tipo}`);
-        }
+        despacharMensaje(mensaje);
     } catch (error) {
         // Problema #3: Estandarizar el nombre de la variable de error
         logger.error('[Mensajeria] Error al procesar mensaje:', error);
     }
 }
 
+// Tipos que responden a otro mensaje y nunca generan respuesta propia
+const TIPOS_RESPUESTA = [
+    TIPOS_MENSAJE.SISTEMA.ACK,
+    TIPOS_MENSAJE.SISTEMA.NACK,
+    TIPOS_MENSAJE.SISTEMA.CONFIRMACION
+];
+
+/**
+ * Devuelve las suscripciones que reciben un tipo de mensaje: primero el manejador interno
+ * y después las de registrarControlador por prioridad (mayor antes) y orden de registro.
+ * Las suscripciones de una sola vez se retiran aquí, antes de ejecutarse.
+ * @param {string} tipo - Tipo de mensaje
+ * @returns {Array<{controlador: Function, patron: string, exacto: boolean}>} Suscripciones
+ */
+function obtenerManejadores(tipo) {
+    const interno = estado.manejadores.get(tipo);
+    const coincidentes = suscripciones
+        .filter(s => (s.expresion ? s.expresion.test(tipo) : s.patron === tipo))
+        .sort((a, b) => (b.prioridad - a.prioridad) || (a.orden - b.orden));
+    
+    const unaVez = coincidentes.filter(s => s.unaVez);
+    if (unaVez.length > 0) {
+        suscripciones = suscripciones.filter(s => !unaVez.includes(s));
+    }
+    
+    return [
+        ...(interno ? [{ controlador: interno, patron: tipo, exacto: true }] : []),
+        ...coincidentes.map(s => ({ controlador: s.controlador, patron: s.patron, exacto: !s.expresion }))
+    ];
+}
+
+/**
+ * Convierte un error en datos que se pueden enviar por postMessage
+ * @param {Error} error - Error lanzado por un manejador
+ * @returns {{codigo: (string|number), mensaje: string, nombre: string, detalles: *}} Error serializable
+ */
+function serializarError(error) {
+    return {
+        codigo: error?.codigo ?? ERRORES_MENSAJERIA.ERROR_REMOTO,
+        mensaje: error?.message || String(error),
+        nombre: error?.name || 'Error',
+        detalles: error?.detalles ?? null
+    };
+}
+
+/**
+ * Ejecuta los manejadores de un mensaje y responde al origen:
+ * - llamadas de llamar(): SISTEMA.CONFIRMACION con el resultado o SISTEMA.ERROR con el error
+ * - mensajes críticos (con solicitudId): SISTEMA.ACK o SISTEMA.NACK
+ * Los manejadores pueden devolver un valor o una promesa; el resultado es el primer valor definido.
+ * Se ejecutan todos aunque alguno falle; el primer error es el que se responde.
+ * Las suscripciones con comodín ('NAVEGACION.*', '*') solo observan: si ninguna suscripción
+ * exacta recibe el mensaje y los comodines no devuelven nada, se trata como sin manejador.
+ * @param {Object} mensaje - Mensaje recibido y validado
+ * @returns {Promise<void>}
+ */
+async function despacharMensaje(mensaje) {
+    const { mensajeId, solicitudId, esperaRespuesta } = mensaje.datos || {};
+    const manejadores = obtenerManejadores(mensaje.tipo);
+    
+    const responder = (tipo, datos) => enviarMensaje(mensaje.origen, tipo, {
+        mensajeOriginalId: mensajeId,
+        tipoOriginal: mensaje.tipo,
+        ...datos,
+        timestamp: Date.now()
+    }).catch(error => {
+        logger.error(`[Mensajeria] Error al responder a ${mensaje.tipo}:`, error);
+    });
+    
+    let resultado;
+    let primerError = null;
+    for (const { controlador, patron } of manejadores) {
+        try {
+            const valor = await controlador(mensaje);
+            if (resultado === undefined) {
+                resultado = valor;
+            }
+        } catch (error) {
+            // Problema #3: Estandarizar el nombre de la variable de error
+            logger.error(`[Mensajeria] Error en manejador ${patron} para ${mensaje.tipo}:`, error);
+            primerError = primerError || error;
+        }
+    }
+    
+    if (!primerError && resultado === undefined && !manejadores.some(m => m.exacto)) {
+        // Las confirmaciones sin llamada pendiente (ya resueltas o de otro emisor) se ignoran
+        if (TIPOS_RESPUESTA.includes(mensaje.tipo)) {
+            return;
+        }
+        logger.warn(`[Mensajeria] No hay manejador para el tipo: ${mensaje.tipo}`);
+        if (esperaRespuesta) {
+            responder(TIPOS_MENSAJE.SISTEMA.ERROR, {
+                error: {
+                    codigo: ERRORES_MENSAJERIA.SIN_MANEJADOR,
+                    mensaje: `${estado.iframeId} no tiene manejador para ${mensaje.tipo}`,
+                    nombre: 'Error',
+                    detalles: null
+                }
+            });
+        } else if (solicitudId) {
+            // El mensaje se ha entregado aunque nadie lo procese
+            enviarACK(mensaje, { solicitudId, estado: 'sin_manejador' }).catch(() => {});
+        }
+        return;
+    }
+    
+    if (primerError) {
+        const datosError = serializarError(primerError);
+        if (esperaRespuesta) {
+            responder(TIPOS_MENSAJE.SISTEMA.ERROR, { error: datosError });
+        } else if (solicitudId) {
+            // No se reintenta: el manejador ya se ha ejecutado
+            enviarNACK(mensaje, { solicitudId, ...datosError, recuperable: false }).catch(() => {});
+        }
+    } else if (esperaRespuesta) {
+        responder(TIPOS_MENSAJE.SISTEMA.CONFIRMACION, { resultado: resultado ?? null });
+    } else if (solicitudId) {
+        enviarACK(mensaje, { solicitudId, resultado: resultado ?? null }).catch(error => {
+            logger.error('[Mensajeria] Error al enviar ACK:', error);
+        });
+    }
+}
+
+/**
+ * Crea un error de llamada con código de ERRORES_MENSAJERIA
+ * @param {string|number} codigo - Código del error
+ * @param {string} mensaje - Descripción
+ * @param {Object} [detalles] - Tipo, destino, mensajeId...
+ * @returns {Error} Error con `name` 'ErrorLlamada', `codigo` y `detalles`
+ */
+function crearErrorLlamada(codigo, mensaje, detalles = {}) {
+    const error = new Error(mensaje);
+    error.name = 'ErrorLlamada';
+    error.codigo = codigo;
+    error.detalles = detalles;
+    return error;
+}
+
+/**
+ * Resuelve o rechaza la llamada pendiente a la que responde un mensaje
+ * @param {Object} mensaje - Mensaje recibido
+ * @returns {boolean} True si el mensaje era la respuesta de una llamada pendiente
+ */
+function resolverLlamada(mensaje) {
+    const { tipo, datos = {} } = mensaje;
+    const llamada = datos.mensajeOriginalId && estado.llamadas.get(datos.mensajeOriginalId);
+    if (!llamada) {
+        return false;
+    }
+    
+    if (tipo === TIPOS_MENSAJE.SISTEMA.CONFIRMACION) {
+        llamada.terminar(null, datos.resultado);
+    } else if (tipo === TIPOS_MENSAJE.SISTEMA.ERROR || tipo === TIPOS_MENSAJE.SISTEMA.NACK) {
+        // Los NACK de validación traen el error en la raíz de datos
+        const remoto = datos.error || datos;
+        const error = crearErrorLlamada(
+            remoto.codigo ?? ERRORES_MENSAJERIA.ERROR_REMOTO,
+            remoto.mensaje || remoto.motivo || `Error en ${llamada.destino} al procesar ${llamada.tipo}`,
+            { tipo: llamada.tipo, destino: llamada.destino, remoto: remoto.detalles ?? null }
+        );
+        error.remoto = true;
+        llamada.terminar(error);
+    } else {
+        return false;
+    }
+    return true;
+}
+
 /**
  * Limpia los recursos de mensajería.
  */
@@ -744,98 +1046,160 @@ function limpiarMensajeria() {
     estado.instancias.clear();
     // Problema #10: Limpiar también los mensajes procesados
     estado.mensajesProcesados.clear();
+    desconectarSonda();
+    detenerMonitoreo();
+    // La cola de pendientes sigue en IndexedDB; solo se detiene su reenvío
+    window.removeEventListener('online', procesarMensajesPendientes);
+    clearTimeout(estado.temporizadorPendientes);
+    estado.temporizadorPendientes = null;
+    // Cancelar las llamadas que siguen esperando respuesta
+    estado.llamadas.forEach(llamada => llamada.terminar(
+      crearErrorLlamada(ERRORES_MENSAJERIA.CANCELADO, 'Mensajería cerrada', { tipo: llamada.tipo, destino: llamada.destino })
+    ));
     logger.debug(`[Mensajeria] Recursos liberados para ${estado.iframeId}`);
   }
 }
 
 /**
- * Envía un mensaje y espera confirmación de recepción
- * @param {string} destino - ID del iframe destino o 'padre'/'todos'
- * @param {string} tipo - Tipo de mensaje
- * @param {Object} datos - Datos del mensaje
- * @param {Object} opciones - Opciones adicionales
- * @param {number} opciones.timeout - Timeout en ms para la confirmación (default: 5000)
- * @param {boolean} opciones.silencioso - No lanzar error si no hay confirmación (default: false)
- * @returns {Promise<Object>} - Confirmación recibida
+ * Estado de la mensajería de esta página para el inspector de debug.html
+ * @returns {Promise<Object>} - Handshake, ACKs y llamadas pendientes, cola y suscripciones
  */
-async function enviarMensajeConConfirmacion(destino, tipo, datos = {}, opciones = {}) {
-  const timeout = opciones.timeout || 5000;
-  const silencioso = opciones.silencioso || false;
+async function obtenerEstadoInspector() {
+  return {
+    iframeId: estado.iframeId,
+    handshake: estado.handshake.completado,
+    acksPendientes: Array.from(estado.acksPendientes, ([solicitudId, ack]) => ({ solicitudId, ...ack })),
+    llamadasPendientes: Array.from(estado.llamadas.values(), llamada => ({ tipo: llamada.tipo, destino: llamada.destino })),
+    cola: await obtenerResumenCola(estado.iframeId || 'padre'),
+    suscripciones: suscripciones.map(s => s.patron)
+  };
+}
+
+/**
+ * Reúne la grabación de mensajes de esta página y, en el padre, la de los hijos
+ * @param {Object} [opciones] - Opciones de exportación
+ * @param {boolean} [opciones.descargar=true] - Descargar la sesión como archivo JSON
+ * @param {boolean} [opciones.incluirHijos=true] - Pedir la grabación a los iframes (solo en el padre)
+ * @param {Object} [opciones.metadatos] - Datos adicionales para el archivo (aventura, notas...)
+ * @returns {Promise<Object>} - Sesión con las entradas de todas las páginas ordenadas por tiempo
+ */
+async function exportarSesionMensajeria(opciones = {}) {
+  const { descargar = true, incluirHijos = true, metadatos = {} } = opciones;
+  const entradas = [...obtenerGrabacion()];
+  const sinRespuesta = [];
+  
+  if (incluirHijos && esPaginaPadre()) {
+    const hijos = Array.from(document.querySelectorAll('iframe[id]'), frame => frame.id);
+    const respuestas = await Promise.allSettled(hijos.map(hijo =>
+      llamar(hijo, TIPOS_MENSAJE.SISTEMA.DIAGNOSTICO, { accion: 'obtener_grabacion' }, { timeout: 2000 })
+    ));
+    respuestas.forEach((respuesta, i) => {
+      if (respuesta.status === 'fulfilled' && Array.isArray(respuesta.value?.entradas)) {
+        entradas.push(...respuesta.value.entradas);
+      } else {
+        sinRespuesta.push(hijos[i]);
+      }
+    });
+  }
   
-  // Problema #9: Validar si estamos inicializados
-  if (!verificarInicializado()) {
-    logger.warn('[Mensajeria] Intentando enviar mensaje con confirmación sin inicializar');
-    await inicializarMensajeria();
+  const sesion = crearSesion(entradas, { ...metadatos, exportadaPor: estado.iframeId, sinRespuesta });
+  if (descargar) {
+    descargarSesion(sesion);
+  }
+  logger.info(`[Mensajeria] Sesión exportada: ${sesion.entradas.length} mensajes de ${sesion.iframes.join(', ')}`);
+  return sesion;
+}
+
+/**
+ * Reproduce en esta página los mensajes que recibió en una sesión grabada, con los mismos
+ * intervalos. Pensado para una copia local de codigo-padre.html: se inyectan los mensajes que
+ * recibió el padre (sin handshake ni confirmaciones) con el token de la sesión actual, así que
+ * solo se permite con la depuración activada (utils.js depuracionActivada).
+ * @param {Object} sesion - Sesión de exportarSesionMensajeria()
+ * @param {Object} [opciones] - Opciones de reproducción
+ * @param {number} [opciones.velocidad=1] - Factor de velocidad (2 = el doble de rápido)
+ * @param {string} [opciones.iframeId] - Página cuyos mensajes recibidos se reproducen (por defecto esta)
+ * @param {AbortSignal} [opciones.senal] - Señal para detener la reproducción
+ * @param {Function} [opciones.alReproducir] - Callback `(entrada, indice, total)` tras cada mensaje
+ * @returns {Promise<{reproducidos: number, total: number}>} - Resumen de la reproducción
+ */
+async function reproducirSesionMensajeria(sesion, opciones = {}) {
+  if (!depuracionActivada()) {
+    const error = new Error('La reproducción de sesiones requiere la depuración activada (?depurar=1)');
+    error.codigo = ERRORES_MENSAJERIA.NO_AUTORIZADO;
+    throw error;
   }
   
-  // Generar un ID único para este mensaje
-  const mensajeId = `msg-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+  if (!esSesionValida(sesion)) {
+    const error = new Error('El archivo no es una sesión de mensajería válida');
+    error.codigo = ERRORES_MENSAJERIA.FORMATO_INVALIDO;
+    throw error;
+  }
   
-  // Problema #7: Usar una variable para seguimiento del manejador temporal
-  const manejadorKey = `${TIPOS_MENSAJE.SISTEMA.CONFIRMACION}_${mensajeId}`;
-  let timeoutId = null;
+  const { velocidad = 1, senal, alReproducir } = opciones;
+  const receptor = opciones.iframeId || estado.iframeId || 'padre';
+  const entradas = sesion.entradas.filter(entrada =>
+    entrada.direccion === 'recepcion' &&
+    entrada.iframeId === receptor &&
+    !entrada.reproducido &&
+    !entrada.mensaje?.datos?.handshake &&
+    !TIPOS_RESPUESTA.includes(entrada.tipo)
+  );
   
-  try {
-    // Crear una promesa para esperar la confirmación
-    const confirmacionPromise = new Promise((resolve, reject) => {
-      // Manejador temporal para la confirmación
-      const manejadorConfirmacion = (mensaje) => {
-        if (mensaje.datos && mensaje.datos.mensajeOriginalId === mensajeId) {
-          // Quitar el manejador temporal y cancelar el timeout
-          estado.manejadores.delete(manejadorKey);
-          if (timeoutId) clearTimeout(timeoutId);
-          resolve(mensaje);
-        }
-      };
-      
-      // Registrar el manejador temporal
-      estado.manejadores.set(manejadorKey, manejadorConfirmacion);
-      
-      // Configurar timeout
-      timeoutId = setTimeout(() => {
-        // Quitar el manejador temporal
-        estado.manejadores.delete(manejadorKey);
-        
-        // Problema #5: Manejar mejor el caso silencioso
-        if (silencioso) {
-          // Resolver con un objeto que indica timeout, pero no es error
-          resolve({
-            timeout: true,
-            mensaje: `Timeout esperando confirmación para mensaje ${tipo} a ${destino}`,
-            timestamp: Date.now()
-          });
-        } else {
-          reject(new Error(`Timeout esperando confirmación para mensaje ${tipo} a ${destino}`));
-        }
-      }, timeout);
-    });
+  logger.info(`[Mensajeria] Reproduciendo ${entradas.length} mensajes recibidos por ${receptor}`);
+  let anterior = entradas.length > 0 ? entradas[0].t : 0;
+  
+  for (let i = 0; i < entradas.length; i++) {
+    const entrada = entradas[i];
+    await new Promise(resolve => setTimeout(resolve, Math.max(0, entrada.t - anterior) / velocidad));
+    anterior = entrada.t;
     
-    // Enviar el mensaje con el ID único
-    await _enviarMensaje(destino, tipo, {
-      ...datos,
-      mensajeId
-    });
+    if (senal?.aborted) {
+      throw crearErrorLlamada(ERRORES_MENSAJERIA.CANCELADO, 'Reproducción cancelada', { reproducidos: i, total: entradas.length });
+    }
     
-    // Esperar confirmación
-    return await confirmacionPromise;
+    // Que el control de duplicados no descarte los mensajes de una reproducción anterior
+    const mensaje = { ...entrada.mensaje, token: obtenerTokenSesion() };
+    estado.mensajesProcesados.delete(mensaje.datos?.mensajeId);
+    estado.hashesContenidoProcesados?.delete(mensaje.contentHash);
     
+    estado.reproduciendo = true;
+    try {
+      recibirMensaje({ data: mensaje, origin: location.origin, source: window });
+    } finally {
+      estado.reproduciendo = false;
+    }
+    alReproducir?.(entrada, i, entradas.length);
+  }
+  
+  return { reproducidos: entradas.length, total: sesion.entradas.length };
+}
+
+/**
+ * Envía un mensaje y espera la respuesta del manejador remoto (usa llamar())
+ * @param {string} destino - ID del iframe destino o 'padre'
+ * @param {string} tipo - Tipo de mensaje
+ * @param {Object} datos - Datos del mensaje
+ * @param {Object} opciones - Opciones adicionales
+ * @param {number} opciones.timeout - Timeout en ms para la confirmación (default: 5000)
+ * @param {boolean} opciones.silencioso - No lanzar error si no hay confirmación (default: false)
+ * @returns {Promise<*>} - Resultado devuelto por el manejador remoto
+ */
+async function enviarMensajeConConfirmacion(destino, tipo, datos = {}, opciones = {}) {
+  try {
+    return await llamar(destino, tipo, datos, { timeout: opciones.timeout || 5000 });
   } catch (error) {
-    // Problema #7: Limpiar manejador y timeout en caso de error
-    estado.manejadores.delete(manejadorKey);
-    if (timeoutId) clearTimeout(timeoutId);
-    
     logger.error(`Error en enviarMensajeConConfirmacion (${tipo} a ${destino}):`, error);
     
     // Problema #5: Manejar mejor el caso silencioso
-    if (silencioso) {
+    if (opciones.silencioso) {
       return {
-        error: true,
+        ...(error.codigo === ERRORES_MENSAJERIA.TIMEOUT ? { timeout: true } : { error: true }),
         mensaje: error.message,
         timestamp: Date.now()
       };
     }
     
-    // Problema #2: Eliminar código inalcanzable
     throw error;
   }
 }
@@ -920,9 +1284,12 @@ async function enviarMensajeConACK(destino, tipo, datos = {}, opciones = {}) {
     };
     
     let ultimoError = null;
+    estado.acksPendientes.set(solicitudId, { tipo, destino, intento: 1, desde: Date.now() });
     
     // Implementar sistema de reintentos mejorado
     for (let intento = 1; intento <= config.reintentos; intento++) {
+        estado.acksPendientes.get(solicitudId).intento = intento;
+        const inicioIntento = Date.now();
         try {
             if (!config.silencioso || intento === 1) {
                 logger.debug(`[Mensajeria] Enviando mensaje crítico (${solicitudId}) [${intento}/${config.reintentos}]:`, { 
@@ -958,6 +1325,11 @@ async function enviarMensajeConACK(destino, tipo, datos = {}, opciones = {}) {
                         return;
                     }
                     
+                    // Las respuestas también deben venir de un origen permitido y con el token
+                    if (!esOrigenPermitido(event.origin) || !tieneTokenValido(msg)) {
+                        return;
+                    }
+                    
                     // Verificar si es un ACK para este mensaje
                     if (msg.tipo === TIPOS_MENSAJE.SISTEMA.ACK && 
                         msg.datos?.solicitudId === solicitudId) {
@@ -982,16 +1354,16 @@ async function enviarMensajeConACK(destino, tipo, datos = {}, opciones = {}) {
                 window.addEventListener('message', manejadorRespuesta, false);
                 
                 // Enviar el mensaje
-                try {
-                    _enviarMensaje(destino, tipo, mensajeDatos);
-                } catch (error) {
+                _enviarMensaje(destino, tipo, mensajeDatos).catch(error => {
                     clearTimeout(timeoutId);
                     window.removeEventListener('message', manejadorRespuesta);
                     reject(error);
-                }
+                });
             });
             
             logger.debug(`[Mensajeria] ACK recibido para ${solicitudId}`, respuesta);
+            estado.acksPendientes.delete(solicitudId);
+            registrarResultadoMensaje(tipo, { exito: true, latencia: Date.now() - inicioIntento });
             return respuesta.datos || {};
             
         } catch (error) {
@@ -1030,26 +1402,16 @@ async function enviarMensajeConACK(destino, tipo, datos = {}, opciones = {}) {
     }
     
     // Si llegamos aquí, todos los reintentos han fallado
+    estado.acksPendientes.delete(solicitudId);
     logger.error(`[Mensajeria] Todos los reintentos fallaron para mensaje ${tipo} a ${destino}:`, ultimoError);
     
-    // Registrar métricas de fallo de mensajería si tenemos acceso al sistema de monitoreo
-    try {
-        if (typeof monitoring?.registrarMetrica === 'function') {
-            monitoring.registrarMetrica('mensajeria.fallos', 1, 'count');
-            monitoring.registrarMetrica(`mensajeria.fallos.${tipo.replace(/\./g, '_')}`, 1, 'count');
-        }
-        
-        if (typeof monitoring?.registrarEvento === 'function') {
-            monitoring.registrarEvento('mensajeria.fallo_comunicacion', {
-                tipo,
-                destino,
-                solicitudId: mensajeDatos.solicitudId,
-                reintentos: config.reintentos,
-                error: ultimoError?.message
-            }, 'error');
-        }
-    } catch (e) {
-        // Ignorar errores al registrar métricas
+    // Cuenta para la tasa de error del tipo (monitoreo.js)
+    registrarResultadoMensaje(tipo, { exito: false });
+    
+    // Guardar en la cola persistente para reenviarlo más tarde, salvo que el error no sea recuperable
+    let pendiente = false;
+    if (config.guardarEnPendientes && !config.intentoRecuperacion && ultimoError?.recuperable !== false) {
+        pendiente = await guardarMensajePendiente(destino, tipo, datos, config);
     }
     
     // Si el modo silencioso está activado, devolver un objeto de error detallado
@@ -1058,6 +1420,7 @@ async function enviarMensajeConACK(destino, tipo, datos = {}, opciones = {}) {
             error: true,
             mensaje: ultimoError?.message || 'Error desconocido',
             codigo: ultimoError?.codigo || 'ERROR_DESCONOCIDO',
+            pendienteId: pendiente ? pendiente.id : null,
             detalles: {
                 tipo,
                 destino,
@@ -1070,7 +1433,11 @@ async function enviarMensajeConACK(destino, tipo, datos = {}, opciones = {}) {
     }
     
     // En modo no silencioso, lanzar el error para que sea manejado por el llamador
-    throw ultimoError || new Error(`Error de comunicación al enviar mensaje ${tipo} a ${destino}`);
+    const errorFinal = ultimoError || new Error(`Error de comunicación al enviar mensaje ${tipo} a ${destino}`);
+    if (pendiente) {
+        errorFinal.pendienteId = pendiente.id;
+    }
+    throw errorFinal;
 }
 
 /**
@@ -1111,12 +1478,16 @@ async function enviarConfirmacion(mensajeOriginal, datos = {}) {
 }
 
 /**
- * Guarda un mensaje en la cola de pendientes para reintento posterior
+ * Guarda un mensaje en la cola persistente de pendientes para reenviarlo más tarde
  * @param {string} destino - El destino del mensaje
  * @param {string} tipo - El tipo de mensaje
  * @param {Object} datos - Los datos del mensaje
  * @param {Object} opciones - Opciones para el reintento
- * @returns {Object} - Información sobre el mensaje guardado
+ * @param {string} [opciones.tipoPendiente='normal'] - 'urgente', 'normal' o 'bajo'
+ * @param {number} [opciones.reintentosPendientes=10] - Reenvíos antes de descartar el mensaje
+ * @param {Function} [opciones.onSuccess] - Se llama al entregarse (solo en esta sesión)
+ * @param {Function} [opciones.onError] - Se llama al descartarse (solo en esta sesión)
+ * @returns {Promise<Object|false>} - `{id, enCola, timestamp}` o false si no cabe en la cola
  */
 async function guardarMensajePendiente(destino, tipo, datos = {}, opciones = {}) {
   try {
@@ -1125,95 +1496,29 @@ async function guardarMensajePendiente(destino, tipo, datos = {}, opciones = {})
       return false;
     }
     
-    // Comprobar si tenemos demasiados mensajes pendientes (máx 50 por defecto)
-    const maxPendientes = configGlobal?.MENSAJERIA?.COLA_PENDIENTES?.MAXIMO || 50;
-    if (estado.mensajesPendientes.length >= maxPendientes) {
-      const urgentes = estado.mensajesPendientes.filter(m => m.opciones.tipoPendiente === 'urgente').length;
-      const maxUrgentes = configGlobal?.MENSAJERIA?.COLA_PENDIENTES?.MAX_URGENTES || 10;
-      
-      // Si el mensaje es urgente y no hemos superado el límite de urgentes, eliminamos uno normal
-      if (opciones.tipoPendiente === 'urgente' && urgentes < maxUrgentes) {
-        // Eliminar el mensaje normal más antiguo
-        const indexAEliminar = estado.mensajesPendientes.findIndex(m => m.opciones.tipoPendiente !== 'urgente');
-        if (indexAEliminar >= 0) {
-          estado.mensajesPendientes.splice(indexAEliminar, 1);
-          logger.warn('[Mensajeria] Se eliminó un mensaje no urgente para dar espacio a uno urgente');
-        } else {
-          logger.error('[Mensajeria] Cola de mensajes pendientes llena, no se puede guardar mensaje urgente');
-          return false;
-        }
-      } else {
-        logger.error('[Mensajeria] Cola de mensajes pendientes llena, no se pudo guardar el mensaje');
-        return false;
-      }
-    }
-    
-    // Crear mensaje pendiente
-    const mensajePendiente = {
-      id: generarIdUnico('pendiente'),
+    const entrada = await encolarMensaje({
+      emisor: estado.iframeId || 'padre',
       destino,
       tipo,
-      datos: { ...datos }, // Copia para evitar referencias
-      opciones: {
-        ...opciones,
-        intentoRecuperacion: true, // Marcar como intento de recuperación
-        silencioso: true,          // Los reintentos automáticos son silenciosos
-        timestamp: Date.now(),
-        intentos: 0,
-        maxIntentos: opciones.reintentos || 10
-      }
-    };
-    
-    // Guardar en cola
-    estado.mensajesPendientes.push(mensajePendiente);
-    
-    // Almacenar en localStorage para persistencia si está disponible
-    try {
-      if (typeof localStorage !== 'undefined') {
-        // Obtener mensajes existentes
-        let mensajesGuardados = [];
-        const mensajesJson = localStorage.getItem('mensajeria_pendientes');
-        if (mensajesJson) {
-          try {
-            mensajesGuardados = JSON.parse(mensajesJson) || [];
-          } catch (e) {
-            logger.error('[Mensajeria] Error al parsear mensajes pendientes del localStorage', e);
-          }
-        }
-        
-        // Añadir nuevo mensaje y guardar
-        mensajesGuardados.push({
-          id: mensajePendiente.id,
-          destino: mensajePendiente.destino,
-          tipo: mensajePendiente.tipo,
-          datos: mensajePendiente.datos,
-          opciones: {
-            tipoPendiente: mensajePendiente.opciones.tipoPendiente,
-            timestamp: mensajePendiente.opciones.timestamp,
-            maxIntentos: mensajePendiente.opciones.maxIntentos
-          }
-        });
-        
-        // Limitar tamaño para no exceder límites de localStorage
-        if (mensajesGuardados.length > 100) {
-          mensajesGuardados = mensajesGuardados.slice(-100);
-        }
-        
-        localStorage.setItem('mensajeria_pendientes', JSON.stringify(mensajesGuardados));
-      }
-    } catch (e) {
-      logger.error('[Mensajeria] Error al guardar mensaje pendiente en localStorage', e);
+      datos,
+      prioridad: opciones.tipoPendiente,
+      maxIntentos: opciones.reintentosPendientes
+    });
+    if (!entrada) {
+      return false;
     }
     
-    logger.info(`[Mensajeria] Mensaje guardado en cola de pendientes (ID: ${mensajePendiente.id}): ${tipo} → ${destino}`);
+    if (opciones.onSuccess || opciones.onError) {
+      estado.callbacksPendientes.set(entrada.id, { onSuccess: opciones.onSuccess, onError: opciones.onError });
+    }
     
-    // Iniciar procesamiento de pendientes si no está en curso
+    logger.info(`[Mensajeria] Mensaje guardado en cola de pendientes (ID: ${entrada.id}): ${tipo} → ${destino}`);
     programarProcesamiento();
     
     return {
-      id: mensajePendiente.id,
+      id: entrada.id,
       enCola: true,
-      timestamp: mensajePendiente.opciones.timestamp
+      timestamp: entrada.creado
     };
   } catch (e) {
     logger.error('[Mensajeria] Error al guardar mensaje pendiente', e);
@@ -1221,192 +1526,133 @@ async function guardarMensajePendiente(destino, tipo, datos = {}, opciones = {})
   }
 }
 
+/**
+ * Ejecuta el callback de un pendiente encolado en esta sesión
+ * @param {string} id - Id del pendiente
+ * @param {string} nombre - 'onSuccess' u 'onError'
+ * @param {*} valor - Respuesta o error
+ */
+function ejecutarCallbackPendiente(id, nombre, valor) {
+  const callback = estado.callbacksPendientes.get(id)?.[nombre];
+  estado.callbacksPendientes.delete(id);
+  if (typeof callback === 'function') {
+    try {
+      callback(valor);
+    } catch (e) {
+      logger.error(`[Mensajeria] Error en callback ${nombre} de mensaje pendiente:`, e);
+    }
+  }
+}
+
 /**
  * Programa el procesamiento de mensajes pendientes
  * @param {number} retrasoMs - Retraso en milisegundos antes de procesar
  */
 function programarProcesamiento(retrasoMs) {
   // Si ya hay un procesamiento programado o en curso, no hacer nada
-  if (estado.procesandoPendientes) {
+  if (estado.procesandoPendientes || estado.temporizadorPendientes) {
     return;
   }
   
-  // Determinar retraso (usar valor predeterminado si no se especifica)
-  const retraso = retrasoMs || configGlobal?.MENSAJERIA?.COLA_PENDIENTES?.INTERVALO || 5000;
-  
-  // Programar procesamiento
-  setTimeout(procesarMensajesPendientes, retraso);
+  const retraso = retrasoMs ?? configGlobal.MENSAJERIA.COLA_PENDIENTES.INTERVALO;
+  estado.temporizadorPendientes = setTimeout(() => {
+    estado.temporizadorPendientes = null;
+    procesarMensajesPendientes();
+  }, retraso);
 }
 
 /**
- * Procesa los mensajes pendientes intentando reenviarlos
+ * Reenvía un lote de la cola de pendientes (urgentes primero).
+ * El backoff entre reenvíos lo lleva la cola, así que cada reenvío es un único intento.
  */
 async function procesarMensajesPendientes() {
-  if (estado.procesandoPendientes || estado.mensajesPendientes.length === 0) {
+  if (estado.procesandoPendientes) {
     return;
   }
   
   estado.procesandoPendientes = true;
-  estado.ultimoProcesamiento = Date.now();
-  
   try {
-    logger.debug(`[Mensajeria] Procesando cola de mensajes pendientes (${estado.mensajesPendientes.length} mensajes)`);
-    
-    // Ordenar por prioridad (urgente > normal > bajo)
-    const prioridades = { 'urgente': 0, 'normal': 1, 'bajo': 2 };
-    estado.mensajesPendientes.sort((a, b) => {
-      const prioridadA = prioridades[a.opciones.tipoPendiente] || 1;
-      const prioridadB = prioridades[b.opciones.tipoPendiente] || 1;
-      return prioridadA - prioridadB;
-    });
-    
-    // Tomar solo los primeros N mensajes para no bloquear demasiado tiempo
-    const lote = estado.mensajesPendientes.slice(0, configGlobal?.MENSAJERIA?.COLA_PENDIENTES?.LOTE || 5);
+    const lote = await obtenerLoteListo(estado.iframeId || 'padre');
+    if (lote.length > 0) {
+      logger.debug(`[Mensajeria] Reenviando ${lote.length} mensajes pendientes`);
+    }
     
-    // Procesar cada mensaje
-    for (const mensaje of lote) {
+    for (const pendiente of lote) {
       try {
-        mensaje.opciones.intentos++;
-        
-        // Si se superó el número máximo de intentos, eliminar de la cola
-        if (mensaje.opciones.intentos > mensaje.opciones.maxIntentos) {
-          estado.mensajesPendientes = estado.mensajesPendientes.filter(m => m.id !== mensaje.id);
-          logger.warn(`[Mensajeria] Mensaje eliminado de la cola tras ${mensaje.opciones.intentos - 1} intentos: ${mensaje.tipo} → ${mensaje.destino}`);
-          continue;
-        }
-        
-        // Calcular backoff exponencial con jitter
-        const factor = configGlobal?.MENSAJERIA?.COLA_PENDIENTES?.FACTOR_BACKOFF || 1.5;
-        const baseRetraso = configGlobal?.MENSAJERIA?.COLA_PENDIENTES?.RETRASO_BASE || 1000;
-        const maxRetraso = configGlobal?.MENSAJERIA?.COLA_PENDIENTES?.MAX_RETRASO || 30000;
-        
-        const retraso = Math.min(baseRetraso * Math.pow(factor, mensaje.opciones.intentos - 1), maxRetraso);
-        const jitter = 0.5 + Math.random();
-        const retrasoFinal = Math.floor(retraso * jitter);
-        
-        logger.debug(`[Mensajeria] Reintento ${mensaje.opciones.intentos}/${mensaje.opciones.maxIntentos} para mensaje ${mensaje.tipo} → ${mensaje.destino} (espera: ${retrasoFinal}ms)`);
-        
-        // Intentar enviar el mensaje
-        try {
-          await enviarMensajeConACK(
-            mensaje.destino,
-            mensaje.tipo,
-            mensaje.datos,
-            mensaje.opciones
-          );
-          
-          // Si llegamos aquí, el mensaje se envió con éxito
-          logger.info(`[Mensajeria] Mensaje pendiente enviado con éxito en el intento ${mensaje.opciones.intentos}: ${mensaje.tipo} → ${mensaje.destino}`);
-          
-          // Eliminar de la cola
-          estado.mensajesPendientes = estado.mensajesPendientes.filter(m => m.id !== mensaje.id);
-        } catch (error) {
-          // Si el error no es recuperable, eliminar de la cola
-          if (error.recuperable === false) {
-            estado.mensajesPendientes = estado.mensajesPendientes.filter(m => m.id !== mensaje.id);
-            logger.warn(`[Mensajeria] Mensaje eliminado de la cola por error no recuperable: ${error.message}`);
-          } else {
-            logger.debug(`[Mensajeria] Reintento fallido (${mensaje.opciones.intentos}/${mensaje.opciones.maxIntentos}): ${error.message}`);
-          }
+        const respuesta = await enviarMensajeConACK(pendiente.destino, pendiente.tipo, pendiente.datos, {
+          reintentos: 1,
+          intentoRecuperacion: true,
+          guardarEnPendientes: false
+        });
+        await eliminarMensaje(pendiente.id);
+        logger.info(`[Mensajeria] Mensaje pendiente entregado en el reenvío ${pendiente.intentos + 1}: ${pendiente.tipo} → ${pendiente.destino}`);
+        ejecutarCallbackPendiente(pendiente.id, 'onSuccess', respuesta);
+      } catch (error) {
+        const actualizado = error.recuperable === false
+          ? (await eliminarMensaje(pendiente.id), null)
+          : await registrarIntentoFallido(pendiente.id, error);
+        if (!actualizado) {
+          logger.warn(`[Mensajeria] Mensaje pendiente descartado: ${pendiente.tipo} → ${pendiente.destino} (${error.message})`);
+          ejecutarCallbackPendiente(pendiente.id, 'onError', error);
+        } else {
+          logger.debug(`[Mensajeria] Reenvío fallido (${actualizado.intentos}/${actualizado.maxIntentos}): ${error.message}`);
         }
-        
-        // Pausa entre mensajes para evitar sobrecarga
-        await new Promise(resolve => setTimeout(resolve, 100));
-      } catch (e) {
-        logger.error(`[Mensajeria] Error al procesar mensaje pendiente:`, e);
       }
     }
-    
-    // Actualizar localStorage con los mensajes restantes
-    try {
-      if (typeof localStorage !== 'undefined') {
-        const mensajesSimplificados = estado.mensajesPendientes.map(m => ({
-          id: m.id,
-          destino: m.destino,
-          tipo: m.tipo,
-          datos: m.datos,
-          opciones: {
-            tipoPendiente: m.opciones.tipoPendiente,
-            timestamp: m.opciones.timestamp,
-            intentos: m.opciones.intentos,
-            maxIntentos: m.opciones.maxIntentos
-          }
-        }));
-        
-        localStorage.setItem('mensajeria_pendientes', JSON.stringify(mensajesSimplificados));
-      }
-    } catch (e) {
-      logger.error('[Mensajeria] Error al actualizar mensajes pendientes en localStorage', e);
-    }
+  } catch (e) {
+    logger.error('[Mensajeria] Error al procesar mensajes pendientes:', e);
   } finally {
     estado.procesandoPendientes = false;
-    
-    // Programar siguiente procesamiento si aún hay mensajes
-    if (estado.mensajesPendientes.length > 0) {
-      const intervalo = configGlobal?.MENSAJERIA?.COLA_PENDIENTES?.INTERVALO || 5000;
-      setTimeout(procesarMensajesPendientes, intervalo);
-    }
+  }
+  
+  // Seguir mientras quede algo en la cola
+  if ((await obtenerResumenCola(estado.iframeId || 'padre').catch(() => ({ total: 0 }))).total > 0) {
+    programarProcesamiento();
   }
 }
 
 /**
- * Carga los mensajes pendientes del almacenamiento local
+ * Retoma el reenvío de los pendientes que quedaron en la cola persistente
+ * (por ejemplo, tras recargar la página)
+ * @returns {Promise<number>} - Número de mensajes pendientes en la cola
  */
-function cargarMensajesPendientes() {
-  try {
-    if (typeof localStorage === 'undefined') {
-      return;
-    }
-    
-    const mensajesJson = localStorage.getItem('mensajeria_pendientes');
-    if (!mensajesJson) {
-      return;
-    }
-    
-    const mensajesGuardados = JSON.parse(mensajesJson);
-    if (!Array.isArray(mensajesGuardados) || mensajesGuardados.length === 0) {
-      return;
-    }
-    
-    // Filtrar mensajes muy antiguos (más de 24h por defecto)
-    const maxEdadMs = configGlobal?.MENSAJERIA?.COLA_PENDIENTES?.MAX_EDAD_MS || 24 * 60 * 60 * 1000;
-    const ahora = Date.now();
-    const mensajesValidos = mensajesGuardados.filter(m => {
-      return ahora - (m.opciones?.timestamp || 0) < maxEdadMs;
-    });
-    
-    // Restaurar a la cola en memoria
-    for (const mensaje of mensajesValidos) {
-      estado.mensajesPendientes.push({
-        id: mensaje.id || generarIdUnico('pendiente'),
-        destino: mensaje.destino,
-        tipo: mensaje.tipo,
-        datos: mensaje.datos || {},
-        opciones: {
-          tipoPendiente: mensaje.opciones?.tipoPendiente || 'normal',
-          timestamp: mensaje.opciones?.timestamp || Date.now(),
-          intentos: mensaje.opciones?.intentos || 0,
-          maxIntentos: mensaje.opciones?.maxIntentos || 10,
-          intentoRecuperacion: true,
-          silencioso: true
-        }
-      });
-    }
-    
-    if (mensajesValidos.length > 0) {
-      logger.info(`[Mensajeria] Se cargaron ${mensajesValidos.length} mensajes pendientes del almacenamiento local`);
-      
-      // Iniciar procesamiento después de un breve retraso
-      setTimeout(procesarMensajesPendientes, 5000);
-    }
-    
-    // Si hubo mensajes inválidos (antiguos), actualizar localStorage
-    if (mensajesValidos.length < mensajesGuardados.length) {
-      localStorage.setItem('mensajeria_pendientes', JSON.stringify(mensajesValidos));
-    }
-  } catch (e) {
-    logger.error('[Mensajeria] Error al cargar mensajes pendientes', e);
+async function cargarMensajesPendientes() {
+  const { total } = await obtenerResumenCola(estado.iframeId || 'padre');
+  if (total > 0) {
+    logger.info(`[Mensajeria] ${total} mensajes pendientes en la cola persistente`);
+    programarProcesamiento();
   }
+  return total;
+}
+
+/**
+ * Lista los mensajes de la cola de pendientes de esta página en orden de entrega
+ * @param {Object} [filtro] - {tipo, destino, prioridad, antesDe}
+ * @returns {Promise<Array<Object>>} - Entradas con id, destino, tipo, datos, prioridad, intentos y proximoIntento
+ */
+function inspeccionarColaPendientes(filtro = {}) {
+  return listarPendientes({ ...filtro, emisor: estado.iframeId || 'padre' });
+}
+
+/**
+ * Resume la cola de pendientes de esta página
+ * @returns {Promise<Object>} - `{total, porPrioridad, porDestino, masAntiguo, persistente}`
+ */
+function obtenerResumenColaPendientes() {
+  return obtenerResumenCola(estado.iframeId || 'padre');
+}
+
+/**
+ * Elimina mensajes de la cola de pendientes de esta página
+ * @param {Object} [filtro] - {tipo, destino, prioridad, antesDe}; sin filtro se vacía su cola
+ * @returns {Promise<number>} - Número de mensajes eliminados
+ */
+async function purgarColaPendientes(filtro = {}) {
+  const filtroPagina = { ...filtro, emisor: estado.iframeId || 'padre' };
+  const pendientes = await listarPendientes(filtroPagina);
+  const eliminados = await purgarCola(filtroPagina);
+  pendientes.forEach(pendiente => estado.callbacksPendientes.delete(pendiente.id));
+  return eliminados;
 }
 
 /**
@@ -1538,7 +1784,9 @@ function manejarPing(mensaje) {
         timestamp: Date.now(),
         origen: estado.iframeId,
         destino: mensaje.origen,
-        timestampOriginal: mensaje.datos?.timestamp
+        timestampOriginal: mensaje.datos?.timestamp,
+        // Los latidos de supervisor-hijos.js se emparejan con su PONG por latidoId
+        latidoId: mensaje.datos?.latidoId
     };
 }
 
@@ -1549,8 +1797,23 @@ if (typeof manejarPing === 'function') {
     logger.warn('[Mensajeria] No se pudo registrar manejador de ping: función no definida');
 }
 
-// Inicializar el objeto controladores
-let controladores = {};
+// El padre pide la grabación de cada hijo con SISTEMA.DIAGNOSTICO al exportar la sesión
+_registrarControlador(TIPOS_MENSAJE.SISTEMA.DIAGNOSTICO, (mensaje) => {
+    if (mensaje.datos?.accion === 'obtener_grabacion') {
+        return { iframeId: estado.iframeId, entradas: obtenerGrabacion() };
+    }
+});
+
+// El padre reúne las alertas de monitoreo de todas las páginas
+_registrarControlador(TIPOS_MENSAJE.MONITOREO.EVENTO, (mensaje) => {
+    if (esPaginaPadre()) {
+        registrarAlertaRecibida(mensaje.origen, mensaje.datos);
+    }
+});
+
+// Suscripciones de registrarControlador, en orden de registro
+let suscripciones = [];
+let contadorSuscripciones = 0;
 
 // Verificar que TIPOS_MENSAJE esté definido antes de registrar controladores
 if (!TIPOS_MENSAJE || !TIPOS_MENSAJE.CONTROL || !TIPOS_MENSAJE.CONTROL.CAMBIAR_MODO) {
@@ -1566,8 +1829,8 @@ if (!TIPOS_MENSAJE || !TIPOS_MENSAJE.CONTROL || !TIPOS_MENSAJE.CONTROL.CAMBIAR_M
 
             logger.info(`[Mensajeria] Cambiando modo a: ${modo}${origen ? ` (solicitado por: ${origen})` : ''}`);
             
-            // Notificar al padre si es necesario
-            if (origen !== 'PADRE') {
+            // Notificar al padre si es necesario (el propio padre no se lo reenvía a sí mismo)
+            if (origen !== 'PADRE' && !esPaginaPadre()) {
                 enviarMensaje('padre', TIPOS_MENSAJE.CONTROL.CAMBIAR_MODO, {
                     modo: modo,
                     origen: 'HIJO',
@@ -1594,7 +1857,32 @@ export async function inicializarMensajeria(config) {
     return await _inicializarMensajeria(config);
 }
 
-export function registrarControlador(tipoMensaje, controlador) {
+/**
+ * Convierte un patrón con comodines en expresión regular.
+ * '*' equivale a cualquier secuencia: 'NAVEGACION.*' recibe todos los tipos de NAVEGACION
+ * y '*' todos los mensajes.
+ * @param {string} patron - Tipo de mensaje o patrón normalizado
+ * @returns {RegExp|null} Expresión o null si el patrón es un tipo exacto
+ */
+function compilarPatron(patron) {
+    if (!patron.includes('*')) {
+        return null;
+    }
+    return new RegExp(`^${patron.split('*').map(parte => parte.replace(/\./g, '\\.')).join('.*')}$`);
+}
+
+/**
+ * Registra un controlador para un tipo de mensaje o un patrón con comodines.
+ * Varios controladores pueden recibir el mismo mensaje; se ejecutan por prioridad
+ * (mayor antes) y, a igual prioridad, en orden de registro.
+ * @param {string} tipoMensaje - Tipo (CATEGORIA.ACCION) o patrón ('NAVEGACION.*', '*')
+ * @param {Function} controlador - Función que recibe el mensaje; su valor de retorno es la respuesta
+ * @param {Object} [opciones] - Opciones de la suscripción
+ * @param {number} [opciones.prioridad=0] - Prioridad de ejecución
+ * @param {boolean} [opciones.unaVez=false] - Retirar la suscripción tras el primer mensaje
+ * @returns {Function|false} Función para cancelar la suscripción, o false si no se pudo registrar
+ */
+export function registrarControlador(tipoMensaje, controlador, opciones = {}) {
     // Validar que se hayan proporcionado los parámetros necesarios
     if (arguments.length < 2) {
         const errorMsg = '❌ Error: Se requieren dos argumentos (tipoMensaje, controlador)';
@@ -1613,7 +1901,7 @@ export function registrarControlador(tipoMensaje, controlador) {
     
     try {
         // Validar que el tipo de mensaje sea una cadena no vacía
-        const validacion = validarFormatoTipoMensaje(tipoMensaje);
+        const validacion = validarFormatoTipoMensaje(tipoMensaje, true);
         if (!validacion.valido) {
             const errorMsg = `❌ Error al validar tipo de mensaje: ${validacion.error}`;
             console.error(errorMsg, { tipoMensaje, controlador });
@@ -1631,9 +1919,10 @@ export function registrarControlador(tipoMensaje, controlador) {
         
         // Asegurarse de que el tipo de mensaje esté en mayúsculas
         const tipoNormalizado = tipoMensaje.trim().toUpperCase();
+        const expresion = compilarPatron(tipoNormalizado);
         
-        // Verificar si el tipo de mensaje está en la lista de válidos
-        if (!TIPOS_MENSAJE_VALIDOS.includes(tipoNormalizado)) {
+        // Verificar si el tipo de mensaje está en la lista de válidos (los patrones no se comprueban)
+        if (!expresion && !TIPOS_MENSAJE_VALIDOS.includes(tipoNormalizado)) {
             const warnMsg = `⚠️ Advertencia: El tipo de mensaje '${tipoNormalizado}' no está en la lista de tipos válidos`;
             console.warn(warnMsg);
             logger.warn('[Mensajeria] ' + warnMsg, { 
@@ -1643,28 +1932,35 @@ export function registrarControlador(tipoMensaje, controlador) {
             });
         }
         
-        // Inicializar el array de controladores para este tipo de mensaje si no existe
-        if (!controladores[tipoNormalizado]) {
-            controladores[tipoNormalizado] = [];
-        }
-        
-        // Evitar duplicados
-        const existeControlador = controladores[tipoNormalizado].some(
-            c => c.toString() === controlador.toString()
-        );
+        // Evitar duplicados: el mismo controlador para el mismo patrón devuelve la suscripción existente
+        let suscripcion = suscripciones.find(s => s.patron === tipoNormalizado && s.controlador === controlador);
         
-        if (!existeControlador) {
-            controladores[tipoNormalizado].push(controlador);
+        if (!suscripcion) {
+            suscripcion = {
+                id: ++contadorSuscripciones,
+                patron: tipoNormalizado,
+                expresion,
+                controlador,
+                prioridad: Number(opciones.prioridad) || 0,
+                unaVez: !!opciones.unaVez,
+                orden: contadorSuscripciones
+            };
+            suscripciones.push(suscripcion);
             const successMsg = `✅ Controlador registrado para tipoMensaje: ${tipoNormalizado}`;
             console.log(successMsg);
-            logger.debug('[Mensajeria] ' + successMsg, { tipoMensaje, tipoNormalizado });
+            logger.debug('[Mensajeria] ' + successMsg, { tipoMensaje, tipoNormalizado, prioridad: suscripcion.prioridad, unaVez: suscripcion.unaVez });
         } else {
             const infoMsg = `ℹ️ Controlador ya registrado para tipoMensaje: ${tipoNormalizado}`;
             console.log(infoMsg);
             logger.debug('[Mensajeria] ' + infoMsg, { tipoMensaje, tipoNormalizado });
         }
         
-        return true;
+        const { id } = suscripcion;
+        return () => {
+            const antes = suscripciones.length;
+            suscripciones = suscripciones.filter(s => s.id !== id);
+            return suscripciones.length < antes;
+        };
     } catch (error) {
         const errorMsg = `❌ Error al registrar controlador para '${tipoMensaje}': ${error.message}`;
         console.error(errorMsg, error);
@@ -1677,10 +1973,90 @@ export function registrarControlador(tipoMensaje, controlador) {
     }
 }
 
+/**
+ * Retira las suscripciones de un controlador
+ * @param {string} tipoMensaje - Tipo o patrón con el que se registró
+ * @param {Function} [controlador] - Controlador a retirar; sin él se retiran todos los del patrón
+ * @returns {number} Número de suscripciones retiradas
+ */
+export function eliminarControlador(tipoMensaje, controlador) {
+    const patron = String(tipoMensaje || '').trim().toUpperCase();
+    const antes = suscripciones.length;
+    suscripciones = suscripciones.filter(s => s.patron !== patron || (controlador && s.controlador !== controlador));
+    return antes - suscripciones.length;
+}
+
 export async function enviarMensaje(destino, tipo, datos = {}) {
     return await _enviarMensaje(destino, tipo, datos);
 }
 
+/**
+ * Llamada petición/respuesta: envía un mensaje y espera el valor que devuelve el
+ * manejador del destino (o la promesa que devuelve). La respuesta se correlaciona
+ * por `mensajeId`.
+ * @param {string} destino - ID del iframe destino o 'padre' (no admite 'todos')
+ * @param {string} tipo - Tipo de mensaje
+ * @param {Object} [datos={}] - Datos del mensaje
+ * @param {Object} [opciones] - Opciones
+ * @param {number} [opciones.timeout=CONFIG.MENSAJERIA.TIMEOUT_LLAMADA] - Tiempo máximo de espera (ms)
+ * @param {AbortSignal} [opciones.senal] - Señal para cancelar la llamada
+ * @returns {Promise<*>} Resultado del manejador remoto
+ * @throws {Error} ErrorLlamada con `codigo` TIMEOUT, CANCELADO, SIN_MANEJADOR, el código remoto
+ *         (p. ej. de ERRORES.VALIDACION) o ERROR_REMOTO
+ */
+export async function llamar(destino, tipo, datos = {}, opciones = {}) {
+    if (!destino || destino === 'todos') {
+        throw crearErrorLlamada(ERRORES_MENSAJERIA.FORMATO_INVALIDO, 'llamar requiere un destino concreto', { tipo, destino });
+    }
+    
+    const { senal } = opciones;
+    const timeout = opciones.timeout || CONFIG.MENSAJERIA.TIMEOUT_LLAMADA;
+    const detalles = { tipo, destino };
+    
+    if (senal?.aborted) {
+        throw crearErrorLlamada(ERRORES_MENSAJERIA.CANCELADO, `Llamada ${tipo} a ${destino} cancelada`, detalles);
+    }
+    
+    const mensajeId = generarIdUnico(`rpc-${tipo.split('.')[0].toLowerCase()}`);
+    const inicio = Date.now();
+    
+    return new Promise((resolve, reject) => {
+        const terminar = (error, resultado) => {
+            const llamada = estado.llamadas.get(mensajeId);
+            if (!llamada) {
+                return;
+            }
+            estado.llamadas.delete(mensajeId);
+            clearTimeout(llamada.timeoutId);
+            senal?.removeEventListener('abort', llamada.alCancelar);
+            // Las cancelaciones no cuentan como errores del destino
+            if (error?.codigo !== ERRORES_MENSAJERIA.CANCELADO) {
+                registrarResultadoMensaje(tipo, { exito: !error, latencia: Date.now() - inicio });
+            }
+            
+            if (error) {
+                reject(error);
+            } else {
+                resolve(resultado);
+            }
+        };
+        
+        const alCancelar = () => terminar(
+            crearErrorLlamada(ERRORES_MENSAJERIA.CANCELADO, `Llamada ${tipo} a ${destino} cancelada`, { ...detalles, mensajeId })
+        );
+        const timeoutId = setTimeout(() => terminar(
+            crearErrorLlamada(ERRORES_MENSAJERIA.TIMEOUT, `Sin respuesta de ${destino} a ${tipo} en ${timeout}ms`, { ...detalles, mensajeId })
+        ), timeout);
+        
+        estado.llamadas.set(mensajeId, { tipo, destino, terminar, timeoutId, alCancelar });
+        senal?.addEventListener('abort', alCancelar, { once: true });
+        
+        _enviarMensaje(destino, tipo, { ...datos, mensajeId, esperaRespuesta: true }).catch(error => terminar(
+            error.codigo ? error : crearErrorLlamada(ERRORES_MENSAJERIA.ERROR_ENVIO, error.message, { ...detalles, mensajeId })
+        ));
+    });
+}
+
 // Evitamos re-exportar TIPOS_MENSAJE para prevenir dependencias circulares
 // Los módulos que necesiten TIPOS_MENSAJE deben importarlo directamente de constants.js
 
@@ -1703,7 +2079,15 @@ export {
     enviarNACK,
     enviarError,
     verificarInicializado,
-    limpiarMensajeria
+    limpiarMensajeria,
+    obtenerInformeDiscrepancias,
+    obtenerRechazos,
+    inspeccionarColaPendientes,
+    obtenerResumenColaPendientes,
+    purgarColaPendientes,
+    exportarSesionMensajeria,
+    reproducirSesionMensajeria,
+    ERRORES_MENSAJERIA
 };
 
 /**
@@ -1789,32 +2173,15 @@ export function enviarEventoAHijos(evento, datos) {
 }
 
 /**
- * Envía un mensaje con un timeout específico
+ * Envía un mensaje con un timeout específico y devuelve la respuesta del destino (atajo de llamar())
  * @param {string} destino - ID del iframe destino
  * @param {string} tipo - Tipo de mensaje
  * @param {Object} datos - Datos del mensaje
  * @param {number} timeout - Tiempo de espera en ms (default: 5000)
- * @returns {Promise<Object>} - Promesa con el resultado
+ * @returns {Promise<*>} - Promesa con el resultado del manejador remoto
  */
 export function enviarMensajeConTimeout(destino, tipo, datos = {}, timeout = 5000) {
-    return new Promise((resolve, reject) => {
-        // Enviar el mensaje normalmente
-        enviarMensaje(destino, tipo, datos)
-            .then(resultado => {
-                // Resolvemos inmediatamente con el resultado
-                resolve(resultado);
-            })
-            .catch(error => {
-                // En caso de error, también lo propagamos
-                reject(error);
-            });
-
-        // Configurar timeout adicional
-        setTimeout(() => {
-            // Si la promesa no se ha resuelto después del timeout, la rechazamos
-            reject(new Error(`Timeout de ${timeout}ms superado para mensaje ${tipo} a ${destino}`));
-        }, timeout);
-    });
+    return llamar(destino, tipo, datos, { timeout });
 }
 
 // NOTA: Todas las funciones se exportan únicamente a través del export default
@@ -1825,6 +2192,7 @@ export default {
     // Funciones principales de mensajería
     inicializarMensajeria,
     enviarMensaje,
+    llamar,
     enviarMensajeConConfirmacion,
     enviarConfirmacion,
     enviarACK,
@@ -1832,9 +2200,17 @@ export default {
     enviarError,
     verificarInicializado,
     limpiarMensajeria,
+    obtenerInformeDiscrepancias,
+    obtenerRechazos,
+    inspeccionarColaPendientes,
+    obtenerResumenColaPendientes,
+    purgarColaPendientes,
+    exportarSesionMensajeria,
+    reproducirSesionMensajeria,
     
     // Las siguientes funciones también están exportadas directamente con export function
     registrarControlador,
+    eliminarControlador,
     enviarMensajeConTimeout,
     enviarEventoAHijos,
     
@@ -1,9 +1,10 @@
 /**
- * Módulo para gestionar el modo de la aplicación (casa/aventura)
+ * Módulo para gestionar el modo de la aplicación (modos de registro-modos.js)
  * Coordina los cambios de modo entre diferentes componentes
  */
 
 import { MODOS } from './constants.js';
+import { esModoValido } from './registro-modos.js';
 import logger from './logger.js';
 
 /**
@@ -29,7 +30,7 @@ class ModoHandler {
 
     /**
      * Obtiene el modo actual
-     * @returns {string} Modo actual ('casa' o 'aventura')
+     * @returns {string} Id del modo actual
      */
     obtenerModoActual() {
         return this.#modoActual;
@@ -52,15 +53,18 @@ class ModoHandler {
     }
 
     /**
-     * Cambia el modo actual y notifica a los suscriptores
-     * @param {string} nuevoModo - Nuevo modo ('casa' o 'aventura')
+     * Cambia el modo actual y notifica a los suscriptores.
+     * Si un suscriptor falla (lanza un error o devuelve false) el cambio se deshace:
+     * se restaura el modo anterior y se avisa de nuevo, en orden inverso, a los
+     * suscriptores que ya habían aplicado el nuevo modo.
+     * @param {string} nuevoModo - Id de un modo registrado
      * @param {string} [origen='sistema'] - Origen del cambio
      * @returns {Promise<boolean>} True si el cambio fue exitoso
      */
     async cambiarModo(nuevoModo, origen = 'sistema') {
         try {
             // Validar el nuevo modo
-            if (nuevoModo !== MODOS.CASA && nuevoModo !== MODOS.AVENTURA) {
+            if (!esModoValido(nuevoModo)) {
                 logger.warn(`ModoHandler: Modo inválido: ${nuevoModo}`);
                 return false;
             }
@@ -72,6 +76,7 @@ class ModoHandler {
             }
 
             const modoAnterior = this.#modoActual;
+            const ultimoCambioAnterior = this.#ultimoCambio;
             
             // FIX: Instead of assigning to this.modoActual, use the private field
             this.#modoActual = nuevoModo;
@@ -86,12 +91,23 @@ class ModoHandler {
             });
 
             // Notificar a los suscriptores
+            const notificados = [];
             for (const [id, callback] of this.#suscriptores.entries()) {
+                let aplicado;
                 try {
-                    await Promise.resolve(callback(nuevoModo, modoAnterior));
+                    aplicado = await Promise.resolve(callback(nuevoModo, modoAnterior));
                 } catch (error) {
                     logger.error(`ModoHandler: Error al notificar a ${id}:`, error);
+                    aplicado = false;
                 }
+                
+                if (aplicado === false) {
+                    logger.warn(`ModoHandler: ${id} no pudo aplicar el modo ${nuevoModo}; se vuelve a ${modoAnterior}`);
+                    await this.#revertir(notificados, modoAnterior, nuevoModo);
+                    this.#ultimoCambio = ultimoCambioAnterior;
+                    return false;
+                }
+                notificados.push([id, callback]);
             }
 
             return true;
@@ -101,6 +117,23 @@ class ModoHandler {
         }
     }
 
+    /**
+     * Restaura el modo anterior y se lo notifica a los suscriptores que ya cambiaron
+     * @param {Array<[string, Function]>} notificados - Suscriptores que aplicaron el nuevo modo
+     * @param {string} modoAnterior - Modo que se restaura
+     * @param {string} modoFallido - Modo que no se pudo aplicar
+     */
+    async #revertir(notificados, modoAnterior, modoFallido) {
+        this.#modoActual = modoAnterior;
+        for (const [id, callback] of notificados.reverse()) {
+            try {
+                await Promise.resolve(callback(modoAnterior, modoFallido));
+            } catch (error) {
+                logger.error(`ModoHandler: Error al revertir ${id} a ${modoAnterior}:`, error);
+            }
+        }
+    }
+
     /**
      * Desuscribe un componente
      * @param {string} componenteId - ID del componente
@@ -0,0 +1,238 @@
+/**
+ * Modo sin conexión
+ * @module ModoOffline
+ * @description
+ * Registra el service worker (sw.js) y descarga una aventura completa en la Cache API:
+ * teselas del mapa que cubren el recorrido entre MIN_ZOOM y MAX_ZOOM, audios, fotos,
+ * mapa JPG, páginas de retos y las páginas y módulos de la aplicación. Con la
+ * aventura descargada, el service worker la sirve sin red.
+ */
+
+import logger from './logger.js';
+import { CONFIG } from './config.js';
+import { ERRORES } from './constants.js';
+import { getFromStorage, setToStorage } from './utils.js';
+
+/**
+ * Nombre de la caché de una aventura
+ * @private
+ * @param {string} aventuraId - Id de la aventura
+ * @returns {string} Nombre de la caché
+ */
+function nombreCache(aventuraId) {
+    return `${CONFIG.OFFLINE.PREFIJO_CACHE}-${aventuraId}`;
+}
+
+/**
+ * Clave de localStorage con los datos de la descarga
+ * @private
+ * @param {string} aventuraId - Id de la aventura
+ * @returns {string} Clave
+ */
+function claveDescarga(aventuraId) {
+    return `offline_${aventuraId}`;
+}
+
+/**
+ * Registra el service worker del modo sin conexión
+ * @returns {Promise<ServiceWorkerRegistration|null>} Registro o null si no está soportado
+ */
+export async function registrarServiceWorker() {
+    if (typeof navigator === 'undefined' || !('serviceWorker' in navigator)) {
+        logger.warn('[Offline] Service workers no soportados en este navegador');
+        return null;
+    }
+
+    try {
+        const registro = await navigator.serviceWorker.register(CONFIG.OFFLINE.SERVICE_WORKER);
+        logger.debug('[Offline] Service worker registrado', { scope: registro.scope });
+        return registro;
+    } catch (error) {
+        logger.error('[Offline] Error al registrar el service worker:', error);
+        return null;
+    }
+}
+
+/**
+ * Calcula los límites del recorrido de una aventura con un margen
+ * @param {Object} manifiesto - Manifiesto de aventura
+ * @returns {{norte: number, sur: number, este: number, oeste: number}} Límites en grados
+ */
+export function calcularLimitesRecorrido(manifiesto) {
+    const puntos = manifiesto.recorrido.flatMap(punto =>
+        punto.tipo === 'tramo'
+            ? [punto.inicio, ...(punto.waypoints || []), punto.fin]
+            : [punto.coordenadas]
+    );
+    const margen = CONFIG.OFFLINE.MARGEN_LIMITES;
+
+    return {
+        norte: Math.max(...puntos.map(p => p.lat)) + margen,
+        sur: Math.min(...puntos.map(p => p.lat)) - margen,
+        este: Math.max(...puntos.map(p => p.lng)) + margen,
+        oeste: Math.min(...puntos.map(p => p.lng)) - margen
+    };
+}
+
+/**
+ * Convierte coordenadas en índices de tesela (esquema XYZ de OpenStreetMap)
+ * @private
+ * @param {number} lat - Latitud
+ * @param {number} lng - Longitud
+ * @param {number} zoom - Nivel de zoom
+ * @returns {{x: number, y: number}} Índices de la tesela
+ */
+function coordenadasATesela(lat, lng, zoom) {
+    const n = 2 ** zoom;
+    const latRad = lat * Math.PI / 180;
+    return {
+        x: Math.floor((lng + 180) / 360 * n),
+        y: Math.floor((1 - Math.log(Math.tan(latRad) + 1 / Math.cos(latRad)) / Math.PI) / 2 * n)
+    };
+}
+
+/**
+ * Lista las URLs de las teselas que cubren unos límites
+ * @param {Object} limites - Límites de calcularLimitesRecorrido
+ * @param {number} [zoomMin=CONFIG.MAPA.MIN_ZOOM] - Zoom mínimo
+ * @param {number} [zoomMax=CONFIG.MAPA.MAX_ZOOM] - Zoom máximo
+ * @returns {string[]} URLs de teselas
+ */
+export function calcularTeselas(limites, zoomMin = CONFIG.MAPA.MIN_ZOOM, zoomMax = CONFIG.MAPA.MAX_ZOOM) {
+    const urls = [];
+    for (let z = zoomMin; z <= zoomMax; z++) {
+        const noroeste = coordenadasATesela(limites.norte, limites.oeste, z);
+        const sureste = coordenadasATesela(limites.sur, limites.este, z);
+        for (let x = noroeste.x; x <= sureste.x; x++) {
+            for (let y = noroeste.y; y <= sureste.y; y++) {
+                urls.push(CONFIG.OFFLINE.URL_TESELAS.replace('{z}', z).replace('{x}', x).replace('{y}', y));
+            }
+        }
+    }
+    return urls;
+}
+
+/**
+ * Lista todos los recursos que hay que descargar para una aventura
+ * @param {Object} manifiesto - Manifiesto de aventura
+ * @returns {{teselas: string[], recursos: string[]}} URLs de teselas y del resto de recursos
+ */
+export function obtenerRecursosAventura(manifiesto) {
+    const teselas = calcularTeselas(calcularLimitesRecorrido(manifiesto));
+    if (teselas.length > CONFIG.OFFLINE.MAX_TESELAS) {
+        const error = new Error(`La aventura necesita ${teselas.length} teselas (máximo ${CONFIG.OFFLINE.MAX_TESELAS})`);
+        error.codigo = ERRORES.VALIDACION.DATOS_INVALIDOS.codigo;
+        throw error;
+    }
+
+    const recursos = new Set([
+        ...CONFIG.OFFLINE.RECURSOS_APP,
+        `aventuras/${manifiesto.id}.json`,
+        manifiesto.mapa.imagen,
+        ...manifiesto.audios.map(audio => audio.archivo),
+        ...manifiesto.recorrido.map(punto => punto.imagen),
+        // Los retos sin tipo aún no se juegan: su imagen puede no existir todavía
+        ...manifiesto.retos.flatMap(reto => reto.tipo ? [reto.src, reto.imagen, reto.puzzle?.imagen] : [])
+    ].filter(Boolean));
+
+    return { teselas, recursos: Array.from(recursos, recurso => encodeURI(recurso)) };
+}
+
+/**
+ * Descarga una URL y la guarda en la caché
+ * @private
+ * @param {Cache} cache - Caché de la aventura
+ * @param {string} url - URL a descargar
+ * @returns {Promise<void>}
+ */
+async function descargarEnCache(cache, url) {
+    const externa = /^https?:\/\//.test(url) && !url.startsWith(location.origin);
+    const respuesta = await fetch(url, { mode: externa ? 'cors' : 'same-origin', cache: 'reload' });
+    if (!respuesta.ok) {
+        throw new Error(`HTTP ${respuesta.status} al descargar ${url}`);
+    }
+    await cache.put(url, respuesta);
+}
+
+/**
+ * Descarga una aventura completa para usarla sin conexión
+ * @param {Object} manifiesto - Manifiesto de aventura validado
+ * @param {Object} [opciones] - Opciones
+ * @param {Function} [opciones.alProgresar] - Callback `({completados, total, fallidos})`
+ * @returns {Promise<{total: number, fallidos: string[]}>} Resumen de la descarga
+ */
+export async function descargarAventura(manifiesto, opciones = {}) {
+    if (typeof caches === 'undefined') {
+        const error = new Error('La Cache API no está disponible en este navegador');
+        error.codigo = ERRORES.SISTEMA.SERVICIO_NO_DISPONIBLE.codigo;
+        throw error;
+    }
+
+    await registrarServiceWorker();
+
+    const { teselas, recursos } = obtenerRecursosAventura(manifiesto);
+    const pendientes = [...recursos, ...teselas];
+    const total = pendientes.length;
+    const fallidos = [];
+    let completados = 0;
+
+    logger.info(`[Offline] Descargando ${manifiesto.id}: ${recursos.length} recursos y ${teselas.length} teselas`);
+    const cache = await caches.open(nombreCache(manifiesto.id));
+
+    // Descargas en paralelo limitadas para no saturar la conexión ni el servidor de teselas
+    const trabajador = async () => {
+        while (pendientes.length > 0) {
+            const url = pendientes.shift();
+            try {
+                if (!(await cache.match(url))) {
+                    await descargarEnCache(cache, url);
+                }
+            } catch (error) {
+                fallidos.push(url);
+                logger.warn(`[Offline] No se pudo descargar ${url}: ${error.message}`);
+            }
+            completados++;
+            opciones.alProgresar?.({ completados, total, fallidos: fallidos.length });
+        }
+    };
+    await Promise.all(Array.from({ length: CONFIG.OFFLINE.DESCARGAS_SIMULTANEAS }, trabajador));
+
+    setToStorage(claveDescarga(manifiesto.id), {
+        version: manifiesto.version,
+        fecha: Date.now(),
+        total,
+        fallidos: fallidos.length
+    });
+
+    logger.info(`[Offline] ${manifiesto.id} descargada: ${total - fallidos.length}/${total} recursos`);
+    return { total, fallidos };
+}
+
+/**
+ * Devuelve los datos de la descarga de una aventura
+ * @param {string} aventuraId - Id de la aventura
+ * @returns {Object|null} `{version, fecha, total, fallidos}` o null si no se ha descargado
+ */
+export function obtenerEstadoDescarga(aventuraId) {
+    return getFromStorage(claveDescarga(aventuraId), null, 'object');
+}
+
+/**
+ * Elimina la descarga de una aventura
+ * @param {string} aventuraId - Id de la aventura
+ * @returns {Promise<boolean>} True si existía la caché
+ */
+export async function eliminarDescarga(aventuraId) {
+    localStorage.removeItem(claveDescarga(aventuraId));
+    return typeof caches !== 'undefined' && caches.delete(nombreCache(aventuraId));
+}
+
+export default {
+    registrarServiceWorker,
+    calcularLimitesRecorrido,
+    calcularTeselas,
+    obtenerRecursosAventura,
+    descargarAventura,
+    obtenerEstadoDescarga,
+    eliminarDescarga
+};
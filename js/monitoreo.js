@@ -0,0 +1,268 @@
+/**
+ * Monitoreo de rendimiento de la mensajería
+ * @module Monitoreo
+ * @description
+ * Mide en ventana deslizante la latencia (p50/p95/p99) y la tasa de error de cada tipo de
+ * mensaje que mensajeria.js envía con ACK o con llamar(), y el uso de memoria de la página.
+ * Cuando una medida cruza un umbral de CONFIG.MONITOREO.UMBRAL_ALERTA se envía una alerta
+ * MONITOREO.EVENTO al padre con el código de CODIGOS_ERROR.MONITOREO, y otra cuando vuelve
+ * por debajo. El padre guarda las alertas de todas las páginas; el panel de debug.html
+ * las muestra junto al resumen de cada página.
+ *
+ * Como logger.js, no importa mensajeria.js: la función de envío se inyecta con
+ * configurarMonitoreo para evitar la dependencia circular.
+ */
+
+import { CONFIG } from './config.js';
+import { CODIGOS_ERROR } from './constants.js';
+
+// Tipo de evento de las alertas dentro de MONITOREO.EVENTO
+export const TIPO_EVENTO_ALERTA = 'alerta_monitoreo';
+
+// Clave del agregado de todos los tipos de mensaje
+const TODOS = '*';
+
+// Estado del monitoreo de esta página
+const estadoMonitoreo = {
+    iframeId: null,
+    enviarAlerta: null,       // (datos) => Promise, envía MONITOREO.EVENTO al padre
+    muestras: new Map(),      // tipo -> [{t, exito, latencia}]
+    memoria: null,            // Último porcentaje de memoria usado o null si no se puede medir
+    alertasActivas: new Map(),// clave -> alerta
+    alertasRecibidas: [],     // Alertas de todas las páginas (solo en el padre)
+    temporizadorMemoria: null
+};
+
+/**
+ * Percentil por el método del rango más cercano
+ * @param {number[]} valores - Valores ordenados de menor a mayor
+ * @param {number} percentil - Percentil (0-100)
+ * @returns {number|null} Valor del percentil o null si no hay valores
+ */
+export function calcularPercentil(valores, percentil) {
+    if (valores.length === 0) {
+        return null;
+    }
+    const rango = Math.ceil((percentil / 100) * valores.length);
+    return valores[Math.min(valores.length, Math.max(1, rango)) - 1];
+}
+
+/**
+ * Descarta las muestras fuera de la ventana o por encima del máximo
+ * @private
+ * @param {Array<Object>} lista - Muestras de un tipo
+ */
+function recortarVentana(lista) {
+    const limite = Date.now() - CONFIG.MONITOREO.VENTANA_MS;
+    while (lista.length > 0 && (lista[0].t < limite || lista.length > CONFIG.MONITOREO.MAX_MUESTRAS)) {
+        lista.shift();
+    }
+}
+
+/**
+ * Resume las muestras de un tipo de mensaje
+ * @private
+ * @param {Array<Object>} lista - Muestras del tipo
+ * @returns {Object} Muestras, percentiles de latencia y tasa de error
+ */
+function resumirMuestras(lista) {
+    recortarVentana(lista);
+    const latencias = lista.filter(m => m.exito && typeof m.latencia === 'number')
+        .map(m => m.latencia)
+        .sort((a, b) => a - b);
+    const errores = lista.filter(m => !m.exito).length;
+    return {
+        muestras: lista.length,
+        errores,
+        tasaError: lista.length > 0 ? errores / lista.length : 0,
+        p50: calcularPercentil(latencias, 50),
+        p95: calcularPercentil(latencias, 95),
+        p99: calcularPercentil(latencias, 99),
+        max: latencias.length > 0 ? latencias[latencias.length - 1] : null
+    };
+}
+
+/**
+ * Activa o resuelve una alerta según la medida esté por encima del umbral
+ * @private
+ * @param {string} codigo - Código de CODIGOS_ERROR.MONITOREO
+ * @param {string} ambito - Tipo de mensaje, '*' o 'memoria'
+ * @param {number|null} valor - Medida actual
+ * @param {number} umbral - Umbral configurado
+ */
+function evaluarAlerta(codigo, ambito, valor, umbral) {
+    const clave = `${codigo}|${ambito}`;
+    const activa = estadoMonitoreo.alertasActivas.get(clave);
+    const superado = valor !== null && valor > umbral;
+
+    if (superado && !activa) {
+        const alerta = { codigo, ambito, valor, umbral, iframeId: estadoMonitoreo.iframeId, desde: Date.now() };
+        estadoMonitoreo.alertasActivas.set(clave, alerta);
+        notificarAlerta('activa', alerta);
+    } else if (!superado && activa) {
+        estadoMonitoreo.alertasActivas.delete(clave);
+        notificarAlerta('resuelta', { ...activa, valor });
+    } else if (superado) {
+        activa.valor = valor;
+    }
+}
+
+/**
+ * Envía la alerta al padre como MONITOREO.EVENTO
+ * @private
+ * @param {string} situacion - 'activa' o 'resuelta'
+ * @param {Object} alerta - Alerta
+ */
+function notificarAlerta(situacion, alerta) {
+    const evento = {
+        tipo: TIPO_EVENTO_ALERTA,
+        nivel: situacion === 'activa' ? 'warn' : 'info',
+        datos: { ...alerta, situacion, timestamp: Date.now() }
+    };
+    if (!estadoMonitoreo.enviarAlerta) {
+        return;
+    }
+    Promise.resolve()
+        .then(() => estadoMonitoreo.enviarAlerta(evento))
+        .catch(error => console.warn('[Monitoreo] No se pudo enviar la alerta:', error?.message));
+}
+
+/**
+ * Comprueba los umbrales de latencia y tasa de error de un tipo y del total
+ * @private
+ * @param {string} tipo - Tipo de mensaje
+ */
+function evaluarUmbralesMensajes(tipo) {
+    const umbrales = CONFIG.MONITOREO.UMBRAL_ALERTA;
+    [tipo, TODOS].forEach(ambito => {
+        const resumen = resumirMuestras(estadoMonitoreo.muestras.get(ambito) || []);
+        const latenciasSuficientes = resumen.muestras - resumen.errores >= CONFIG.MONITOREO.MIN_MUESTRAS;
+        const resultadosSuficientes = resumen.muestras >= CONFIG.MONITOREO.MIN_MUESTRAS;
+        evaluarAlerta(CODIGOS_ERROR.MONITOREO.ALTA_LATENCIA, ambito,
+            latenciasSuficientes ? resumen.p95 : null, umbrales.tiempoRespuesta);
+        evaluarAlerta(CODIGOS_ERROR.MONITOREO.TASA_ERROR_ELEVADA, ambito,
+            resultadosSuficientes ? resumen.tasaError : null, umbrales.tasaError);
+    });
+}
+
+/**
+ * Registra el resultado de un mensaje con confirmación o de una llamada
+ * @param {string} tipo - Tipo de mensaje
+ * @param {Object} resultado - Resultado
+ * @param {boolean} resultado.exito - True si llegó la confirmación o la respuesta
+ * @param {number} [resultado.latencia] - Tiempo hasta la confirmación (ms)
+ */
+export function registrarResultadoMensaje(tipo, { exito, latencia } = {}) {
+    const muestra = { t: Date.now(), exito: !!exito, latencia: exito ? latencia : undefined };
+    [tipo, TODOS].forEach(ambito => {
+        if (!estadoMonitoreo.muestras.has(ambito)) {
+            estadoMonitoreo.muestras.set(ambito, []);
+        }
+        const lista = estadoMonitoreo.muestras.get(ambito);
+        lista.push(muestra);
+        recortarVentana(lista);
+    });
+    evaluarUmbralesMensajes(tipo);
+}
+
+/**
+ * Mide el porcentaje de memoria JS usada (solo navegadores con performance.memory)
+ * @returns {number|null} Porcentaje usado sobre el límite o null si no se puede medir
+ */
+export function medirMemoria() {
+    const memoria = typeof performance !== 'undefined' ? performance.memory : null;
+    if (!memoria || !memoria.jsHeapSizeLimit) {
+        return null;
+    }
+    estadoMonitoreo.memoria = (memoria.usedJSHeapSize / memoria.jsHeapSizeLimit) * 100;
+    evaluarAlerta(CODIGOS_ERROR.MONITOREO.ALTA_MEMORIA, 'memoria',
+        estadoMonitoreo.memoria, CONFIG.MONITOREO.UMBRAL_ALERTA.usoMemoria);
+    return estadoMonitoreo.memoria;
+}
+
+/**
+ * Guarda una alerta recibida de otra página (o de esta) en el padre
+ * @param {string} origen - Página que envió la alerta
+ * @param {Object} evento - Datos del MONITOREO.EVENTO
+ * @returns {boolean} True si era una alerta de monitoreo
+ */
+export function registrarAlertaRecibida(origen, evento) {
+    if (evento?.tipo !== TIPO_EVENTO_ALERTA) {
+        return false;
+    }
+    estadoMonitoreo.alertasRecibidas.push({ origen, ...evento.datos });
+    if (estadoMonitoreo.alertasRecibidas.length > CONFIG.MONITOREO.MAX_ALERTAS) {
+        estadoMonitoreo.alertasRecibidas.shift();
+    }
+    return true;
+}
+
+/**
+ * Configura el monitoreo de esta página y arranca la medición periódica de memoria
+ * @param {Object} opciones - Opciones
+ * @param {string} [opciones.iframeId] - Página que se monitoriza
+ * @param {Function} [opciones.enviarAlerta] - Envía `{tipo, nivel, datos}` como MONITOREO.EVENTO
+ */
+export function configurarMonitoreo({ iframeId, enviarAlerta } = {}) {
+    if (iframeId) {
+        estadoMonitoreo.iframeId = iframeId;
+    }
+    if (typeof enviarAlerta === 'function') {
+        estadoMonitoreo.enviarAlerta = enviarAlerta;
+    }
+    if (!estadoMonitoreo.temporizadorMemoria && medirMemoria() !== null) {
+        estadoMonitoreo.temporizadorMemoria = setInterval(medirMemoria, CONFIG.MONITOREO.INTERVALO_MEMORIA);
+    }
+}
+
+/**
+ * Detiene la medición de memoria y el envío de alertas
+ */
+export function detenerMonitoreo() {
+    clearInterval(estadoMonitoreo.temporizadorMemoria);
+    estadoMonitoreo.temporizadorMemoria = null;
+    estadoMonitoreo.enviarAlerta = null;
+}
+
+/**
+ * Resumen del monitoreo para el panel y obtenerEstadoMonitoreo
+ * @returns {Object} `{iframeId, porTipo, total, memoria, umbrales, alertasActivas, alertasRecibidas}`
+ */
+export function obtenerResumenMonitoreo() {
+    const porTipo = {};
+    estadoMonitoreo.muestras.forEach((lista, tipo) => {
+        if (tipo !== TODOS) {
+            porTipo[tipo] = resumirMuestras(lista);
+        }
+    });
+    return {
+        iframeId: estadoMonitoreo.iframeId,
+        porTipo,
+        total: resumirMuestras(estadoMonitoreo.muestras.get(TODOS) || []),
+        memoria: estadoMonitoreo.memoria,
+        umbrales: { ...CONFIG.MONITOREO.UMBRAL_ALERTA },
+        alertasActivas: Array.from(estadoMonitoreo.alertasActivas.values(), alerta => ({ ...alerta })),
+        alertasRecibidas: estadoMonitoreo.alertasRecibidas.map(alerta => ({ ...alerta }))
+    };
+}
+
+/**
+ * Vacía las muestras y las alertas
+ */
+export function reiniciarMonitoreo() {
+    estadoMonitoreo.muestras.clear();
+    estadoMonitoreo.alertasActivas.clear();
+    estadoMonitoreo.alertasRecibidas = [];
+}
+
+export default {
+    TIPO_EVENTO_ALERTA,
+    calcularPercentil,
+    registrarResultadoMensaje,
+    medirMemoria,
+    registrarAlertaRecibida,
+    configurarMonitoreo,
+    detenerMonitoreo,
+    obtenerResumenMonitoreo,
+    reiniciarMonitoreo
+};
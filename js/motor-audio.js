@@ -0,0 +1,694 @@
+/**
+ * Motor de la audioguía
+ * @module MotorAudio
+ * @description
+ * Reproduce los audios del manifiesto de la aventura (`audios` de aventuras/<id>.json) por
+ * `audio_id`. Las pistas forman una cola: al terminar la narración de una parada se encadena
+ * la del tramo que la sigue en el recorrido (CONFIG.AUDIO.ENCADENAR_TRAMOS).
+ *
+ * - Reanudación: cada pista empieza donde se dejó (posiciones del progreso que el padre
+ *   difunde con SISTEMA.SINCRONIZAR_ESTADO); al pausar o cambiar de pista se envía
+ *   AUDIO.PAUSAR con la posición para que el padre la guarde.
+ * - Fundido: dos canales de audio permiten fundir una pista con la siguiente (cross-fade) y
+ *   atenuar la narración mientras suena un efecto de la interfaz (ducking).
+ * - Velocidad: se aplica a todas las pistas y se recuerda en localStorage.
+ *
+ * AUDIO.FIN_REPRODUCCION se envía una sola vez por pista al llegar a su final, aunque el
+ * navegador no dispare `ended` (fundido con la siguiente pista o pausa en los últimos
+ * segundos), con `finCola: true` cuando ya no queda nada por sonar para que el padre avance.
+ */
+
+import logger from './logger.js';
+import { CONFIG } from './config.js';
+import { TIPOS_MENSAJE, CODIGOS_ERROR } from './constants.js';
+import { enviarMensaje, registrarControlador } from './mensajeria.js';
+import { cargarAventura } from './cargador-aventuras.js';
+import { getFromStorage, setToStorage } from './utils.js';
+
+// Estado del motor en esta página
+const estadoAudio = {
+    pistas: new Map(),        // audioId -> {id, titulo, archivo, paradaId, siguiente}
+    aventuraId: null,
+    canales: [],              // Dos elementos <audio> que se alternan para el fundido
+    actual: null,             // {pista, canal, finNotificado}
+    cola: [],                 // audioIds que suenan después de la actual
+    posiciones: {},           // audioId -> segundos
+    velocidad: 1,
+    atenuaciones: 0,          // Efectos sonando ahora mismo
+    bloqueado: false,         // El navegador no dejó reproducir sin un gesto del usuario
+    fundidos: new Map(),      // canal -> intervalo del fundido en curso
+    suscriptores: new Set()
+};
+
+/**
+ * Crea un error del motor con código CODIGOS_ERROR.AUDIO
+ * @private
+ * @param {string} mensaje - Descripción
+ * @param {Object} [detalles] - Datos adicionales
+ * @returns {Error} Error con `codigo` y `detalles`
+ */
+function crearErrorAudio(mensaje, detalles = {}) {
+    const error = new Error(mensaje);
+    error.codigo = CODIGOS_ERROR.AUDIO;
+    error.detalles = detalles;
+    return error;
+}
+
+/**
+ * Envía un mensaje de audio al padre sin bloquear la reproducción
+ * @private
+ * @param {string} tipo - Tipo de mensaje
+ * @param {Object} datos - Datos (incluye audioId)
+ */
+function notificarPadre(tipo, datos) {
+    enviarMensaje('padre', tipo, { ...datos, timestamp: Date.now() }).catch(error => {
+        logger.warn(`[Audio] ${tipo} de ${datos.audioId} no entregado:`, error);
+    });
+}
+
+/**
+ * Avisa a los suscriptores (la interfaz del reproductor) de un cambio de estado
+ * @private
+ */
+function notificarSuscriptores() {
+    const estado = obtenerEstadoAudio();
+    estadoAudio.suscriptores.forEach(suscriptor => {
+        try {
+            suscriptor(estado);
+        } catch (error) {
+            logger.error('[Audio] Error en un suscriptor del audio:', error);
+        }
+    });
+}
+
+/**
+ * Prepara las pistas a partir del manifiesto: cada audio con su parada y, para las paradas
+ * seguidas de un tramo, el audio de ese tramo como siguiente de la cola
+ * @param {Object} manifiesto - Manifiesto validado (cargador-aventuras.js)
+ * @returns {number} Pistas cargadas
+ */
+export function cargarAudios(manifiesto) {
+    estadoAudio.pistas.clear();
+    (manifiesto?.audios || []).forEach(audio => {
+        estadoAudio.pistas.set(audio.id, { ...audio, paradaId: null, siguiente: null });
+    });
+
+    const recorrido = manifiesto?.recorrido || [];
+    recorrido.forEach((punto, indice) => {
+        const pista = estadoAudio.pistas.get(punto.audio_id);
+        if (!pista) {
+            return;
+        }
+        pista.paradaId = punto.id;
+        const tramo = recorrido[indice + 1];
+        if (punto.tipo !== 'tramo' && tramo?.tipo === 'tramo' && estadoAudio.pistas.has(tramo.audio_id)) {
+            pista.siguiente = tramo.audio_id;
+        }
+    });
+
+    estadoAudio.aventuraId = manifiesto?.id || null;
+    logger.info(`[Audio] ${estadoAudio.pistas.size} audios cargados de ${estadoAudio.aventuraId}`);
+    return estadoAudio.pistas.size;
+}
+
+/**
+ * Carga los audios del manifiesto de una aventura
+ * @param {string} aventuraId - Id de la aventura (p. ej. 'Av1')
+ * @returns {Promise<number>} Pistas cargadas
+ */
+export async function cargarAudiosAventura(aventuraId) {
+    const manifiesto = await cargarAventura(aventuraId);
+    return cargarAudios(manifiesto);
+}
+
+/**
+ * Devuelve una pista cargada
+ * @param {string} audioId - Id del audio (p. ej. 'audio-P-3')
+ * @returns {Object|null} Pista o null si no existe
+ */
+export function obtenerPista(audioId) {
+    const pista = estadoAudio.pistas.get(audioId);
+    return pista ? { ...pista } : null;
+}
+
+/**
+ * Pistas que suenan al pedir un audio: él mismo y, si se encadena, el tramo siguiente.
+ * No se encadena un tramo que comparte archivo con la parada, para no repetir la grabación,
+ * ni uno que aún no tiene grabación (sin `archivo`).
+ * @param {string} audioId - Id del audio
+ * @param {boolean} [encadenar=CONFIG.AUDIO.ENCADENAR_TRAMOS] - Añade el tramo siguiente
+ * @returns {string[]} audioIds en orden
+ */
+export function construirCola(audioId, encadenar = CONFIG.AUDIO.ENCADENAR_TRAMOS) {
+    const pista = estadoAudio.pistas.get(audioId);
+    if (!pista) {
+        return [];
+    }
+    const siguiente = encadenar ? estadoAudio.pistas.get(pista.siguiente) : null;
+    return siguiente?.archivo && siguiente.archivo !== pista.archivo ? [pista.id, siguiente.id] : [pista.id];
+}
+
+/**
+ * Posición desde la que empieza una pista: la guardada, salvo que esté tan cerca del final
+ * (CONFIG.AUDIO.MARGEN_REANUDAR) que convenga empezar de nuevo
+ * @param {number} guardada - Posición guardada en segundos
+ * @param {number} duracion - Duración de la pista en segundos (NaN si aún no se conoce)
+ * @returns {number} Posición en segundos
+ */
+export function calcularPosicionInicial(guardada, duracion) {
+    if (!Number.isFinite(guardada) || guardada <= 0) {
+        return 0;
+    }
+    if (Number.isFinite(duracion) && guardada >= duracion - CONFIG.AUDIO.MARGEN_REANUDAR) {
+        return 0;
+    }
+    return guardada;
+}
+
+/**
+ * Volumen de la narración: atenuado mientras suena algún efecto
+ * @private
+ * @returns {number} Volumen entre 0 y 1
+ */
+function volumenNarracion() {
+    return estadoAudio.atenuaciones > 0 ? CONFIG.AUDIO.VOLUMEN_ATENUADO : 1;
+}
+
+/**
+ * Lleva el volumen de un canal a un valor en `duracion` ms
+ * @private
+ * @param {HTMLAudioElement} canal - Canal
+ * @param {number} destino - Volumen final
+ * @param {number} duracion - Milisegundos; 0 para cambiarlo de golpe
+ * @param {Function} [alTerminar] - Se llama al alcanzar el volumen final
+ */
+function fundir(canal, destino, duracion, alTerminar) {
+    clearInterval(estadoAudio.fundidos.get(canal));
+    estadoAudio.fundidos.delete(canal);
+
+    const inicial = canal.volume;
+    if (duracion <= 0 || inicial === destino) {
+        canal.volume = destino;
+        alTerminar?.();
+        return;
+    }
+
+    const inicio = Date.now();
+    const intervalo = setInterval(() => {
+        const avance = Math.min(1, (Date.now() - inicio) / duracion);
+        canal.volume = inicial + (destino - inicial) * avance;
+        if (avance >= 1) {
+            clearInterval(intervalo);
+            estadoAudio.fundidos.delete(canal);
+            alTerminar?.();
+        }
+    }, CONFIG.AUDIO.PASO_FUNDIDO);
+    estadoAudio.fundidos.set(canal, intervalo);
+}
+
+/**
+ * Para un canal de golpe y cancela su fundido
+ * @private
+ * @param {HTMLAudioElement} canal - Canal
+ */
+function silenciarCanal(canal) {
+    clearInterval(estadoAudio.fundidos.get(canal));
+    estadoAudio.fundidos.delete(canal);
+    canal.pause();
+}
+
+/**
+ * Guarda la posición de la pista actual y la envía al padre con AUDIO.PAUSAR
+ * @private
+ */
+function guardarPosicionActual() {
+    const { actual } = estadoAudio;
+    if (!actual || actual.finNotificado) {
+        return;
+    }
+    const tiempoActual = actual.canal.currentTime || 0;
+    estadoAudio.posiciones[actual.pista.id] = tiempoActual;
+    notificarPadre(TIPOS_MENSAJE.AUDIO.PAUSAR, { audioId: actual.pista.id, tiempoActual });
+}
+
+/**
+ * Da por terminada la pista actual: envía AUDIO.FIN_REPRODUCCION una sola vez y olvida su posición
+ * @private
+ */
+function terminarPistaActual() {
+    const { actual } = estadoAudio;
+    if (!actual || actual.finNotificado) {
+        return;
+    }
+    actual.finNotificado = true;
+    estadoAudio.posiciones[actual.pista.id] = 0;
+    notificarPadre(TIPOS_MENSAJE.AUDIO.FIN_REPRODUCCION, {
+        audioId: actual.pista.id,
+        ...(actual.pista.paradaId && { paradaId: actual.pista.paradaId }),
+        duracion: Number.isFinite(actual.canal.duration) ? actual.canal.duration : 0,
+        finCola: estadoAudio.cola.length === 0,
+        ...(estadoAudio.cola.length > 0 && { siguienteAudioId: estadoAudio.cola[0] })
+    });
+}
+
+/**
+ * Empieza a reproducir una pista en el canal libre, fundiéndola con la anterior
+ * @private
+ * @param {Object} pista - Pista
+ * @param {Object} opciones - Opciones
+ * @param {number} [opciones.desde] - Segundos; por defecto la posición guardada
+ * @param {boolean} [opciones.fundido] - Funde con la pista que está sonando
+ * @returns {Promise<boolean>} True si empezó a sonar
+ */
+async function iniciarPista(pista, { desde, fundido }) {
+    const anterior = estadoAudio.actual;
+    const [canalA, canalB] = estadoAudio.canales;
+    const canal = anterior?.canal === canalA ? canalB : canalA;
+    const duracionFundido = fundido && anterior && !anterior.canal.paused ? CONFIG.AUDIO.DURACION_FUNDIDO : 0;
+
+    guardarPosicionActual();
+    silenciarCanal(canal);
+    if (anterior) {
+        fundir(anterior.canal, 0, duracionFundido, () => anterior.canal.pause());
+    }
+
+    estadoAudio.actual = { pista, canal, finNotificado: false };
+    canal.src = pista.archivo;
+    canal.playbackRate = estadoAudio.velocidad;
+    canal.preservesPitch = true;
+    canal.volume = duracionFundido > 0 ? 0 : volumenNarracion();
+
+    const guardada = desde ?? estadoAudio.posiciones[pista.id];
+    const posicionar = () => {
+        canal.currentTime = calcularPosicionInicial(guardada, canal.duration);
+    };
+    if (canal.readyState >= 1) {
+        posicionar();
+    } else {
+        canal.addEventListener('loadedmetadata', posicionar, { once: true });
+    }
+
+    notificarSuscriptores();
+    return await reproducirCanal(duracionFundido);
+}
+
+/**
+ * Pone a sonar el canal de la pista actual y avisa al padre con AUDIO.REPRODUCIR
+ * @private
+ * @param {number} duracionFundido - Milisegundos hasta alcanzar el volumen de la narración
+ * @returns {Promise<boolean>} True si empezó a sonar
+ */
+async function reproducirCanal(duracionFundido) {
+    const { pista, canal } = estadoAudio.actual;
+    try {
+        await canal.play();
+    } catch (error) {
+        if (estadoAudio.actual?.canal !== canal) {
+            return false;
+        }
+        // Sin un gesto del usuario el navegador no deja reproducir: queda esperando al botón
+        estadoAudio.bloqueado = error?.name === 'NotAllowedError';
+        logger.warn(`[Audio] No se pudo reproducir ${pista.id}:`, error);
+        notificarSuscriptores();
+        return false;
+    }
+    estadoAudio.bloqueado = false;
+    fundir(canal, volumenNarracion(), duracionFundido);
+    notificarPadre(TIPOS_MENSAJE.AUDIO.REPRODUCIR, {
+        audioId: pista.id,
+        ...(pista.paradaId && { paradaId: pista.paradaId }),
+        tiempoActual: canal.currentTime || 0
+    });
+    notificarSuscriptores();
+    return true;
+}
+
+/**
+ * Pasa a la siguiente pista de la cola o se detiene si no queda ninguna
+ * @private
+ * @param {boolean} fundido - Funde con la pista que termina
+ */
+function avanzarCola(fundido) {
+    terminarPistaActual();
+    const siguiente = estadoAudio.pistas.get(estadoAudio.cola.shift());
+    if (siguiente) {
+        iniciarPista(siguiente, { fundido });
+    } else {
+        notificarSuscriptores();
+    }
+}
+
+/**
+ * Escucha los eventos de un canal; solo cuentan los del canal de la pista actual
+ * @private
+ * @param {HTMLAudioElement} canal - Canal
+ */
+function vigilarCanal(canal) {
+    const esActual = () => estadoAudio.actual?.canal === canal;
+    const cercaDelFinal = (margen) => Number.isFinite(canal.duration) &&
+        canal.duration - canal.currentTime <= margen;
+
+    canal.addEventListener('timeupdate', () => {
+        if (!esActual() || estadoAudio.actual.finNotificado) {
+            return;
+        }
+        // Con más pistas en la cola, la siguiente entra fundiéndose antes de que acabe esta
+        const fundido = CONFIG.AUDIO.DURACION_FUNDIDO / 1000 * canal.playbackRate;
+        if (estadoAudio.cola.length > 0 && fundido > 0 && !canal.paused && cercaDelFinal(fundido)) {
+            avanzarCola(true);
+            return;
+        }
+        notificarSuscriptores();
+    });
+
+    canal.addEventListener('ended', () => {
+        if (esActual() && !estadoAudio.actual.finNotificado) {
+            avanzarCola(false);
+        }
+    });
+
+    canal.addEventListener('pause', () => {
+        if (!esActual() || estadoAudio.actual.finNotificado) {
+            return;
+        }
+        // Una pausa en el último instante cuenta como final aunque no llegue `ended`,
+        // salvo si la ha provocado detenerAudio
+        if (!estadoAudio.actual.detenida && (canal.ended || cercaDelFinal(CONFIG.AUDIO.MARGEN_FIN))) {
+            avanzarCola(false);
+            return;
+        }
+        guardarPosicionActual();
+        notificarSuscriptores();
+    });
+
+    canal.addEventListener('play', () => {
+        if (esActual()) {
+            estadoAudio.actual.detenida = false;
+            notificarSuscriptores();
+        }
+    });
+
+    canal.addEventListener('loadedmetadata', () => {
+        if (esActual()) {
+            notificarSuscriptores();
+        }
+    });
+
+    canal.addEventListener('error', () => {
+        if (!esActual() || !canal.src) {
+            return;
+        }
+        const { pista } = estadoAudio.actual;
+        logger.error(`[Audio] Error al cargar ${pista.archivo}`, canal.error);
+        notificarPadre(TIPOS_MENSAJE.AUDIO.ERROR, {
+            audioId: pista.id,
+            codigo: CODIGOS_ERROR.AUDIO,
+            mensaje: canal.error?.message || `No se pudo cargar ${pista.archivo}`,
+            archivo: pista.archivo
+        });
+        // La pista que falla no cuenta como terminada; suena la siguiente si la hay
+        estadoAudio.actual.finNotificado = true;
+        const siguiente = estadoAudio.pistas.get(estadoAudio.cola.shift());
+        if (siguiente) {
+            iniciarPista(siguiente, { fundido: false });
+        } else {
+            notificarSuscriptores();
+        }
+    });
+}
+
+/**
+ * Crea los canales de audio y recupera la velocidad guardada
+ * @param {Object} [opciones] - Opciones
+ * @param {Function} [opciones.crearCanal] - Crea un elemento de audio (por defecto `new Audio()`)
+ */
+export function inicializarMotorAudio({ crearCanal = () => new Audio() } = {}) {
+    if (estadoAudio.canales.length > 0) {
+        return;
+    }
+    estadoAudio.canales = [crearCanal(), crearCanal()];
+    estadoAudio.canales.forEach(canal => {
+        canal.preload = 'auto';
+        vigilarCanal(canal);
+    });
+
+    const velocidad = Number(getFromStorage(CONFIG.AUDIO.CLAVE_VELOCIDAD, 1, 'number'));
+    estadoAudio.velocidad = limitarVelocidad(velocidad);
+}
+
+/**
+ * Reproduce un audio del manifiesto y deja en cola el tramo que le sigue
+ * @param {string} audioId - Id del audio (p. ej. 'audio-P-3')
+ * @param {Object} [opciones] - Opciones
+ * @param {number} [opciones.desde] - Segundos desde los que empezar; por defecto la posición guardada
+ * @param {boolean} [opciones.encadenar=CONFIG.AUDIO.ENCADENAR_TRAMOS] - Encadena el tramo siguiente
+ * @returns {Promise<boolean>} True si empezó a sonar
+ * @throws {Error} Con `codigo` CODIGOS_ERROR.AUDIO si el audio no existe o no tiene grabación, o
+ *         el motor no está inicializado
+ */
+export async function reproducirAudio(audioId, { desde, encadenar } = {}) {
+    if (estadoAudio.canales.length === 0) {
+        throw crearErrorAudio('El motor de audio no está inicializado');
+    }
+    const [primera, ...resto] = construirCola(audioId, encadenar);
+    if (!primera) {
+        throw crearErrorAudio(`Audio no encontrado: ${audioId}`, { audioId, aventuraId: estadoAudio.aventuraId });
+    }
+    if (!estadoAudio.pistas.get(primera).archivo) {
+        throw crearErrorAudio(`El audio ${audioId} aún no tiene grabación`, { audioId, aventuraId: estadoAudio.aventuraId });
+    }
+    estadoAudio.cola = resto;
+    return await iniciarPista(estadoAudio.pistas.get(primera), { desde, fundido: true });
+}
+
+/**
+ * Pausa la pista actual y guarda su posición
+ */
+export function pausarAudio() {
+    const canal = estadoAudio.actual?.canal;
+    if (canal && !canal.paused) {
+        canal.pause();
+    }
+}
+
+/**
+ * Continúa la pista actual (también tras un bloqueo del navegador)
+ * @returns {Promise<boolean>} True si está sonando
+ */
+export async function continuarAudio() {
+    const { actual } = estadoAudio;
+    if (!actual || actual.finNotificado) {
+        return false;
+    }
+    if (!actual.canal.paused) {
+        return true;
+    }
+    return await reproducirCanal(0);
+}
+
+/**
+ * Pausa o continúa según el estado actual
+ * @returns {Promise<boolean>} True si queda sonando
+ */
+export async function alternarReproduccion() {
+    if (estadoAudio.actual && !estadoAudio.actual.canal.paused) {
+        pausarAudio();
+        return false;
+    }
+    return await continuarAudio();
+}
+
+/**
+ * Detiene la reproducción y vacía la cola; la posición queda guardada para reanudar.
+ * Detener no cuenta como terminar la pista aunque quede poco para su final.
+ */
+export function detenerAudio() {
+    estadoAudio.cola = [];
+    if (estadoAudio.actual) {
+        estadoAudio.actual.detenida = true;
+    }
+    if (estadoAudio.actual && !estadoAudio.actual.canal.paused) {
+        guardarPosicionActual();
+    }
+    estadoAudio.canales.forEach(silenciarCanal);
+    notificarSuscriptores();
+}
+
+/**
+ * Salta a una posición de la pista actual
+ * @param {number} segundos - Posición en segundos
+ * @throws {Error} Con `codigo` CODIGOS_ERROR.AUDIO si no hay pista o la posición no es válida
+ */
+export function saltarA(segundos) {
+    const canal = estadoAudio.actual?.canal;
+    if (!canal || !Number.isFinite(segundos) || segundos < 0) {
+        throw crearErrorAudio('Se requiere una pista cargada y una posición válida', { segundos });
+    }
+    canal.currentTime = Number.isFinite(canal.duration) ? Math.min(segundos, canal.duration) : segundos;
+    notificarSuscriptores();
+}
+
+/**
+ * Ajusta una velocidad a los límites de CONFIG.AUDIO
+ * @private
+ * @param {number} velocidad - Velocidad pedida
+ * @returns {number} Velocidad válida (1 si no es un número)
+ */
+function limitarVelocidad(velocidad) {
+    if (!Number.isFinite(velocidad) || velocidad <= 0) {
+        return 1;
+    }
+    return Math.min(CONFIG.AUDIO.VELOCIDAD_MAX, Math.max(CONFIG.AUDIO.VELOCIDAD_MIN, velocidad));
+}
+
+/**
+ * Cambia la velocidad de reproducción de todas las pistas y la recuerda
+ * @param {number} velocidad - Velocidad (1 = normal), limitada a VELOCIDAD_MIN..VELOCIDAD_MAX
+ * @returns {number} Velocidad aplicada
+ */
+export function establecerVelocidad(velocidad) {
+    estadoAudio.velocidad = limitarVelocidad(Number(velocidad));
+    estadoAudio.canales.forEach(canal => {
+        canal.playbackRate = estadoAudio.velocidad;
+    });
+    setToStorage(CONFIG.AUDIO.CLAVE_VELOCIDAD, estadoAudio.velocidad);
+    notificarSuscriptores();
+    return estadoAudio.velocidad;
+}
+
+/**
+ * Pasa a la siguiente velocidad de CONFIG.AUDIO.VELOCIDADES (para un botón que las recorre)
+ * @returns {number} Velocidad aplicada
+ */
+export function siguienteVelocidad() {
+    const velocidades = CONFIG.AUDIO.VELOCIDADES;
+    const indice = velocidades.indexOf(estadoAudio.velocidad);
+    return establecerVelocidad(velocidades[(indice + 1) % velocidades.length]);
+}
+
+/**
+ * Atenúa la narración mientras suena un efecto o la restaura al terminar.
+ * Cada atenuación debe cerrarse con su restauración; se admiten varias a la vez.
+ * @param {boolean} activa - True al empezar el efecto, false al terminar
+ */
+export function atenuarNarracion(activa) {
+    estadoAudio.atenuaciones = Math.max(0, estadoAudio.atenuaciones + (activa ? 1 : -1));
+    const canal = estadoAudio.actual?.canal;
+    if (canal && !canal.paused) {
+        fundir(canal, volumenNarracion(), CONFIG.AUDIO.DURACION_ATENUACION);
+    }
+}
+
+/**
+ * Reproduce un sonido de la interfaz atenuando la narración mientras suena
+ * @param {string} url - Archivo del efecto
+ * @param {Object} [opciones] - Opciones
+ * @param {Function} [opciones.crearCanal] - Crea el elemento de audio (por defecto `new Audio()`)
+ * @returns {Promise<void>} Se resuelve al terminar el efecto
+ */
+export async function reproducirEfecto(url, { crearCanal = () => new Audio() } = {}) {
+    const efecto = crearCanal();
+    atenuarNarracion(true);
+    try {
+        await new Promise((resolve, reject) => {
+            efecto.addEventListener('ended', resolve, { once: true });
+            efecto.addEventListener('error', () => reject(efecto.error), { once: true });
+            efecto.src = url;
+            efecto.play().catch(reject);
+        });
+    } catch (error) {
+        logger.warn(`[Audio] No se pudo reproducir el efecto ${url}:`, error);
+    } finally {
+        atenuarNarracion(false);
+    }
+}
+
+/**
+ * Recibe las posiciones guardadas en el progreso para reanudar cada pista donde se dejó
+ * @param {Object} posiciones - audioId -> segundos (progreso.posicionesAudio)
+ */
+export function establecerPosicionesAudio(posiciones = {}) {
+    Object.entries(posiciones).forEach(([audioId, segundos]) => {
+        // La pista que está sonando manda sobre lo guardado
+        if (Number.isFinite(segundos) && audioId !== estadoAudio.actual?.pista.id) {
+            estadoAudio.posiciones[audioId] = segundos;
+        }
+    });
+}
+
+/**
+ * Estado del reproductor para la interfaz
+ * @returns {Object} `{audioId, titulo, paradaId, reproduciendo, bloqueado, tiempo, duracion,
+ *          velocidad, cola, atenuado}`
+ */
+export function obtenerEstadoAudio() {
+    const { actual } = estadoAudio;
+    const canal = actual?.canal;
+    return {
+        audioId: actual?.pista.id || null,
+        titulo: actual?.pista.titulo || '',
+        paradaId: actual?.pista.paradaId || null,
+        reproduciendo: !!canal && !canal.paused,
+        bloqueado: estadoAudio.bloqueado,
+        tiempo: canal?.currentTime || 0,
+        duracion: Number.isFinite(canal?.duration) ? canal.duration : 0,
+        velocidad: estadoAudio.velocidad,
+        cola: [...estadoAudio.cola],
+        atenuado: estadoAudio.atenuaciones > 0
+    };
+}
+
+/**
+ * Avisa de cada cambio del reproductor (pista, tiempo, pausa, velocidad)
+ * @param {Function} suscriptor - Recibe el estado (ver obtenerEstadoAudio)
+ * @returns {Function} Función para cancelar la suscripción
+ */
+export function suscribirAudio(suscriptor) {
+    estadoAudio.suscriptores.add(suscriptor);
+    return () => estadoAudio.suscriptores.delete(suscriptor);
+}
+
+/**
+ * Registra en el padre el reenvío de AUDIO.CONTROL: los iframes (menús, puzzles) piden
+ * pausar o atenuar la audioguía al padre y este se lo pasa al reproductor
+ * @returns {Function} Función para quitar el reenvío
+ */
+export function registrarReenvioControlAudio() {
+    return registrarControlador(TIPOS_MENSAJE.AUDIO.CONTROL, (mensaje) => {
+        if (mensaje.origen === CONFIG.HIJOS.AUDIO.id) {
+            return undefined;
+        }
+        // Solo los campos de control: `solicitudId` o `mensajeId` del emisor desactivarían el
+        // ACK propio del padre y el reproductor confirmaría una solicitud que el padre no hizo
+        const { accion, audioId, tiempo, velocidad } = mensaje.datos || {};
+        const control = Object.fromEntries(Object.entries({ accion, audioId, tiempo, velocidad })
+            .filter(([, valor]) => valor !== undefined));
+        enviarMensaje(CONFIG.HIJOS.AUDIO.id, TIPOS_MENSAJE.AUDIO.CONTROL, control).catch(error => {
+            logger.warn(`[Audio] AUDIO.CONTROL de ${mensaje.origen} no reenviado:`, error);
+        });
+        return { estado: 'reenviado' };
+    });
+}
+
+export default {
+    cargarAudios,
+    cargarAudiosAventura,
+    obtenerPista,
+    construirCola,
+    calcularPosicionInicial,
+    inicializarMotorAudio,
+    reproducirAudio,
+    pausarAudio,
+    continuarAudio,
+    alternarReproduccion,
+    detenerAudio,
+    saltarA,
+    establecerVelocidad,
+    siguienteVelocidad,
+    atenuarNarracion,
+    reproducirEfecto,
+    establecerPosicionesAudio,
+    obtenerEstadoAudio,
+    suscribirAudio,
+    registrarReenvioControlAudio
+};
@@ -0,0 +1,539 @@
+/**
+ * Motor de puzzles de imagen
+ * @module MotorPuzzle
+ * @description
+ * Convierte cualquier foto (p. ej. de fotos_Av1) en un puzzle de `filas` × `columnas` piezas.
+ * Variantes:
+ * - arrastrar: las piezas aparecen sueltas y se arrastran a su sitio.
+ * - rotar: las piezas están en su sitio pero giradas; cada toque gira una 90°.
+ * - deslizar: falta la última pieza y las vecinas del hueco se deslizan hasta ordenarlas.
+ *
+ * La dificultad (CONFIG.PUZZLE.DIFICULTADES) fija filas, columnas y tiempo, que también se
+ * pueden dar sueltos. La lógica del tablero no depende del DOM; montarPuzzle la dibuja en un
+ * canvas con el temporizador. La página puzzle.html recibe las opciones en la URL
+ * (construirUrlPuzzle) y avisa al reto que la contiene al terminar.
+ */
+
+import logger from './logger.js';
+import { CONFIG } from './config.js';
+import { CODIGOS_ERROR } from './constants.js';
+
+// Variantes de puzzle
+export const VARIANTES_PUZZLE = ['arrastrar', 'rotar', 'deslizar'];
+
+// Parámetros de la URL de puzzle.html
+const PARAMETROS_URL = ['imagen', 'variante', 'dificultad', 'filas', 'columnas', 'tiempo', 'titulo'];
+
+/**
+ * Crea un error de puzzle con código CODIGOS_ERROR.RETO
+ * @private
+ * @param {string} mensaje - Descripción
+ * @param {Object} [detalles] - Datos adicionales
+ * @returns {Error} Error con `codigo` y `detalles`
+ */
+function crearErrorPuzzle(mensaje, detalles = {}) {
+    const error = new Error(mensaje);
+    error.codigo = CODIGOS_ERROR.RETO;
+    error.detalles = detalles;
+    return error;
+}
+
+/**
+ * Completa las opciones de un puzzle con su dificultad y los valores por defecto
+ * @param {Object} opciones - Opciones
+ * @param {string} opciones.imagen - Ruta de la imagen
+ * @param {string} [opciones.variante=CONFIG.PUZZLE.VARIANTE] - Una de VARIANTES_PUZZLE
+ * @param {string} [opciones.dificultad=CONFIG.PUZZLE.DIFICULTAD] - Clave de CONFIG.PUZZLE.DIFICULTADES
+ * @param {number} [opciones.filas] - Filas (por defecto, las de la dificultad)
+ * @param {number} [opciones.columnas] - Columnas (por defecto, las de la dificultad)
+ * @param {number} [opciones.tiempo] - Segundos disponibles; 0 sin límite
+ * @param {string} [opciones.titulo] - Título para la interfaz
+ * @returns {Object} Opciones completas
+ * @throws {Error} Con código CODIGOS_ERROR.RETO si falta la imagen o algún valor no es válido
+ */
+export function resolverOpcionesPuzzle(opciones = {}) {
+    const dificultad = opciones.dificultad || CONFIG.PUZZLE.DIFICULTAD;
+    const base = CONFIG.PUZZLE.DIFICULTADES[dificultad];
+    if (!base) {
+        throw crearErrorPuzzle(`Dificultad de puzzle desconocida: ${dificultad}`, { dificultad });
+    }
+
+    const resueltas = {
+        imagen: opciones.imagen,
+        variante: opciones.variante || CONFIG.PUZZLE.VARIANTE,
+        dificultad,
+        filas: Number(opciones.filas ?? base.filas),
+        columnas: Number(opciones.columnas ?? base.columnas),
+        tiempo: Number(opciones.tiempo ?? base.tiempo),
+        titulo: opciones.titulo || ''
+    };
+
+    if (typeof resueltas.imagen !== 'string' || !resueltas.imagen) {
+        throw crearErrorPuzzle('El puzzle necesita una imagen');
+    }
+    if (!VARIANTES_PUZZLE.includes(resueltas.variante)) {
+        throw crearErrorPuzzle(`Variante de puzzle desconocida: ${resueltas.variante}`, { variante: resueltas.variante });
+    }
+    const { MIN_LADO, MAX_LADO } = CONFIG.PUZZLE;
+    ['filas', 'columnas'].forEach(campo => {
+        const valor = resueltas[campo];
+        if (!Number.isInteger(valor) || valor < MIN_LADO || valor > MAX_LADO) {
+            throw crearErrorPuzzle(`${campo} debe ser un entero entre ${MIN_LADO} y ${MAX_LADO}`, { [campo]: valor });
+        }
+    });
+    if (!Number.isFinite(resueltas.tiempo) || resueltas.tiempo < 0) {
+        throw crearErrorPuzzle('El tiempo del puzzle debe ser 0 o más segundos', { tiempo: resueltas.tiempo });
+    }
+    return resueltas;
+}
+
+/**
+ * URL de puzzle.html con las opciones de un puzzle
+ * @param {Object} opciones - Opciones (ver resolverOpcionesPuzzle); solo se incluyen las dadas
+ * @returns {string} URL relativa
+ */
+export function construirUrlPuzzle(opciones = {}) {
+    const parametros = new URLSearchParams();
+    PARAMETROS_URL
+        .filter(clave => opciones[clave] !== undefined && opciones[clave] !== null && opciones[clave] !== '')
+        .forEach(clave => parametros.set(clave, opciones[clave]));
+    return `${CONFIG.PUZZLE.PAGINA}?${parametros}`;
+}
+
+/**
+ * Lee las opciones de un puzzle de la URL de puzzle.html
+ * @param {string} busqueda - `location.search`
+ * @returns {Object} Opciones completas (ver resolverOpcionesPuzzle)
+ */
+export function leerOpcionesUrl(busqueda) {
+    const parametros = new URLSearchParams(busqueda);
+    const opciones = {};
+    PARAMETROS_URL
+        .filter(clave => parametros.has(clave))
+        .forEach(clave => {
+            opciones[clave] = parametros.get(clave);
+        });
+    return resolverOpcionesPuzzle(opciones);
+}
+
+/**
+ * Índice de la pieza que está en una celda
+ * @private
+ * @param {Object} puzzle - Puzzle
+ * @param {number} fila - Fila
+ * @param {number} columna - Columna
+ * @returns {number} Índice o -1
+ */
+function piezaEnCelda(puzzle, fila, columna) {
+    return puzzle.piezas.findIndex(p => p.y === fila && p.x === columna);
+}
+
+/**
+ * Celdas vecinas (arriba, abajo, izquierda, derecha) dentro del tablero
+ * @private
+ * @param {Object} puzzle - Puzzle
+ * @param {number} fila - Fila
+ * @param {number} columna - Columna
+ * @returns {Array<Array<number>>} Pares [fila, columna]
+ */
+function vecinas(puzzle, fila, columna) {
+    return [[-1, 0], [1, 0], [0, -1], [0, 1]]
+        .map(([df, dc]) => [fila + df, columna + dc])
+        .filter(([f, c]) => f >= 0 && f < puzzle.filas && c >= 0 && c < puzzle.columnas);
+}
+
+/**
+ * Desordena un puzzle deslizante con movimientos válidos desde la solución, para que
+ * siempre tenga solución
+ * @private
+ * @param {Object} puzzle - Puzzle deslizante resuelto
+ * @param {Function} aleatorio - Generador en [0, 1)
+ */
+function barajarDeslizante(puzzle, aleatorio) {
+    const hueco = puzzle.piezas.find(p => p.hueco);
+    let anterior = null;
+    for (let paso = 0; paso < puzzle.filas * puzzle.columnas * 20; paso++) {
+        const opciones = vecinas(puzzle, hueco.y, hueco.x)
+            .filter(([f, c]) => !anterior || f !== anterior[0] || c !== anterior[1]);
+        const [fila, columna] = opciones[Math.floor(aleatorio() * opciones.length)];
+        const pieza = puzzle.piezas[piezaEnCelda(puzzle, fila, columna)];
+        anterior = [hueco.y, hueco.x];
+        [pieza.x, pieza.y, hueco.x, hueco.y] = [hueco.x, hueco.y, pieza.x, pieza.y];
+    }
+    if (estaResuelto(puzzle)) {
+        barajarDeslizante(puzzle, aleatorio);
+    }
+}
+
+/**
+ * Crea un puzzle desordenado
+ * @param {Object} opciones - Opciones (ver resolverOpcionesPuzzle)
+ * @param {Function} [aleatorio=Math.random] - Generador en [0, 1)
+ * @returns {Object} Puzzle: opciones, `piezas` y `movimientos`. Cada pieza tiene su celda
+ *          correcta (`fila`, `columna`), su posición (`x`, `y` en celdas), `rotacion` (grados)
+ *          y `colocada`; en la variante deslizar, la pieza `hueco` no se dibuja.
+ */
+export function crearPuzzle(opciones, aleatorio = Math.random) {
+    const puzzle = { ...resolverOpcionesPuzzle(opciones), piezas: [], movimientos: 0 };
+    const { filas, columnas, variante } = puzzle;
+
+    for (let fila = 0; fila < filas; fila++) {
+        for (let columna = 0; columna < columnas; columna++) {
+            const pieza = { fila, columna, x: columna, y: fila, rotacion: 0, colocada: true };
+            if (variante === 'arrastrar') {
+                pieza.x = aleatorio() * (columnas - 1);
+                pieza.y = aleatorio() * (filas - 1);
+                pieza.colocada = false;
+            } else if (variante === 'rotar') {
+                pieza.rotacion = Math.floor(aleatorio() * 4) * 90;
+            } else if (fila === filas - 1 && columna === columnas - 1) {
+                pieza.hueco = true;
+            }
+            puzzle.piezas.push(pieza);
+        }
+    }
+
+    if (variante === 'rotar' && estaResuelto(puzzle)) {
+        puzzle.piezas[0].rotacion = 90;
+    } else if (variante === 'deslizar') {
+        barajarDeslizante(puzzle, aleatorio);
+    }
+    return puzzle;
+}
+
+/**
+ * Suelta una pieza arrastrada; encaja si cae cerca de su celda (CONFIG.PUZZLE.TOLERANCIA)
+ * @param {Object} puzzle - Puzzle de la variante arrastrar
+ * @param {number} indice - Índice de la pieza
+ * @param {number} x - Columna (fraccionaria) donde se suelta
+ * @param {number} y - Fila (fraccionaria) donde se suelta
+ * @returns {boolean} True si la pieza ha encajado
+ */
+export function soltarPieza(puzzle, indice, x, y) {
+    const pieza = puzzle.piezas[indice];
+    if (!pieza || pieza.colocada) {
+        return false;
+    }
+    puzzle.movimientos++;
+    pieza.x = Math.min(Math.max(x, 0), puzzle.columnas - 1);
+    pieza.y = Math.min(Math.max(y, 0), puzzle.filas - 1);
+    if (Math.abs(pieza.x - pieza.columna) < CONFIG.PUZZLE.TOLERANCIA &&
+        Math.abs(pieza.y - pieza.fila) < CONFIG.PUZZLE.TOLERANCIA) {
+        pieza.x = pieza.columna;
+        pieza.y = pieza.fila;
+        pieza.colocada = true;
+    }
+    return pieza.colocada;
+}
+
+/**
+ * Gira una pieza 90° en el sentido de las agujas del reloj
+ * @param {Object} puzzle - Puzzle de la variante rotar
+ * @param {number} indice - Índice de la pieza
+ * @returns {boolean} True si la pieza queda derecha
+ */
+export function girarPieza(puzzle, indice) {
+    const pieza = puzzle.piezas[indice];
+    if (!pieza) {
+        return false;
+    }
+    puzzle.movimientos++;
+    pieza.rotacion = (pieza.rotacion + 90) % 360;
+    return pieza.rotacion === 0;
+}
+
+/**
+ * Desliza una pieza al hueco si es vecina
+ * @param {Object} puzzle - Puzzle de la variante deslizar
+ * @param {number} indice - Índice de la pieza
+ * @returns {boolean} True si se ha movido
+ */
+export function deslizarPieza(puzzle, indice) {
+    const pieza = puzzle.piezas[indice];
+    const hueco = puzzle.piezas.find(p => p.hueco);
+    if (!pieza || pieza.hueco || Math.abs(pieza.x - hueco.x) + Math.abs(pieza.y - hueco.y) !== 1) {
+        return false;
+    }
+    puzzle.movimientos++;
+    [pieza.x, pieza.y, hueco.x, hueco.y] = [hueco.x, hueco.y, pieza.x, pieza.y];
+    return true;
+}
+
+/**
+ * Comprueba si todas las piezas están en su celda y derechas
+ * @param {Object} puzzle - Puzzle
+ * @returns {boolean} True si está resuelto
+ */
+export function estaResuelto(puzzle) {
+    return puzzle.piezas.every(p => p.colocada && p.x === p.columna && p.y === p.fila && p.rotacion === 0);
+}
+
+/**
+ * Monta un puzzle en un canvas: lo dibuja, atiende el puntero y lleva el tiempo
+ * @param {HTMLCanvasElement} canvas - Canvas donde se dibuja (ocupa su tamaño en pantalla)
+ * @param {Object} opciones - Opciones (ver resolverOpcionesPuzzle)
+ * @param {Object} [eventos] - Callbacks
+ * @param {Function} [eventos.alCambiar] - `({movimientos, restante, pausado})` tras cada movimiento y segundo
+ * @param {Function} [eventos.alTerminar] - `({exito, movimientos, duracion, variante})`, duracion en ms
+ * @returns {Object} Control: `reiniciar()`, `pausar(pausado)`, `redimensionar()`, `detener()` y `obtenerEstado()`
+ */
+export function montarPuzzle(canvas, opciones, { alCambiar, alTerminar } = {}) {
+    const ctx = canvas.getContext('2d');
+    const imagen = new Image();
+    const juego = {
+        puzzle: null,
+        arrastrando: null,      // { indice, dx, dy } en celdas
+        restante: 0,
+        pausado: false,
+        terminado: false,
+        acumulado: 0,           // ms jugados antes de la última pausa
+        desde: null,            // Inicio del tramo jugado actual
+        temporizador: null
+    };
+
+    const tamanoCelda = () => ({
+        ancho: canvas.width / juego.puzzle.columnas,
+        alto: canvas.height / juego.puzzle.filas
+    });
+
+    const duracion = () => juego.acumulado + (juego.desde ? Date.now() - juego.desde : 0);
+
+    const avisarCambio = () => {
+        if (typeof alCambiar === 'function') {
+            alCambiar({ movimientos: juego.puzzle.movimientos, restante: juego.restante, pausado: juego.pausado });
+        }
+    };
+
+    function dibujarPieza(pieza, celda) {
+        const { puzzle } = juego;
+        const origenAncho = imagen.width / puzzle.columnas;
+        const origenAlto = imagen.height / puzzle.filas;
+        const girada = pieza.rotacion % 180 !== 0;
+        const ancho = girada ? celda.alto : celda.ancho;
+        const alto = girada ? celda.ancho : celda.alto;
+
+        ctx.save();
+        ctx.translate((pieza.x + 0.5) * celda.ancho, (pieza.y + 0.5) * celda.alto);
+        ctx.rotate((pieza.rotacion * Math.PI) / 180);
+        ctx.drawImage(imagen, pieza.columna * origenAncho, pieza.fila * origenAlto, origenAncho, origenAlto,
+            -ancho / 2, -alto / 2, ancho, alto);
+        if (puzzle.variante !== 'arrastrar' || !pieza.colocada) {
+            ctx.strokeStyle = 'rgba(255, 255, 255, 0.8)';
+            ctx.strokeRect(-ancho / 2, -alto / 2, ancho, alto);
+        }
+        ctx.restore();
+    }
+
+    function dibujar() {
+        if (!juego.puzzle) {
+            return;
+        }
+        const celda = tamanoCelda();
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        const piezas = juego.puzzle.piezas.filter(p => !p.hueco);
+        // Las colocadas debajo y la arrastrada encima de todas
+        const arrastrada = juego.arrastrando && juego.puzzle.piezas[juego.arrastrando.indice];
+        piezas.filter(p => p.colocada && p !== arrastrada).forEach(p => dibujarPieza(p, celda));
+        piezas.filter(p => !p.colocada && p !== arrastrada).forEach(p => dibujarPieza(p, celda));
+        if (arrastrada) {
+            dibujarPieza(arrastrada, celda);
+        }
+    }
+
+    function terminar(exito) {
+        if (juego.terminado) {
+            return;
+        }
+        juego.acumulado = duracion();
+        juego.desde = null;
+        juego.terminado = true;
+        clearInterval(juego.temporizador);
+        dibujar();
+        const resultado = {
+            exito,
+            movimientos: juego.puzzle.movimientos,
+            duracion: juego.acumulado,
+            variante: juego.puzzle.variante
+        };
+        logger.info(`[Puzzle] ${exito ? 'Completado' : 'Tiempo agotado'} en ${juego.puzzle.movimientos} movimientos`);
+        if (typeof alTerminar === 'function') {
+            alTerminar(resultado);
+        }
+    }
+
+    function arrancarTemporizador() {
+        clearInterval(juego.temporizador);
+        juego.desde = Date.now();
+        juego.temporizador = setInterval(() => {
+            if (juego.pausado || juego.terminado || !juego.puzzle.tiempo) {
+                return;
+            }
+            juego.restante--;
+            avisarCambio();
+            if (juego.restante <= 0) {
+                terminar(false);
+            }
+        }, 1000);
+    }
+
+    // Celda (fraccionaria) bajo el puntero
+    function posicionPuntero(evento) {
+        const caja = canvas.getBoundingClientRect();
+        return {
+            x: ((evento.clientX - caja.left) / caja.width) * juego.puzzle.columnas,
+            y: ((evento.clientY - caja.top) / caja.height) * juego.puzzle.filas
+        };
+    }
+
+    // Pieza bajo el puntero; en arrastrar, la de más arriba entre las no colocadas
+    function piezaBajo({ x, y }) {
+        const { piezas, variante } = juego.puzzle;
+        for (let i = piezas.length - 1; i >= 0; i--) {
+            const p = piezas[i];
+            if (p.hueco || (variante === 'arrastrar' && p.colocada)) {
+                continue;
+            }
+            if (x >= p.x && x < p.x + 1 && y >= p.y && y < p.y + 1) {
+                return i;
+            }
+        }
+        return -1;
+    }
+
+    function comprobarFinal() {
+        avisarCambio();
+        if (estaResuelto(juego.puzzle)) {
+            terminar(true);
+        }
+    }
+
+    function alPulsar(evento) {
+        if (!juego.puzzle || juego.pausado || juego.terminado) {
+            return;
+        }
+        const punto = posicionPuntero(evento);
+        const indice = piezaBajo(punto);
+        if (indice < 0) {
+            return;
+        }
+        evento.preventDefault();
+
+        const { puzzle } = juego;
+        if (puzzle.variante === 'arrastrar') {
+            const pieza = puzzle.piezas[indice];
+            juego.arrastrando = { indice, dx: punto.x - pieza.x, dy: punto.y - pieza.y };
+            canvas.setPointerCapture?.(evento.pointerId);
+            return;
+        }
+        if (puzzle.variante === 'rotar') {
+            girarPieza(puzzle, indice);
+        } else if (!deslizarPieza(puzzle, indice)) {
+            return;
+        }
+        dibujar();
+        comprobarFinal();
+    }
+
+    function alMover(evento) {
+        if (!juego.arrastrando || juego.pausado || juego.terminado) {
+            return;
+        }
+        evento.preventDefault();
+        const punto = posicionPuntero(evento);
+        const pieza = juego.puzzle.piezas[juego.arrastrando.indice];
+        pieza.x = Math.min(Math.max(punto.x - juego.arrastrando.dx, 0), juego.puzzle.columnas - 1);
+        pieza.y = Math.min(Math.max(punto.y - juego.arrastrando.dy, 0), juego.puzzle.filas - 1);
+        dibujar();
+    }
+
+    function alSoltar() {
+        if (!juego.arrastrando) {
+            return;
+        }
+        const { indice } = juego.arrastrando;
+        const pieza = juego.puzzle.piezas[indice];
+        juego.arrastrando = null;
+        soltarPieza(juego.puzzle, indice, pieza.x, pieza.y);
+        dibujar();
+        comprobarFinal();
+    }
+
+    function redimensionar() {
+        const caja = canvas.getBoundingClientRect();
+        canvas.width = Math.max(1, Math.round(caja.width));
+        canvas.height = Math.max(1, Math.round(caja.height));
+        dibujar();
+    }
+
+    function reiniciar() {
+        juego.puzzle = crearPuzzle(opciones);
+        juego.arrastrando = null;
+        juego.restante = juego.puzzle.tiempo;
+        juego.pausado = false;
+        juego.terminado = false;
+        juego.acumulado = 0;
+        arrancarTemporizador();
+        redimensionar();
+        avisarCambio();
+    }
+
+    function pausar(pausado = !juego.pausado) {
+        if (!juego.puzzle || juego.terminado || pausado === juego.pausado) {
+            return juego.pausado;
+        }
+        juego.pausado = pausado;
+        if (pausado) {
+            juego.acumulado = duracion();
+            juego.desde = null;
+        } else {
+            juego.desde = Date.now();
+        }
+        juego.arrastrando = null;
+        avisarCambio();
+        return juego.pausado;
+    }
+
+    const eventosCanvas = {
+        pointerdown: alPulsar,
+        pointermove: alMover,
+        pointerup: alSoltar,
+        pointercancel: alSoltar
+    };
+    Object.entries(eventosCanvas).forEach(([tipo, manejador]) => canvas.addEventListener(tipo, manejador));
+
+    imagen.onload = reiniciar;
+    imagen.onerror = () => logger.error(`[Puzzle] No se pudo cargar la imagen ${opciones.imagen}`);
+    imagen.src = resolverOpcionesPuzzle(opciones).imagen;
+
+    return {
+        reiniciar,
+        pausar,
+        redimensionar,
+        detener() {
+            clearInterval(juego.temporizador);
+            Object.entries(eventosCanvas).forEach(([tipo, manejador]) => canvas.removeEventListener(tipo, manejador));
+        },
+        obtenerEstado() {
+            return juego.puzzle && {
+                movimientos: juego.puzzle.movimientos,
+                restante: juego.restante,
+                pausado: juego.pausado,
+                terminado: juego.terminado,
+                duracion: duracion()
+            };
+        }
+    };
+}
+
+export default {
+    VARIANTES_PUZZLE,
+    resolverOpcionesPuzzle,
+    construirUrlPuzzle,
+    leerOpcionesUrl,
+    crearPuzzle,
+    soltarPieza,
+    girarPieza,
+    deslizarPieza,
+    estaResuelto,
+    montarPuzzle
+};
@@ -0,0 +1,816 @@
+/**
+ * Motor de retos
+ * @module MotorRetos
+ * @description
+ * Carga las definiciones de los retos del manifiesto de la aventura (`retos` de
+ * aventuras/<id>.json) y las muestra por `reto_id` (R-2…R-33). Tipos de pregunta:
+ * - opcion: una opción correcta.
+ * - opcion-multiple: hay que marcar exactamente las correctas.
+ * - texto: respuesta libre comparada sin mayúsculas, tildes ni signos y con tolerancia a
+ *   erratas (CONFIG.RETOS.SIMILITUD_TEXTO), salvo en los números, que deben coincidir.
+ * - orden: ordenar `elementos`, que se muestran desordenados.
+ * - zona: pulsar en la imagen dentro de una de las `zonas` correctas.
+ * - puzzle: puzzle.html con las opciones de `puzzle` (motor-puzzle.js) o una página propia
+ *   (`src`); al terminar avisa con sus movimientos y su duración. Mientras suenan sus efectos
+ *   se pide al padre que atenúe la audioguía (AUDIO.CONTROL `atenuar` / `restaurar`).
+ *
+ * Cada intento se notifica al padre con RETO.RESPUESTA; al acertar se envía RETO.COMPLETADO
+ * con los puntos (restando intentos fallidos y pistas y sumando un bonus por rapidez) y al
+ * agotar CONFIG.RETOS.MAX_INTENTOS (o ver la solución) RETO.FALLIDO.
+ * En los modos cuyos retos no se responden (registro-modos.js) se muestran en solo lectura.
+ *
+ * Con jugadores (perfiles-jugadores.js) cada reto se juega con la dificultad del jugador que
+ * tiene el turno (CONFIG.RETOS.DIFICULTADES: intentos, tolerancia del texto y tamaño del
+ * puzzle) y sus mensajes llevan su `jugadorId`.
+ */
+
+import logger from './logger.js';
+import { CONFIG } from './config.js';
+import { TIPOS_MENSAJE, CODIGOS_ERROR, PROTOCOLO_PUZZLE } from './constants.js';
+import { enviarMensaje } from './mensajeria.js';
+import { cargarAventura } from './cargador-aventuras.js';
+import { modoHandler } from './modo-handler.js';
+import { obtenerModo } from './registro-modos.js';
+import { construirUrlPuzzle } from './motor-puzzle.js';
+
+// Tipos de reto que entiende el motor
+export const TIPOS_RETO = ['opcion', 'opcion-multiple', 'texto', 'orden', 'zona', 'puzzle'];
+
+// Eventos con los que las páginas de puzzle avisan al terminar y de cada efecto de sonido:
+// `{protocolo: 'puzzle', evento, movimientos, duracion}` (puzzle.html) o, en las páginas
+// propias (`src`), solo el texto del evento
+const EVENTOS_PUZZLE = PROTOCOLO_PUZZLE.EVENTOS;
+
+// Estado del motor en esta página
+const estadoMotor = {
+    retos: new Map(),         // id -> definición
+    aventuraId: null,
+    sesion: null,             // Reto en curso
+    jugador: null,            // Jugador con el turno `{id, nombre, avatar, dificultad}` o null
+    limpiarVista: null        // Quita los listeners de la vista anterior
+};
+
+/**
+ * Crea un error del motor con código CODIGOS_ERROR.RETO
+ * @private
+ * @param {string} mensaje - Descripción
+ * @param {Object} [detalles] - Datos adicionales
+ * @returns {Error} Error con `codigo` y `detalles`
+ */
+function crearErrorReto(mensaje, detalles = {}) {
+    const error = new Error(mensaje);
+    error.codigo = CODIGOS_ERROR.RETO;
+    error.detalles = detalles;
+    return error;
+}
+
+/**
+ * Normaliza una respuesta de texto: minúsculas, sin tildes, sin signos y con espacios simples
+ * @param {string} texto - Texto a normalizar
+ * @returns {string} Texto normalizado
+ */
+export function normalizarTexto(texto) {
+    return String(texto ?? '')
+        .toLowerCase()
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Distancia de edición (Levenshtein) entre dos textos
+ * @private
+ * @param {string} a - Primer texto
+ * @param {string} b - Segundo texto
+ * @returns {number} Inserciones, borrados y sustituciones necesarios
+ */
+function distanciaEdicion(a, b) {
+    let anterior = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const actual = [i];
+        for (let j = 1; j <= b.length; j++) {
+            actual[j] = Math.min(
+                anterior[j] + 1,
+                actual[j - 1] + 1,
+                anterior[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        anterior = actual;
+    }
+    return anterior[b.length];
+}
+
+/**
+ * Similitud entre dos respuestas de texto una vez normalizadas
+ * @param {string} a - Primer texto
+ * @param {string} b - Segundo texto
+ * @returns {number} 1 si son iguales, 0 si no se parecen en nada
+ */
+export function calcularSimilitud(a, b) {
+    const x = normalizarTexto(a);
+    const y = normalizarTexto(b);
+    const longitud = Math.max(x.length, y.length);
+    if (longitud === 0) {
+        return 1;
+    }
+    return 1 - distanciaEdicion(x, y) / longitud;
+}
+
+/**
+ * Números de una respuesta de texto, en orden; en ellos no se toleran erratas
+ * (con "1953" no se acierta un "1952")
+ * @private
+ * @param {string} texto - Respuesta o respuesta aceptada
+ * @returns {string} Números separados por espacios ('' si no tiene)
+ */
+function numerosDelTexto(texto) {
+    return (normalizarTexto(texto).match(/\p{N}+/gu) || []).join(' ');
+}
+
+/**
+ * Busca la zona de un reto tipo zona que contiene un punto
+ * @param {Object} reto - Definición del reto
+ * @param {{x: number, y: number}} punto - Punto en porcentaje del ancho y alto de la imagen
+ * @returns {Object|null} Zona o null si el punto cae fuera de todas
+ */
+export function buscarZona(reto, punto) {
+    return (reto.zonas || []).find(zona =>
+        punto.x >= zona.x && punto.x <= zona.x + zona.ancho &&
+        punto.y >= zona.y && punto.y <= zona.y + zona.alto) || null;
+}
+
+/**
+ * Valor de CONFIG.RETOS ajustado a una dificultad
+ * @private
+ * @param {string} nombre - Clave de CONFIG.RETOS (MAX_INTENTOS, SIMILITUD_TEXTO)
+ * @param {string} [dificultad] - Clave de CONFIG.RETOS.DIFICULTADES; por defecto la del jugador actual
+ * @returns {*} Valor de la dificultad o el general
+ */
+function parametroDificultad(nombre, dificultad = estadoMotor.jugador?.dificultad) {
+    return CONFIG.RETOS.DIFICULTADES[dificultad]?.[nombre] ?? CONFIG.RETOS[nombre];
+}
+
+/**
+ * Comprueba una respuesta; en los retos de texto la tolerancia depende de la dificultad
+ * del jugador actual si el reto no fija su `similitud`
+ * @param {Object} reto - Definición del reto
+ * @param {*} respuesta - Opción (string), opciones o elementos ordenados (string[]),
+ *        texto, o punto `{x, y}` / id de zona
+ * @returns {boolean} True si es correcta
+ */
+export function evaluarRespuesta(reto, respuesta) {
+    const correctas = reto.correctas || [];
+
+    switch (reto.tipo) {
+        case 'opcion':
+            return correctas.includes(respuesta);
+        case 'opcion-multiple': {
+            const marcadas = new Set(Array.isArray(respuesta) ? respuesta : []);
+            return marcadas.size === correctas.length && correctas.every(c => marcadas.has(c));
+        }
+        case 'texto': {
+            if (normalizarTexto(respuesta) === '') {
+                return false;
+            }
+            const minima = reto.similitud ?? parametroDificultad('SIMILITUD_TEXTO');
+            const numeros = numerosDelTexto(respuesta);
+            return correctas.some(correcta => numerosDelTexto(correcta) === numeros &&
+                calcularSimilitud(respuesta, correcta) >= minima);
+        }
+        case 'orden':
+            return Array.isArray(respuesta) && respuesta.length === reto.elementos.length &&
+                respuesta.every((elemento, i) => elemento === reto.elementos[i]);
+        case 'zona': {
+            const zonaId = typeof respuesta === 'string' ? respuesta : respuesta && buscarZona(reto, respuesta)?.id;
+            return !!zonaId && correctas.includes(zonaId);
+        }
+        default:
+            throw crearErrorReto(`El reto ${reto.id} (${reto.tipo}) no se responde con evaluarRespuesta`, { retoId: reto.id });
+    }
+}
+
+/**
+ * Bonus por rapidez: completo hasta CONFIG.RETOS.TIEMPO_RAPIDO, nada desde
+ * CONFIG.RETOS.TIEMPO_LENTO y proporcional entre ambos
+ * @param {number} [duracion] - Tiempo empleado en el reto (ms)
+ * @returns {number} Puntos extra (0 si no se conoce la duración)
+ */
+export function calcularBonusRapidez(duracion) {
+    const { BONUS_RAPIDEZ, TIEMPO_RAPIDO, TIEMPO_LENTO } = CONFIG.RETOS;
+    if (!Number.isFinite(duracion) || duracion < 0 || duracion >= TIEMPO_LENTO) {
+        return 0;
+    }
+    if (duracion <= TIEMPO_RAPIDO) {
+        return BONUS_RAPIDEZ;
+    }
+    return Math.round(BONUS_RAPIDEZ * (TIEMPO_LENTO - duracion) / (TIEMPO_LENTO - TIEMPO_RAPIDO));
+}
+
+/**
+ * Puntos de un reto acertado
+ * @param {Object} reto - Definición del reto (admite `puntos` propios)
+ * @param {Object} uso - Uso del reto
+ * @param {number} uso.intentos - Intentos hasta acertar (incluido el acierto)
+ * @param {number} [uso.pistasUsadas=0] - Pistas pedidas
+ * @param {number} [uso.duracion] - Tiempo empleado (ms); suma calcularBonusRapidez
+ * @returns {number} Puntos, nunca negativos
+ */
+export function calcularPuntos(reto, { intentos, pistasUsadas = 0, duracion }) {
+    const base = reto.puntos ?? CONFIG.RETOS.PUNTOS_BASE;
+    const penalizacion = Math.max(0, intentos - 1) * CONFIG.RETOS.PENALIZACION_INTENTO +
+        pistasUsadas * CONFIG.RETOS.PENALIZACION_PISTA;
+    return Math.max(0, base - penalizacion) + calcularBonusRapidez(duracion);
+}
+
+/**
+ * Texto con la solución de un reto
+ * @param {Object} reto - Definición del reto
+ * @returns {string} Solución o aviso si el reto no tiene una
+ */
+export function textoSolucion(reto) {
+    switch (reto.tipo) {
+        case 'orden':
+            return reto.elementos.join(' → ');
+        case 'zona':
+            return 'La zona marcada en la imagen';
+        case 'puzzle':
+            return 'Este reto no tiene una respuesta escrita';
+        default:
+            return (reto.correctas || []).join(', ');
+    }
+}
+
+/**
+ * Sustituye las definiciones de retos
+ * @param {Array<Object>} definiciones - Retos del manifiesto
+ * @returns {number} Retos con tipo cargados (los que no tienen tipo aún no tienen contenido)
+ */
+export function cargarRetos(definiciones = []) {
+    estadoMotor.retos.clear();
+    definiciones
+        .filter(reto => reto?.id && TIPOS_RETO.includes(reto.tipo))
+        .forEach(reto => estadoMotor.retos.set(reto.id, reto));
+    return estadoMotor.retos.size;
+}
+
+/**
+ * Carga los retos del manifiesto de una aventura
+ * @param {string} aventuraId - Id de la aventura (p. ej. 'Av1')
+ * @returns {Promise<number>} Retos cargados
+ */
+export async function cargarRetosAventura(aventuraId) {
+    const manifiesto = await cargarAventura(aventuraId);
+    estadoMotor.aventuraId = manifiesto.id;
+    const total = cargarRetos(manifiesto.retos);
+    logger.info(`[Retos] ${total} retos cargados de ${manifiesto.id}`);
+    return total;
+}
+
+/**
+ * Devuelve la definición de un reto
+ * @param {string} retoId - Id del reto
+ * @returns {Object|null} Definición o null si no está cargada
+ */
+export function obtenerReto(retoId) {
+    return estadoMotor.retos.get(retoId) || null;
+}
+
+/**
+ * Envía un mensaje de reto al padre sin bloquear la interfaz
+ * @private
+ * @param {string} tipo - Tipo de TIPOS_MENSAJE.RETO
+ * @param {Object} datos - Datos del mensaje
+ */
+function notificarPadre(tipo, datos) {
+    enviarMensaje('padre', tipo, { ...datos, timestamp: Date.now() }).catch(error => {
+        logger.warn(`[Retos] ${tipo} de ${datos.retoId} no entregado:`, error);
+    });
+}
+
+/**
+ * Establece el jugador que tiene el turno; los retos que se inicien después usan su dificultad
+ * @param {Object|null} jugador - `{id, nombre, avatar, dificultad}` (ver perfiles-jugadores.js) o null
+ */
+export function establecerJugadorRetos(jugador) {
+    estadoMotor.jugador = jugador?.id ? { ...jugador } : null;
+}
+
+/**
+ * Devuelve el jugador que tiene el turno
+ * @returns {Object|null} Jugador o null si no hay jugadores
+ */
+export function obtenerJugadorRetos() {
+    return estadoMotor.jugador ? { ...estadoMotor.jugador } : null;
+}
+
+/**
+ * Id del jugador de una sesión para los mensajes al padre
+ * @private
+ * @param {Object} sesion - Sesión
+ * @returns {Object} `{jugadorId}` o vacío
+ */
+function datosJugador(sesion) {
+    return sesion.jugadorId ? { jugadorId: sesion.jugadorId } : {};
+}
+
+/**
+ * Devuelve la sesión en curso o lanza un error si no se puede responder
+ * @private
+ * @returns {Object} Sesión
+ */
+function sesionAbierta() {
+    const { sesion } = estadoMotor;
+    if (!sesion) {
+        throw crearErrorReto('No hay ningún reto en curso');
+    }
+    if (sesion.soloLectura) {
+        throw crearErrorReto(`El reto ${sesion.retoId} está en solo lectura en este modo`, { retoId: sesion.retoId });
+    }
+    if (sesion.finalizado) {
+        throw crearErrorReto(`El reto ${sesion.retoId} ya ha terminado`, { retoId: sesion.retoId });
+    }
+    return sesion;
+}
+
+/**
+ * Marca la sesión como terminada y avisa al padre
+ * @private
+ * @param {Object} sesion - Sesión en curso
+ * @param {boolean} exito - True si se ha completado
+ * @param {string} [motivo] - Motivo del fallo
+ * @param {Object} [externo] - Datos de un componente externo: `movimientos` y `duracion` (ms)
+ * @returns {Object} Resultado `{retoId, exito, puntos, intentos, pistasUsadas, duracion, motivo,
+ *          movimientos, jugadorId}`
+ */
+function finalizarSesion(sesion, exito, motivo, externo = {}) {
+    sesion.finalizado = true;
+    const reto = obtenerReto(sesion.retoId);
+    const movimientos = externo.movimientos !== undefined ? { movimientos: externo.movimientos } : {};
+    const duracion = externo.duracion ?? Date.now() - sesion.inicio;
+    const resultado = {
+        retoId: sesion.retoId,
+        exito,
+        puntos: exito ? calcularPuntos(reto, { ...sesion, duracion }) : 0,
+        intentos: sesion.intentos,
+        pistasUsadas: sesion.pistasUsadas,
+        duracion,
+        ...(motivo && { motivo }),
+        ...movimientos,
+        ...datosJugador(sesion)
+    };
+
+    if (exito) {
+        notificarPadre(TIPOS_MENSAJE.RETO.COMPLETADO, {
+            retoId: resultado.retoId,
+            puntos: resultado.puntos,
+            intentos: resultado.intentos,
+            pistasUsadas: resultado.pistasUsadas,
+            duracion: resultado.duracion,
+            ...movimientos,
+            ...datosJugador(sesion)
+        });
+    } else {
+        notificarPadre(TIPOS_MENSAJE.RETO.FALLIDO, {
+            retoId: resultado.retoId,
+            intentos: resultado.intentos,
+            pistasUsadas: resultado.pistasUsadas,
+            motivo,
+            ...movimientos,
+            ...datosJugador(sesion)
+        });
+    }
+    logger.info(`[Retos] ${sesion.retoId} ${exito ? `completado (${resultado.puntos} puntos)` : `fallido (${motivo})`}`);
+    return resultado;
+}
+
+/**
+ * Pide al padre que atenúe o restaure la audioguía (AUDIO.CONTROL, que reenvía al reproductor)
+ * @private
+ * @param {boolean} activa - True al empezar un efecto, false al terminar
+ */
+function atenuarAudioguia(activa) {
+    enviarMensaje('padre', TIPOS_MENSAJE.AUDIO.CONTROL, { accion: activa ? 'atenuar' : 'restaurar' }).catch(error => {
+        logger.warn('[Retos] AUDIO.CONTROL no entregado:', error);
+    });
+}
+
+/**
+ * Empieza un reto
+ * @param {string} retoId - Id del reto
+ * @param {Object} [opciones] - Opciones
+ * @param {boolean} [opciones.soloLectura] - Por defecto, según `retos.responder` del modo actual
+ * @returns {Object} Sesión: `{retoId, intentos, maxIntentos, pistasUsadas, soloLectura, finalizado,
+ *          jugadorId}`; `maxIntentos` depende de la dificultad del jugador actual
+ * @throws {Error} Con código CODIGOS_ERROR.RETO si el reto no está cargado
+ */
+export function iniciarReto(retoId, { soloLectura } = {}) {
+    if (!obtenerReto(retoId)) {
+        throw crearErrorReto(`Reto no encontrado: ${retoId}`, { retoId, aventuraId: estadoMotor.aventuraId });
+    }
+    const modo = obtenerModo(modoHandler.obtenerModoActual());
+    estadoMotor.sesion = {
+        retoId,
+        intentos: 0,
+        maxIntentos: parametroDificultad('MAX_INTENTOS'),
+        pistasUsadas: 0,
+        jugadorId: estadoMotor.jugador?.id || null,
+        soloLectura: soloLectura ?? (modo ? !modo.retos.responder : false),
+        finalizado: false,
+        inicio: Date.now()
+    };
+    return obtenerSesionReto();
+}
+
+/**
+ * Responde el reto en curso
+ * @param {*} respuesta - Respuesta según el tipo (ver evaluarRespuesta)
+ * @returns {Object} `{correcta, finalizado, intentosRestantes, resultado}`; `resultado` solo
+ *          cuando el reto termina
+ * @throws {Error} Con código CODIGOS_ERROR.RETO si no hay reto abierto
+ */
+export function responderReto(respuesta) {
+    const sesion = sesionAbierta();
+    const reto = obtenerReto(sesion.retoId);
+    const correcta = evaluarRespuesta(reto, respuesta);
+    sesion.intentos++;
+
+    notificarPadre(TIPOS_MENSAJE.RETO.RESPUESTA, {
+        retoId: sesion.retoId,
+        intento: sesion.intentos,
+        correcta,
+        pistasUsadas: sesion.pistasUsadas,
+        ...datosJugador(sesion)
+    });
+
+    let resultado = null;
+    if (correcta) {
+        resultado = finalizarSesion(sesion, true);
+    } else if (sesion.intentos >= sesion.maxIntentos) {
+        resultado = finalizarSesion(sesion, false, 'intentos_agotados');
+    }
+
+    return {
+        correcta,
+        finalizado: sesion.finalizado,
+        intentosRestantes: Math.max(0, sesion.maxIntentos - sesion.intentos),
+        resultado
+    };
+}
+
+/**
+ * Da la siguiente pista del reto en curso; cada pista resta puntos
+ * @returns {string|null} Pista o null si no quedan
+ */
+export function pedirPista() {
+    const sesion = sesionAbierta();
+    const pistas = obtenerReto(sesion.retoId).pistas || [];
+    if (sesion.pistasUsadas >= pistas.length) {
+        return null;
+    }
+    return pistas[sesion.pistasUsadas++];
+}
+
+/**
+ * Muestra la solución del reto en curso. Si aún no había terminado, cuenta como fallido.
+ * @returns {string} Solución (ver textoSolucion)
+ */
+export function mostrarSolucion() {
+    const { sesion } = estadoMotor;
+    if (!sesion) {
+        throw crearErrorReto('No hay ningún reto en curso');
+    }
+    if (!sesion.finalizado && !sesion.soloLectura) {
+        finalizarSesion(sesion, false, 'solucion_mostrada');
+    }
+    return textoSolucion(obtenerReto(sesion.retoId));
+}
+
+/**
+ * Termina el reto en curso con el resultado de un componente externo (p. ej. un puzzle)
+ * @param {boolean} exito - True si lo ha superado
+ * @param {Object} [detalles] - Detalles del componente
+ * @param {string} [detalles.motivo='tiempo_agotado'] - Motivo del fallo
+ * @param {number} [detalles.movimientos] - Movimientos realizados
+ * @param {number} [detalles.duracion] - Tiempo jugado (ms); por defecto, desde iniciarReto
+ * @returns {Object} Resultado (ver finalizarSesion)
+ */
+export function completarRetoExterno(exito, { motivo = 'tiempo_agotado', movimientos, duracion } = {}) {
+    const sesion = sesionAbierta();
+    sesion.intentos++;
+    return finalizarSesion(sesion, exito, exito ? undefined : motivo, { movimientos, duracion });
+}
+
+/**
+ * Copia de la sesión del reto en curso
+ * @returns {Object|null} Sesión (ver iniciarReto) o null
+ */
+export function obtenerSesionReto() {
+    if (!estadoMotor.sesion) {
+        return null;
+    }
+    const { inicio, ...sesion } = estadoMotor.sesion;
+    return sesion;
+}
+
+/**
+ * Crea un elemento con clase y texto
+ * @private
+ * @param {string} etiqueta - Etiqueta HTML
+ * @param {string|null} clase - Clases CSS
+ * @param {string} [texto] - Texto del elemento
+ * @returns {HTMLElement} Elemento creado
+ */
+function crearElemento(etiqueta, clase, texto) {
+    const elemento = document.createElement(etiqueta);
+    if (clase) {
+        elemento.className = clase;
+    }
+    if (texto !== undefined) {
+        elemento.textContent = texto;
+    }
+    return elemento;
+}
+
+/**
+ * Desordena una copia de los elementos asegurando que no queden en el orden correcto
+ * @private
+ * @param {Array<string>} elementos - Elementos en orden correcto
+ * @returns {Array<string>} Elementos desordenados
+ */
+function desordenar(elementos) {
+    const copia = [...elementos];
+    for (let i = copia.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [copia[i], copia[j]] = [copia[j], copia[i]];
+    }
+    if (copia.every((elemento, i) => elemento === elementos[i])) {
+        copia.push(copia.shift());
+    }
+    return copia;
+}
+
+/**
+ * Dibuja los controles de respuesta de un reto
+ * @private
+ * @param {Object} reto - Definición del reto
+ * @param {HTMLElement} zona - Contenedor de la respuesta
+ * @param {boolean} soloLectura - Desactiva los controles
+ * @returns {Function} Lee la respuesta actual de los controles
+ */
+function dibujarRespuesta(reto, zona, soloLectura) {
+    switch (reto.tipo) {
+        case 'opcion':
+        case 'opcion-multiple': {
+            const tipoInput = reto.tipo === 'opcion' ? 'radio' : 'checkbox';
+            const inputs = reto.opciones.map((opcion, i) => {
+                const fila = crearElemento('label', 'motor-reto-opcion');
+                const input = document.createElement('input');
+                input.type = tipoInput;
+                input.name = `reto-${reto.id}`;
+                input.value = opcion;
+                input.id = `reto-${reto.id}-${i}`;
+                input.disabled = soloLectura;
+                fila.append(input, crearElemento('span', null, opcion));
+                zona.appendChild(fila);
+                return input;
+            });
+            return () => {
+                const marcadas = inputs.filter(input => input.checked).map(input => input.value);
+                return reto.tipo === 'opcion' ? marcadas[0] : marcadas;
+            };
+        }
+        case 'texto': {
+            const input = document.createElement('input');
+            input.type = 'text';
+            input.className = 'motor-reto-texto';
+            input.autocomplete = 'off';
+            input.placeholder = 'Escriba su respuesta aquí...';
+            input.disabled = soloLectura;
+            zona.appendChild(input);
+            return () => input.value;
+        }
+        case 'orden': {
+            const lista = crearElemento('ol', 'motor-reto-orden');
+            const dibujarLista = (elementos) => {
+                lista.replaceChildren(...elementos.map((elemento, i) => {
+                    const item = crearElemento('li', null);
+                    item.dataset.valor = elemento;
+                    item.appendChild(crearElemento('span', null, elemento));
+                    [['▲', i - 1], ['▼', i + 1]].forEach(([flecha, destino]) => {
+                        const boton = crearElemento('button', 'motor-reto-mover', flecha);
+                        boton.type = 'button';
+                        boton.disabled = soloLectura || destino < 0 || destino >= elementos.length;
+                        boton.addEventListener('click', () => {
+                            const nuevos = [...elementos];
+                            [nuevos[i], nuevos[destino]] = [nuevos[destino], nuevos[i]];
+                            dibujarLista(nuevos);
+                        });
+                        item.appendChild(boton);
+                    });
+                    return item;
+                }));
+            };
+            dibujarLista(soloLectura ? reto.elementos : desordenar(reto.elementos));
+            zona.appendChild(lista);
+            return () => Array.from(lista.children, item => item.dataset.valor);
+        }
+        case 'zona': {
+            const marco = crearElemento('div', 'motor-reto-zona');
+            const imagen = document.createElement('img');
+            imagen.src = reto.imagen;
+            imagen.alt = reto.pregunta || reto.id;
+            const marca = crearElemento('span', 'motor-reto-marca');
+            marca.hidden = true;
+            marco.append(imagen, marca);
+            zona.appendChild(marco);
+
+            let punto = null;
+            if (!soloLectura) {
+                imagen.addEventListener('click', (evento) => {
+                    const caja = imagen.getBoundingClientRect();
+                    punto = {
+                        x: ((evento.clientX - caja.left) / caja.width) * 100,
+                        y: ((evento.clientY - caja.top) / caja.height) * 100
+                    };
+                    marca.style.left = `${punto.x}%`;
+                    marca.style.top = `${punto.y}%`;
+                    marca.hidden = false;
+                });
+            }
+            return () => punto;
+        }
+        default:
+            return () => null;
+    }
+}
+
+/**
+ * Muestra un reto en un contenedor y gestiona intentos, pistas y solución
+ * @param {HTMLElement} contenedor - Elemento donde se dibuja
+ * @param {string} retoId - Id del reto
+ * @param {Object} [opciones] - Opciones
+ * @param {boolean} [opciones.soloLectura] - Por defecto, según el modo actual
+ * @param {Function} [opciones.alFinalizar] - Recibe el resultado cuando el reto termina
+ * @returns {Object} Sesión (ver iniciarReto)
+ */
+export function mostrarRetoEn(contenedor, retoId, { soloLectura, alFinalizar } = {}) {
+    if (estadoMotor.limpiarVista) {
+        estadoMotor.limpiarVista();
+        estadoMotor.limpiarVista = null;
+    }
+
+    const sesion = iniciarReto(retoId, { soloLectura });
+    const reto = obtenerReto(retoId);
+    const raiz = crearElemento('div', `motor-reto motor-reto-${reto.tipo}`);
+    raiz.dataset.retoId = retoId;
+    raiz.appendChild(crearElemento('h3', 'motor-reto-pregunta', reto.pregunta || retoId));
+
+    const zonaRespuesta = crearElemento('div', 'motor-reto-respuesta');
+    const pistas = crearElemento('ul', 'motor-reto-pistas');
+    const acciones = crearElemento('div', 'motor-reto-acciones');
+    const estado = crearElemento('div', 'motor-reto-estado');
+    estado.setAttribute('aria-live', 'polite');
+    raiz.append(zonaRespuesta, pistas, acciones, estado);
+    contenedor.replaceChildren(raiz);
+
+    const terminar = (resultado) => {
+        raiz.classList.add(resultado.exito ? 'correcto' : 'incorrecto');
+        acciones.querySelectorAll('button').forEach(boton => {
+            boton.disabled = boton.dataset.accion !== 'solucion';
+        });
+        if (typeof alFinalizar === 'function') {
+            alFinalizar(resultado);
+        }
+    };
+
+    if (reto.tipo === 'puzzle') {
+        const iframe = document.createElement('iframe');
+        iframe.className = 'motor-reto-puzzle';
+        iframe.src = reto.src || construirUrlPuzzle({
+            titulo: reto.pregunta,
+            ...reto.puzzle,
+            ...(estadoMotor.jugador?.dificultad && { dificultad: estadoMotor.jugador.dificultad })
+        });
+        iframe.allowFullscreen = true;
+        zonaRespuesta.appendChild(iframe);
+
+        if (!sesion.soloLectura) {
+            // Efectos del puzzle sonando; los que no terminen se restauran al quitar la vista
+            let efectos = 0;
+            const alMensaje = (evento) => {
+                if (evento.source !== iframe.contentWindow) {
+                    return;
+                }
+                const { evento: tipo, movimientos, duracion } = typeof evento.data === 'string'
+                    ? { evento: evento.data }
+                    : evento.data || {};
+                if (tipo === EVENTOS_PUZZLE.EFECTO_INICIO) {
+                    efectos++;
+                    atenuarAudioguia(true);
+                } else if (tipo === EVENTOS_PUZZLE.EFECTO_FIN && efectos > 0) {
+                    efectos--;
+                    atenuarAudioguia(false);
+                } else if (estadoMotor.sesion?.finalizado) {
+                    return;
+                } else if (tipo === EVENTOS_PUZZLE.COMPLETADO) {
+                    terminar(completarRetoExterno(true, { movimientos, duracion }));
+                } else if (tipo === EVENTOS_PUZZLE.TIEMPO_AGOTADO) {
+                    terminar(completarRetoExterno(false, { motivo: 'tiempo_agotado', movimientos, duracion }));
+                }
+            };
+            window.addEventListener('message', alMensaje);
+            estadoMotor.limpiarVista = () => {
+                window.removeEventListener('message', alMensaje);
+                while (efectos > 0) {
+                    efectos--;
+                    atenuarAudioguia(false);
+                }
+            };
+        }
+        return sesion;
+    }
+
+    const leerRespuesta = dibujarRespuesta(reto, zonaRespuesta, sesion.soloLectura);
+
+    if (sesion.soloLectura) {
+        estado.textContent = `Solución: ${textoSolucion(reto)}`;
+        return sesion;
+    }
+
+    const crearBoton = (accion, texto, alPulsar) => {
+        const boton = crearElemento('button', `btn motor-reto-${accion}`, texto);
+        boton.type = 'button';
+        boton.dataset.accion = accion;
+        boton.addEventListener('click', alPulsar);
+        acciones.appendChild(boton);
+        return boton;
+    };
+
+    crearBoton('enviar', 'Enviar', () => {
+        const respuesta = leerRespuesta();
+        // Una respuesta vacía no cuenta como intento
+        if (respuesta == null || respuesta.length === 0 || (typeof respuesta === 'string' && !respuesta.trim())) {
+            estado.textContent = reto.tipo === 'zona' ? 'Pulse en la imagen' : 'Responda antes de enviar';
+            return;
+        }
+        const { correcta, finalizado, intentosRestantes, resultado } = responderReto(respuesta);
+        raiz.classList.toggle('incorrecto', !correcta);
+        if (correcta) {
+            estado.textContent = `¡Correcto! +${resultado.puntos} puntos`;
+        } else if (finalizado) {
+            estado.textContent = `Sin intentos. Solución: ${textoSolucion(reto)}`;
+        } else {
+            estado.textContent = `Respuesta incorrecta. Quedan ${intentosRestantes} intentos`;
+        }
+        if (finalizado) {
+            terminar(resultado);
+        }
+    });
+
+    if (reto.pistas?.length) {
+        const botonPista = crearBoton('pista', `Pista (${reto.pistas.length})`, () => {
+            const pista = pedirPista();
+            if (pista) {
+                pistas.appendChild(crearElemento('li', null, pista));
+            }
+            const restantes = reto.pistas.length - estadoMotor.sesion.pistasUsadas;
+            botonPista.textContent = `Pista (${restantes})`;
+            botonPista.disabled = restantes === 0;
+        });
+    }
+
+    crearBoton('solucion', '¿Respuesta correcta?', () => {
+        const finalizadoAntes = estadoMotor.sesion.finalizado;
+        estado.textContent = `Solución: ${mostrarSolucion()}`;
+        if (!finalizadoAntes) {
+            terminar({ retoId, exito: false, puntos: 0, motivo: 'solucion_mostrada' });
+        }
+    });
+
+    return sesion;
+}
+
+export default {
+    TIPOS_RETO,
+    normalizarTexto,
+    calcularSimilitud,
+    buscarZona,
+    evaluarRespuesta,
+    calcularBonusRapidez,
+    calcularPuntos,
+    textoSolucion,
+    cargarRetos,
+    cargarRetosAventura,
+    obtenerReto,
+    iniciarReto,
+    responderReto,
+    pedirPista,
+    mostrarSolucion,
+    completarRetoExterno,
+    obtenerSesionReto,
+    establecerJugadorRetos,
+    obtenerJugadorRetos,
+    mostrarRetoEn
+};
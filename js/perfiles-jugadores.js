@@ -0,0 +1,439 @@
+/**
+ * Jugadores de la familia en un mismo dispositivo
+ * @module PerfilesJugadores
+ * @description
+ * Guarda en localStorage (getFromStorage/setToStorage) los jugadores de la familia
+ * (nombre, franja de edad y avatar), a quién le toca el siguiente reto y los puntos de
+ * cada jugador por aventura. La franja de edad decide la dificultad de sus retos
+ * (CONFIG.PERFILES.FRANJAS_EDAD y CONFIG.RETOS.DIFICULTADES).
+ *
+ * El padre es el dueño de los perfiles: los difunde a los hijos con USUARIO.PREFERENCIAS
+ * (`{jugadores, jugadorActual}`) y atiende las peticiones de los hijos con el mismo tipo y
+ * una `accion` (consultar, crear, actualizar, eliminar o turno). Cada RETO.COMPLETADO suma
+ * los puntos al jugador que lo ha jugado y, como cada RETO.FALLIDO, pasa el turno al
+ * siguiente. Los cambios hechos desde jugadores.html llegan al padre con el evento `storage`.
+ */
+
+import logger from './logger.js';
+import { CONFIG } from './config.js';
+import { TIPOS_MENSAJE, ERRORES } from './constants.js';
+import { enviarMensaje, registrarControlador } from './mensajeria.js';
+import { getFromStorage, setToStorage, generarId } from './utils.js';
+
+// Versión de la estructura guardada; un cambio incompatible descarta los perfiles anteriores
+export const VERSION_PERFILES = 1;
+
+/**
+ * Crea unos perfiles vacíos
+ * @private
+ * @returns {Object} `{version, jugadores, turno, puntuaciones}`
+ */
+function crearPerfilesVacios() {
+    return {
+        version: VERSION_PERFILES,
+        jugadores: [],
+        turno: null,           // Id del jugador al que le toca el siguiente reto
+        puntuaciones: {}       // jugadorId -> aventuraId -> retoId -> puntos
+    };
+}
+
+// Estado de los perfiles de esta página
+const estadoPerfiles = {
+    datos: crearPerfilesVacios(),
+    cargados: false,
+    cancelaciones: []
+};
+
+/**
+ * Crea un error con el código de ERRORES
+ * @private
+ * @param {Object} tipoError - Entrada de ERRORES
+ * @param {string} mensaje - Mensaje del error
+ * @param {Object} [detalles] - Datos adicionales
+ * @returns {Error} Error con `codigo` y `detalles`
+ */
+function crearError(tipoError, mensaje, detalles) {
+    const error = new Error(mensaje);
+    error.codigo = tipoError.codigo;
+    if (detalles) {
+        error.detalles = detalles;
+    }
+    return error;
+}
+
+/**
+ * Lee los perfiles de localStorage
+ * @returns {Object} Preferencias (ver obtenerPreferencias)
+ */
+export function cargarPerfiles() {
+    const guardados = getFromStorage(CONFIG.PERFILES.CLAVE, null, 'object');
+    if (guardados && guardados.version === VERSION_PERFILES && Array.isArray(guardados.jugadores)) {
+        estadoPerfiles.datos = { ...crearPerfilesVacios(), ...guardados };
+    } else {
+        if (guardados) {
+            logger.warn('[Perfiles] Perfiles guardados incompatibles, se descartan', { version: guardados.version });
+        }
+        estadoPerfiles.datos = crearPerfilesVacios();
+    }
+    estadoPerfiles.cargados = true;
+    return obtenerPreferencias();
+}
+
+/**
+ * Devuelve los datos, cargándolos la primera vez
+ * @private
+ * @returns {Object} Datos de los perfiles
+ */
+function datos() {
+    if (!estadoPerfiles.cargados) {
+        cargarPerfiles();
+    }
+    return estadoPerfiles.datos;
+}
+
+/**
+ * Escribe los perfiles en localStorage
+ * @private
+ */
+function guardarPerfiles() {
+    setToStorage(CONFIG.PERFILES.CLAVE, estadoPerfiles.datos);
+}
+
+/**
+ * Dificultad de los retos para una franja de edad
+ * @param {string} edad - Clave de CONFIG.PERFILES.FRANJAS_EDAD
+ * @returns {string} Clave de CONFIG.RETOS.DIFICULTADES
+ */
+export function dificultadPorEdad(edad) {
+    const { FRANJAS_EDAD, FRANJA_POR_DEFECTO } = CONFIG.PERFILES;
+    return (FRANJAS_EDAD[edad] || FRANJAS_EDAD[FRANJA_POR_DEFECTO]).dificultad;
+}
+
+/**
+ * Copia pública de un jugador con su dificultad
+ * @private
+ * @param {Object} jugador - Jugador guardado
+ * @returns {Object} `{id, nombre, edad, avatar, dificultad}`
+ */
+function copiaJugador(jugador) {
+    return { ...jugador, dificultad: dificultadPorEdad(jugador.edad) };
+}
+
+/**
+ * Valida y limpia los datos de un jugador
+ * @private
+ * @param {Object} jugador - `{nombre, edad, avatar}`
+ * @param {Object} [base] - Jugador existente que se actualiza
+ * @returns {Object} `{nombre, edad, avatar}`
+ * @throws {Error} Con `codigo` DATOS_INVALIDOS
+ */
+function validarJugador(jugador = {}, base = {}) {
+    const { MAX_NOMBRE, AVATARES, FRANJAS_EDAD, FRANJA_POR_DEFECTO } = CONFIG.PERFILES;
+    const nombre = typeof jugador.nombre === 'string' ? jugador.nombre.trim() : base.nombre;
+    const edad = jugador.edad ?? base.edad ?? FRANJA_POR_DEFECTO;
+    const avatar = jugador.avatar ?? base.avatar ?? AVATARES[datos().jugadores.length % AVATARES.length];
+    const errores = [];
+
+    if (!nombre || nombre.length > MAX_NOMBRE) {
+        errores.push(`el nombre debe tener entre 1 y ${MAX_NOMBRE} caracteres`);
+    }
+    if (!FRANJAS_EDAD[edad]) {
+        errores.push(`franja de edad desconocida: ${edad}`);
+    }
+    if (!AVATARES.includes(avatar)) {
+        errores.push(`avatar desconocido: ${avatar}`);
+    }
+    if (errores.length > 0) {
+        throw crearError(ERRORES.VALIDACION.DATOS_INVALIDOS, `Jugador inválido: ${errores.join(', ')}`, errores);
+    }
+    return { nombre, edad, avatar };
+}
+
+/**
+ * Busca un jugador por id
+ * @private
+ * @param {string} jugadorId - Id del jugador
+ * @returns {Object} Jugador guardado
+ * @throws {Error} Con `codigo` NO_ENCONTRADO si no existe
+ */
+function buscarJugador(jugadorId) {
+    const jugador = datos().jugadores.find(j => j.id === jugadorId);
+    if (!jugador) {
+        throw crearError(ERRORES.RECURSO.NO_ENCONTRADO, `Jugador no encontrado: ${jugadorId}`, { jugadorId });
+    }
+    return jugador;
+}
+
+/**
+ * Añade un jugador; el primero recibe el turno
+ * @param {Object} jugador - `{nombre, edad?, avatar?}`
+ * @returns {Object} Jugador creado con su dificultad
+ * @throws {Error} Con `codigo` DATOS_INVALIDOS si no es válido o ya hay CONFIG.PERFILES.MAX_JUGADORES
+ */
+export function crearJugador(jugador) {
+    if (datos().jugadores.length >= CONFIG.PERFILES.MAX_JUGADORES) {
+        throw crearError(ERRORES.VALIDACION.DATOS_INVALIDOS, `Como máximo ${CONFIG.PERFILES.MAX_JUGADORES} jugadores`);
+    }
+    const nuevo = { id: generarId(), ...validarJugador(jugador) };
+    estadoPerfiles.datos.jugadores.push(nuevo);
+    estadoPerfiles.datos.turno = estadoPerfiles.datos.turno || nuevo.id;
+    guardarPerfiles();
+    logger.info(`[Perfiles] Jugador añadido: ${nuevo.nombre} (${nuevo.edad})`);
+    return copiaJugador(nuevo);
+}
+
+/**
+ * Cambia el nombre, la franja de edad o el avatar de un jugador
+ * @param {string} jugadorId - Id del jugador
+ * @param {Object} cambios - `{nombre?, edad?, avatar?}`
+ * @returns {Object} Jugador actualizado con su dificultad
+ * @throws {Error} Con `codigo` de ERRORES si no existe o los cambios no son válidos
+ */
+export function actualizarJugador(jugadorId, cambios) {
+    const jugador = buscarJugador(jugadorId);
+    Object.assign(jugador, validarJugador(cambios, jugador));
+    guardarPerfiles();
+    return copiaJugador(jugador);
+}
+
+/**
+ * Elimina un jugador y sus puntos; si tenía el turno pasa al siguiente
+ * @param {string} jugadorId - Id del jugador
+ * @throws {Error} Con `codigo` NO_ENCONTRADO si no existe
+ */
+export function eliminarJugador(jugadorId) {
+    buscarJugador(jugadorId);
+    if (estadoPerfiles.datos.turno === jugadorId) {
+        pasarTurno();
+    }
+    const { datos: perfiles } = estadoPerfiles;
+    perfiles.jugadores = perfiles.jugadores.filter(j => j.id !== jugadorId);
+    delete perfiles.puntuaciones[jugadorId];
+    if (perfiles.turno === jugadorId) {
+        perfiles.turno = null;
+    }
+    guardarPerfiles();
+}
+
+/**
+ * Devuelve los jugadores en orden de turno
+ * @returns {Array<Object>} `{id, nombre, edad, avatar, dificultad}`
+ */
+export function obtenerJugadores() {
+    return datos().jugadores.map(copiaJugador);
+}
+
+/**
+ * Devuelve el jugador al que le toca el siguiente reto
+ * @returns {Object|null} Jugador con su dificultad o null si no hay jugadores
+ */
+export function obtenerJugadorActual() {
+    const jugador = datos().jugadores.find(j => j.id === estadoPerfiles.datos.turno);
+    return jugador ? copiaJugador(jugador) : null;
+}
+
+/**
+ * Da el turno a un jugador
+ * @param {string} jugadorId - Id del jugador
+ * @returns {Object} Jugador con el turno
+ * @throws {Error} Con `codigo` NO_ENCONTRADO si no existe
+ */
+export function establecerTurno(jugadorId) {
+    buscarJugador(jugadorId);
+    estadoPerfiles.datos.turno = jugadorId;
+    guardarPerfiles();
+    return obtenerJugadorActual();
+}
+
+/**
+ * Pasa el turno al siguiente jugador (al primero después del último)
+ * @returns {Object|null} Jugador con el turno o null si no hay jugadores
+ */
+export function pasarTurno() {
+    const { jugadores, turno } = datos();
+    if (jugadores.length === 0) {
+        return null;
+    }
+    const indice = jugadores.findIndex(j => j.id === turno);
+    estadoPerfiles.datos.turno = jugadores[(indice + 1) % jugadores.length].id;
+    guardarPerfiles();
+    return obtenerJugadorActual();
+}
+
+/**
+ * Anota los puntos de un reto a un jugador; repetir el reto sustituye los anteriores
+ * @param {string} jugadorId - Id del jugador
+ * @param {string} aventuraId - Id de la aventura
+ * @param {string} retoId - Id del reto
+ * @param {number} puntos - Puntos conseguidos
+ * @returns {boolean} True si se anotaron (el jugador existe)
+ */
+export function registrarPuntosJugador(jugadorId, aventuraId, retoId, puntos) {
+    if (!datos().jugadores.some(j => j.id === jugadorId) || !aventuraId || !retoId) {
+        return false;
+    }
+    const { puntuaciones } = estadoPerfiles.datos;
+    const porAventura = puntuaciones[jugadorId] || (puntuaciones[jugadorId] = {});
+    const porReto = porAventura[aventuraId] || (porAventura[aventuraId] = {});
+    porReto[retoId] = Number.isFinite(puntos) ? puntos : 0;
+    guardarPerfiles();
+    return true;
+}
+
+/**
+ * Puntos de cada jugador en una aventura, de más a menos
+ * @param {string} aventuraId - Id de la aventura
+ * @returns {Array<Object>} `{id, nombre, edad, avatar, dificultad, puntos, retos}`
+ */
+export function obtenerPuntuacionesJugadores(aventuraId) {
+    return obtenerJugadores()
+        .map(jugador => {
+            const porReto = estadoPerfiles.datos.puntuaciones[jugador.id]?.[aventuraId] || {};
+            return {
+                ...jugador,
+                puntos: Object.values(porReto).reduce((total, puntos) => total + puntos, 0),
+                retos: Object.keys(porReto).length
+            };
+        })
+        .sort((a, b) => b.puntos - a.puntos);
+}
+
+/**
+ * Preferencias que se difunden a los hijos
+ * @returns {{jugadores: Array<Object>, jugadorActual: Object|null}} Jugadores y quién tiene el turno
+ */
+export function obtenerPreferencias() {
+    return {
+        jugadores: obtenerJugadores(),
+        jugadorActual: obtenerJugadorActual()
+    };
+}
+
+/**
+ * Envía los jugadores y el turno a los hijos con USUARIO.PREFERENCIAS
+ * @param {string} [destino='todos'] - Hijo concreto (p. ej. uno recién recargado) o 'todos'
+ * @returns {Promise<Object>} Resultado del envío
+ */
+export async function difundirPreferencias(destino = 'todos') {
+    return await enviarMensaje(destino, TIPOS_MENSAJE.USUARIO.PREFERENCIAS, {
+        ...obtenerPreferencias(),
+        timestamp: Date.now()
+    });
+}
+
+/**
+ * Difunde las preferencias sin esperar
+ * @private
+ */
+function difundirEnSegundoPlano() {
+    difundirPreferencias().catch(error => logger.warn('[Perfiles] No se pudieron difundir los jugadores:', error));
+}
+
+/**
+ * Atiende una petición de un hijo
+ * @param {Object} peticion - `{accion, jugadorId?, jugador?}`
+ * @returns {Object} Preferencias después de aplicarla
+ * @throws {Error} Con `codigo` de ERRORES si la acción o sus datos no son válidos
+ */
+export function atenderPeticionPerfiles({ accion = 'consultar', jugadorId, jugador } = {}) {
+    switch (accion) {
+        case 'consultar':
+            return obtenerPreferencias();
+        case 'crear':
+            crearJugador(jugador);
+            break;
+        case 'actualizar':
+            actualizarJugador(jugadorId, jugador);
+            break;
+        case 'eliminar':
+            eliminarJugador(jugadorId);
+            break;
+        case 'turno':
+            if (jugadorId) {
+                establecerTurno(jugadorId);
+            } else {
+                pasarTurno();
+            }
+            break;
+        default:
+            throw crearError(ERRORES.VALIDACION.DATOS_INVALIDOS, `Acción de perfiles desconocida: ${accion}`, { accion });
+    }
+    difundirEnSegundoPlano();
+    return obtenerPreferencias();
+}
+
+/**
+ * Registra en el padre los manejadores de los perfiles: peticiones de los hijos, puntos y
+ * turnos de los retos y cambios hechos en otra pestaña (jugadores.html)
+ * @param {Object} opciones - Opciones
+ * @param {string} opciones.aventuraId - Aventura en la que se anotan los puntos
+ */
+export function registrarManejadoresPerfiles({ aventuraId }) {
+    detenerManejadoresPerfiles();
+    cargarPerfiles();
+
+    const alTerminarReto = (mensaje, puntos) => {
+        const { retoId, jugadorId } = mensaje.datos || {};
+        const actual = estadoPerfiles.datos.turno;
+        if (!actual) {
+            return;
+        }
+        if (puntos !== undefined) {
+            registrarPuntosJugador(jugadorId || actual, aventuraId, retoId, puntos);
+        }
+        // Solo pasa el turno el jugador que lo tenía
+        if (!jugadorId || jugadorId === actual) {
+            pasarTurno();
+        }
+        difundirEnSegundoPlano();
+    };
+
+    const alCambiarAlmacen = (evento) => {
+        if (evento.key === CONFIG.PERFILES.CLAVE) {
+            cargarPerfiles();
+            difundirEnSegundoPlano();
+        }
+    };
+
+    estadoPerfiles.cancelaciones.push(
+        registrarControlador(TIPOS_MENSAJE.USUARIO.PREFERENCIAS, (mensaje) => atenderPeticionPerfiles(mensaje.datos)),
+        registrarControlador(TIPOS_MENSAJE.RETO.COMPLETADO, (mensaje) => alTerminarReto(mensaje, mensaje.datos?.puntos ?? 0)),
+        registrarControlador(TIPOS_MENSAJE.RETO.FALLIDO, (mensaje) => alTerminarReto(mensaje))
+    );
+    if (typeof window !== 'undefined') {
+        window.addEventListener('storage', alCambiarAlmacen);
+        estadoPerfiles.cancelaciones.push(() => window.removeEventListener('storage', alCambiarAlmacen));
+    }
+}
+
+/**
+ * Quita los manejadores registrados por registrarManejadoresPerfiles
+ */
+export function detenerManejadoresPerfiles() {
+    estadoPerfiles.cancelaciones.forEach(cancelar => {
+        if (typeof cancelar === 'function') {
+            cancelar();
+        }
+    });
+    estadoPerfiles.cancelaciones = [];
+}
+
+export default {
+    VERSION_PERFILES,
+    cargarPerfiles,
+    dificultadPorEdad,
+    crearJugador,
+    actualizarJugador,
+    eliminarJugador,
+    obtenerJugadores,
+    obtenerJugadorActual,
+    establecerTurno,
+    pasarTurno,
+    registrarPuntosJugador,
+    obtenerPuntuacionesJugadores,
+    obtenerPreferencias,
+    difundirPreferencias,
+    atenderPeticionPerfiles,
+    registrarManejadoresPerfiles,
+    detenerManejadoresPerfiles
+};
@@ -0,0 +1,284 @@
+/**
+ * Progreso persistente de la aventura
+ * @module ProgresoAventura
+ * @description
+ * Guarda en localStorage (mediante getFromStorage/setToStorage) las paradas visitadas,
+ * los retos completados, la posición de cada audio y el modo actual, para poder
+ * retomar la aventura después de cerrar la pestaña. El progreso se difunde a los
+ * hijos con SISTEMA.SINCRONIZAR_ESTADO.
+ */
+
+import logger from './logger.js';
+import { CONFIG } from './config.js';
+import { TIPOS_MENSAJE, MODOS } from './constants.js';
+import { enviarMensaje, registrarControlador } from './mensajeria.js';
+import { getFromStorage, setToStorage, debounce } from './utils.js';
+
+// Versión de la estructura guardada; un cambio incompatible descarta el progreso anterior
+export const VERSION_PROGRESO = 1;
+
+/**
+ * Crea un progreso vacío para una aventura
+ * @private
+ * @param {string} aventuraId - Id de la aventura
+ * @returns {Object} Progreso inicial
+ */
+function crearProgresoVacio(aventuraId) {
+    return {
+        version: VERSION_PROGRESO,
+        aventuraId,
+        modo: MODOS.CASA,
+        paradaActual: null,
+        paradasVisitadas: [],
+        retosCompletados: {},
+        posicionesAudio: {},
+        iniciado: Date.now(),
+        actualizado: Date.now()
+    };
+}
+
+// Progreso de la aventura en curso
+let progreso = crearProgresoVacio(null);
+
+// Funciones avisadas en cada cambio del progreso (suscribirProgreso)
+const suscriptores = new Set();
+
+/**
+ * Clave de localStorage para una aventura
+ * @private
+ * @param {string} aventuraId - Id de la aventura
+ * @returns {string} Clave de almacenamiento
+ */
+function claveProgreso(aventuraId) {
+    return `${CONFIG.PROGRESO.CLAVE_PREFIJO}_${aventuraId}`;
+}
+
+/**
+ * Escribe el progreso en localStorage inmediatamente
+ * @returns {boolean} True si se guardó correctamente
+ */
+export function guardarProgreso() {
+    if (!progreso.aventuraId) {
+        return false;
+    }
+    return setToStorage(claveProgreso(progreso.aventuraId), progreso);
+}
+
+// Guardado agrupado para no escribir en cada evento de audio o posición
+const guardarProgresoDiferido = debounce(guardarProgreso, CONFIG.PROGRESO.RETRASO_GUARDADO);
+
+/**
+ * Avisa a los suscriptores con una copia del progreso
+ * @private
+ */
+function notificarSuscriptores() {
+    suscriptores.forEach(suscriptor => {
+        try {
+            suscriptor(obtenerProgreso());
+        } catch (error) {
+            logger.error('[Progreso] Error en un suscriptor del progreso:', error);
+        }
+    });
+}
+
+/**
+ * Marca el progreso como modificado, programa su guardado y avisa a los suscriptores
+ * @private
+ */
+function marcarCambio() {
+    progreso.actualizado = Date.now();
+    guardarProgresoDiferido();
+    notificarSuscriptores();
+}
+
+/**
+ * Suscribe una función a los cambios del progreso (visitas, retos, audio, modo y reinicio)
+ * @param {Function} suscriptor - Recibe una copia del progreso
+ * @returns {Function} Función para cancelar la suscripción
+ */
+export function suscribirProgreso(suscriptor) {
+    suscriptores.add(suscriptor);
+    return () => suscriptores.delete(suscriptor);
+}
+
+/**
+ * Carga el progreso guardado de una aventura o crea uno nuevo
+ * @param {string} aventuraId - Id de la aventura
+ * @returns {Object} Copia del progreso restaurado
+ */
+export function cargarProgreso(aventuraId) {
+    const guardado = getFromStorage(claveProgreso(aventuraId), null, 'object');
+
+    if (guardado && guardado.version === VERSION_PROGRESO && guardado.aventuraId === aventuraId) {
+        progreso = { ...crearProgresoVacio(aventuraId), ...guardado };
+        logger.info(`[Progreso] Restaurado progreso de ${aventuraId}: ${progreso.paradasVisitadas.length} puntos visitados`);
+    } else {
+        if (guardado) {
+            logger.warn(`[Progreso] Progreso guardado de ${aventuraId} incompatible, se descarta`, { version: guardado.version });
+        }
+        progreso = crearProgresoVacio(aventuraId);
+    }
+
+    return obtenerProgreso();
+}
+
+/**
+ * Devuelve una copia del progreso actual
+ * @returns {Object} Progreso
+ */
+export function obtenerProgreso() {
+    return JSON.parse(JSON.stringify(progreso));
+}
+
+/**
+ * Registra la visita a una parada o tramo y la marca como actual
+ * @param {string} puntoId - Id de la parada o tramo (P-x / TR-x)
+ * @returns {boolean} True si es la primera visita
+ */
+export function registrarPuntoVisitado(puntoId) {
+    if (!puntoId) {
+        return false;
+    }
+
+    progreso.paradaActual = puntoId;
+    const nuevo = !progreso.paradasVisitadas.includes(puntoId);
+    if (nuevo) {
+        progreso.paradasVisitadas.push(puntoId);
+    }
+    marcarCambio();
+    return nuevo;
+}
+
+/**
+ * Registra un reto completado
+ * @param {string} retoId - Id del reto
+ * @param {Object} [resultado] - Datos del resultado (correcto, puntos, intentos...)
+ */
+export function registrarRetoCompletado(retoId, resultado = {}) {
+    if (!retoId) {
+        return;
+    }
+    progreso.retosCompletados[retoId] = { ...resultado, timestamp: Date.now() };
+    marcarCambio();
+}
+
+/**
+ * Guarda la posición de reproducción de un audio
+ * @param {string} audioId - Id del audio
+ * @param {number} segundos - Posición en segundos; 0 para reiniciarlo
+ */
+export function guardarPosicionAudio(audioId, segundos) {
+    if (!audioId || typeof segundos !== 'number' || isNaN(segundos)) {
+        return;
+    }
+    progreso.posicionesAudio[audioId] = Math.max(0, segundos);
+    marcarCambio();
+}
+
+/**
+ * Devuelve la posición guardada de un audio
+ * @param {string} audioId - Id del audio
+ * @returns {number} Posición en segundos (0 si no hay)
+ */
+export function obtenerPosicionAudio(audioId) {
+    return progreso.posicionesAudio[audioId] || 0;
+}
+
+/**
+ * Guarda el modo actual
+ * @param {string} modo - Id de un modo de registro-modos.js
+ */
+export function establecerModoProgreso(modo) {
+    if (!modo || progreso.modo === modo) {
+        return;
+    }
+    progreso.modo = modo;
+    marcarCambio();
+}
+
+/**
+ * Estadísticas del recorrido para el modo revisión
+ * @param {Array<Object>} puntos - Paradas y tramos de la aventura (obtenerParadasMapa)
+ * @returns {Object} `{paradasVisitadas, totalParadas, tramosRecorridos, totalTramos,
+ *          retosCompletados, totalRetos, duracion}` (duracion en ms)
+ */
+export function calcularEstadisticasProgreso(puntos = []) {
+    const visitados = new Set(progreso.paradasVisitadas);
+    const paradas = puntos.filter(punto => punto.tipo !== 'tramo');
+    const tramos = puntos.filter(punto => punto.tipo === 'tramo');
+    return {
+        paradasVisitadas: paradas.filter(parada => visitados.has(parada.id)).length,
+        totalParadas: paradas.length,
+        tramosRecorridos: tramos.filter(tramo => visitados.has(tramo.id)).length,
+        totalTramos: tramos.length,
+        retosCompletados: Object.keys(progreso.retosCompletados).length,
+        totalRetos: paradas.filter(parada => parada.reto_id).length,
+        duracion: progreso.actualizado - progreso.iniciado
+    };
+}
+
+/**
+ * Borra el progreso de la aventura actual
+ * @returns {Object} Progreso vacío
+ */
+export function reiniciarProgreso() {
+    const { aventuraId } = progreso;
+    progreso = crearProgresoVacio(aventuraId);
+    guardarProgreso();
+    notificarSuscriptores();
+    logger.info(`[Progreso] Progreso de ${aventuraId} reiniciado`);
+    return obtenerProgreso();
+}
+
+/**
+ * Envía el progreso a los hijos con SISTEMA.SINCRONIZAR_ESTADO
+ * @param {string} [destino='todos'] - Hijo concreto (p. ej. uno recién recargado) o 'todos'
+ * @returns {Promise<Object>} Resultado del envío
+ */
+export async function difundirProgreso(destino = 'todos') {
+    return await enviarMensaje(destino, TIPOS_MENSAJE.SISTEMA.SINCRONIZAR_ESTADO, {
+        progreso: obtenerProgreso(),
+        timestamp: Date.now()
+    });
+}
+
+/**
+ * Registra los manejadores que actualizan el progreso a partir de los mensajes de los hijos
+ * (retos completados y posición de los audios) y guarda el progreso al cerrar la página.
+ */
+export function registrarManejadoresProgreso() {
+    registrarControlador(TIPOS_MENSAJE.RETO.COMPLETADO, (mensaje) => {
+        const { retoId, ...resultado } = mensaje.datos || {};
+        registrarRetoCompletado(retoId, resultado);
+    });
+
+    registrarControlador(TIPOS_MENSAJE.AUDIO.PAUSAR, (mensaje) => {
+        const { audioId, tiempoActual } = mensaje.datos || {};
+        guardarPosicionAudio(audioId, tiempoActual);
+    });
+
+    registrarControlador(TIPOS_MENSAJE.AUDIO.FIN_REPRODUCCION, (mensaje) => {
+        guardarPosicionAudio(mensaje.datos?.audioId, 0);
+    });
+
+    if (typeof window !== 'undefined') {
+        window.addEventListener('pagehide', guardarProgreso);
+    }
+}
+
+export default {
+    VERSION_PROGRESO,
+    cargarProgreso,
+    obtenerProgreso,
+    guardarProgreso,
+    suscribirProgreso,
+    registrarPuntoVisitado,
+    registrarRetoCompletado,
+    guardarPosicionAudio,
+    obtenerPosicionAudio,
+    establecerModoProgreso,
+    calcularEstadisticasProgreso,
+    reiniciarProgreso,
+    difundirProgreso,
+    registrarManejadoresProgreso
+};
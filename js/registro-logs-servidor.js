@@ -0,0 +1,217 @@
+/**
+ * Registro en disco de los logs enviados por los clientes
+ * @module RegistroLogsServidor
+ * @description
+ * Recibe en el endpoint /logs los lotes de transporte-logs.js y los añade, una entrada
+ * JSON por línea, a `clientes.log` dentro del directorio configurado. Cuando el archivo
+ * supera el tamaño máximo se rota: `clientes.log` pasa a `clientes.log.1`, el `.1` a `.2`…
+ * y el más antiguo se borra. Las coordenadas se vuelven a redondear por si llega un cliente
+ * antiguo o manipulado. Las escrituras se encadenan para no mezclar líneas ni rotaciones.
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { ERRORES } from './constants.js';
+import { redactarCoordenadas } from './transporte-logs.js';
+
+// Nombre del archivo activo
+const ARCHIVO_LOGS = 'clientes.log';
+
+// Máximo de entradas aceptadas por petición
+const MAX_ENTRADAS_LOTE = 100;
+
+// Longitud máxima de una línea escrita (bytes aproximados)
+const MAX_LONGITUD_LINEA = 16 * 1024;
+
+// Niveles aceptados
+const NIVELES = ['DEBUG', 'INFO', 'WARN', 'ERROR'];
+
+// Campos de una entrada que se escriben (los de prepararEntrada en transporte-logs.js)
+const CAMPOS_ENTRADA = ['timestamp', 'nivel', 'mensaje', 'datos', 'error', 'ubicacion', 'iframeId', 'pagina'];
+
+// Estado del registro
+const estadoRegistro = {
+    directorio: null,
+    maxBytes: 5 * 1024 * 1024,
+    maxArchivos: 5,
+    tamano: null,          // Tamaño actual de clientes.log, leído en la primera escritura
+    cadena: Promise.resolve()
+};
+
+/**
+ * Configura el directorio y la rotación del registro
+ * @param {Object} opciones - Opciones
+ * @param {string} opciones.directorio - Directorio de los archivos de log (se crea si no existe)
+ * @param {number} [opciones.maxBytes] - Tamaño a partir del cual se rota el archivo
+ * @param {number} [opciones.maxArchivos] - Archivos rotados que se conservan
+ */
+export function configurarRegistroLogs({ directorio, maxBytes, maxArchivos } = {}) {
+    if (!directorio) {
+        throw new Error('Se requiere el directorio del registro de logs');
+    }
+    estadoRegistro.directorio = directorio;
+    if (Number.isFinite(maxBytes) && maxBytes > 0) {
+        estadoRegistro.maxBytes = maxBytes;
+    }
+    if (Number.isInteger(maxArchivos) && maxArchivos > 0) {
+        estadoRegistro.maxArchivos = maxArchivos;
+    }
+    estadoRegistro.tamano = null;
+}
+
+/**
+ * Ruta de un archivo del registro
+ * @private
+ * @param {number} [indice] - 0 para el activo, n para el rotado n
+ * @returns {string} Ruta absoluta
+ */
+function rutaArchivo(indice = 0) {
+    return path.join(estadoRegistro.directorio, indice === 0 ? ARCHIVO_LOGS : `${ARCHIVO_LOGS}.${indice}`);
+}
+
+/**
+ * Renombra un archivo ignorando que no exista
+ * @private
+ * @param {string} desde - Ruta origen
+ * @param {string} hasta - Ruta destino
+ */
+async function renombrarSiExiste(desde, hasta) {
+    try {
+        await fs.rename(desde, hasta);
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            throw error;
+        }
+    }
+}
+
+/**
+ * Rota los archivos: borra el más antiguo y desplaza los demás una posición
+ * @private
+ */
+async function rotar() {
+    await fs.rm(rutaArchivo(estadoRegistro.maxArchivos), { force: true });
+    for (let indice = estadoRegistro.maxArchivos - 1; indice >= 0; indice--) {
+        await renombrarSiExiste(rutaArchivo(indice), rutaArchivo(indice + 1));
+    }
+    estadoRegistro.tamano = 0;
+}
+
+/**
+ * Añade texto al archivo activo, rotando antes si no cabe
+ * @private
+ * @param {string} texto - Líneas a escribir
+ */
+async function escribir(texto) {
+    const bytes = Buffer.byteLength(texto);
+    if (estadoRegistro.tamano === null) {
+        await fs.mkdir(estadoRegistro.directorio, { recursive: true });
+        try {
+            estadoRegistro.tamano = (await fs.stat(rutaArchivo())).size;
+        } catch (error) {
+            estadoRegistro.tamano = 0;
+        }
+    }
+    if (estadoRegistro.tamano > 0 && estadoRegistro.tamano + bytes > estadoRegistro.maxBytes) {
+        await rotar();
+    }
+    await fs.appendFile(rutaArchivo(), texto, 'utf8');
+    estadoRegistro.tamano += bytes;
+}
+
+/**
+ * Convierte una entrada recibida en una línea del registro
+ * @private
+ * @param {Object} entrada - Entrada enviada por el cliente
+ * @param {Object} contexto - sesionId, recibido y userAgent
+ * @returns {string|null} Línea JSON o null si la entrada no es válida
+ */
+function crearLinea(entrada, contexto) {
+    if (!entrada || typeof entrada !== 'object' || !NIVELES.includes(entrada.nivel) || typeof entrada.mensaje !== 'string') {
+        return null;
+    }
+    // El contexto va al final: el cliente no puede sustituir recibido, sesionId ni userAgent
+    const campos = Object.fromEntries(CAMPOS_ENTRADA
+        .filter(campo => Object.hasOwn(entrada, campo))
+        .map(campo => [campo, entrada[campo]]));
+    const linea = JSON.stringify({ ...redactarCoordenadas(campos), ...contexto });
+    if (Buffer.byteLength(linea) <= MAX_LONGITUD_LINEA) {
+        return linea;
+    }
+    // Entrada demasiado grande: se conservan los campos básicos
+    return JSON.stringify({
+        timestamp: entrada.timestamp,
+        nivel: entrada.nivel,
+        iframeId: entrada.iframeId,
+        mensaje: redactarCoordenadas(entrada.mensaje).slice(0, 1000),
+        recortada: true,
+        ...contexto
+    });
+}
+
+/**
+ * Valida un lote y lo escribe en el registro
+ * @param {{sesionId: string, entradas: Array<Object>}} lote - Lote de transporte-logs.js
+ * @param {Object} [contexto] - Información de la petición
+ * @param {string} [contexto.userAgent] - Navegador del cliente
+ * @returns {Promise<{aceptadas: number, descartadas: number}>} Resultado
+ * @throws {Error} Con `codigo` de ERRORES si el lote no es válido o no se puede escribir
+ */
+export async function registrarLoteLogs(lote, { userAgent } = {}) {
+    if (!lote || typeof lote.sesionId !== 'string' || !Array.isArray(lote.entradas) ||
+        lote.entradas.length === 0 || lote.entradas.length > MAX_ENTRADAS_LOTE) {
+        const error = new Error(`Se esperaba { sesionId, entradas } con 1 a ${MAX_ENTRADAS_LOTE} entradas`);
+        error.codigo = ERRORES.VALIDACION.DATOS_INVALIDOS.codigo;
+        throw error;
+    }
+    if (!estadoRegistro.directorio) {
+        const error = new Error('Registro de logs sin configurar');
+        error.codigo = ERRORES.SISTEMA.SERVICIO_NO_DISPONIBLE.codigo;
+        throw error;
+    }
+
+    const contexto = {
+        recibido: new Date().toISOString(),
+        sesionId: lote.sesionId.slice(0, 64),
+        userAgent: typeof userAgent === 'string' ? userAgent.slice(0, 200) : undefined
+    };
+    const lineas = lote.entradas.map(entrada => crearLinea(entrada, contexto)).filter(Boolean);
+
+    if (lineas.length > 0) {
+        const escritura = estadoRegistro.cadena.then(() => escribir(`${lineas.join('\n')}\n`));
+        estadoRegistro.cadena = escritura.catch(() => {});
+        try {
+            await escritura;
+        } catch (causa) {
+            console.error('[Logs] No se pudo escribir el registro de logs:', causa);
+            const error = new Error(ERRORES.SISTEMA.ERROR_INTERNO.mensaje);
+            error.codigo = ERRORES.SISTEMA.ERROR_INTERNO.codigo;
+            throw error;
+        }
+    }
+
+    return { aceptadas: lineas.length, descartadas: lote.entradas.length - lineas.length };
+}
+
+/**
+ * Middleware de Express para el endpoint /logs
+ * @param {import('express').Request} req - Petición
+ * @param {import('express').Response} res - Respuesta
+ */
+export async function middlewareLogs(req, res) {
+    try {
+        const resultado = await registrarLoteLogs(req.body, { userAgent: req.get('user-agent') });
+        res.status(202).json({ exito: true, ...resultado });
+    } catch (error) {
+        const estado = error.codigo === ERRORES.VALIDACION.DATOS_INVALIDOS.codigo ? 400
+            : error.codigo === ERRORES.SISTEMA.SERVICIO_NO_DISPONIBLE.codigo ? 503
+            : 500;
+        res.status(estado).json({ exito: false, error: { codigo: error.codigo, mensaje: error.message } });
+    }
+}
+
+export default {
+    configurarRegistroLogs,
+    registrarLoteLogs,
+    middlewareLogs
+};
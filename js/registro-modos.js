@@ -0,0 +1,146 @@
+/**
+ * Registro de modos de la aplicación
+ * @module RegistroModos
+ * @description
+ * Cada modo declara cómo se comportan el mapa, el audio y los retos, para que ModoHandler,
+ * el mapa y los hijos consulten la definición en lugar de comparar con 'casa' o 'aventura'.
+ * Modos incluidos:
+ * - casa: recorrido desde casa, sin GPS; vídeo e imágenes de cualquier punto.
+ * - aventura: recorrido a pie con GPS; al llegar a una parada suenan su audio y su reto.
+ * - demo: pantallas de tienda; avanza solo de parada en parada sin registrar progreso.
+ * - revision: tras el recorrido, muestra las paradas visitadas y las estadísticas; los
+ *   retos se ven pero no se responden.
+ *
+ * Como validacion-mensajes.js, no depende de `window` ni del logger: lo usan el padre,
+ * los hijos y el servidor.
+ */
+
+import { MODOS } from './constants.js';
+
+/**
+ * Comportamiento por defecto de un modo; registrarModo completa cada definición con él
+ * @private
+ */
+const COMPORTAMIENTO_BASE = {
+    mapa: {
+        zoom: 13,                 // Zoom al entrar en el modo
+        gps: false,               // Usa la ubicación: botones GPS/ubicación y llegada por geocercas
+        multimediaLibre: true,    // Vídeo e imágenes de cualquier punto sin estar allí
+        seleccionManual: true,    // Lista de paradas para elegir a mano
+        soloVisitadas: false,     // Atenúa las paradas aún no visitadas
+        registrarVisitas: true,   // Los puntos mostrados cuentan como visitados en el progreso
+        avanceAutomatico: 0,      // Milisegundos entre paradas en el avance automático (0 = no)
+        estadisticas: false       // Muestra el panel de estadísticas del recorrido
+    },
+    audio: {
+        controles: true,          // Controles del reproductor visibles
+        reproducirAlLlegar: false // Reproduce el audio de la parada al llegar
+    },
+    retos: {
+        mostrarAlLlegar: false,   // Abre el reto de la parada al llegar
+        responder: true           // false: los retos se ven en solo lectura
+    }
+};
+
+// Definiciones por id de modo
+const modos = new Map();
+
+/**
+ * Registra un modo o sustituye uno existente
+ * @param {Object} definicion - Definición del modo
+ * @param {string} definicion.id - Identificador (p. ej. 'demo')
+ * @param {string} definicion.nombre - Nombre para la interfaz
+ * @param {string} [definicion.icono] - Emoji del modo
+ * @param {string} [definicion.color] - Color de acento en la interfaz
+ * @param {Object} [definicion.mapa] - Comportamiento del mapa (ver COMPORTAMIENTO_BASE)
+ * @param {Object} [definicion.audio] - Comportamiento del audio
+ * @param {Object} [definicion.retos] - Comportamiento de los retos
+ * @returns {Object} Definición completa y congelada
+ */
+export function registrarModo(definicion) {
+    if (!definicion || typeof definicion.id !== 'string' || !definicion.id) {
+        throw new Error('El modo necesita un id');
+    }
+
+    const completa = Object.freeze({
+        id: definicion.id,
+        nombre: definicion.nombre || definicion.id,
+        icono: definicion.icono || '',
+        color: definicion.color || '#555555',
+        mapa: Object.freeze({ ...COMPORTAMIENTO_BASE.mapa, ...definicion.mapa }),
+        audio: Object.freeze({ ...COMPORTAMIENTO_BASE.audio, ...definicion.audio }),
+        retos: Object.freeze({ ...COMPORTAMIENTO_BASE.retos, ...definicion.retos })
+    });
+    modos.set(completa.id, completa);
+    return completa;
+}
+
+/**
+ * Devuelve la definición de un modo
+ * @param {string} id - Id del modo
+ * @returns {Object|null} Definición o null si no está registrado
+ */
+export function obtenerModo(id) {
+    return modos.get(id) || null;
+}
+
+/**
+ * Comprueba si un modo está registrado
+ * @param {string} id - Id del modo
+ * @returns {boolean} True si existe
+ */
+export function esModoValido(id) {
+    return modos.has(id);
+}
+
+/**
+ * Lista los modos registrados en orden de registro
+ * @returns {Array<Object>} Definiciones
+ */
+export function listarModos() {
+    return Array.from(modos.values());
+}
+
+registrarModo({
+    id: MODOS.CASA,
+    nombre: 'Casa',
+    icono: '🏠',
+    color: '#3498db',
+    audio: { controles: false }
+});
+
+registrarModo({
+    id: MODOS.AVENTURA,
+    nombre: 'Aventura',
+    icono: '🧭',
+    color: '#e67e22',
+    mapa: { zoom: 16, gps: true, multimediaLibre: false, seleccionManual: false },
+    audio: { reproducirAlLlegar: true },
+    retos: { mostrarAlLlegar: true }
+});
+
+registrarModo({
+    id: MODOS.DEMO,
+    nombre: 'Demostración',
+    icono: '🎬',
+    color: '#8e44ad',
+    mapa: { zoom: 15, seleccionManual: false, registrarVisitas: false, avanceAutomatico: 20000 },
+    audio: { controles: false, reproducirAlLlegar: true },
+    retos: { responder: false }
+});
+
+registrarModo({
+    id: MODOS.REVISION,
+    nombre: 'Revisión',
+    icono: '📊',
+    color: '#27ae60',
+    mapa: { zoom: 14, soloVisitadas: true, registrarVisitas: false, estadisticas: true },
+    retos: { responder: false }
+});
+
+export default {
+    registrarModo,
+    obtenerModo,
+    esModoValido,
+    listarModos
+};
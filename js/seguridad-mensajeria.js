@@ -0,0 +1,149 @@
+/**
+ * Seguridad de la mensajería entre iframes
+ * @module SeguridadMensajeria
+ * @description
+ * Lista de orígenes permitidos y token de sesión para el tráfico postMessage.
+ * El padre genera el token al inicializar la mensajería y se lo entrega a cada hijo
+ * en el handshake SISTEMA.INICIALIZACION; desde entonces todos los mensajes llevan
+ * el token en la envoltura y mensajeria.js rechaza los que llegan sin él o desde un
+ * origen no permitido. Los rechazos se registran con la categoría
+ * CATEGORIAS_EVENTOS.SEGURIDAD.
+ */
+
+import logger from './logger.js';
+import { CONFIG } from './config.js';
+import { CATEGORIAS_EVENTOS } from './constants.js';
+
+// Máximo de rechazos que se guardan para diagnóstico
+const MAX_RECHAZOS = 50;
+
+// Estado de seguridad de la página actual
+const estadoSeguridad = {
+    token: null,
+    origenPadre: null,      // Origen del padre, conocido tras el handshake
+    rechazos: []
+};
+
+/**
+ * Lista de orígenes permitidos: el propio más los de CONFIG.MENSAJERIA.SEGURIDAD
+ * @returns {string[]} Orígenes permitidos
+ */
+export function obtenerOrigenesPermitidos() {
+    return [location.origin, ...(CONFIG.MENSAJERIA.SEGURIDAD.ORIGENES_PERMITIDOS || [])];
+}
+
+/**
+ * Indica si un origen está en la lista de orígenes permitidos
+ * @param {string} origen - Origen (event.origin)
+ * @returns {boolean} True si está permitido
+ */
+export function esOrigenPermitido(origen) {
+    return typeof origen === 'string' && origen !== 'null' && obtenerOrigenesPermitidos().includes(origen);
+}
+
+/**
+ * Genera un token de sesión aleatorio
+ * @returns {string} Token
+ */
+export function generarTokenSesion() {
+    const bytes = new Uint8Array(16);
+    crypto.getRandomValues(bytes);
+    return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Guarda el token de sesión (generado por el padre o recibido en el handshake)
+ * @param {string} token - Token de sesión
+ * @param {string} [origenPadre] - Origen del padre que entregó el token
+ */
+export function establecerTokenSesion(token, origenPadre = null) {
+    estadoSeguridad.token = token;
+    if (origenPadre) {
+        estadoSeguridad.origenPadre = origenPadre;
+    }
+}
+
+/**
+ * Devuelve el token de sesión actual
+ * @returns {string|null} Token o null si el handshake no ha terminado
+ */
+export function obtenerTokenSesion() {
+    return estadoSeguridad.token;
+}
+
+/**
+ * Indica si un mensaje lleva el token de la sesión actual
+ * @param {Object} mensaje - Mensaje recibido
+ * @returns {boolean} True si el token coincide
+ */
+export function tieneTokenValido(mensaje) {
+    return !!estadoSeguridad.token && mensaje?.token === estadoSeguridad.token;
+}
+
+/**
+ * Origen destino para los mensajes al padre.
+ * Antes del handshake se usa el primer antecesor permitido o, si no, el propio origen.
+ * @returns {string} Origen del padre
+ */
+export function obtenerOrigenPadre() {
+    if (estadoSeguridad.origenPadre) {
+        return estadoSeguridad.origenPadre;
+    }
+    const antecesor = location.ancestorOrigins?.[0] ||
+        (document.referrer ? new URL(document.referrer).origin : null);
+    return esOrigenPermitido(antecesor) ? antecesor : location.origin;
+}
+
+/**
+ * Origen destino para los mensajes a un iframe, a partir de su src
+ * @param {HTMLIFrameElement} frame - Iframe destino
+ * @returns {string|null} Origen o null si no está permitido
+ */
+export function obtenerOrigenIframe(frame) {
+    try {
+        const origen = new URL(frame.getAttribute('src') || frame.src, location.href).origin;
+        return esOrigenPermitido(origen) ? origen : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Registra un mensaje rechazado por seguridad
+ * @param {string} motivo - Motivo del rechazo
+ * @param {Object} [detalles] - Origen, tipo y remitente del mensaje
+ */
+export function registrarRechazo(motivo, detalles = {}) {
+    const rechazo = {
+        categoria: CATEGORIAS_EVENTOS.SEGURIDAD,
+        motivo,
+        ...detalles,
+        timestamp: Date.now()
+    };
+    estadoSeguridad.rechazos.push(rechazo);
+    if (estadoSeguridad.rechazos.length > MAX_RECHAZOS) {
+        estadoSeguridad.rechazos.shift();
+    }
+    logger.warn(`[Seguridad] Mensaje rechazado: ${motivo}`, rechazo);
+}
+
+/**
+ * Devuelve los últimos mensajes rechazados por seguridad
+ * @returns {Array<Object>} Rechazos con motivo, origen, tipo y timestamp
+ */
+export function obtenerRechazos() {
+    return estadoSeguridad.rechazos.map(rechazo => ({ ...rechazo }));
+}
+
+export default {
+    obtenerOrigenesPermitidos,
+    esOrigenPermitido,
+    generarTokenSesion,
+    establecerTokenSesion,
+    obtenerTokenSesion,
+    tieneTokenValido,
+    obtenerOrigenPadre,
+    obtenerOrigenIframe,
+    registrarRechazo,
+    obtenerRechazos
+};
@@ -1,6 +1,9 @@
 import express from 'express';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { middlewareMensajeria, middlewareErrorMensajeria } from './enrutador-servidor.js';
+import { configurarRegistroLogs, middlewareLogs } from './registro-logs-servidor.js';
+import { configurarClasificacion, middlewareConsultarClasificacion, middlewareRegistrarPuntuacion } from './clasificacion-servidor.js';
 
 // Obtener __dirname equivalente en ESM
 const __filename = fileURLToPath(import.meta.url);
@@ -9,6 +12,24 @@ const __dirname = path.dirname(__filename);
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Logs de los clientes: directorio y rotación (por defecto 5 archivos de 5 MB)
+const DIRECTORIO_LOGS = path.resolve(process.env.LOGS_DIR || path.join(__dirname, '../registros'));
+configurarRegistroLogs({
+    directorio: DIRECTORIO_LOGS,
+    maxBytes: Number(process.env.LOGS_MAX_BYTES) || undefined,
+    maxArchivos: Number(process.env.LOGS_MAX_ARCHIVOS) || undefined
+});
+
+// Clasificación de familias: archivo JSON con la mejor puntuación de cada familia
+const DIRECTORIO_CLASIFICACION = path.resolve(process.env.CLASIFICACION_DIR || path.join(__dirname, '../datos-clasificacion'));
+configurarClasificacion({
+    directorio: DIRECTORIO_CLASIFICACION,
+    maxFamilias: Number(process.env.CLASIFICACION_MAX_FAMILIAS) || undefined
+});
+
+// Directorios de datos del servidor que no se sirven como archivos estáticos
+const DIRECTORIOS_PRIVADOS = [DIRECTORIO_LOGS, DIRECTORIO_CLASIFICACION];
+
 // Middleware para agregar headers de seguridad
 app.use((req, res, next) => {
     // Configurar Permissions-Policy para permitir geolocalización y NO incluir 'unload'
@@ -22,6 +43,22 @@ app.use((req, res, next) => {
     next();
 });
 
+// Los logs de los clientes y la clasificación no se sirven como archivos estáticos
+app.use((req, res, next) => {
+    let rutaDecodificada;
+    try {
+        rutaDecodificada = decodeURIComponent(req.path);
+    } catch (error) {
+        // Secuencia % mal formada: no puede ser ningún archivo
+        return res.sendStatus(400);
+    }
+    const ruta = path.resolve(path.join(__dirname, '../'), `.${rutaDecodificada}`);
+    if (DIRECTORIOS_PRIVADOS.some(directorio => ruta === directorio || ruta.startsWith(directorio + path.sep))) {
+        return res.sendStatus(404);
+    }
+    next();
+});
+
 // Middleware para servir archivos estáticos
 app.use(express.static(path.join(__dirname, '../')));
 
@@ -30,16 +67,16 @@ app.get('/', (req, res) => {
     res.sendFile(path.join(__dirname, '../codigo-padre.html'));
 });
 
-// Endpoint para manejar mensajes centralizados
-app.post('/mensajeria', express.json(), (req, res) => {
-    const { tipoMensaje, datos } = req.body;
+// Endpoint para manejar mensajes centralizados.
+// Los manejadores por categoría se registran con registrarManejadorCategoria (enrutador-servidor.js)
+app.post('/mensajeria', express.json(), middlewareMensajeria, middlewareErrorMensajeria);
 
-    // Lógica para manejar los mensajes
-    console.log(`[Mensajería] Tipo: ${tipoMensaje}`, datos);
+// Endpoint para los lotes de logs de transporte-logs.js (registro-logs-servidor.js)
+app.post('/logs', express.json({ limit: '256kb' }), middlewareLogs);
 
-    // Respuesta genérica
-    res.json({ exito: true, mensaje: 'Mensaje procesado correctamente' });
-});
+// Clasificación de familias por aventura (clasificacion-servidor.js)
+app.get('/clasificacion', middlewareConsultarClasificacion);
+app.post('/clasificacion', express.json({ limit: '16kb' }), middlewareRegistrarPuntuacion);
 
 // Iniciar el servidor
 app.listen(PORT, () => {
@@ -0,0 +1,132 @@
+/**
+ * Sonda del inspector de mensajería
+ * @module SondaInspector
+ * @description
+ * Publica en un BroadcastChannel el tráfico que graba mensajeria.js en esta página y
+ * responde al inspector de debug.html, abierto en otra pestaña del mismo origen: estado
+ * de la página (ACKs pendientes, cola de pendientes, ModoHandler, monitoreo, historial del
+ * logger) e inyección de mensajes. mensajeria.js solo la conecta con la depuración activada
+ * (`?depurar=1`, ver depuracionActivada en utils.js), nunca por la opción `debug`.
+ */
+
+import logger from './logger.js';
+import { modoHandler } from './modo-handler.js';
+import { obtenerResumenMonitoreo } from './monitoreo.js';
+
+// Nombre del canal compartido con debug.html
+export const CANAL_INSPECTOR = 'valencia-tour-inspector';
+
+// Entradas del historial del logger que se envían con el estado
+const MAX_LOGS_ESTADO = 30;
+
+// Estado de la sonda de esta página
+const estadoSonda = {
+    canal: null,
+    iframeId: null,
+    obtenerEstado: null,   // () => Promise<Object> con el estado de la mensajería
+    inyectar: null         // (destino, tipo, datos) => Promise
+};
+
+/**
+ * Publica en el canal sin romper la página si el objeto no se puede clonar
+ * @private
+ * @param {Object} datos - Mensaje para el inspector
+ */
+function publicar(datos) {
+    try {
+        estadoSonda.canal?.postMessage({ ...datos, iframeId: estadoSonda.iframeId, timestamp: Date.now() });
+    } catch (error) {
+        logger.debug('[Inspector] No se pudo publicar en el canal del inspector:', error.message);
+    }
+}
+
+/**
+ * Reúne el estado de la página para el inspector
+ * @private
+ * @returns {Promise<Object>} Estado de mensajería, modo, monitoreo y últimos logs
+ */
+async function reunirEstado() {
+    return {
+        ...(await estadoSonda.obtenerEstado()),
+        modo: modoHandler.obtenerEstadisticas(),
+        monitoreo: obtenerResumenMonitoreo(),
+        logs: logger.getLogHistory(MAX_LOGS_ESTADO).map(entrada => ({
+            timestamp: entrada.timestamp,
+            nivel: entrada.levelName,
+            mensaje: typeof entrada.message === 'string' ? entrada.message : JSON.stringify(entrada.message)
+        }))
+    };
+}
+
+/**
+ * Atiende las peticiones del inspector
+ * @private
+ * @param {MessageEvent} event - Mensaje del canal
+ */
+async function atenderInspector(event) {
+    const peticion = event.data || {};
+
+    if (peticion.accion === 'solicitar_estado') {
+        try {
+            publicar({ accion: 'estado', estado: await reunirEstado() });
+        } catch (error) {
+            publicar({ accion: 'estado', error: error.message });
+        }
+    } else if (peticion.accion === 'inyectar' && peticion.iframeId === estadoSonda.iframeId) {
+        try {
+            await estadoSonda.inyectar(peticion.destino, peticion.tipo, peticion.datos || {});
+            publicar({ accion: 'resultado_inyeccion', peticionId: peticion.peticionId, exito: true });
+        } catch (error) {
+            publicar({ accion: 'resultado_inyeccion', peticionId: peticion.peticionId, exito: false, error: error.message });
+        }
+    }
+}
+
+/**
+ * Conecta la sonda de esta página al canal del inspector
+ * @param {Object} opciones - Opciones
+ * @param {string} opciones.iframeId - Página que publica ('padre', 'hijo2'...)
+ * @param {Function} opciones.obtenerEstado - Devuelve el estado de la mensajería
+ * @param {Function} opciones.inyectar - Envía un mensaje `(destino, tipo, datos)`
+ * @returns {boolean} True si se ha conectado
+ */
+export function conectarSonda({ iframeId, obtenerEstado, inyectar }) {
+    if (typeof BroadcastChannel === 'undefined') {
+        return false;
+    }
+    desconectarSonda();
+
+    estadoSonda.canal = new BroadcastChannel(CANAL_INSPECTOR);
+    estadoSonda.iframeId = iframeId;
+    estadoSonda.obtenerEstado = obtenerEstado;
+    estadoSonda.inyectar = inyectar;
+    estadoSonda.canal.addEventListener('message', atenderInspector);
+
+    publicar({ accion: 'conectada' });
+    return true;
+}
+
+/**
+ * Desconecta la sonda
+ */
+export function desconectarSonda() {
+    estadoSonda.canal?.close();
+    estadoSonda.canal = null;
+}
+
+/**
+ * Publica una entrada de tráfico (envolturas grabadas por grabador-mensajes.js)
+ * @param {Object|null} entrada - Entrada de la grabación
+ */
+export function publicarTrafico(entrada) {
+    if (entrada && estadoSonda.canal) {
+        publicar({ accion: 'trafico', entrada });
+    }
+}
+
+export default {
+    CANAL_INSPECTOR,
+    conectarSonda,
+    desconectarSonda,
+    publicarTrafico
+};
@@ -0,0 +1,291 @@
+/**
+ * Supervisor del ciclo de vida de los iframes hijos
+ * @module SupervisorHijos
+ * @description
+ * Solo en el padre. Envía cada CONFIG.SUPERVISOR.INTERVALO_LATIDO un SISTEMA.PING a cada
+ * hijo de CONFIG.HIJOS y espera su SISTEMA.PONG. Tras LATIDOS_DEGRADADO latidos sin
+ * respuesta marca el hijo como degradado y tras LATIDOS_REINICIO recarga su iframe. Cuando
+ * el hijo recargado vuelve a responder se le reenvía el estado actual (aventura, paradas,
+ * modo y parada) con la función que recibe iniciarSupervisor. Si un hijo se reinicia más de
+ * MAX_REINICIOS veces en VENTANA_REINICIOS se marca como caído y se deja de recargar.
+ *
+ * Estados de un hijo: 'iniciando', 'activo', 'degradado', 'reiniciando' y 'caido'.
+ */
+
+import logger from './logger.js';
+import { CONFIG } from './config.js';
+import { TIPOS_MENSAJE } from './constants.js';
+import { enviarMensaje, registrarControlador } from './mensajeria.js';
+
+// Estados de un hijo supervisado
+export const ESTADOS_HIJO = {
+    INICIANDO: 'iniciando',
+    ACTIVO: 'activo',
+    DEGRADADO: 'degradado',
+    REINICIANDO: 'reiniciando',
+    CAIDO: 'caido'
+};
+
+// Estado del supervisor
+const estadoSupervisor = {
+    hijos: new Map(),          // id -> estado del hijo
+    temporizador: null,
+    contadorLatidos: 0,
+    reenviarEstado: null,      // (hijoId) => Promise, reenvía el estado tras un reinicio
+    cancelarPong: null,
+    suscriptores: new Set()
+};
+
+/**
+ * Copia pública del estado de un hijo
+ * @private
+ * @param {Object} hijo - Estado interno
+ * @returns {Object} Estado sin campos internos
+ */
+function copiarHijo({ latidoPendiente, pendienteRestaurar, ...hijo }) {
+    return { ...hijo, reinicios: hijo.reinicios.length };
+}
+
+/**
+ * Avisa a los suscriptores de un cambio de estado
+ * @private
+ * @param {Object} hijo - Hijo que ha cambiado
+ */
+function notificar(hijo) {
+    const copia = copiarHijo(hijo);
+    estadoSupervisor.suscriptores.forEach(suscriptor => {
+        try {
+            suscriptor(copia, obtenerEstadoHijos());
+        } catch (error) {
+            logger.error('[Supervisor] Error en suscriptor:', error);
+        }
+    });
+}
+
+/**
+ * Cambia el estado de un hijo y avisa si es distinto
+ * @private
+ * @param {Object} hijo - Estado interno del hijo
+ * @param {string} nuevoEstado - Estado de ESTADOS_HIJO
+ */
+function cambiarEstado(hijo, nuevoEstado) {
+    if (hijo.estado === nuevoEstado) {
+        return;
+    }
+    logger.info(`[Supervisor] ${hijo.id}: ${hijo.estado} → ${nuevoEstado}`);
+    hijo.estado = nuevoEstado;
+    hijo.desde = Date.now();
+    notificar(hijo);
+}
+
+/**
+ * Recarga el iframe de un hijo que no responde
+ * @private
+ * @param {Object} hijo - Estado interno del hijo
+ */
+function reiniciarHijo(hijo) {
+    const ahora = Date.now();
+    hijo.reinicios = hijo.reinicios.filter(instante => ahora - instante < CONFIG.SUPERVISOR.VENTANA_REINICIOS);
+
+    if (hijo.reinicios.length >= CONFIG.SUPERVISOR.MAX_REINICIOS) {
+        logger.error(`[Supervisor] ${hijo.id} sigue sin responder tras ${hijo.reinicios.length} reinicios; se deja de recargar`);
+        cambiarEstado(hijo, ESTADOS_HIJO.CAIDO);
+        return;
+    }
+
+    const iframe = document.getElementById(hijo.id);
+    if (!iframe) {
+        logger.warn(`[Supervisor] No existe el iframe ${hijo.id}`);
+        cambiarEstado(hijo, ESTADOS_HIJO.CAIDO);
+        return;
+    }
+
+    logger.warn(`[Supervisor] Reiniciando ${hijo.id} tras ${hijo.latidosPerdidos} latidos sin respuesta`);
+    hijo.reinicios.push(ahora);
+    hijo.latidosPerdidos = 0;
+    hijo.latidoPendiente = null;
+    hijo.esperaHasta = ahora + CONFIG.SUPERVISOR.ESPERA_ARRANQUE;
+    hijo.pendienteRestaurar = true;
+    cambiarEstado(hijo, ESTADOS_HIJO.REINICIANDO);
+    // Volver a asignar src recarga el documento aunque el hijo no atienda mensajes
+    iframe.src = iframe.src;
+}
+
+/**
+ * Reenvía el estado a un hijo que vuelve a responder tras un reinicio
+ * @private
+ * @param {Object} hijo - Estado interno del hijo
+ */
+async function restaurarHijo(hijo) {
+    if (!estadoSupervisor.reenviarEstado) {
+        return;
+    }
+    try {
+        await estadoSupervisor.reenviarEstado(hijo.id);
+        logger.info(`[Supervisor] Estado reenviado a ${hijo.id}`);
+    } catch (error) {
+        logger.error(`[Supervisor] No se pudo reenviar el estado a ${hijo.id}:`, error);
+    }
+}
+
+/**
+ * Procesa el SISTEMA.PONG de un hijo
+ * @private
+ * @param {Object} mensaje - Mensaje PONG
+ */
+function recibirPong(mensaje) {
+    const hijo = estadoSupervisor.hijos.get(mensaje.origen);
+    const latidoId = mensaje.datos?.latidoId;
+    if (!hijo || !latidoId || latidoId !== hijo.latidoPendiente) {
+        return;
+    }
+
+    hijo.latidoPendiente = null;
+    hijo.latidosPerdidos = 0;
+    hijo.ultimoPong = Date.now();
+    hijo.latencia = hijo.ultimoPong - (mensaje.datos.timestampOriginal || hijo.ultimoPing);
+    hijo.esperaHasta = 0;
+    cambiarEstado(hijo, ESTADOS_HIJO.ACTIVO);
+
+    if (hijo.pendienteRestaurar) {
+        hijo.pendienteRestaurar = false;
+        restaurarHijo(hijo);
+    }
+}
+
+/**
+ * Ciclo de latidos: cuenta los PING sin respuesta y envía los siguientes
+ * @private
+ */
+function latir() {
+    // Con la pestaña oculta los temporizadores se ralentizan: no se cuentan latidos
+    if (document.hidden) {
+        return;
+    }
+
+    const ahora = Date.now();
+    estadoSupervisor.hijos.forEach(hijo => {
+        if (hijo.esperaHasta > ahora) {
+            // Arranque o reinicio en curso: solo se sondea, sin contar fallos
+            hijo.latidosPerdidos = 0;
+        } else if (hijo.latidoPendiente) {
+            hijo.latidosPerdidos++;
+            if (hijo.latidosPerdidos >= CONFIG.SUPERVISOR.LATIDOS_REINICIO && hijo.estado !== ESTADOS_HIJO.CAIDO) {
+                reiniciarHijo(hijo);
+                return;
+            }
+            if (hijo.latidosPerdidos >= CONFIG.SUPERVISOR.LATIDOS_DEGRADADO && hijo.estado !== ESTADOS_HIJO.CAIDO) {
+                cambiarEstado(hijo, ESTADOS_HIJO.DEGRADADO);
+            }
+        }
+
+        hijo.latidoPendiente = `latido-${++estadoSupervisor.contadorLatidos}`;
+        hijo.ultimoPing = ahora;
+        enviarMensaje(hijo.id, TIPOS_MENSAJE.SISTEMA.PING, {
+            latidoId: hijo.latidoPendiente,
+            timestamp: ahora
+        }).catch(error => {
+            logger.debug(`[Supervisor] PING a ${hijo.id} no enviado: ${error.message}`);
+        });
+    });
+}
+
+/**
+ * Empieza a supervisar los hijos de CONFIG.HIJOS
+ * @param {Object} [opciones] - Opciones
+ * @param {Function} [opciones.reenviarEstado] - `(hijoId) => Promise` que reenvía el estado
+ *        actual (aventura, paradas, modo, parada) a un hijo recargado
+ * @returns {Object<string, Object>} Estado inicial de los hijos
+ */
+export function iniciarSupervisor({ reenviarEstado } = {}) {
+    detenerSupervisor();
+    estadoSupervisor.reenviarEstado = reenviarEstado || null;
+
+    const ahora = Date.now();
+    Object.values(CONFIG.HIJOS).forEach(({ id, nombre }) => {
+        estadoSupervisor.hijos.set(id, {
+            id,
+            nombre,
+            estado: ESTADOS_HIJO.INICIANDO,
+            desde: ahora,
+            latidosPerdidos: 0,
+            latidoPendiente: null,
+            ultimoPing: null,
+            ultimoPong: null,
+            latencia: null,
+            reinicios: [],
+            esperaHasta: ahora + CONFIG.SUPERVISOR.ESPERA_ARRANQUE,
+            pendienteRestaurar: false
+        });
+    });
+
+    estadoSupervisor.cancelarPong = registrarControlador(TIPOS_MENSAJE.SISTEMA.PONG, recibirPong);
+    estadoSupervisor.temporizador = setInterval(latir, CONFIG.SUPERVISOR.INTERVALO_LATIDO);
+    latir();
+    return obtenerEstadoHijos();
+}
+
+/**
+ * Deja de supervisar los hijos
+ */
+export function detenerSupervisor() {
+    clearInterval(estadoSupervisor.temporizador);
+    estadoSupervisor.temporizador = null;
+    if (typeof estadoSupervisor.cancelarPong === 'function') {
+        estadoSupervisor.cancelarPong();
+    }
+    estadoSupervisor.cancelarPong = null;
+    estadoSupervisor.hijos.clear();
+}
+
+/**
+ * Recarga un hijo a petición (p. ej. desde un botón de la interfaz).
+ * No cuenta para el límite de reinicios automáticos.
+ * @param {string} hijoId - Id del iframe
+ * @returns {boolean} True si el hijo está supervisado
+ */
+export function reiniciarHijoManualmente(hijoId) {
+    const hijo = estadoSupervisor.hijos.get(hijoId);
+    if (!hijo) {
+        return false;
+    }
+    const reiniciosAutomaticos = hijo.reinicios;
+    hijo.reinicios = [];
+    reiniciarHijo(hijo);
+    hijo.reinicios = reiniciosAutomaticos;
+    return true;
+}
+
+/**
+ * Devuelve el estado de cada hijo supervisado
+ * @returns {Object<string, Object>} Por id: estado, desde, latidosPerdidos, latencia, reinicios...
+ */
+export function obtenerEstadoHijos() {
+    const resultado = {};
+    estadoSupervisor.hijos.forEach((hijo, id) => {
+        resultado[id] = copiarHijo(hijo);
+    });
+    return resultado;
+}
+
+/**
+ * Se suscribe a los cambios de estado de los hijos
+ * @param {Function} suscriptor - `(hijo, todos)` con el hijo que cambió y el estado de todos
+ * @returns {Function} Función para cancelar la suscripción
+ */
+export function suscribirEstadoHijos(suscriptor) {
+    if (typeof suscriptor !== 'function') {
+        throw new Error('El suscriptor debe ser una función');
+    }
+    estadoSupervisor.suscriptores.add(suscriptor);
+    return () => estadoSupervisor.suscriptores.delete(suscriptor);
+}
+
+export default {
+    ESTADOS_HIJO,
+    iniciarSupervisor,
+    detenerSupervisor,
+    reiniciarHijoManualmente,
+    obtenerEstadoHijos,
+    suscribirEstadoHijos
+};
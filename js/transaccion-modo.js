@@ -0,0 +1,370 @@
+/**
+ * Cambio de modo transaccional entre el padre y los hijos
+ * @module TransaccionModo
+ * @description
+ * Evita que el mapa quede en 'aventura' mientras el reproductor de audio sigue en 'casa'.
+ * El padre coordina el cambio en dos fases con cada participante (el propio padre, donde
+ * vive el mapa, y los hijos de CONFIG.HIJOS):
+ *
+ * 1. Preparación: SISTEMA.PREPARAR_CAMBIO_MODO con llamar(). Cada participante comprueba
+ *    que puede aplicar el modo y lo deja preparado.
+ * 2. Confirmación: solo si todos han respondido, SISTEMA.CAMBIO_MODO con el mismo
+ *    `transaccionId`. Cada participante lo aplica con modoHandler y responde.
+ *
+ * Si algún participante falla o no responde a tiempo en cualquiera de las fases, se envía a
+ * todos SISTEMA.CAMBIO_MODO con el modo anterior y `revertido: true`, y el cambio se rechaza
+ * con un error de CODIGOS_ERROR.MODO. Las transacciones se ejecutan de una en una.
+ *
+ * Los hijos piden un cambio con solicitarCambioModo, que envía CONTROL.CAMBIAR_MODO al padre.
+ */
+
+import logger from './logger.js';
+import { CONFIG } from './config.js';
+import { TIPOS_MENSAJE, CODIGOS_ERROR } from './constants.js';
+import { llamar, registrarControlador } from './mensajeria.js';
+import { modoHandler } from './modo-handler.js';
+import { esModoValido } from './registro-modos.js';
+
+// Estado del participante (todas las páginas)
+const estadoParticipante = {
+    iframeId: null,
+    preparada: null,           // { transaccionId, modo, modoAnterior, timestamp }
+    cancelaciones: []
+};
+
+// Estado del coordinador (solo el padre)
+const estadoCoordinador = {
+    obtenerParticipantes: null, // () => Array<string> con los ids de los participantes
+    cadena: Promise.resolve(),  // Transacciones encadenadas, de una en una
+    contador: 0,
+    actual: null,
+    historial: [],
+    cancelarSolicitudes: null
+};
+
+/**
+ * Crea un error de cambio de modo
+ * @private
+ * @param {string} codigo - Código de CODIGOS_ERROR.MODO
+ * @param {string} mensaje - Descripción
+ * @param {Object} [detalles] - Transacción, participantes fallidos...
+ * @returns {Error} Error con `codigo` y `detalles`
+ */
+function crearErrorModo(codigo, mensaje, detalles = {}) {
+    const error = new Error(mensaje);
+    error.codigo = codigo;
+    error.detalles = detalles;
+    return error;
+}
+
+// =================================================================================
+// PARTICIPANTE
+// =================================================================================
+
+/**
+ * Fase 1: deja preparado el cambio de modo
+ * @private
+ * @param {Object} mensaje - SISTEMA.PREPARAR_CAMBIO_MODO
+ * @returns {Object} `{exito, transaccionId, modoActual}`
+ */
+function prepararCambioModo(mensaje) {
+    const { transaccionId, modo } = mensaje.datos || {};
+    if (!esModoValido(modo)) {
+        throw crearErrorModo(CODIGOS_ERROR.MODO.INVALIDO, `Modo no válido: ${modo}`, { transaccionId });
+    }
+
+    estadoParticipante.preparada = {
+        transaccionId,
+        modo,
+        modoAnterior: modoHandler.obtenerModoActual(),
+        timestamp: Date.now()
+    };
+    logger.debug(`[TransaccionModo] ${estadoParticipante.iframeId}: cambio a ${modo} preparado (${transaccionId})`);
+    return { exito: true, transaccionId, modoActual: modoHandler.obtenerModoActual() };
+}
+
+/**
+ * Fase 2 o reversión: aplica el modo con modoHandler. Se ejecuta antes que los
+ * manejadores de SISTEMA.CAMBIO_MODO de la página, que ya encuentran el modo aplicado.
+ * No devuelve nada para que la respuesta sea la de esos manejadores: un `{exito: false}`
+ * del mapa también hace fallar la transacción. Los mensajes sin `transaccionId` (p. ej.
+ * el reenvío de estado del supervisor) se aplican directamente.
+ * @private
+ * @param {Object} mensaje - SISTEMA.CAMBIO_MODO
+ * @returns {Promise<void>}
+ * @throws {Error} Con código de CODIGOS_ERROR.MODO si no se puede aplicar
+ */
+async function aplicarCambioModo(mensaje) {
+    const { modo, transaccionId, revertido } = mensaje.datos || {};
+    const preparada = estadoParticipante.preparada;
+
+    if (transaccionId && !revertido && preparada?.transaccionId !== transaccionId) {
+        throw crearErrorModo(CODIGOS_ERROR.MODO.NO_PREPARADO,
+            `${estadoParticipante.iframeId} no tiene preparado el cambio ${transaccionId}`, { transaccionId });
+    }
+    if (transaccionId && preparada?.transaccionId === transaccionId) {
+        estadoParticipante.preparada = null;
+    }
+
+    const aplicado = await modoHandler.cambiarModo(modo, transaccionId || mensaje.origen);
+    if (!aplicado) {
+        throw crearErrorModo(CODIGOS_ERROR.MODO.APLICACION_FALLIDA,
+            `${estadoParticipante.iframeId} no pudo aplicar el modo ${modo}`, { transaccionId });
+    }
+}
+
+/**
+ * Registra esta página como participante de los cambios de modo.
+ * Debe llamarse tras inicializarMensajeria en el padre y en cada hijo de CONFIG.HIJOS.
+ * @param {Object} [opciones] - Opciones
+ * @param {string} [opciones.iframeId] - Id de la página, para los logs y los errores
+ */
+export function registrarParticipanteModo({ iframeId } = {}) {
+    cancelarParticipante();
+    estadoParticipante.iframeId = iframeId || CONFIG.MENSAJERIA.iframeId;
+    estadoParticipante.cancelaciones = [
+        registrarControlador(TIPOS_MENSAJE.SISTEMA.PREPARAR_CAMBIO_MODO, prepararCambioModo),
+        registrarControlador(TIPOS_MENSAJE.SISTEMA.CAMBIO_MODO, aplicarCambioModo, { prioridad: 10 })
+    ];
+}
+
+/**
+ * Pide al padre que cambie el modo en todas las páginas
+ * @param {string} modo - Id de un modo registrado
+ * @param {Object} [opciones] - Opciones
+ * @param {string} [opciones.origen] - Quién pide el cambio (por defecto, esta página)
+ * @returns {Promise<Object>} Resultado de cambiarModoTransaccional en el padre
+ * @throws {Error} Con código de CODIGOS_ERROR.MODO si el cambio se revierte, o de llamar()
+ */
+export function solicitarCambioModo(modo, { origen } = {}) {
+    const { TIMEOUT_PREPARAR, TIMEOUT_CONFIRMAR } = CONFIG.CAMBIO_MODO;
+    return llamar('padre', TIPOS_MENSAJE.CONTROL.CAMBIAR_MODO, {
+        modo,
+        origen: origen || estadoParticipante.iframeId,
+        timestamp: new Date().toISOString()
+    }, {
+        // Preparación, confirmación y una posible reversión
+        timeout: TIMEOUT_PREPARAR + 2 * TIMEOUT_CONFIRMAR
+    });
+}
+
+/**
+ * Retira los manejadores del participante
+ * @private
+ */
+function cancelarParticipante() {
+    estadoParticipante.cancelaciones.forEach(cancelar => {
+        if (typeof cancelar === 'function') {
+            cancelar();
+        }
+    });
+    estadoParticipante.cancelaciones = [];
+    estadoParticipante.preparada = null;
+}
+
+// =================================================================================
+// COORDINADOR
+// =================================================================================
+
+/**
+ * Envía un mensaje a todos los participantes y separa las respuestas correctas de las fallidas
+ * @private
+ * @param {Array<string>} participantes - Ids de destino
+ * @param {string} tipo - Tipo de mensaje
+ * @param {Object} datos - Datos del mensaje
+ * @param {number} timeout - Espera máxima de cada respuesta (ms)
+ * @returns {Promise<{correctos: Array<string>, fallos: Array<Object>}>} Resultado por participante
+ */
+async function llamarParticipantes(participantes, tipo, datos, timeout) {
+    const resultados = await Promise.allSettled(
+        participantes.map(id => llamar(id, tipo, datos, { timeout }))
+    );
+
+    const correctos = [];
+    const fallos = [];
+    resultados.forEach((resultado, indice) => {
+        const id = participantes[indice];
+        if (resultado.status === 'fulfilled' && resultado.value?.exito !== false) {
+            correctos.push(id);
+        } else {
+            const error = resultado.reason;
+            fallos.push({
+                id,
+                codigo: error?.codigo ?? null,
+                mensaje: error?.message || resultado.value?.error || 'Respuesta sin éxito'
+            });
+        }
+    });
+    return { correctos, fallos };
+}
+
+/**
+ * Devuelve a todos los participantes al modo anterior
+ * @private
+ * @param {Object} transaccion - Transacción en curso
+ * @param {Array<string>} participantes - Participantes que pueden haber cambiado
+ */
+async function revertirTransaccion(transaccion, participantes) {
+    transaccion.fase = 'revirtiendo';
+    const { fallos } = await llamarParticipantes(participantes, TIPOS_MENSAJE.SISTEMA.CAMBIO_MODO, {
+        modo: transaccion.modoAnterior,
+        modoAnterior: transaccion.modo,
+        transaccionId: transaccion.transaccionId,
+        revertido: true
+    }, CONFIG.CAMBIO_MODO.TIMEOUT_CONFIRMAR);
+
+    if (fallos.length > 0) {
+        // El supervisor reenvía el modo a los hijos que se recarguen
+        logger.error(`[TransaccionModo] No se pudo revertir ${transaccion.transaccionId} en: ${fallos.map(f => f.id).join(', ')}`);
+    }
+    transaccion.fallosReversion = fallos;
+}
+
+/**
+ * Cierra una transacción y la guarda en el historial
+ * @private
+ * @param {Object} transaccion - Transacción
+ * @param {string} fase - 'confirmada' o 'revertida'
+ */
+function cerrarTransaccion(transaccion, fase) {
+    transaccion.fase = fase;
+    transaccion.duracion = Date.now() - transaccion.inicio;
+    estadoCoordinador.actual = null;
+    estadoCoordinador.historial.push(transaccion);
+    if (estadoCoordinador.historial.length > CONFIG.CAMBIO_MODO.MAX_HISTORIAL) {
+        estadoCoordinador.historial.shift();
+    }
+}
+
+/**
+ * Ejecuta las dos fases de un cambio de modo
+ * @private
+ * @param {string} nuevoModo - Id de un modo registrado
+ * @param {string} origen - Quién pidió el cambio
+ * @returns {Promise<Object>} Resultado del cambio
+ */
+async function ejecutarTransaccion(nuevoModo, origen) {
+    if (!esModoValido(nuevoModo)) {
+        throw crearErrorModo(CODIGOS_ERROR.MODO.INVALIDO, `Modo no válido: ${nuevoModo}`);
+    }
+
+    const modoAnterior = modoHandler.obtenerModoActual();
+    if (nuevoModo === modoAnterior) {
+        return { exito: true, modo: nuevoModo, cambiado: false };
+    }
+
+    const participantes = estadoCoordinador.obtenerParticipantes
+        ? estadoCoordinador.obtenerParticipantes()
+        : ['padre', ...Object.values(CONFIG.HIJOS).map(hijo => hijo.id)];
+    const transaccion = {
+        transaccionId: `modo-${Date.now()}-${++estadoCoordinador.contador}`,
+        modo: nuevoModo,
+        modoAnterior,
+        origen,
+        participantes,
+        fase: 'preparando',
+        inicio: Date.now(),
+        fallos: []
+    };
+    estadoCoordinador.actual = transaccion;
+    logger.info(`[TransaccionModo] ${transaccion.transaccionId}: ${modoAnterior} → ${nuevoModo} (pedido por ${origen})`);
+
+    // Fase 1: preparar
+    const preparacion = await llamarParticipantes(participantes, TIPOS_MENSAJE.SISTEMA.PREPARAR_CAMBIO_MODO, {
+        transaccionId: transaccion.transaccionId,
+        modo: nuevoModo,
+        modoAnterior
+    }, CONFIG.CAMBIO_MODO.TIMEOUT_PREPARAR);
+
+    if (preparacion.fallos.length > 0) {
+        transaccion.fallos = preparacion.fallos;
+        await revertirTransaccion(transaccion, preparacion.correctos);
+        cerrarTransaccion(transaccion, 'revertida');
+        throw crearErrorModo(CODIGOS_ERROR.MODO.PREPARACION_FALLIDA,
+            `No se pudo preparar el modo ${nuevoModo} en: ${preparacion.fallos.map(f => f.id).join(', ')}`,
+            { transaccionId: transaccion.transaccionId, fallos: preparacion.fallos });
+    }
+
+    // Fase 2: confirmar
+    transaccion.fase = 'confirmando';
+    const confirmacion = await llamarParticipantes(participantes, TIPOS_MENSAJE.SISTEMA.CAMBIO_MODO, {
+        modo: nuevoModo,
+        modoAnterior,
+        transaccionId: transaccion.transaccionId,
+        origen
+    }, CONFIG.CAMBIO_MODO.TIMEOUT_CONFIRMAR);
+
+    if (confirmacion.fallos.length > 0) {
+        transaccion.fallos = confirmacion.fallos;
+        // Se revierte en todos: un participante que no respondió a tiempo puede haber cambiado
+        await revertirTransaccion(transaccion, participantes);
+        cerrarTransaccion(transaccion, 'revertida');
+        throw crearErrorModo(CODIGOS_ERROR.MODO.CONFIRMACION_FALLIDA,
+            `No se pudo aplicar el modo ${nuevoModo} en: ${confirmacion.fallos.map(f => f.id).join(', ')}`,
+            { transaccionId: transaccion.transaccionId, fallos: confirmacion.fallos });
+    }
+
+    cerrarTransaccion(transaccion, 'confirmada');
+    logger.info(`[TransaccionModo] ${transaccion.transaccionId} confirmada en ${transaccion.duracion}ms`);
+    return {
+        exito: true,
+        modo: nuevoModo,
+        modoAnterior,
+        cambiado: true,
+        transaccionId: transaccion.transaccionId,
+        participantes
+    };
+}
+
+/**
+ * Cambia el modo en el padre y en todos los hijos, o en ninguno.
+ * Solo en el padre; los hijos piden el cambio con CONTROL.CAMBIAR_MODO.
+ * @param {string} nuevoModo - Id de un modo registrado
+ * @param {Object} [opciones] - Opciones
+ * @param {string} [opciones.origen='padre'] - Quién pide el cambio
+ * @returns {Promise<Object>} `{exito, modo, modoAnterior, cambiado, transaccionId, participantes}`
+ * @throws {Error} Con código de CODIGOS_ERROR.MODO y `detalles.fallos` si se revierte
+ */
+export function cambiarModoTransaccional(nuevoModo, { origen = 'padre' } = {}) {
+    const ejecucion = estadoCoordinador.cadena.then(() => ejecutarTransaccion(nuevoModo, origen));
+    estadoCoordinador.cadena = ejecucion.catch(() => {});
+    return ejecucion;
+}
+
+/**
+ * Configura el padre como coordinador: atiende las peticiones CONTROL.CAMBIAR_MODO de los hijos
+ * @param {Object} [opciones] - Opciones
+ * @param {Function} [opciones.obtenerParticipantes] - `() => Array<string>` con los ids que
+ *        participan en cada cambio (por defecto 'padre' y todos los de CONFIG.HIJOS)
+ */
+export function configurarCoordinadorModo({ obtenerParticipantes } = {}) {
+    estadoCoordinador.obtenerParticipantes = typeof obtenerParticipantes === 'function' ? obtenerParticipantes : null;
+    if (typeof estadoCoordinador.cancelarSolicitudes === 'function') {
+        estadoCoordinador.cancelarSolicitudes();
+    }
+    estadoCoordinador.cancelarSolicitudes = registrarControlador(TIPOS_MENSAJE.CONTROL.CAMBIAR_MODO, (mensaje) => {
+        const { modo } = mensaje.datos || {};
+        return cambiarModoTransaccional(modo, { origen: mensaje.origen });
+    });
+}
+
+/**
+ * Estado de los cambios de modo de esta página
+ * @returns {Object} `{modoActual, preparada, enCurso, historial}`
+ */
+export function obtenerEstadoCambioModo() {
+    return {
+        modoActual: modoHandler.obtenerModoActual(),
+        preparada: estadoParticipante.preparada ? { ...estadoParticipante.preparada } : null,
+        enCurso: estadoCoordinador.actual ? { ...estadoCoordinador.actual } : null,
+        historial: estadoCoordinador.historial.map(transaccion => ({ ...transaccion }))
+    };
+}
+
+export default {
+    registrarParticipanteModo,
+    solicitarCambioModo,
+    cambiarModoTransaccional,
+    configurarCoordinadorModo,
+    obtenerEstadoCambioModo
+};
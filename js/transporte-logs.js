@@ -0,0 +1,371 @@
+/**
+ * Transporte de logs al servidor
+ * @module TransporteLogs
+ * @description
+ * Envía por lotes al endpoint CONFIG.LOGS_REMOTOS.URL las entradas que registra logger.js,
+ * para poder revisar después lo que pasó en un recorrido real. Cada nivel tiene su tasa
+ * de muestreo (los errores y avisos se envían siempre) y las coordenadas se redondean
+ * antes de salir del dispositivo. Sin conexión, los lotes se guardan en localStorage y
+ * se envían al volver la red o al abrir la página de nuevo. Cada página (el padre y cada
+ * iframe) guarda su buffer bajo su propia clave para no pisar el de las demás.
+ *
+ * Este módulo no usa el logger: un fallo del transporte no debe generar más logs que enviar.
+ */
+
+import { CONFIG } from './config.js';
+
+// Longitud máxima de una cadena dentro de los datos de una entrada
+const MAX_LONGITUD_TEXTO = 2000;
+
+// Profundidad máxima de los datos serializados
+const MAX_PROFUNDIDAD = 5;
+
+// Claves cuyos valores numéricos son coordenadas
+const CLAVES_COORDENADA = /^(lat|lng|lon|latitud|longitud|latitude|longitude)$/i;
+
+// Claves cuyos valores [lat, lng] son coordenadas
+const CLAVES_PAR_COORDENADAS = /coord|posicion|ubicacion|centro|center/i;
+
+// Pares "39.46991, -0.37629" dentro de textos
+const PAR_COORDENADAS_TEXTO = /(-?\d{1,3}\.\d{3,})(\s*,\s*)(-?\d{1,3}\.\d{3,})/g;
+
+// Estado del transporte de esta página
+const estadoTransporte = {
+    iniciado: false,
+    activo: CONFIG.LOGS_REMOTOS.ACTIVO,
+    url: CONFIG.LOGS_REMOTOS.URL,
+    muestreo: { ...CONFIG.LOGS_REMOTOS.MUESTREO },
+    sesionId: null,
+    claveBuffer: null,
+    buffer: [],
+    enviando: false,
+    temporizador: null,
+    estadisticas: { enviadas: 0, descartadasMuestreo: 0, descartadasBuffer: 0, erroresEnvio: 0 }
+};
+
+/**
+ * Redondea un número de coordenada a CONFIG.LOGS_REMOTOS.DECIMALES_COORDENADAS
+ * @private
+ * @param {number} valor - Latitud o longitud
+ * @returns {number} Valor redondeado
+ */
+function redondearCoordenada(valor) {
+    return Number(valor.toFixed(CONFIG.LOGS_REMOTOS.DECIMALES_COORDENADAS));
+}
+
+/**
+ * Copia un valor apto para JSON con las coordenadas redondeadas.
+ * Recorta textos largos y objetos muy anidados, y corta las referencias circulares.
+ * @param {*} valor - Datos de una entrada de log
+ * @param {string} [clave] - Clave bajo la que está el valor
+ * @param {number} [profundidad] - Profundidad actual
+ * @param {WeakSet} [vistos] - Objetos ya visitados
+ * @returns {*} Copia redactada
+ */
+export function redactarCoordenadas(valor, clave = '', profundidad = 0, vistos = new WeakSet()) {
+    if (typeof valor === 'number') {
+        return CLAVES_COORDENADA.test(clave) && Number.isFinite(valor) ? redondearCoordenada(valor) : valor;
+    }
+    if (typeof valor === 'string') {
+        const texto = valor.length > MAX_LONGITUD_TEXTO ? `${valor.slice(0, MAX_LONGITUD_TEXTO)}…` : valor;
+        return texto.replace(PAR_COORDENADAS_TEXTO, (coincidencia, lat, separador, lng) =>
+            `${redondearCoordenada(Number(lat))}${separador}${redondearCoordenada(Number(lng))}`);
+    }
+    if (valor === null || typeof valor !== 'object') {
+        return typeof valor === 'function' || typeof valor === 'symbol' ? undefined : valor;
+    }
+    if (valor instanceof Error) {
+        return { name: valor.name, message: redactarCoordenadas(valor.message), stack: valor.stack };
+    }
+    if (vistos.has(valor)) {
+        return '[circular]';
+    }
+    if (profundidad >= MAX_PROFUNDIDAD) {
+        return '[…]';
+    }
+    vistos.add(valor);
+
+    if (Array.isArray(valor)) {
+        if (valor.length === 2 && valor.every(Number.isFinite) && CLAVES_PAR_COORDENADAS.test(clave)) {
+            return valor.map(redondearCoordenada);
+        }
+        return valor.map(elemento => redactarCoordenadas(elemento, clave, profundidad + 1, vistos));
+    }
+
+    const copia = {};
+    // for...in incluye las propiedades heredadas de objetos como GeolocationCoordinates
+    for (const propiedad in valor) {
+        const redactado = redactarCoordenadas(valor[propiedad], propiedad, profundidad + 1, vistos);
+        if (redactado !== undefined) {
+            copia[propiedad] = redactado;
+        }
+    }
+    return copia;
+}
+
+/**
+ * Identificador de la sesión, compartido por el padre y los hijos de la misma pestaña
+ * @private
+ * @returns {string} Identificador de sesión
+ */
+function obtenerSesionId() {
+    const clave = `${CONFIG.LOGS_REMOTOS.CLAVE_BUFFER}_sesion`;
+    try {
+        let sesionId = sessionStorage.getItem(clave);
+        if (!sesionId) {
+            sesionId = crypto.randomUUID();
+            sessionStorage.setItem(clave, sesionId);
+        }
+        return sesionId;
+    } catch (error) {
+        return `sesion-${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
+    }
+}
+
+/**
+ * Clave del buffer de esta página: CLAVE_BUFFER más la ruta de la página, que distingue al
+ * padre de cada iframe desde el primer log (antes de que la mensajería conozca su iframeId)
+ * @private
+ * @returns {string} Clave en localStorage
+ */
+function obtenerClaveBuffer() {
+    return `${CONFIG.LOGS_REMOTOS.CLAVE_BUFFER}:${location.pathname}`;
+}
+
+/**
+ * Guarda el buffer en localStorage para no perderlo sin conexión o al cerrar
+ * @private
+ */
+function guardarBuffer() {
+    try {
+        if (estadoTransporte.buffer.length > 0) {
+            localStorage.setItem(estadoTransporte.claveBuffer, JSON.stringify(estadoTransporte.buffer));
+        } else {
+            localStorage.removeItem(estadoTransporte.claveBuffer);
+        }
+    } catch (error) {
+        // Sin espacio en localStorage: el buffer sigue en memoria
+    }
+}
+
+/**
+ * Recupera las entradas guardadas bajo una clave y la libera
+ * @private
+ * @param {string} clave - Clave en localStorage
+ * @returns {Array<Object>} Entradas guardadas
+ */
+function leerBufferGuardado(clave) {
+    try {
+        const guardado = JSON.parse(localStorage.getItem(clave) || '[]');
+        localStorage.removeItem(clave);
+        return Array.isArray(guardado) ? guardado : [];
+    } catch (error) {
+        localStorage.removeItem(clave);
+        return [];
+    }
+}
+
+/**
+ * Recupera el buffer que una carga anterior de esta página no llegó a enviar, y el de la
+ * clave compartida que usaban las versiones anteriores (la primera página que la lee se
+ * queda esas entradas)
+ * @private
+ */
+function cargarBuffer() {
+    const guardado = [
+        ...leerBufferGuardado(CONFIG.LOGS_REMOTOS.CLAVE_BUFFER),
+        ...leerBufferGuardado(estadoTransporte.claveBuffer)
+    ];
+    if (guardado.length > 0) {
+        estadoTransporte.buffer = [...guardado, ...estadoTransporte.buffer].slice(-CONFIG.LOGS_REMOTOS.MAX_BUFFER);
+    }
+}
+
+/**
+ * Programa el próximo envío si no hay uno programado
+ * @private
+ * @param {number} retrasoMs - Retraso hasta el envío (ms)
+ */
+function programarEnvio(retrasoMs) {
+    if (estadoTransporte.temporizador || estadoTransporte.buffer.length === 0) {
+        return;
+    }
+    estadoTransporte.temporizador = setTimeout(() => {
+        estadoTransporte.temporizador = null;
+        enviarLogsPendientes();
+    }, retrasoMs);
+}
+
+/**
+ * Envía lo que queda en el buffer con sendBeacon al ocultar o cerrar la página
+ * @private
+ */
+function vaciarAlSalir() {
+    if (typeof navigator.sendBeacon === 'function' && navigator.onLine !== false) {
+        while (estadoTransporte.buffer.length > 0) {
+            const lote = estadoTransporte.buffer.slice(0, CONFIG.LOGS_REMOTOS.TAMANO_LOTE);
+            const cuerpo = new Blob([JSON.stringify({ sesionId: estadoTransporte.sesionId, entradas: lote })],
+                { type: 'application/json' });
+            if (!navigator.sendBeacon(estadoTransporte.url, cuerpo)) {
+                break;
+            }
+            estadoTransporte.buffer.splice(0, lote.length);
+            estadoTransporte.estadisticas.enviadas += lote.length;
+        }
+    }
+    guardarBuffer();
+}
+
+/**
+ * Inicia el transporte la primera vez que hay algo que enviar
+ * @private
+ */
+function iniciarTransporte() {
+    estadoTransporte.iniciado = true;
+    estadoTransporte.sesionId = obtenerSesionId();
+    estadoTransporte.claveBuffer = obtenerClaveBuffer();
+    cargarBuffer();
+    window.addEventListener('online', () => enviarLogsPendientes());
+    window.addEventListener('pagehide', vaciarAlSalir);
+}
+
+/**
+ * Convierte una entrada de logger.js en la que se envía al servidor
+ * @private
+ * @param {Object} entrada - Entrada de formatLogEntry
+ * @returns {Object} Entrada redactada
+ */
+function prepararEntrada(entrada) {
+    return {
+        timestamp: entrada.timestamp,
+        nivel: entrada.levelName,
+        mensaje: redactarCoordenadas(String(entrada.message)),
+        datos: entrada.data instanceof Error ? undefined : redactarCoordenadas(entrada.data ?? undefined),
+        error: entrada.error ? redactarCoordenadas(entrada.error) : undefined,
+        ubicacion: entrada.location,
+        iframeId: entrada.iframeId,
+        pagina: location.pathname
+    };
+}
+
+/**
+ * Añade una entrada de log al próximo lote, según la tasa de muestreo de su nivel
+ * @param {Object} entrada - Entrada de log (formato de logger.js)
+ * @returns {boolean} True si la entrada se enviará
+ */
+export function registrarLogRemoto(entrada) {
+    if (!estadoTransporte.activo || typeof window === 'undefined' || !entrada) {
+        return false;
+    }
+    if (!(Math.random() < (estadoTransporte.muestreo[entrada.levelName] ?? 0))) {
+        estadoTransporte.estadisticas.descartadasMuestreo++;
+        return false;
+    }
+    if (!estadoTransporte.iniciado) {
+        iniciarTransporte();
+    }
+
+    estadoTransporte.buffer.push(prepararEntrada(entrada));
+    if (estadoTransporte.buffer.length > CONFIG.LOGS_REMOTOS.MAX_BUFFER) {
+        estadoTransporte.buffer.shift();
+        estadoTransporte.estadisticas.descartadasBuffer++;
+    }
+
+    if (estadoTransporte.buffer.length >= CONFIG.LOGS_REMOTOS.TAMANO_LOTE) {
+        enviarLogsPendientes();
+    } else {
+        programarEnvio(CONFIG.LOGS_REMOTOS.INTERVALO);
+    }
+    return true;
+}
+
+/**
+ * Envía los lotes pendientes hasta vaciar el buffer o encontrar un error.
+ * Si falla la red o el servidor (5xx, 429), el lote se conserva y se reintenta más tarde;
+ * si el servidor lo rechaza (4xx), se descarta.
+ * @returns {Promise<number>} Entradas enviadas
+ */
+export async function enviarLogsPendientes() {
+    if (estadoTransporte.enviando || estadoTransporte.buffer.length === 0) {
+        return 0;
+    }
+    if (navigator.onLine === false) {
+        guardarBuffer();
+        return 0;
+    }
+
+    clearTimeout(estadoTransporte.temporizador);
+    estadoTransporte.temporizador = null;
+    estadoTransporte.enviando = true;
+    let enviadas = 0;
+
+    try {
+        while (estadoTransporte.buffer.length > 0) {
+            const lote = estadoTransporte.buffer.slice(0, CONFIG.LOGS_REMOTOS.TAMANO_LOTE);
+            const respuesta = await fetch(estadoTransporte.url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ sesionId: estadoTransporte.sesionId, entradas: lote }),
+                keepalive: true
+            });
+
+            if (!respuesta.ok && (respuesta.status >= 500 || respuesta.status === 429)) {
+                throw new Error(`HTTP ${respuesta.status}`);
+            }
+            // El lote se retira del buffer tanto si se aceptó como si el servidor lo rechazó
+            estadoTransporte.buffer.splice(0, lote.length);
+            if (respuesta.ok) {
+                enviadas += lote.length;
+                estadoTransporte.estadisticas.enviadas += lote.length;
+            }
+        }
+    } catch (error) {
+        estadoTransporte.estadisticas.erroresEnvio++;
+        programarEnvio(CONFIG.LOGS_REMOTOS.INTERVALO);
+    } finally {
+        estadoTransporte.enviando = false;
+        guardarBuffer();
+    }
+    return enviadas;
+}
+
+/**
+ * Cambia la configuración del transporte en tiempo de ejecución
+ * @param {Object} opciones - Opciones
+ * @param {boolean} [opciones.activo] - Activa o desactiva el envío
+ * @param {string} [opciones.url] - Endpoint del servidor
+ * @param {Object<string, number>} [opciones.muestreo] - Tasas por nivel (DEBUG, INFO, WARN, ERROR)
+ */
+export function configurarTransporteLogs({ activo, url, muestreo } = {}) {
+    if (typeof activo === 'boolean') {
+        estadoTransporte.activo = activo;
+    }
+    if (url) {
+        estadoTransporte.url = url;
+    }
+    if (muestreo) {
+        Object.assign(estadoTransporte.muestreo, muestreo);
+    }
+}
+
+/**
+ * Devuelve el estado del transporte para diagnóstico
+ * @returns {Object} Sesión, entradas pendientes y contadores
+ */
+export function obtenerEstadoTransporte() {
+    return {
+        activo: estadoTransporte.activo,
+        sesionId: estadoTransporte.sesionId,
+        pendientes: estadoTransporte.buffer.length,
+        muestreo: { ...estadoTransporte.muestreo },
+        ...estadoTransporte.estadisticas
+    };
+}
+
+export default {
+    redactarCoordenadas,
+    registrarLogRemoto,
+    enviarLogsPendientes,
+    configurarTransporteLogs,
+    obtenerEstadoTransporte
+};
@@ -202,6 +202,30 @@ export function getFromStorage(key, defaultValue = null, expectedType = null) {
     }
 }
 
+/**
+ * Indica si están activadas las herramientas de depuración de la mensajería: parámetro
+ * `?depurar=1` en la página o en la ventana principal (los iframes usan el del padre) o
+ * `true` en localStorage bajo CONFIG.MENSAJERIA.DEPURACION.CLAVE.
+ * No depende de la opción `debug` de inicializarMensajeria, que solo afecta a los logs.
+ * @returns {boolean} True si la depuración está activada
+ */
+export function depuracionActivada() {
+    const { PARAMETRO, CLAVE } = CONFIG.MENSAJERIA.DEPURACION;
+    const tieneParametro = (ventana) => {
+        try {
+            return new URLSearchParams(ventana.location.search).get(PARAMETRO) === '1';
+        } catch (error) {
+            // Ventana principal de otro origen
+            return false;
+        }
+    };
+
+    if (typeof window !== 'undefined' && (tieneParametro(window) || (window.top !== window && tieneParametro(window.top)))) {
+        return true;
+    }
+    return getFromStorage(CLAVE, false) === true;
+}
+
 /**
  * Almacena un valor en localStorage con manejo de errores
  * @param {string} key - Clave para almacenar en localStorage
@@ -372,5 +396,6 @@ export default {
     throttle,
     getFromStorage,
     setToStorage,
+    depuracionActivada,
     DOMCache: domCache
 };
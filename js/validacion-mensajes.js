@@ -0,0 +1,181 @@
+/**
+ * Validación del formato estándar de mensajes
+ * @module ValidacionMensajes
+ * @description
+ * Reglas de validación de la envoltura de mensajes (CATEGORIA.ACCION) compartidas
+ * entre la mensajería de los iframes (mensajeria.js) y el servidor (server.js).
+ * No depende de `window` ni del logger para poder usarse también en Node.
+ */
+
+import { TIPOS_MENSAJE, ERRORES, PROTOCOLO_PUZZLE } from './constants.js';
+
+// Lista de tipos de mensajes válidos - Usando las constantes estandarizadas
+export const TIPOS_MENSAJE_VALIDOS = [
+    // SISTEMA
+    ...Object.values(TIPOS_MENSAJE.SISTEMA),
+
+    // CONTROL
+    ...Object.values(TIPOS_MENSAJE.CONTROL),
+
+    // DATOS
+    ...Object.values(TIPOS_MENSAJE.DATOS),
+
+    // NAVEGACION
+    ...Object.values(TIPOS_MENSAJE.NAVEGACION),
+
+    // AUDIO
+    ...Object.values(TIPOS_MENSAJE.AUDIO),
+
+    // RETO
+    ...Object.values(TIPOS_MENSAJE.RETO),
+
+    // UI
+    ...Object.values(TIPOS_MENSAJE.UI),
+
+    // MEDIOS
+    ...Object.values(TIPOS_MENSAJE.MEDIOS),
+
+    // MONITOREO (eventos, alertas y métricas hacia el padre)
+    ...Object.values(TIPOS_MENSAJE.MONITOREO),
+
+    // USUARIO (jugadores y turnos de la familia)
+    ...Object.values(TIPOS_MENSAJE.USUARIO),
+    TIPOS_MENSAJE.DATOS.PUNTOS,
+    TIPOS_MENSAJE.DATOS.PUNTOS_RUTA,
+
+    // UI
+    TIPOS_MENSAJE.UI.MODAL,
+
+    // MEDIOS
+    TIPOS_MENSAJE.MEDIOS.EVENTO,
+    TIPOS_MENSAJE.MEDIOS.MOSTRAR,
+    TIPOS_MENSAJE.MEDIOS.OCULTAR
+];
+
+// Formato CATEGORIA.ACCION
+export const REGEX_TIPO_MENSAJE = /^[A-Z0-9_]+\.[A-Z0-9_]+$/;
+
+// Campos obligatorios del formato estándar
+export const CAMPOS_REQUERIDOS = ['tipo', 'origen', 'destino', 'datos', 'timestamp'];
+
+/**
+ * Determina si un mensaje recibido es externo (por ejemplo, de extensiones como Grammarly)
+ * @param {Object} msg - Mensaje recibido
+ * @returns {boolean} True si es externo y debe ser ignorado
+ */
+export function esMensajeExterno(msg) {
+    // Ignorar mensajes de extensiones conocidas (ejemplo: Grammarly, React DevTools, etc.)
+    if (!msg || typeof msg !== 'object') return true;
+    // Grammarly
+    if (Object.hasOwn(msg, 'isTrusted') && Object.hasOwn(msg, 'data') && typeof msg.data === 'string' && msg.data.startsWith('{"event":')) {
+        return true;
+    }
+    // React DevTools
+    if (msg.source === 'react-devtools-content-script') {
+        return true;
+    }
+    // Avisos de puzzle.html a la página del reto (motor-retos.js los atiende)
+    if (msg.protocolo === PROTOCOLO_PUZZLE.NOMBRE) {
+        return true;
+    }
+    // Mensajes de postMessage sin los campos esperados
+    if (!msg.tipo && !msg.type) return true;
+    // Otros casos: puedes añadir más filtros aquí si aparecen más extensiones problemáticas
+    return false;
+}
+
+/**
+ * Crea el resultado de una validación fallida
+ * @private
+ * @param {Object} error - Entrada de ERRORES.VALIDACION
+ * @param {string} motivo - Descripción legible del fallo
+ * @param {Object} [detalles] - Información adicional para el log o la respuesta
+ * @returns {Object} Resultado de validación
+ */
+function resultadoInvalido(error, motivo, detalles = {}) {
+    return {
+        valido: false,
+        codigo: error.codigo,
+        mensaje: error.mensaje,
+        motivo,
+        detalles
+    };
+}
+
+/**
+ * Valida que un mensaje cumpla con el formato estándar sin efectos secundarios
+ * @param {Object} msg - Mensaje a validar
+ * @returns {{valido: boolean, codigo?: number, mensaje?: string, motivo?: string, externo?: boolean, detalles?: Object}}
+ *          Resultado de la validación con el código de ERRORES.VALIDACION correspondiente
+ */
+export function validarEstructuraMensaje(msg) {
+    // Verificar que el mensaje es un objeto
+    if (!msg || typeof msg !== 'object') {
+        return resultadoInvalido(ERRORES.VALIDACION.DATOS_INVALIDOS, 'Mensaje no es un objeto', { msg });
+    }
+
+    // Filtrar mensajes de extensiones externas como Grammarly
+    if (esMensajeExterno(msg)) {
+        return {
+            ...resultadoInvalido(ERRORES.VALIDACION.DATOS_INVALIDOS, 'Mensaje externo ignorado', { type: msg.type }),
+            externo: true
+        };
+    }
+
+    // Verificar campos obligatorios del formato estándar
+    // Object.hasOwn: el mensaje puede traer su propia clave `hasOwnProperty`
+    const missingFields = CAMPOS_REQUERIDOS.filter(field => !Object.hasOwn(msg, field));
+    if (missingFields.length > 0) {
+        return resultadoInvalido(
+            ERRORES.VALIDACION.PARAMETROS_FALTANTES,
+            'Mensaje inválido: faltan campos requeridos',
+            { missingFields, msg }
+        );
+    }
+
+    // Verificar que el tipo de mensaje sea válido (formato CATEGORIA.ACCION)
+    if (!REGEX_TIPO_MENSAJE.test(msg.tipo)) {
+        return resultadoInvalido(
+            ERRORES.VALIDACION.TIPO_MENSAJE_INVALIDO,
+            'Formato de tipo de mensaje inválido',
+            { tipo: msg.tipo, formatoEsperado: 'CATEGORIA.ACCION' }
+        );
+    }
+
+    // Verificar que el tipo esté en la lista de tipos válidos
+    if (!TIPOS_MENSAJE_VALIDOS.includes(msg.tipo)) {
+        return resultadoInvalido(
+            ERRORES.VALIDACION.TIPO_MENSAJE_INVALIDO,
+            'Tipo de mensaje no válido',
+            { tipo: msg.tipo }
+        );
+    }
+
+    // Verificar que datos sea un objeto
+    if (typeof msg.datos !== 'object' || msg.datos === null) {
+        return resultadoInvalido(
+            ERRORES.VALIDACION.DATOS_INVALIDOS,
+            "Campo 'datos' no es un objeto",
+            { datos: msg.datos }
+        );
+    }
+
+    // Verificar que el timestamp sea un número válido
+    if (typeof msg.timestamp !== 'number' || isNaN(msg.timestamp)) {
+        return resultadoInvalido(
+            ERRORES.VALIDACION.DATOS_INVALIDOS,
+            'Timestamp inválido',
+            { timestamp: msg.timestamp }
+        );
+    }
+
+    return { valido: true };
+}
+
+export default {
+    TIPOS_MENSAJE_VALIDOS,
+    REGEX_TIPO_MENSAJE,
+    CAMPOS_REQUERIDOS,
+    esMensajeExterno,
+    validarEstructuraMensaje
+};
@@ -0,0 +1,153 @@
+/**
+ * Service worker del modo sin conexión
+ * @description
+ * Sirve desde caché lo que js/modo-offline.js descarga con "Descargar aventura":
+ * teselas del mapa, audios, fotos y páginas. Las teselas y los medios se sirven
+ * primero desde caché, pero solo se guardan los que descargó modo-offline.js; las
+ * páginas, módulos y JSON se piden primero a la red y se usa la caché solo si no
+ * hay conexión.
+ *
+ * Es un script clásico (no módulo) para que funcione en todos los navegadores, por
+ * eso repite los nombres de caché de CONFIG.OFFLINE en lugar de importarlos.
+ */
+
+const PREFIJO_CACHE = 'valencia-tour';
+const CACHE_DINAMICA = `${PREFIJO_CACHE}-dinamica`;
+const URL_BASE_TESELAS = 'https://tile.openstreetmap.org';
+const EXTENSIONES_MEDIOS = /\.(mp3|m4a|ogg|jpe?g|png|webp|gif|mp4)$/i;
+const MAX_ENTRADAS_DINAMICA = 200; // Al superarlo se descartan las entradas más antiguas
+
+self.addEventListener('install', () => {
+    self.skipWaiting();
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(self.clients.claim());
+});
+
+/**
+ * Normaliza la URL de una tesela quitando el subdominio (a., b., c.)
+ * para que coincida con la clave guardada por modo-offline.js
+ * @param {URL} url - URL de la petición
+ * @returns {string|null} URL normalizada o null si no es una tesela
+ */
+function claveTesela(url) {
+    if (!url.hostname.endsWith('tile.openstreetmap.org')) {
+        return null;
+    }
+    return `${URL_BASE_TESELAS}${url.pathname}`;
+}
+
+/**
+ * Busca una petición en todas las cachés de la aplicación
+ * @param {Request|string} peticion - Petición o URL
+ * @returns {Promise<Response|undefined>} Respuesta en caché
+ */
+async function buscarEnCache(peticion) {
+    return caches.match(peticion, { ignoreSearch: typeof peticion !== 'string' && peticion.mode === 'navigate' });
+}
+
+/**
+ * Guarda una respuesta válida en la caché dinámica, descartando las entradas más antiguas.
+ * Nunca rechaza: sin espacio (QuotaExceededError) la respuesta simplemente no se guarda.
+ * @param {Request|string} clave - Clave de la caché
+ * @param {Response} respuesta - Respuesta de red
+ * @returns {Promise<void>}
+ */
+async function guardarEnCache(clave, respuesta) {
+    if (!respuesta?.ok) {
+        return;
+    }
+    try {
+        const cache = await caches.open(CACHE_DINAMICA);
+        await cache.put(clave, respuesta);
+        const claves = await cache.keys();
+        for (const antigua of claves.slice(0, Math.max(0, claves.length - MAX_ENTRADAS_DINAMICA))) {
+            await cache.delete(antigua);
+        }
+    } catch (error) {
+        console.warn(`[SW] No se pudo guardar en caché ${clave.url || clave}: ${error.message}`);
+    }
+}
+
+/**
+ * Responde a una petición con cabecera Range a partir de una respuesta completa en caché.
+ * Los reproductores de audio piden rangos y no aceptan una respuesta 200 completa en todos los navegadores.
+ * @param {Request} peticion - Petición con cabecera Range
+ * @param {Response} respuesta - Respuesta completa en caché
+ * @returns {Promise<Response>} Respuesta 206 con el fragmento pedido
+ */
+async function responderRango(peticion, respuesta) {
+    const datos = await respuesta.arrayBuffer();
+    const [, desde, hasta] = /bytes=(\d*)-(\d*)/.exec(peticion.headers.get('range')) || [];
+    const inicio = Number(desde) || 0;
+    const fin = hasta ? Math.min(Number(hasta), datos.byteLength - 1) : datos.byteLength - 1;
+
+    return new Response(datos.slice(inicio, fin + 1), {
+        status: 206,
+        statusText: 'Partial Content',
+        headers: {
+            'Content-Type': respuesta.headers.get('Content-Type') || 'application/octet-stream',
+            'Content-Range': `bytes ${inicio}-${fin}/${datos.byteLength}`,
+            'Content-Length': String(fin - inicio + 1),
+            'Accept-Ranges': 'bytes'
+        }
+    });
+}
+
+/**
+ * Estrategia caché primero (teselas y medios).
+ * Lo que no está en caché se pide a la red sin guardarlo: la navegación por el mapa
+ * o los vídeos llenarían la cuota del navegador.
+ * @param {Request} peticion - Petición original
+ * @param {string} clave - Clave de caché
+ * @returns {Promise<Response>} Respuesta
+ */
+async function cachePrimero(peticion, clave) {
+    const enCache = await buscarEnCache(clave);
+    if (enCache) {
+        return peticion.headers.has('range') ? responderRango(peticion, enCache) : enCache;
+    }
+
+    return fetch(peticion);
+}
+
+/**
+ * Estrategia red primero (páginas, módulos, JSON)
+ * @param {Request} peticion - Petición original
+ * @param {FetchEvent} event - Evento que se mantiene vivo hasta guardar la copia
+ * @returns {Promise<Response>} Respuesta
+ */
+async function redPrimero(peticion, event) {
+    try {
+        const respuesta = await fetch(peticion);
+        if (new URL(peticion.url).origin === self.location.origin) {
+            event.waitUntil(guardarEnCache(peticion, respuesta.clone()));
+        }
+        return respuesta;
+    } catch (error) {
+        const enCache = await buscarEnCache(peticion);
+        if (enCache) {
+            return enCache;
+        }
+        throw error;
+    }
+}
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') {
+        return;
+    }
+
+    const url = new URL(request.url);
+    const tesela = claveTesela(url);
+
+    if (tesela) {
+        event.respondWith(cachePrimero(request, tesela));
+    } else if (EXTENSIONES_MEDIOS.test(url.pathname)) {
+        event.respondWith(cachePrimero(request, request.url));
+    } else if (url.origin === self.location.origin || url.hostname === 'unpkg.com') {
+        event.respondWith(redPrimero(request, event));
+    }
+});